@@ -7,6 +7,7 @@ Comprehensive Forest Rights Act (IFR/CFR/CR) management system
 from flask import Flask, render_template, jsonify, request, send_from_directory
 import os
 import json
+import math
 import pandas as pd
 from datetime import datetime, timedelta
 import numpy as np
@@ -18,7 +19,95 @@ FRA_GEOJSON_FILE = 'output/fra_claims.geojson'
 FRA_ANALYTICS_FILE = 'output/fra_analytics.json'
 VANACHITRA_FRA_FILE = 'output/vanachitra_fra_data.geojson'
 STATIC_DIR = 'static'
+BOUNDARIES_DIR = 'data/boundaries'
+BOUNDARY_LEVELS = ['state', 'district', 'block', 'village']
+BOUNDARY_EXTENSIONS = ['.topojson', '.geojson', '.json']
 TEMPLATES_DIR = 'templates'
+MAX_PAGE_SIZE = 1000
+
+def to_json_safe(value):
+    """Convert pandas aggregation output (numpy scalars, NaN, non-string keys) into plain JSON types."""
+    if isinstance(value, dict):
+        return {str(k): to_json_safe(v) for k, v in value.items()}
+    if isinstance(value, (list, tuple)):
+        return [to_json_safe(v) for v in value]
+    if isinstance(value, np.integer):
+        return int(value)
+    if isinstance(value, (float, np.floating)):
+        return None if np.isnan(value) else float(value)
+    if isinstance(value, np.bool_):
+        return bool(value)
+    return value
+
+def find_claim(features, claim_id, village=None):
+    """Find a claim (or land-use feature) by id in a GeoJSON feature list.
+    
+    Claim ids are only unique within a village in the generated data, so an optional
+    village picks between duplicates; the first match wins otherwise.
+    """
+    matches = [
+        feature for feature in features
+        if claim_id in (feature['properties'].get('claim_id'), feature['properties'].get('feature_id'))
+    ]
+    if village:
+        matches = [f for f in matches if f['properties'].get('village') == village] or matches
+    if not matches:
+        return None
+    
+    details = dict(matches[0]['properties'])
+    details['geometry'] = matches[0]['geometry']
+    return details
+
+def parse_bbox(value):
+    """Parse a 'minLng,minLat,maxLng,maxLat' query parameter; None when it is absent."""
+    if not value:
+        return None
+    
+    bbox = [float(part) for part in value.split(',')]
+    if len(bbox) != 4 or bbox[0] > bbox[2] or bbox[1] > bbox[3]:
+        raise ValueError(f'bbox must be minLng,minLat,maxLng,maxLat, got {value}')
+    return bbox
+
+def geometry_bbox(geometry):
+    """[minLng, minLat, maxLng, maxLat] of a GeoJSON geometry, or None if it has no coordinates."""
+    points = []
+    
+    def walk(coords):
+        if len(coords) >= 2 and all(isinstance(c, (int, float)) for c in coords[:2]):
+            points.append(coords)
+        else:
+            for child in coords:
+                walk(child)
+    
+    if geometry:
+        for part in geometry.get('geometries', [geometry]):
+            walk(part.get('coordinates') or [])
+    if not points:
+        return None
+    
+    xs = [point[0] for point in points]
+    ys = [point[1] for point in points]
+    return [min(xs), min(ys), max(xs), max(ys)]
+
+def bbox_intersects(a, b):
+    """Whether two bboxes touch; features without coordinates never match a bbox."""
+    return a is not None and a[0] <= b[2] and a[2] >= b[0] and a[1] <= b[3] and a[3] >= b[1]
+
+def read_paging(args):
+    """bbox, page and limit from the query string; a limit of 0 (the default) returns every match at once."""
+    page = int(args.get('page', 1))
+    limit = int(args.get('limit', 0))
+    if page < 1 or limit < 0:
+        raise ValueError('page must be 1 or more and limit 0 or more')
+    return parse_bbox(args.get('bbox')), page, min(limit, MAX_PAGE_SIZE)
+
+def page_range(total, page, limit):
+    """Start and end offsets of a 1-based page, plus the paging summary sent back with it."""
+    if limit == 0:
+        return 0, total, {'page': 1, 'limit': total, 'pages': 1, 'total': total}
+    
+    start = (page - 1) * limit
+    return start, start + limit, {'page': page, 'limit': limit, 'pages': max(1, math.ceil(total / limit)), 'total': total}
 
 class FRAWebGISManager:
     def __init__(self, geojson_file, analytics_file):
@@ -48,6 +137,8 @@ class FRAWebGISManager:
                 features.append(props)
             
             self.df = pd.DataFrame(features)
+            # Computed once so bbox queries only compare numbers
+            self.bboxes = self.df['geometry'].apply(geometry_bbox) if len(self.df) > 0 else pd.Series(dtype=object)
             print(f"Loaded {len(self.df)} FRA claims")
             
         except Exception as e:
@@ -55,9 +146,10 @@ class FRAWebGISManager:
             self.claims_data = {"type": "FeatureCollection", "features": []}
             self.analytics_data = {}
             self.df = pd.DataFrame()
+            self.bboxes = pd.Series(dtype=object)
     
-    def get_filtered_claims(self, filters=None):
-        """Get filtered FRA claims based on provided filters."""
+    def get_filtered_claims(self, filters=None, bbox=None, page=1, limit=0):
+        """Get filtered FRA claims based on provided filters, optionally within a bbox and one page at a time."""
         if self.df is None or len(self.df) == 0:
             return {"type": "FeatureCollection", "features": []}
         
@@ -83,6 +175,9 @@ class FRAWebGISManager:
             if 'tribal_community' in filters and filters['tribal_community']:
                 filtered_df = filtered_df[filtered_df['tribal_community'] == filters['tribal_community']]
             
+            if 'year' in filters and filters['year']:
+                filtered_df = filtered_df[filtered_df['submission_date'].astype(str).str.startswith(filters['year'])]
+            
             if 'claim_area_min' in filters and filters['claim_area_min']:
                 min_area = float(filters['claim_area_min'])
                 filtered_df = filtered_df[filtered_df['claim_area_ha'] >= min_area]
@@ -91,9 +186,16 @@ class FRAWebGISManager:
                 max_area = float(filters['claim_area_max'])
                 filtered_df = filtered_df[filtered_df['claim_area_ha'] <= max_area]
         
+        if bbox:
+            in_bbox = self.bboxes.loc[filtered_df.index].apply(lambda b: bbox_intersects(b, bbox)).astype(bool)
+            filtered_df = filtered_df[in_bbox]
+        
+        # Only the requested page is converted
+        start, end, paging = page_range(len(filtered_df), page, limit)
+        
         # Convert back to GeoJSON format
         features = []
-        for _, row in filtered_df.iterrows():
+        for _, row in filtered_df.iloc[start:end].iterrows():
             # Clean properties to handle NaN values
             properties = {}
             for k, v in row.items():
@@ -123,8 +225,10 @@ class FRAWebGISManager:
             "type": "FeatureCollection",
             "features": features,
             "properties": {
-                "total_claims": len(features),
-                "filters_applied": filters or {}
+                "total_claims": paging['total'],
+                "filters_applied": filters or {},
+                "bbox": bbox,
+                "paging": paging
             }
         }
     
@@ -148,16 +252,14 @@ class FRAWebGISManager:
                 "error": "Analytics data simplified due to serialization issues"
             }
     
-    def get_claim_details(self, claim_id):
+    def get_claim_details(self, claim_id, village=None):
         """Get detailed information for a specific claim."""
-        if self.df is None or len(self.df) == 0:
+        if not self.claims_data:
             return None
         
-        claim = self.df[self.df['claim_id'] == claim_id]
-        if len(claim) == 0:
-            return None
-        
-        return claim.iloc[0].to_dict()
+        # Read the GeoJSON rather than the DataFrame: its rows carry numpy scalars and NaN
+        # for columns only other claims have, neither of which serializes to JSON
+        return find_claim(self.claims_data['features'], claim_id, village)
     
     def get_state_wise_summary(self):
         """Get state-wise summary of FRA claims."""
@@ -174,7 +276,7 @@ class FRAWebGISManager:
             'status': 'approved_claims'
         })
         
-        return state_summary.to_dict('index')
+        return to_json_safe(state_summary.to_dict('index'))
     
     def get_tribal_community_analysis(self):
         """Get analysis by tribal community."""
@@ -191,20 +293,22 @@ class FRAWebGISManager:
             'status': 'approved_claims'
         })
         
-        return tribal_analysis.to_dict('index')
+        return to_json_safe(tribal_analysis.to_dict('index'))
     
     def get_timeline_analysis(self):
         """Get timeline analysis of FRA claims."""
         if self.df is None or len(self.df) == 0:
             return {}
         
-        # Convert submission_date to datetime
-        self.df['submission_date'] = pd.to_datetime(self.df['submission_date'])
-        self.df['submission_year'] = self.df['submission_date'].dt.year
-        self.df['submission_month'] = self.df['submission_date'].dt.month
+        # Work on a copy: converting self.df in place turned every later /api/fra-claims
+        # submission_date into a Timestamp, which serializes as an HTTP date string
+        df = self.df.copy()
+        df['submission_date'] = pd.to_datetime(df['submission_date'])
+        df['submission_year'] = df['submission_date'].dt.year
+        df['submission_month'] = df['submission_date'].dt.month
         
         # Yearly analysis
-        yearly = self.df.groupby('submission_year').agg({
+        yearly = df.groupby('submission_year').agg({
             'claim_id': 'count',
             'claim_area_ha': 'sum',
             'status': lambda x: (x == 'approved').sum()
@@ -215,15 +319,15 @@ class FRAWebGISManager:
         
         # Monthly analysis for current year
         current_year = datetime.now().year
-        monthly = self.df[self.df['submission_year'] == current_year].groupby('submission_month').agg({
+        monthly = df[df['submission_year'] == current_year].groupby('submission_month').agg({
             'claim_id': 'count',
             'claim_area_ha': 'sum'
         }).rename(columns={'claim_id': 'claims_submitted'})
         
-        return {
+        return to_json_safe({
             'yearly': yearly.to_dict('index'),
             'monthly': monthly.to_dict('index')
-        }
+        })
     
     def get_performance_metrics(self):
         """Get performance metrics for FRA implementation."""
@@ -234,7 +338,7 @@ class FRAWebGISManager:
         approved_claims = len(self.df[self.df['status'] == 'approved'])
         pending_claims = len(self.df[self.df['status'].isin(['submitted', 'under_review', 'field_verification'])])
         
-        return {
+        return to_json_safe({
             'total_claims': total_claims,
             'approved_claims': approved_claims,
             'pending_claims': pending_claims,
@@ -245,7 +349,7 @@ class FRAWebGISManager:
             'average_claim_size_ha': round(self.df['claim_area_ha'].mean(), 2),
             'field_verification_rate': round(len(self.df[self.df['field_verification_done']]) / total_claims * 100, 2) if total_claims > 0 else 0,
             'gps_verification_rate': round(len(self.df[self.df['gps_coordinates_verified']]) / total_claims * 100, 2) if total_claims > 0 else 0
-        }
+        })
 
 # Initialize FRA manager
 fra_manager = FRAWebGISManager(FRA_GEOJSON_FILE, FRA_ANALYTICS_FILE)
@@ -287,8 +391,10 @@ def api_vanachitra_fra_data():
 
 @app.route('/api/assets')
 def get_assets():
-    """API endpoint to get asset data."""
+    """API endpoint to get asset data, optionally within a bbox and one page at a time."""
     try:
+        bbox, page, limit = read_paging(request.args)
+        
         # Try to load enhanced assets first, fallback to original
         assets_files = ['output/assets_enhanced.geojson', 'output/assets.geojson']
         assets_data = None
@@ -338,7 +444,19 @@ def get_assets():
             
             assets_data['features'] = filtered_features
         
+        if bbox:
+            assets_data['features'] = [
+                feature for feature in assets_data['features']
+                if bbox_intersects(geometry_bbox(feature.get('geometry')), bbox)
+            ]
+        
+        start, end, paging = page_range(len(assets_data['features']), page, limit)
+        assets_data['features'] = assets_data['features'][start:end]
+        assets_data.setdefault('properties', {})['paging'] = paging
+        
         return jsonify(assets_data)
+    except ValueError as e:
+        return jsonify({'error': f'Invalid query: {str(e)}'}), 400
     except Exception as e:
         return jsonify({
             'error': f'Error loading assets: {str(e)}',
@@ -348,8 +466,10 @@ def get_assets():
 
 @app.route('/api/fra-claims')  
 def get_fra_claims():
-    """API endpoint to get FRA claims data."""
+    """API endpoint to get FRA claims data, optionally within a bbox and one page at a time."""
     try:
+        bbox, page, limit = read_paging(request.args)
+        
         # Get filters from query parameters
         filters = {
             'state': request.args.get('state'),
@@ -358,6 +478,7 @@ def get_fra_claims():
             'fra_type': request.args.get('fra_type'),
             'status': request.args.get('status'),
             'tribal_community': request.args.get('tribal_community'),
+            'year': request.args.get('year'),
             'claim_area_min': request.args.get('claim_area_min'),
             'claim_area_max': request.args.get('claim_area_max')
         }
@@ -365,9 +486,11 @@ def get_fra_claims():
         # Remove empty filters
         filters = {k: v for k, v in filters.items() if v}
         
-        data = fra_manager.get_filtered_claims(filters)
+        data = fra_manager.get_filtered_claims(filters, bbox, page, limit)
         return jsonify(data)
     
+    except ValueError as e:
+        return jsonify({'error': f'Invalid query: {str(e)}'}), 400
     except Exception as e:
         return jsonify({
             'error': f'Error loading FRA claims: {str(e)}',
@@ -398,13 +521,34 @@ def get_analytics():
 def get_claim_details(claim_id):
     """API endpoint to get detailed claim information."""
     try:
-        claim_details = fra_manager.get_claim_details(claim_id)
+        village = request.args.get('village')
+        claim_details = fra_manager.get_claim_details(claim_id, village)
+        
+        # Vanachitra claims (CFR_TE_KUM_001 style ids) live in their own dataset
+        if claim_details is None and os.path.exists(VANACHITRA_FRA_FILE):
+            with open(VANACHITRA_FRA_FILE, 'r') as f:
+                claim_details = find_claim(json.load(f)['features'], claim_id, village)
+        
         if claim_details is None:
             return jsonify({'error': 'Claim not found'}), 404
         return jsonify(claim_details)
     except Exception as e:
         return jsonify({'error': str(e)}), 500
 
+@app.route('/api/boundaries/<level>')
+def get_boundaries(level):
+    """API endpoint to serve one level of administrative boundaries (GeoJSON or TopoJSON)."""
+    if level not in BOUNDARY_LEVELS:
+        return jsonify({'error': f'Unknown boundary level: {level}'}), 404
+    
+    # e.g. data/boundaries/district.topojson; the first file found wins
+    for extension in BOUNDARY_EXTENSIONS:
+        filename = level + extension
+        if os.path.exists(os.path.join(BOUNDARIES_DIR, filename)):
+            return send_from_directory(BOUNDARIES_DIR, filename, mimetype='application/json')
+    
+    return jsonify({'error': f'No {level} boundary file in {BOUNDARIES_DIR}'}), 404
+
 @app.route('/api/state-summary')
 def get_state_summary():
     """API endpoint to get state-wise summary."""
@@ -454,7 +598,16 @@ def get_filter_options():
             'villages': sorted(fra_manager.df['village'].unique().tolist()),
             'fra_types': sorted(fra_manager.df['fra_type'].unique().tolist()),
             'statuses': sorted(fra_manager.df['status'].unique().tolist()),
-            'tribal_communities': sorted(fra_manager.df['tribal_community'].unique().tolist())
+            'tribal_communities': sorted(fra_manager.df['tribal_community'].unique().tolist()),
+            'years': sorted(fra_manager.df['submission_date'].astype(str).str[:4].unique().tolist()),
+            # Whole dataset, for the timeline while only the claims in view are loaded
+            'submission_range': [
+                str(fra_manager.df['submission_date'].min()),
+                str(fra_manager.df['submission_date'].max())
+            ],
+            'total_claims': len(fra_manager.df),
+            # [state, district, village] rows for the cascading dropdowns when no boundary file covers a level
+            'regions': fra_manager.df[['state', 'district', 'village']].drop_duplicates().values.tolist()
         }
         
         return jsonify(options)
@@ -499,6 +652,13 @@ def serve_static(filename):
     """Serve static files."""
     return send_from_directory(STATIC_DIR, filename)
 
+@app.route('/service-worker.js')
+def service_worker():
+    """Serve the offline service worker from the root so its scope covers every page and API call."""
+    response = send_from_directory(STATIC_DIR, 'service_worker.js', mimetype='application/javascript')
+    response.headers['Cache-Control'] = 'no-cache'
+    return response
+
 if __name__ == '__main__':
     print("=== FRA WebGIS Integration Application ===")
     print("Starting FRA WebGIS server...")
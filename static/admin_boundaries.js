@@ -0,0 +1,233 @@
+/**
+ * Vanachitra.AI - Administrative Boundaries
+ * Loads state/district/block/village boundaries from local GeoJSON or TopoJSON and shows the level matching the zoom
+ */
+
+class AdminBoundaries {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            url: '/api/boundaries',
+            style: null,                // (feature) => path style
+            onEachFeature: null,        // (feature, layer) => void
+            onLevelChange: null,        // (level) => void, when zooming switches the level shown
+            ...options
+        };
+        this.collections = {};
+        this.lookup = new Map();
+        this.level = null;
+
+        this.layer = L.geoJSON(null, {
+            style: this.options.style,
+            onEachFeature: this.options.onEachFeature
+        });
+
+        // Village files run to many thousands of polygons, so only the viewport is materialized
+        this.renderer = new ViewportRenderer(this.map, {
+            createLayer: (feature) => ViewportRenderer.addToGeoJSON(this.layer, feature),
+            removeLayer: (feature, layer) => this.layer.removeLayer(layer)
+        });
+
+        this.map.on('zoomend', () => this.update());
+    }
+
+    // Fetches every level; missing files are skipped so a state-only setup still works
+    async load() {
+        await Promise.all(AdminBoundaries.LEVELS.map(async level => {
+            try {
+                const response = await fetch(`${this.options.url}/${level}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const collection = AdminBoundaries.decode(await response.json());
+                collection.features = collection.features
+                    .filter(feature => feature.geometry)
+                    .map(feature => AdminBoundaries.normalize(feature, level));
+                this.collections[level] = collection;
+            } catch (error) {
+                console.warn(`⚠️ No ${level} boundaries loaded:`, error.message);
+            }
+        }));
+
+        // Indexed with all parents, without the block (the filters have no block level) and by
+        // name alone, so lookups work whichever parent columns a file carries
+        this.lookup.clear();
+        this.levels().forEach(level => {
+            this.collections[level].features.forEach(feature => {
+                const props = feature.properties;
+                [props, { ...props, block: null }, { name: props.name }].forEach(keyProps => {
+                    const key = AdminBoundaries.key(level, keyProps);
+                    if (!this.lookup.has(key)) {
+                        this.lookup.set(key, feature);
+                    }
+                });
+            });
+        });
+
+        console.log('🗺️ Admin boundaries loaded:', this.levels()
+            .map(level => `${this.collections[level].features.length} ${level}`).join(', ') || 'none');
+
+        this.update();
+        return this.levels();
+    }
+
+    // Loaded levels, coarsest first
+    levels() {
+        return AdminBoundaries.LEVELS.filter(level => this.collections[level]);
+    }
+
+    hasLevel(level) {
+        return !!this.collections[level];
+    }
+
+    features(level) {
+        return this.collections[level] ? this.collections[level].features : [];
+    }
+
+    // Finest loaded level whose zoom threshold has been reached; the coarsest level below all thresholds
+    levelForZoom(zoom) {
+        const levels = this.levels();
+        if (levels.length === 0) return null;
+
+        const reached = levels.filter(level => zoom >= AdminBoundaries.MIN_ZOOM[level]);
+        return reached.length > 0 ? reached[reached.length - 1] : levels[0];
+    }
+
+    update() {
+        const level = this.levelForZoom(this.map.getZoom());
+        if (level === this.level) return;
+
+        this.level = level;
+        this.renderer.clear();
+        if (level) {
+            this.renderer.setFeatures(this.collections[level].features);
+        }
+
+        if (this.options.onLevelChange) {
+            this.options.onLevelChange(level);
+        }
+    }
+
+    // Region by name within its parents, e.g. find('district', { state: 'Odisha', name: 'Koraput' });
+    // files without parent columns are matched on the name alone
+    find(level, { name, state = null, district = null, block = null }) {
+        if (!name || !this.hasLevel(level)) return null;
+        return this.lookup.get(AdminBoundaries.key(level, { name, state, district, block })) ||
+            this.lookup.get(AdminBoundaries.key(level, { name })) ||
+            null;
+    }
+
+    // Names of the regions one level down, e.g. children('district', { state: 'Odisha' })
+    children(level, parents = {}) {
+        return [...new Set(this.features(level)
+            .filter(feature => Object.entries(parents).every(([key, value]) => !value || feature.properties[key] === value))
+            .map(feature => feature.properties.name))]
+            .sort();
+    }
+
+    forEachRendered(callback) {
+        this.renderer.forEachRendered(callback);
+    }
+
+    static key(level, props) {
+        const parents = AdminBoundaries.PARENTS[level].map(parent => props[parent] || '');
+        return [level, ...parents, props.name].join('|');
+    }
+
+    static decode(data) {
+        if (data && data.type === 'Topology') {
+            // A topology holds one or more named objects; the first is the layer
+            const name = Object.keys(data.objects)[0];
+            return { type: 'FeatureCollection', features: AdminBoundaries.topologyFeatures(data, data.objects[name]) };
+        }
+        if (data && data.type === 'FeatureCollection') {
+            return data;
+        }
+        throw new Error('Expected a GeoJSON FeatureCollection or a TopoJSON Topology');
+    }
+
+    // Minimal TopoJSON decoder for polygon layers: quantized delta-encoded arcs, reversed arcs (~i)
+    static topologyFeatures(topology, object) {
+        const transform = topology.transform;
+        const arcs = topology.arcs.map(arc => {
+            if (!transform) return arc;
+
+            let x = 0;
+            let y = 0;
+            return arc.map(([dx, dy]) => {
+                x += dx;
+                y += dy;
+                return [x * transform.scale[0] + transform.translate[0], y * transform.scale[1] + transform.translate[1]];
+            });
+        });
+
+        // Consecutive arcs share an endpoint; drop the duplicate when stitching a ring
+        const ring = indexes => indexes.reduce((coords, index, i) => {
+            const arc = index >= 0 ? arcs[index] : [...arcs[~index]].reverse();
+            return coords.concat(i === 0 ? arc : arc.slice(1));
+        }, []);
+
+        const geometry = (g) => {
+            if (g.type === 'Polygon') return { type: 'Polygon', coordinates: g.arcs.map(ring) };
+            if (g.type === 'MultiPolygon') return { type: 'MultiPolygon', coordinates: g.arcs.map(polygon => polygon.map(ring)) };
+            return null;
+        };
+
+        const geometries = object.type === 'GeometryCollection' ? object.geometries : [object];
+        return geometries.map(g => ({ type: 'Feature', properties: g.properties || {}, geometry: geometry(g) }));
+    }
+
+    // Maps whatever column names the source uses onto { admin_level, name, state, district, block, code }
+    static normalize(feature, level) {
+        const props = feature.properties || {};
+        const lower = {};
+        Object.entries(props).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                lower[key.toLowerCase()] = value;
+            }
+        });
+        const read = keys => {
+            const key = keys.find(k => lower[k] !== undefined);
+            return key === undefined ? null : String(lower[key]).trim();
+        };
+
+        const normalized = {
+            ...props,
+            admin_level: level,
+            name: read([...AdminBoundaries.NAME_KEYS[level], 'name']),
+            code: read(AdminBoundaries.CODE_KEYS[level])
+        };
+        AdminBoundaries.PARENTS[level].forEach(parent => {
+            normalized[parent] = read(AdminBoundaries.NAME_KEYS[parent]);
+        });
+
+        return { ...feature, properties: normalized };
+    }
+}
+
+AdminBoundaries.LEVELS = ['state', 'district', 'block', 'village'];
+
+AdminBoundaries.MIN_ZOOM = { state: 0, district: 7, block: 9, village: 11 };
+
+AdminBoundaries.PARENTS = {
+    state: [],
+    district: ['state'],
+    block: ['state', 'district'],
+    village: ['state', 'district', 'block']
+};
+
+// Lower-cased column names seen in Census, DataMeet and GADM boundary files
+AdminBoundaries.NAME_KEYS = {
+    state: ['state', 'st_nm', 'state_name', 'stname', 'st_name', 'statename', 'name_1'],
+    district: ['district', 'dtname', 'district_name', 'dist_name', 'distname', 'name_2'],
+    block: ['block', 'block_name', 'sdtname', 'subdistrict', 'sub_dist', 'tehsil', 'taluk', 'name_3'],
+    village: ['village', 'village_name', 'vill_name', 'town_vill', 'name_4']
+};
+
+AdminBoundaries.CODE_KEYS = {
+    state: ['code', 'st_code', 'state_code', 'st_cen_cd', 'censuscode'],
+    district: ['code', 'dt_code', 'district_code', 'dt_cen_cd', 'censuscode'],
+    block: ['code', 'sdt_code', 'block_code', 'sdt_cen_cd', 'censuscode'],
+    village: ['code', 'village_code', 'vill_code', 'censuscode']
+};
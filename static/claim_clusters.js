@@ -0,0 +1,339 @@
+/**
+ * Vanachitra.AI - Claim Clusters
+ * Stands in for claim polygons at low zooms with centroid cluster bubbles: counts, a pie of FRA type or
+ * status, spiderfying on click, and a handover to the full polygons once zoomed in
+ */
+
+class ClaimClusters {
+    constructor(map, schema, options = {}) {
+        this.map = map;
+        this.schema = schema;
+        this.options = {
+            position: 'bottomright',
+            radius: 60,                 // px; claims closer than a grid cell of this size share a bubble
+            featureZoom: 9,             // polygons from this zoom on
+            spiderfyMax: 40,            // larger clusters zoom in on click instead of fanning out
+            typeColors: {},             // { CFR, IFR, CR }: fill colours matching the viewer's polygons
+            onSelect: null,             // (feature) => void when a single claim is clicked
+            onModeChange: null,         // ('clusters' | 'features') => void, after every update
+            onToggle: null,             // (enabled) => void when the checkbox is switched
+            ...options
+        };
+        this.enabled = false;
+        this.colorBy = 'type';
+        this.points = [];               // { feature, record, latlng }
+        this.mode = null;
+        this.layer = L.layerGroup();
+        this.spider = L.layerGroup();
+
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+        this.control.addTo(this.map);
+
+        this.map.on('zoomend', () => this.update());
+        this.map.on('zoomstart click', () => this.unspiderfy());
+    }
+
+    createContainer() {
+        const container = L.DomUtil.create('div', 'cluster-control');
+        container.innerHTML = `
+            <label><input type="checkbox" class="cluster-enable"> <span data-i18n>🔵 Cluster claims</span></label>
+            <select class="cluster-color-by" title="Pie slices" data-i18n-title>
+                <option value="type" data-i18n>By FRA type</option>
+                <option value="status" data-i18n>By status</option>
+            </select>
+            <div class="cluster-hint"></div>
+        `;
+        I18n.translate(container);
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.elements = {
+            enable: container.querySelector('.cluster-enable'),
+            colorBy: container.querySelector('.cluster-color-by'),
+            hint: container.querySelector('.cluster-hint')
+        };
+
+        this.elements.enable.addEventListener('change', (e) => {
+            this.setEnabled(e.target.checked);
+            if (this.options.onToggle) {
+                this.options.onToggle(this.enabled);
+            }
+        });
+        this.elements.colorBy.addEventListener('change', (e) => {
+            this.colorBy = e.target.value;
+            this.update();
+        });
+
+        I18n.setText(this.elements.hint, 'Zoom to level {zoom} for claim outlines', { zoom: this.options.featureZoom });
+        return container;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.elements.enable.checked = enabled;
+        this.update();
+    }
+
+    // Claims currently passing the viewer's filters; land use features are not clustered
+    setFeatures(features) {
+        this.points = features
+            .map(feature => ({ feature, record: this.schema.claim(feature) }))
+            .filter(point => point.record.kind === 'claim')
+            .map(point => ({ ...point, latlng: ClaimClusters.centroidOf(point.feature, point.record) }))
+            .filter(point => point.latlng);
+        this.update();
+    }
+
+    currentMode() {
+        return this.enabled && this.map.getZoom() < this.options.featureZoom ? 'clusters' : 'features';
+    }
+
+    update() {
+        const mode = this.currentMode();
+
+        this.unspiderfy();
+        this.layer.clearLayers();
+        if (mode === 'clusters') {
+            this.render();
+            this.layer.addTo(this.map);
+        } else {
+            this.layer.remove();
+        }
+        this.elements.colorBy.style.display = this.enabled ? '' : 'none';
+        this.elements.hint.style.display = this.enabled ? '' : 'none';
+
+        // Reported on every update, not just on change, so layers created later get hidden too
+        this.mode = mode;
+        if (this.options.onModeChange) {
+            this.options.onModeChange(mode);
+        }
+    }
+
+    // Also called after a language switch; bubbles carry their counts and tooltips as text
+    refresh() {
+        if (this.mode === 'clusters') {
+            this.update();
+        }
+    }
+
+    render() {
+        this.cluster(this.map.getZoom()).forEach(cluster => {
+            const marker = cluster.points.length === 1
+                ? this.pointMarker(cluster.points[0], cluster.latlng)
+                : this.clusterMarker(cluster);
+            this.layer.addLayer(marker);
+        });
+    }
+
+    // Grid clustering in screen pixels at the given zoom; each bubble sits at its members' mean position
+    cluster(zoom) {
+        const cells = new Map();
+
+        this.points.forEach(point => {
+            const pixel = this.map.project(point.latlng, zoom);
+            const key = `${Math.floor(pixel.x / this.options.radius)}|${Math.floor(pixel.y / this.options.radius)}`;
+            if (!cells.has(key)) {
+                cells.set(key, { points: [], lat: 0, lng: 0 });
+            }
+            const cell = cells.get(key);
+            cell.points.push(point);
+            cell.lat += point.latlng.lat;
+            cell.lng += point.latlng.lng;
+        });
+
+        return [...cells.values()].map(cell => ({
+            points: cell.points,
+            latlng: L.latLng(cell.lat / cell.points.length, cell.lng / cell.points.length)
+        }));
+    }
+
+    clusterMarker(cluster) {
+        const slices = this.slices(cluster.points);
+        const count = cluster.points.length;
+        const size = Math.round(30 + 10 * Math.log10(count));
+        const title = I18n.t('{count} claims', { count: I18n.number(count) });
+
+        const marker = L.marker(cluster.latlng, {
+            icon: L.divIcon({
+                className: 'claim-cluster',
+                html: ClaimClusters.pieSVG(slices, size, I18n.number(count)),
+                iconSize: [size, size]
+            }),
+            title,
+            alt: title
+        });
+        marker.bindTooltip(`<strong>${title}</strong><br>${slices.map(slice =>
+            `<i class="cluster-swatch" style="background: ${slice.color};"></i>${slice.label}: ${I18n.number(slice.count)}`).join('<br>')}`);
+        marker.on('click', () => this.open(cluster, marker));
+        return marker;
+    }
+
+    pointMarker(point, latlng) {
+        const marker = L.circleMarker(latlng, {
+            radius: 6,
+            color: '#ffffff',
+            weight: 1.5,
+            fillColor: this.colorOf(point.record),
+            fillOpacity: 0.9
+        });
+        // Claim values go in as text, never as markup
+        const tooltip = document.createElement('span');
+        tooltip.textContent = FeatureNavigator.describeClaim(point.record);
+        marker.bindTooltip(tooltip);
+        marker.on('click', () => this.select(point.feature));
+        return marker;
+    }
+
+    // Small clusters fan out where they are; big ones zoom in, unless every member sits on one spot
+    open(cluster, marker) {
+        const bounds = L.latLngBounds(cluster.points.map(point => point.latlng));
+        const zoom = Math.min(this.map.getBoundsZoom(bounds, false, L.point(40, 40)), this.options.featureZoom);
+
+        if (cluster.points.length > this.options.spiderfyMax && zoom > this.map.getZoom()) {
+            this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: zoom });
+        } else {
+            this.spiderfy(cluster, marker);
+        }
+    }
+
+    spiderfy(cluster, marker) {
+        this.unspiderfy();
+        marker.setOpacity(0.3);
+        this.spidered = marker;
+
+        const center = this.map.latLngToLayerPoint(cluster.latlng);
+        ClaimClusters.spiderPositions(cluster.points.length, center).forEach((position, i) => {
+            const point = cluster.points[i];
+            const latlng = this.map.layerPointToLatLng(position);
+            this.spider.addLayer(L.polyline([cluster.latlng, latlng], { color: '#2c3e50', weight: 1.5, opacity: 0.6, interactive: false }));
+            this.spider.addLayer(this.pointMarker(point, latlng));
+        });
+        this.spider.addTo(this.map);
+    }
+
+    unspiderfy() {
+        this.spider.clearLayers();
+        this.spider.remove();
+        if (this.spidered) {
+            this.spidered.setOpacity(1);
+            this.spidered = null;
+        }
+    }
+
+    // Zooms far enough for the polygon to take over before handing it to the viewer
+    select(feature) {
+        this.unspiderfy();
+        const bounds = L.geoJSON(feature).getBounds();
+        this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: Math.max(this.options.featureZoom, 14), animate: false });
+        if (this.map.getZoom() < this.options.featureZoom) {
+            this.map.setView(bounds.getCenter(), this.options.featureZoom, { animate: false });
+        }
+        if (this.options.onSelect) {
+            this.options.onSelect(feature);
+        }
+    }
+
+    // Pie slices, largest first
+    slices(points) {
+        const counts = new Map();
+        points.forEach(point => {
+            const key = this.categoryOf(point.record);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .map(([key, count]) => ({ key, count, label: this.labelOf(key), color: this.colorFor(key) }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    categoryOf(record) {
+        return (this.colorBy === 'status' ? record.status : record.type) || 'unknown';
+    }
+
+    labelOf(key) {
+        if (key === 'unknown') return I18n.t('Unknown');
+        return this.colorBy === 'status' ? I18n.statusName(key) : I18n.typeName(key);
+    }
+
+    colorFor(key) {
+        if (this.colorBy === 'status') return FRAClaimSchema.statusColor(key);
+        return this.options.typeColors[key] || ClaimClusters.FALLBACK_COLOR;
+    }
+
+    colorOf(record) {
+        return this.colorFor(this.categoryOf(record));
+    }
+
+    // The slice colours for printed legends; null while polygons are drawn
+    legendSection() {
+        if (this.mode !== 'clusters') return null;
+
+        const slices = this.slices(this.points);
+        return {
+            title: I18n.t(this.colorBy === 'status' ? 'Claim clusters by status' : 'Claim clusters by FRA type'),
+            items: slices.map(slice => ({ label: slice.label, fill: slice.color }))
+        };
+    }
+
+    // Recorded centroid_lat/centroid_lon where present, otherwise computed from the geometry
+    static centroidOf(feature, record) {
+        if (record.centroid) return L.latLng(record.centroid[0], record.centroid[1]);
+        if (!feature.geometry) return null;
+        if (feature.geometry.type === 'Point') {
+            return L.latLng(feature.geometry.coordinates[1], feature.geometry.coordinates[0]);
+        }
+
+        const centroid = GeoUtils.centroid(feature);
+        return centroid && Number.isFinite(centroid[0]) && Number.isFinite(centroid[1]) ? L.latLng(centroid[1], centroid[0]) : null;
+    }
+
+    // A ring of slices around a white disc carrying the count
+    static pieSVG(slices, size, label) {
+        const total = slices.reduce((sum, slice) => sum + slice.count, 0);
+        const r = size / 2;
+        const inner = r * 0.6;
+        let angle = -Math.PI / 2;
+
+        const paths = slices.map(slice => {
+            if (slice.count === total) {
+                return `<circle cx="${r}" cy="${r}" r="${r - 1}" fill="${slice.color}"/>`;
+            }
+            const end = angle + slice.count / total * 2 * Math.PI;
+            const large = end - angle > Math.PI ? 1 : 0;
+            const path = `<path d="M${r},${r} L${r + (r - 1) * Math.cos(angle)},${r + (r - 1) * Math.sin(angle)} ` +
+                `A${r - 1},${r - 1} 0 ${large} 1 ${r + (r - 1) * Math.cos(end)},${r + (r - 1) * Math.sin(end)} Z" fill="${slice.color}"/>`;
+            angle = end;
+            return path;
+        });
+
+        return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">
+            ${paths.join('')}
+            <circle cx="${r}" cy="${r}" r="${inner}" fill="#ffffff" fill-opacity="0.92"/>
+            <text x="${r}" y="${r}" text-anchor="middle" dominant-baseline="central" font-size="${Math.round(inner * 0.8)}" font-weight="bold" fill="#2c3e50">${label}</text>
+        </svg>`;
+    }
+
+    // Layer-pixel positions around the centre: a circle for a few members, a spiral beyond that
+    static spiderPositions(count, center) {
+        if (count <= 8) {
+            const legLength = 25 * (2 + count) / (2 * Math.PI);
+            return Array.from({ length: count }, (_, i) => {
+                const angle = 2 * Math.PI * i / count;
+                return L.point(center.x + legLength * Math.cos(angle), center.y + legLength * Math.sin(angle));
+            });
+        }
+
+        let legLength = 11;
+        let angle = 0;
+        return Array.from({ length: count }, (_, i) => {
+            angle += 28 / legLength + i * 0.0005;
+            const position = L.point(center.x + legLength * Math.cos(angle), center.y + legLength * Math.sin(angle));
+            legLength += 5 * 2 * Math.PI / angle;
+            return position;
+        });
+    }
+}
+
+ClaimClusters.FALLBACK_COLOR = '#95a5a6';
@@ -0,0 +1,350 @@
+/**
+ * Vanachitra.AI - Claim Detail Panel
+ * Dockable side panel showing a claim's full record from /api/claim in tabs, with previous/next stepping
+ */
+
+class ClaimDetailPanel {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.options = {
+            container: 'claim-detail-panel',
+            endpoint: '/api/claim',
+            storageKey: 'vanachitra.detailDock',
+            onStep: null,               // (step) => void, previous (-1) / next (+1) pressed
+            onSelect: null,             // (feature) => void, a related claim was clicked
+            onLayoutChange: null,       // () => void, the panel opened, closed or moved sides
+            ...options
+        };
+        this.feature = null;
+        this.details = null;
+        this.relations = { parent: null, children: [] };
+        this.tab = 'summary';
+        this.request = 0;
+
+        this.container = document.getElementById(this.options.container);
+        this.elements = {
+            title: this.container.querySelector('#detail-title'),
+            subtitle: this.container.querySelector('#detail-subtitle'),
+            dock: this.container.querySelector('#detail-dock'),
+            close: this.container.querySelector('#detail-close'),
+            tabs: this.container.querySelector('#detail-tabs'),
+            body: this.container.querySelector('#detail-body'),
+            prev: this.container.querySelector('#detail-prev'),
+            next: this.container.querySelector('#detail-next'),
+            position: this.container.querySelector('#detail-position')
+        };
+
+        this.elements.tabs.innerHTML = ClaimDetailPanel.TABS
+            .map(tab => `<button type="button" data-tab="${tab.key}" data-i18n="${tab.label}">${I18n.t(tab.label)}</button>`)
+            .join('');
+        this.elements.tabs.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-tab]');
+            if (button) {
+                this.setTab(button.dataset.tab);
+            }
+        });
+        this.elements.body.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-related]');
+            if (link && this.options.onSelect) {
+                const related = link.dataset.related === 'parent'
+                    ? this.relations.parent
+                    : this.relations.children[parseInt(link.dataset.related, 10)];
+                this.options.onSelect(related);
+            }
+        });
+        this.elements.close.addEventListener('click', () => this.hide());
+        this.elements.dock.addEventListener('click', () => this.setDock(this.dock === 'left' ? 'right' : 'left'));
+        this.elements.prev.addEventListener('click', () => this.step(-1));
+        this.elements.next.addEventListener('click', () => this.step(1));
+
+        this.setDock(ClaimDetailPanel.readDock(this.options.storageKey), false);
+    }
+
+    isOpen() {
+        return this.container.classList.contains('open');
+    }
+
+    // Shows the local record straight away, then fills in whatever the server knows beyond it
+    show(feature, { index = -1, total = 0, parent = null, children = [] } = {}) {
+        const wasOpen = this.isOpen();
+        this.feature = feature;
+        this.details = null;
+        this.relations = { parent, children };
+
+        const claim = this.schema.claim(feature);
+        this.elements.title.textContent = `${FRAClaimSchema.typeIcon(claim.type)} ${claim.id || I18n.t('Unnamed feature')}`;
+        this.elements.subtitle.textContent = [I18n.typeName(claim.type, claim.typeName), claim.village, claim.district]
+            .filter(Boolean).join(' • ');
+        this.elements.position.textContent = I18n.t('{index} of {total}', {
+            index: index >= 0 ? I18n.number(index + 1) : '–',
+            total: I18n.number(total)
+        });
+        this.elements.prev.disabled = total < 2;
+        this.elements.next.disabled = total < 2;
+
+        this.container.classList.add('open');
+        if (!wasOpen) {
+            this.emitLayoutChange();
+        }
+
+        this.render();
+        this.load(feature);
+    }
+
+    hide() {
+        if (!this.isOpen()) return;
+
+        this.request++;
+        this.feature = null;
+        this.container.classList.remove('open');
+        this.emitLayoutChange();
+    }
+
+    step(direction) {
+        if (this.feature && this.options.onStep) {
+            this.options.onStep(direction);
+        }
+    }
+
+    setDock(side, save = true) {
+        this.dock = side === 'left' ? 'left' : 'right';
+        this.container.classList.toggle('dock-left', this.dock === 'left');
+        I18n.setAttribute(this.elements.dock, 'title', this.dock === 'left' ? 'Dock right' : 'Dock left');
+        this.elements.dock.textContent = this.dock === 'left' ? '⇥' : '⇤';
+
+        if (save) {
+            try {
+                localStorage.setItem(this.options.storageKey, this.dock);
+            } catch (error) {
+                // Private browsing can refuse storage; the dock just won't be remembered
+            }
+            if (this.isOpen()) {
+                this.emitLayoutChange();
+            }
+        }
+    }
+
+    setTab(key) {
+        this.tab = key;
+        this.render();
+    }
+
+    async load(feature) {
+        const claim = this.schema.claim(feature);
+        if (!claim.id) return;
+
+        // Claim ids repeat across villages, so name the village too
+        const request = ++this.request;
+        const query = claim.village ? `?village=${encodeURIComponent(claim.village)}` : '';
+
+        try {
+            const response = await fetch(`${this.options.endpoint}/${encodeURIComponent(claim.id)}${query}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const details = await response.json();
+            // A newer selection (or a close) superseded this request while it was in flight
+            if (request !== this.request) return;
+
+            delete details.geometry;
+            this.details = details;
+        } catch (error) {
+            if (request !== this.request) return;
+
+            console.warn(`⚠️ Could not fetch details for ${claim.id}:`, error);
+            this.details = { error: error.message };
+        }
+
+        this.render();
+    }
+
+    // Server fields take precedence; the local properties cover anything it doesn't return
+    record() {
+        const details = this.details && !this.details.error ? this.details : {};
+        return { ...this.feature.properties, ...details };
+    }
+
+    render() {
+        if (!this.feature) return;
+
+        this.elements.tabs.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === this.tab);
+        });
+
+        const tab = ClaimDetailPanel.TABS.find(t => t.key === this.tab);
+        const props = this.record();
+        let html = this.renderTab(tab, props);
+
+        if (this.details === null) {
+            html = `<div class="detail-note">${I18n.t('⏳ Loading full record...')}</div>${html}`;
+        } else if (this.details.error) {
+            html = `<div class="detail-note">${I18n.t('⚠️ Server record unavailable; showing map attributes')}</div>${html}`;
+        }
+        this.elements.body.innerHTML = html;
+    }
+
+    renderTab(tab, props) {
+        if (tab.key === 'related') {
+            return this.renderRelations();
+        }
+
+        const rows = [];
+        if (tab.key === 'summary') {
+            const claim = this.schema.claim(this.feature);
+            rows.push(
+                [I18n.t('Type'), I18n.typeName(claim.type, claim.typeName)],
+                [I18n.t('Status'), claim.statusName ? `${FRAClaimSchema.statusIcon(claim.status)} ${I18n.statusName(claim.status, claim.statusName)}` : null],
+                [I18n.t('Area'), `${I18n.fixed(claim.area, 2)} ha`],
+                [I18n.t('Location'), [claim.village, claim.district, claim.state].filter(Boolean).join(', ')]
+            );
+        }
+
+        tab.fields.forEach(key => {
+            if (props[key] !== undefined || (tab.always || []).includes(key)) {
+                rows.push([I18n.t(ClaimDetailPanel.label(key)), props[key]]);
+            }
+        });
+
+        // Anything no tab claims still belongs somewhere
+        if (tab.key === 'summary') {
+            Object.keys(props)
+                .filter(key => !ClaimDetailPanel.KNOWN_FIELDS.has(key))
+                .sort()
+                .forEach(key => rows.push([I18n.t(ClaimDetailPanel.label(key)), props[key]]));
+        }
+
+        const shown = rows.filter(([, value]) => value !== null && value !== undefined && value !== '' ||
+            tab.key === 'verification');
+        if (shown.length === 0) {
+            return `<div class="detail-empty">${I18n.t('Nothing recorded for this feature')}</div>`;
+        }
+
+        return shown.map(([label, value]) => `
+            <div class="info-row">
+                <span class="info-label">${ClaimDetailPanel.escapeHTML(label)}</span>
+                <span class="info-value">${ClaimDetailPanel.formatValue(value)}</span>
+            </div>
+        `).join('');
+    }
+
+    renderRelations() {
+        const esc = ClaimDetailPanel.escapeHTML;
+        const link = (feature, key) => {
+            const claim = this.schema.claim(feature);
+            const status = claim.status ? ` ${FRAClaimSchema.statusIcon(claim.status)}` : '';
+            return `<li class="detail-related" data-related="${key}">
+                ${FRAClaimSchema.typeIcon(claim.type)} ${esc(claim.id)}${status}
+                <small>${esc(claim.village || '')} • ${I18n.fixed(claim.area, 2)} ha</small>
+            </li>`;
+        };
+
+        const { parent, children } = this.relations;
+        const claim = this.schema.claim(this.feature);
+        let html = `<h5>${I18n.t('Parent CFR')}</h5>`;
+
+        if (parent) {
+            html += `<ul class="detail-related-list">${link(parent, 'parent')}</ul>`;
+        } else {
+            html += `<div class="detail-empty">${claim.type === 'CFR' || claim.kind !== 'claim'
+                ? I18n.t('Not applicable')
+                : I18n.t('Lies outside every CFR boundary')}</div>`;
+        }
+
+        html += `<h5>${I18n.t('Child claims ({count})', { count: I18n.number(children.length) })}</h5>`;
+        html += children.length > 0
+            ? `<ul class="detail-related-list">${children.map((child, i) => link(child, i)).join('')}</ul>`
+            : `<div class="detail-empty">${I18n.t('None')}</div>`;
+
+        return html;
+    }
+
+    emitLayoutChange() {
+        if (this.options.onLayoutChange) {
+            this.options.onLayoutChange(this);
+        }
+    }
+
+    static readDock(key) {
+        try {
+            return localStorage.getItem(key) || 'right';
+        } catch (error) {
+            return 'right';
+        }
+    }
+
+    // "gps_coordinates_verified" -> "GPS Coordinates Verified", "annual_income_rs" -> "Annual Income (Rs)"
+    static label(key) {
+        return key
+            .replace(/_rs$/, ' (Rs)')
+            .replace(/_ha$/, ' (ha)')
+            .replace(/_m$/, ' (m)')
+            .split('_')
+            .map(word => ClaimDetailPanel.ACRONYMS.includes(word) ? word.toUpperCase() : word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    static formatValue(value) {
+        if (value === null || value === undefined || value === '') return `<span class="detail-missing">${I18n.t('Not recorded')}</span>`;
+        if (value === true) return I18n.t('✅ Yes');
+        if (value === false) return I18n.t('❌ No');
+        if (Array.isArray(value)) return ClaimDetailPanel.escapeHTML(value.join(', '));
+        if (typeof value === 'number') return I18n.number(value);
+        if (typeof value === 'object') return ClaimDetailPanel.escapeHTML(JSON.stringify(value));
+        return ClaimDetailPanel.escapeHTML(value);
+    }
+
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+ClaimDetailPanel.ACRONYMS = ['gps', 'frc', 'ntfp', 'id'];
+
+// Fields each tab lists, across both datasets; `always` rows show even when the record lacks them
+ClaimDetailPanel.TABS = [
+    {
+        key: 'summary',
+        label: '📄 Summary',
+        fields: ['block', 'panchayat', 'survey_number', 'applicant_type', 'land_use',
+            'submission_date', 'last_updated', 'perimeter_km']
+    },
+    {
+        key: 'community',
+        label: '👥 Community',
+        fields: ['tribal_community', 'community_name', 'community_id', 'community_members', 'gram_sabha',
+            'total_households', 'beneficiary_households', 'household_head', 'applicant_name', 'family_members',
+            'livelihood', 'livelihood_activities', 'annual_income_rs', 'dependence_level', 'management_committee',
+            'forest_committee_formed', 'community_management', 'management_plan', 'traditional_use', 'usage_pattern']
+    },
+    {
+        key: 'verification',
+        label: '✔️ Verification',
+        fields: ['field_verification_done', 'gps_coordinates_verified', 'boundary_demarcated', 'satellite_verification',
+            'gps_verified', 'documents_complete', 'documents_submitted', 'frc_recommendation', 'frc_constituted',
+            'frc_meetings_held', 'objections_received', 'appeal_filed', 'court_case', 'verification_level',
+            'data_quality_score', 'completeness_score', 'accuracy_score'],
+        always: ['field_verification_done', 'gps_coordinates_verified', 'boundary_demarcated']
+    },
+    {
+        key: 'ecology',
+        label: '🌿 Ecology',
+        fields: ['forest_type', 'biodiversity_rich', 'ntfp_available', 'wildlife_present', 'wildlife_corridor',
+            'water_source', 'resource_type', 'elevation_m', 'slope_degrees', 'aspect', 'slope', 'soil_type',
+            'land_type', 'crop_type', 'irrigation_type', 'season', 'productivity', 'water_type', 'seasonal',
+            'usage', 'water_quality', 'depth_category', 'fish_available', 'accessibility']
+    },
+    { key: 'related', label: '🧭 Related', fields: [] }
+];
+
+// Shown elsewhere (header, computed summary rows) or internal bookkeeping
+ClaimDetailPanel.KNOWN_FIELDS = new Set([
+    ...ClaimDetailPanel.TABS.flatMap(tab => tab.fields),
+    'claim_id', 'feature_id', 'claim_type', 'fra_type', 'fra_type_name', 'feature_type', 'status', 'status_name',
+    'state', 'district', 'village', 'area_claimed', 'area_unit', 'area_hectares', 'claim_area_ha',
+    'claim_area_acres', 'centroid_lat', 'centroid_lon'
+]);
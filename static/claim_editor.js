@@ -0,0 +1,315 @@
+/**
+ * Vanachitra.AI - Claim Boundary Editor
+ * Draw and reshape claim polygons with vertex drag/insert/delete and snapping to CFR boundaries
+ */
+
+class ClaimEditor {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            snapTolerance: 12,          // pixels
+            getSnapFeatures: () => [],  // (L.LatLngBounds) => GeoJSON features to snap to
+            onChange: null,             // (editor) => void, after every geometry change
+            onFinish: null,             // (editor) => void, when a drawn ring is closed
+            color: '#00e5ff',
+            ...options
+        };
+
+        if (!this.map.getPane('claim-editor')) {
+            this.map.createPane('claim-editor').style.zIndex = 430;
+        }
+
+        this.mode = null;           // 'draw' | 'edit'
+        this.latlngs = [];
+        this.group = L.layerGroup();
+        this.polygon = null;
+        this.guide = null;
+        this.snapMarker = null;
+
+        this.onMapClick = this.onMapClick.bind(this);
+        this.onMapDblClick = this.onMapDblClick.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+    }
+
+    isActive() {
+        return this.mode !== null;
+    }
+
+    startDrawing() {
+        this.stop();
+        this.mode = 'draw';
+        this.group.addTo(this.map);
+        this.map.doubleClickZoom.disable();
+        this.map.getContainer().classList.add('claim-drawing');
+
+        this.map.on('click', this.onMapClick);
+        this.map.on('dblclick', this.onMapDblClick);
+        this.map.on('mousemove', this.onMouseMove);
+        this.emitChange();
+    }
+
+    startEditing(latlngs) {
+        this.stop();
+        this.latlngs = latlngs.map(latlng => L.latLng(latlng));
+        this.group.addTo(this.map);
+        this.map.getContainer().classList.add('claim-drawing');
+        this.enterEditMode();
+    }
+
+    stop() {
+        this.map.off('click', this.onMapClick);
+        this.map.off('dblclick', this.onMapDblClick);
+        this.map.off('mousemove', this.onMouseMove);
+        this.map.doubleClickZoom.enable();
+        this.map.getContainer().classList.remove('claim-drawing');
+
+        this.group.clearLayers();
+        this.map.removeLayer(this.group);
+        this.polygon = null;
+        this.guide = null;
+        this.snapMarker = null;
+        this.latlngs = [];
+        this.mode = null;
+    }
+
+    onMapClick(e) {
+        if (this.mode !== 'draw') return;
+
+        // Clicking the first vertex closes the ring
+        if (this.latlngs.length >= 3 && this.pixelDistance(e.latlng, this.latlngs[0]) <= this.options.snapTolerance) {
+            this.finishDrawing();
+            return;
+        }
+
+        this.latlngs.push(this.snap(e.latlng));
+        this.redraw();
+    }
+
+    onMapDblClick() {
+        // The two clicks of a double click already placed the same vertex twice
+        while (this.latlngs.length > 1 &&
+            this.pixelDistance(this.latlngs[this.latlngs.length - 1], this.latlngs[this.latlngs.length - 2]) < 3) {
+            this.latlngs.pop();
+        }
+        this.finishDrawing();
+    }
+
+    onMouseMove(e) {
+        const snapped = this.snap(e.latlng);
+        this.showSnapIndicator(snapped.snapped ? snapped : null);
+
+        if (this.latlngs.length === 0) return;
+
+        const points = [this.latlngs[this.latlngs.length - 1], snapped];
+        if (this.latlngs.length >= 2) {
+            points.push(this.latlngs[0]);
+        }
+
+        if (this.guide) {
+            this.guide.setLatLngs(points);
+        } else {
+            this.guide = L.polyline(points, {
+                pane: 'claim-editor',
+                color: this.options.color,
+                weight: 2,
+                dashArray: '4, 6',
+                interactive: false
+            }).addTo(this.group);
+        }
+    }
+
+    finishDrawing() {
+        if (this.latlngs.length < 3) return;
+
+        this.enterEditMode();
+        if (this.options.onFinish) {
+            this.options.onFinish(this);
+        }
+    }
+
+    enterEditMode() {
+        this.mode = 'edit';
+        this.map.off('click', this.onMapClick);
+        this.map.off('dblclick', this.onMapDblClick);
+        this.map.off('mousemove', this.onMouseMove);
+        this.map.doubleClickZoom.enable();
+
+        if (this.guide) {
+            this.group.removeLayer(this.guide);
+            this.guide = null;
+        }
+        this.showSnapIndicator(null);
+        this.redraw();
+    }
+
+    redraw() {
+        if (this.polygon) {
+            this.polygon.setLatLngs(this.latlngs);
+        } else {
+            this.polygon = L.polygon(this.latlngs, {
+                pane: 'claim-editor',
+                color: this.options.color,
+                weight: 3,
+                fillOpacity: 0.25,
+                interactive: false
+            }).addTo(this.group);
+        }
+
+        this.group.eachLayer(layer => {
+            if (layer instanceof L.Marker && layer !== this.snapMarker) {
+                this.group.removeLayer(layer);
+            }
+        });
+
+        this.latlngs.forEach((latlng, i) => this.addVertexMarker(latlng, i));
+
+        if (this.mode === 'edit') {
+            this.latlngs.forEach((latlng, i) => this.addMidpointMarker(i));
+        }
+
+        this.emitChange();
+    }
+
+    addVertexMarker(latlng, index) {
+        const marker = L.marker(latlng, {
+            icon: L.divIcon({ className: `edit-vertex${index === 0 ? ' first' : ''}`, iconSize: [12, 12] }),
+            draggable: this.mode === 'edit',
+            keyboard: false,
+            zIndexOffset: 1000
+        }).addTo(this.group);
+
+        if (this.mode === 'draw') {
+            marker.on('click', (e) => {
+                L.DomEvent.stopPropagation(e);
+                if (index === 0) this.finishDrawing();
+            });
+            return;
+        }
+
+        marker.on('drag', () => {
+            const snapped = this.snap(marker.getLatLng());
+            marker.setLatLng(snapped);
+            this.latlngs[index] = snapped;
+            this.polygon.setLatLngs(this.latlngs);
+            this.emitChange();
+        });
+
+        // Rebuild midpoints once the vertex settles
+        marker.on('dragend', () => this.redraw());
+
+        // Right-click or double-click removes a vertex (a ring needs at least three)
+        const removeVertex = (e) => {
+            L.DomEvent.stop(e);
+            if (this.latlngs.length > 3) {
+                this.latlngs.splice(index, 1);
+                this.redraw();
+            }
+        };
+        marker.on('contextmenu', removeVertex);
+        marker.on('dblclick', removeVertex);
+    }
+
+    addMidpointMarker(index) {
+        const a = this.latlngs[index];
+        const b = this.latlngs[(index + 1) % this.latlngs.length];
+        const marker = L.marker(L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2), {
+            icon: L.divIcon({ className: 'edit-midpoint', iconSize: [10, 10] }),
+            draggable: true,
+            keyboard: false,
+            zIndexOffset: 900
+        }).addTo(this.group);
+
+        // Click inserts at the midpoint, dragging inserts wherever it is dropped
+        marker.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            this.latlngs.splice(index + 1, 0, marker.getLatLng());
+            this.redraw();
+        });
+        marker.on('dragend', () => {
+            this.latlngs.splice(index + 1, 0, this.snap(marker.getLatLng()));
+            this.redraw();
+        });
+    }
+
+    // Snap to the nearest CFR vertex, else the nearest CFR edge, within the pixel tolerance
+    snap(latlng) {
+        const tolerance = this.options.snapTolerance;
+        const point = this.map.latLngToLayerPoint(latlng);
+        const searchBounds = L.latLngBounds(
+            this.map.layerPointToLatLng(point.subtract([tolerance, tolerance])),
+            this.map.layerPointToLatLng(point.add([tolerance, tolerance]))
+        );
+
+        let bestVertex = null;
+        let bestEdge = null;
+
+        this.options.getSnapFeatures(searchBounds).forEach(feature => {
+            GeoUtils.polygons(feature).flat().forEach(ring => {
+                const points = ring.map(coord => this.map.latLngToLayerPoint([coord[1], coord[0]]));
+
+                for (let i = 0; i < points.length - 1; i++) {
+                    const vertexDistance = point.distanceTo(points[i]);
+                    if (vertexDistance <= tolerance && (!bestVertex || vertexDistance < bestVertex.distance)) {
+                        bestVertex = { point: points[i], distance: vertexDistance };
+                    }
+
+                    const onEdge = L.LineUtil.closestPointOnSegment(point, points[i], points[i + 1]);
+                    const edgeDistance = point.distanceTo(onEdge);
+                    if (edgeDistance <= tolerance && (!bestEdge || edgeDistance < bestEdge.distance)) {
+                        bestEdge = { point: onEdge, distance: edgeDistance };
+                    }
+                }
+            });
+        });
+
+        const best = bestVertex || bestEdge;
+        if (!best) return L.latLng(latlng);
+
+        const snapped = this.map.layerPointToLatLng(best.point);
+        snapped.snapped = true;
+        return snapped;
+    }
+
+    showSnapIndicator(latlng) {
+        if (!latlng) {
+            if (this.snapMarker) {
+                this.group.removeLayer(this.snapMarker);
+                this.snapMarker = null;
+            }
+            return;
+        }
+
+        if (this.snapMarker) {
+            this.snapMarker.setLatLng(latlng);
+        } else {
+            this.snapMarker = L.marker(latlng, {
+                icon: L.divIcon({ className: 'edit-snap', iconSize: [16, 16] }),
+                interactive: false,
+                keyboard: false
+            }).addTo(this.group);
+        }
+    }
+
+    pixelDistance(a, b) {
+        return this.map.latLngToLayerPoint(a).distanceTo(this.map.latLngToLayerPoint(b));
+    }
+
+    emitChange() {
+        if (this.options.onChange) {
+            this.options.onChange(this);
+        }
+    }
+
+    getGeometry() {
+        if (this.latlngs.length < 3) return null;
+
+        const ring = this.latlngs.map(latlng => [latlng.lng, latlng.lat]);
+        ring.push(ring[0].slice());
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+
+    getAreaHectares() {
+        const geometry = this.getGeometry();
+        return geometry ? GeoUtils.geodesicAreaHectares(geometry) : 0;
+    }
+}
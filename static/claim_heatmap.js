@@ -0,0 +1,258 @@
+/**
+ * Vanachitra.AI - Claim Density Heatmap
+ * Canvas overlay showing where claims concentrate, weighted by count, claimed area, pending status or
+ * objections, with adjustable radius and intensity
+ */
+
+class ClaimHeatmap {
+    constructor(map, schema, options = {}) {
+        this.map = map;
+        this.schema = schema;
+        this.options = {
+            position: 'topright',       // settings panel, shown while the layer is on
+            radius: 25,                 // px around each claim before blurring
+            intensity: 1,               // multiplies every spot's opacity; above 1 saturates sooner
+            opacity: 0.8,
+            ...options
+        };
+        this.metric = 'count';
+        this.radius = this.options.radius;
+        this.intensity = this.options.intensity;
+        this.points = [];               // { latlng, record }
+        this.brush = null;
+        this.canvas = null;
+
+        if (!this.map.getPane('heatmap')) {
+            const pane = this.map.createPane('heatmap');
+            pane.style.zIndex = 420;
+            pane.style.pointerEvents = 'none';
+        }
+
+        // Listed in the layer switchers like any overlay; the canvas exists only while it is on
+        this.layer = new L.Layer();
+        this.layer.onAdd = () => this.onAdd();
+        this.layer.onRemove = () => this.onRemove();
+        this.redraw = () => this.draw();
+
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+    }
+
+    createContainer() {
+        const container = L.DomUtil.create('div', 'heatmap-control');
+        container.innerHTML = `
+            <div class="heatmap-title" data-i18n>🔥 Claim density</div>
+            <label><span data-i18n>Weight by</span>
+                <select class="heatmap-metric">
+                    ${Object.entries(ClaimHeatmap.METRICS).map(([key, metric]) =>
+                        `<option value="${key}" data-i18n>${metric.label}</option>`).join('')}
+                </select>
+            </label>
+            <label><span data-i18n>Radius</span>
+                <input type="range" class="heatmap-radius" min="8" max="60" step="1">
+            </label>
+            <label><span data-i18n>Intensity</span>
+                <input type="range" class="heatmap-intensity" min="0.2" max="3" step="0.1">
+            </label>
+            <div class="heatmap-scale"><span data-i18n>Low</span><i></i><span data-i18n>High</span></div>
+        `;
+        I18n.translate(container);
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.elements = {
+            metric: container.querySelector('.heatmap-metric'),
+            radius: container.querySelector('.heatmap-radius'),
+            intensity: container.querySelector('.heatmap-intensity')
+        };
+        this.elements.metric.value = this.metric;
+        this.elements.radius.value = this.radius;
+        this.elements.intensity.value = this.intensity;
+
+        this.elements.metric.addEventListener('change', (e) => {
+            this.metric = e.target.value;
+            this.draw();
+        });
+        this.elements.radius.addEventListener('input', (e) => {
+            this.radius = parseInt(e.target.value, 10);
+            this.brush = null;
+            this.draw();
+        });
+        this.elements.intensity.addEventListener('input', (e) => {
+            this.intensity = parseFloat(e.target.value);
+            this.draw();
+        });
+
+        return container;
+    }
+
+    onAdd() {
+        this.canvas = L.DomUtil.create('canvas', 'heatmap-canvas leaflet-zoom-hide', this.map.getPane('heatmap'));
+        this.canvas.style.opacity = this.options.opacity;
+        this.control.addTo(this.map);
+
+        // Redrawn for every view; leaflet-zoom-hide keeps it out of the zoom animation rather than scaled
+        this.map.on('moveend resize', this.redraw);
+        this.draw();
+    }
+
+    onRemove() {
+        this.map.off('moveend resize', this.redraw);
+        this.control.remove();
+        L.DomUtil.remove(this.canvas);
+        this.canvas = null;
+    }
+
+    // Claims currently passing the viewer's filters; land use features carry no claim data
+    setFeatures(features) {
+        this.points = features
+            .map(feature => ({ feature, record: this.schema.claim(feature) }))
+            .filter(point => point.record.kind === 'claim')
+            .map(point => ({ record: point.record, latlng: ClaimClusters.centroidOf(point.feature, point.record) }))
+            .filter(point => point.latlng);
+        this.draw();
+    }
+
+    draw() {
+        if (!this.canvas) return;
+
+        const size = this.map.getSize();
+        this.canvas.width = size.x;
+        this.canvas.height = size.y;
+        L.DomUtil.setPosition(this.canvas, this.map.containerPointToLayerPoint([0, 0]));
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) return;
+
+        const cells = this.cells(size);
+        const max = Math.max(0, ...cells.map(cell => cell.weight));
+        if (max === 0) return;
+
+        // Grey spots whose darkness follows the weight, then recoloured through the palette by alpha
+        const brush = this.getBrush();
+        const offset = brush.width / 2;
+        cells.forEach(cell => {
+            ctx.globalAlpha = Math.min(Math.max(cell.weight / max * this.intensity, ClaimHeatmap.MIN_ALPHA), 1);
+            ctx.drawImage(brush, cell.x - offset, cell.y - offset);
+        });
+        ClaimHeatmap.colorize(ctx, size.x, size.y);
+    }
+
+    // Weights summed on a grid of half the radius, each cell drawn at its weighted centre, so a dense
+    // area reads as heavy rather than merely overdrawn; the densest cell in view sets the top of the scale
+    cells(size) {
+        const weight = ClaimHeatmap.METRICS[this.metric].weight;
+        const cellSize = Math.max(this.radius / 2, 1);
+        const margin = this.radius * 2;
+        const grid = new Map();
+
+        this.points.forEach(point => {
+            const value = weight(point.record);
+            if (!(value > 0)) return;
+
+            const pixel = this.map.latLngToContainerPoint(point.latlng);
+            if (pixel.x < -margin || pixel.y < -margin || pixel.x > size.x + margin || pixel.y > size.y + margin) return;
+
+            const key = `${Math.floor(pixel.x / cellSize)}|${Math.floor(pixel.y / cellSize)}`;
+            if (!grid.has(key)) {
+                grid.set(key, { x: 0, y: 0, weight: 0 });
+            }
+            const cell = grid.get(key);
+            cell.x += pixel.x * value;
+            cell.y += pixel.y * value;
+            cell.weight += value;
+        });
+
+        return [...grid.values()].map(cell => ({ x: cell.x / cell.weight, y: cell.y / cell.weight, weight: cell.weight }));
+    }
+
+    // A blurred black disc, drawn once per radius; the disc itself sits off-canvas and only its shadow shows
+    getBrush() {
+        if (this.brush) return this.brush;
+
+        const blur = Math.round(this.radius * 0.6);
+        const extent = this.radius + blur;
+        const brush = document.createElement('canvas');
+        brush.width = brush.height = extent * 2;
+
+        const ctx = brush.getContext('2d');
+        ctx.shadowOffsetX = ctx.shadowOffsetY = extent * 2;
+        ctx.shadowBlur = blur;
+        ctx.shadowColor = 'black';
+        ctx.beginPath();
+        ctx.arc(-extent, -extent, this.radius, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.fill();
+
+        this.brush = brush;
+        return brush;
+    }
+
+    static colorize(ctx, width, height) {
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+        const palette = ClaimHeatmap.palette();
+
+        for (let i = 3; i < data.length; i += 4) {
+            const j = data[i] * 4;
+            if (j) {
+                data[i - 3] = palette[j];
+                data[i - 2] = palette[j + 1];
+                data[i - 1] = palette[j + 2];
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    // RGBA for each of the 256 alpha levels, sampled from a gradient strip
+    static palette() {
+        if (ClaimHeatmap.paletteData) return ClaimHeatmap.paletteData;
+
+        const strip = document.createElement('canvas');
+        strip.width = 1;
+        strip.height = 256;
+        const ctx = strip.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+        Object.entries(ClaimHeatmap.GRADIENT).forEach(([stop, color]) => gradient.addColorStop(parseFloat(stop), color));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 1, 256);
+
+        ClaimHeatmap.paletteData = ctx.getImageData(0, 0, 1, 256).data;
+        return ClaimHeatmap.paletteData;
+    }
+}
+
+// Built on first use; needs a canvas
+ClaimHeatmap.paletteData = null;
+
+// Spots lighter than this vanish against the base map
+ClaimHeatmap.MIN_ALPHA = 0.05;
+
+ClaimHeatmap.GRADIENT = {
+    0.4: '#313695',
+    0.6: '#4dd2ff',
+    0.7: '#a6d96a',
+    0.8: '#fee08b',
+    1.0: '#d73027'
+};
+
+ClaimHeatmap.METRICS = {
+    count: {
+        label: 'Claims',
+        weight: () => 1
+    },
+    area: {
+        label: 'Claimed area (ha)',
+        weight: record => record.area
+    },
+    pending: {
+        label: 'Pending claims',
+        // Anything not yet approved or rejected, disputed and appealed claims included
+        weight: record => (record.status !== 'approved' && record.status !== 'rejected' ? 1 : 0)
+    },
+    objections: {
+        label: 'Objections received',
+        weight: record => parseFloat(record.properties.objections_received) || 0
+    }
+};
@@ -0,0 +1,223 @@
+/**
+ * Vanachitra.AI - Keyboard Feature Navigation
+ * Moves a selection through the features on the map by keyboard and announces it to screen readers
+ */
+
+class FeatureNavigator {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            features: () => [],         // features that can be selected, e.g. the filtered set
+            layerFor: null,             // (feature) => its rendered layer, or null
+            describe: () => '',         // (feature) => one-line spoken description
+            onSelect: null,             // (feature, layer) => void, e.g. to highlight it
+            onDeselect: null,           // (feature, layer) => void, when the selection moves on or is cleared
+            onOpen: null,               // (feature, layer) => void, to show its details
+            minZoom: () => 0,           // individual features are only drawn from this zoom on
+            ...options
+        };
+        this.current = null;
+        this.element = null;
+
+        this.container = this.map.getContainer();
+        this.liveRegion = L.DomUtil.create('div', 'sr-only', document.body);
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+
+        const help = L.DomUtil.create('div', 'sr-only', document.body);
+        help.id = `${this.container.id || 'map'}-keyboard-help`;
+        I18n.setText(help, FeatureNavigator.HELP);
+        this.container.setAttribute('role', 'region');
+        I18n.setAttribute(this.container, 'aria-label', 'Map');
+        this.container.setAttribute('aria-describedby', help.id);
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.container.addEventListener('keydown', this.onKeyDown);
+    }
+
+    onKeyDown(e) {
+        // Keys typed into map controls (search boxes, selects) are theirs
+        const onFeature = this.element && e.target === this.element;
+        if ((e.target !== this.container && !onFeature) || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const direction = FeatureNavigator.DIRECTIONS[e.key];
+        if (e.key === 'n' || e.key === ']') {
+            this.step(1);
+        } else if (e.key === 'p' || e.key === '[') {
+            this.step(-1);
+        } else if (e.key === 'Enter' && this.current) {
+            this.open();
+        } else if (e.key === 'Escape' && this.current) {
+            // First Escape closes the details, the second drops the selection
+            const layer = this.layer();
+            if (layer && layer.isPopupOpen && layer.isPopupOpen()) {
+                layer.closePopup();
+                e.preventDefault();
+                return;
+            }
+            this.clear();
+            this.container.focus();
+            this.announce(I18n.t('Selection cleared'));
+        } else if (direction && onFeature) {
+            // Arrow keys pan the map while it has focus and move between features while one has
+            this.move(direction);
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Selectable features intersecting the view, in reading order: north to south, then west to east
+    inView() {
+        const bounds = this.map.getBounds();
+        return this.options.features()
+            .map(feature => ({ feature, centre: FeatureNavigator.centre(feature) }))
+            .filter(entry => entry.centre && bounds.contains(entry.centre))
+            .sort((a, b) => b.centre.lat - a.centre.lat || a.centre.lng - b.centre.lng)
+            .map(entry => entry.feature);
+    }
+
+    step(step) {
+        const features = this.inView();
+        if (features.length === 0) {
+            this.announce(I18n.t('No features in view. Zoom out or change the filters.'));
+            return;
+        }
+
+        const index = features.indexOf(this.current);
+        const next = index === -1
+            ? (step > 0 ? 0 : features.length - 1)
+            : (index + step + features.length) % features.length;
+        this.select(features[next], I18n.t('{index} of {count} in view', {
+            index: I18n.number(next + 1),
+            count: I18n.number(features.length)
+        }));
+    }
+
+    // Nearest feature whose centre lies within 45° either side of the direction, weighing sideways distance double
+    move(direction) {
+        if (!this.current) return;
+
+        const origin = this.map.project(FeatureNavigator.centre(this.current));
+        let best = null;
+        this.options.features().forEach(feature => {
+            if (feature === this.current) return;
+            const centre = FeatureNavigator.centre(feature);
+            if (!centre) return;
+
+            const offset = this.map.project(centre).subtract(origin);
+            const along = offset.x * direction.x + offset.y * direction.y;
+            const across = Math.abs(offset.x * direction.y - offset.y * direction.x);
+            if (along <= 0 || across > along) return;
+
+            const score = along + across * 2;
+            if (!best || score < best.score) {
+                best = { feature, score };
+            }
+        });
+
+        if (best) {
+            this.select(best.feature, I18n.t(direction.label));
+        } else {
+            this.announce(I18n.t('No feature further {direction}', { direction: I18n.t(direction.label) }));
+        }
+    }
+
+    // Brings the feature into view, highlights it and gives it keyboard focus
+    select(feature, context = '') {
+        this.clear();
+
+        const centre = FeatureNavigator.centre(feature);
+        const zoom = Math.max(this.map.getZoom(), this.options.minZoom());
+        if (centre && (zoom !== this.map.getZoom() || !this.map.getBounds().contains(centre))) {
+            this.map.setView(centre, zoom, { animate: false });
+        }
+
+        this.current = feature;
+        const layer = this.layer();
+        if (this.options.onSelect) {
+            this.options.onSelect(feature, layer);
+        }
+
+        this.element = layer && layer.getElement ? layer.getElement() : null;
+        if (this.element) {
+            this.element.setAttribute('tabindex', '-1');
+            this.element.setAttribute('role', 'button');
+            this.element.setAttribute('aria-label', this.options.describe(feature));
+            this.element.focus({ preventScroll: true });
+        }
+
+        this.announce(`${this.options.describe(feature)}${context ? `. ${context}` : ''}. ${I18n.t('Press Enter for details.')}`);
+    }
+
+    // Records a selection made with the mouse so the keyboard carries on from there
+    setCurrent(feature) {
+        if (feature === this.current) return;
+        this.clear();
+        this.current = feature;
+    }
+
+    open() {
+        const layer = this.layer();
+        if (this.options.onOpen) {
+            this.options.onOpen(this.current, layer);
+        }
+
+        const popup = layer && layer.getPopup && layer.isPopupOpen() ? layer.getPopup().getElement() : null;
+        this.announce(popup ? popup.textContent.replace(/\s+/g, ' ').trim() : I18n.t('Showing details for {feature}', { feature: this.options.describe(this.current) }));
+    }
+
+    clear() {
+        if (this.current && this.options.onDeselect) {
+            this.options.onDeselect(this.current, this.layer());
+        }
+        if (this.element) {
+            this.element.removeAttribute('tabindex');
+            this.element.removeAttribute('role');
+            this.element.removeAttribute('aria-label');
+        }
+        this.current = null;
+        this.element = null;
+    }
+
+    layer() {
+        return this.current && this.options.layerFor ? this.options.layerFor(this.current) : null;
+    }
+
+    // Clearing first makes screen readers repeat a message identical to the last one
+    announce(message) {
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 50);
+    }
+
+    static centre(feature) {
+        const bbox = SpatialIndex.featureBBox(feature);
+        return bbox ? L.latLng((bbox.minY + bbox.maxY) / 2, (bbox.minX + bbox.maxX) / 2) : null;
+    }
+
+    static describeClaim(claim) {
+        const place = [claim.village, claim.district].filter(Boolean).join(', ');
+        const area = I18n.fixed(claim.area, 2);
+        return [
+            `${I18n.typeName(claim.type, claim.typeName) || I18n.t('Feature')} ${claim.id || ''}`.trim(),
+            I18n.statusName(claim.status, claim.statusName),
+            claim.area > 0 ? I18n.t('{area} hectares', { area }) : null,
+            place
+        ].filter(Boolean).join(', ');
+    }
+}
+
+// Screen-space unit vectors (y grows downwards)
+FeatureNavigator.DIRECTIONS = {
+    ArrowUp: { x: 0, y: -1, label: 'north' },
+    ArrowDown: { x: 0, y: 1, label: 'south' },
+    ArrowLeft: { x: -1, y: 0, label: 'west' },
+    ArrowRight: { x: 1, y: 0, label: 'east' }
+};
+
+FeatureNavigator.HELP = 'Arrow keys pan the map and plus and minus zoom. Press N or ] for the next feature in view ' +
+    'and P or [ for the previous one. With a feature selected, arrow keys move to the nearest feature in that direction, ' +
+    'Enter shows its details and Escape clears the selection. A table of the features is available in the sidebar.';
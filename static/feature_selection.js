@@ -0,0 +1,407 @@
+/**
+ * Vanachitra.AI - Feature Selection
+ * Multi-select across claim and asset layers by shift-click, box or freehand lasso, with a summary of the
+ * selected set and actions to zoom to, filter to or export it
+ */
+
+class FeatureSelection {
+    constructor(map, schema, options = {}) {
+        this.map = map;
+        this.schema = schema;
+        this.options = {
+            container: 'selection-panel',
+            color: '#ffd600',
+            selected: new Set(),        // the viewer's own set, filled in place
+            features: () => [],         // what a box or lasso can pick up: the features shown right now
+            keyOf: null,                // (feature) => identity surviving reloads that replace feature objects
+            assetType: null,            // (feature) => label for features without an FRA type
+            lassoStep: 4,               // px between recorded lasso points
+            onStart: null,              // (tool) => void before drawing, e.g. to leave another drawing mode
+            onChange: null,             // (features) => void after every change
+            onFilter: null,             // (query) => void with an attribute query keeping the selected ids
+            onExport: null,             // (format, collection) => void
+            ...options
+        };
+        this.selected = this.options.selected;
+        this.tool = null;               // 'box' | 'lasso' while armed
+        this.latlngs = [];              // box corners or lasso path being drawn
+        this.shape = null;
+        this.additive = false;
+
+        if (!this.map.getPane('fra-selection')) {
+            const pane = this.map.createPane('fra-selection');
+            pane.style.zIndex = 430;
+            pane.style.pointerEvents = 'none';
+        }
+
+        const style = { color: this.options.color, weight: 3, dashArray: '6, 4', fillColor: this.options.color, fillOpacity: 0.15 };
+        this.layer = L.geoJSON(null, {
+            pane: 'fra-selection',
+            interactive: false,
+            style: () => style,
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, { ...style, radius: 8, pane: 'fra-selection', interactive: false })
+        }).addTo(this.map);
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        this.container = document.getElementById(this.options.container);
+        this.elements = {
+            tools: this.container.querySelectorAll('.selection-tool'),
+            hint: this.container.querySelector('.selection-hint'),
+            summary: this.container.querySelector('.selection-summary'),
+            actions: this.container.querySelector('.selection-actions'),
+            zoom: this.container.querySelector('.selection-zoom'),
+            filter: this.container.querySelector('.selection-filter'),
+            format: this.container.querySelector('.selection-format'),
+            export: this.container.querySelector('.selection-export'),
+            clear: this.container.querySelector('.selection-clear')
+        };
+
+        this.elements.format.innerHTML = Object.entries(FRAExporter.FORMATS)
+            .map(([key, info]) => `<option value="${key}">${info.label}</option>`)
+            .join('');
+
+        this.elements.tools.forEach(button => {
+            button.addEventListener('click', () => this.toggleTool(button.dataset.tool));
+        });
+        this.elements.zoom.addEventListener('click', () => this.zoomTo());
+        this.elements.filter.addEventListener('click', () => this.filter());
+        this.elements.export.addEventListener('click', () => this.export());
+        this.elements.clear.addEventListener('click', () => this.clear());
+
+        this.updateTools();
+        this.render();
+    }
+
+    isActive() {
+        return this.tool !== null;
+    }
+
+    toggleTool(tool) {
+        if (this.tool === tool) {
+            this.stopTool();
+        } else {
+            this.startTool(tool);
+        }
+    }
+
+    // The tool stays armed for further shapes until its button is pressed again or Esc
+    startTool(tool) {
+        this.stopTool();
+        if (this.options.onStart) {
+            this.options.onStart(tool);
+        }
+        this.tool = tool;
+        this.map.dragging.disable();
+        this.map.boxZoom.disable();
+        // As with measuring, features let the press through to the map
+        this.map.getContainer().classList.add('map-selecting');
+
+        this.map.on('mousedown', this.onMouseDown);
+        document.addEventListener('keydown', this.onKeyDown);
+        this.updateTools();
+    }
+
+    stopTool() {
+        if (!this.tool) return;
+
+        this.removeShape();
+        this.map.off('mousedown', this.onMouseDown);
+        document.removeEventListener('keydown', this.onKeyDown);
+        this.map.dragging.enable();
+        this.map.boxZoom.enable();
+        this.map.getContainer().classList.remove('map-selecting');
+
+        this.tool = null;
+        this.updateTools();
+    }
+
+    updateTools() {
+        this.elements.tools.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.tool === this.tool));
+        });
+        I18n.setText(this.elements.hint, FeatureSelection.HINTS[this.tool || 'idle']);
+    }
+
+    onMouseDown(e) {
+        if (e.originalEvent.button !== 0) return;
+        // Keeps the browser from dragging tile images or selecting text instead
+        L.DomEvent.preventDefault(e.originalEvent);
+
+        // Shift adds to what is already selected; otherwise the shape replaces it
+        this.additive = e.originalEvent.shiftKey;
+        this.latlngs = [e.latlng];
+        const style = { pane: 'fra-selection', interactive: false, color: this.options.color, weight: 2, dashArray: '4, 4', fillOpacity: 0.1 };
+        this.shape = (this.tool === 'box' ? L.rectangle(L.latLngBounds(e.latlng, e.latlng), style) : L.polygon([e.latlng], style))
+            .addTo(this.map);
+
+        this.map.on('mousemove', this.onMouseMove);
+        document.addEventListener('mouseup', this.onMouseUp);
+    }
+
+    onMouseMove(e) {
+        if (this.tool === 'box') {
+            this.latlngs = [this.latlngs[0], e.latlng];
+            this.shape.setBounds(L.latLngBounds(this.latlngs));
+            return;
+        }
+
+        const last = this.map.latLngToContainerPoint(this.latlngs[this.latlngs.length - 1]);
+        if (last.distanceTo(this.map.latLngToContainerPoint(e.latlng)) >= this.options.lassoStep) {
+            this.latlngs.push(e.latlng);
+            this.shape.setLatLngs(this.latlngs);
+        }
+    }
+
+    onMouseUp() {
+        const latlngs = this.latlngs;
+        this.removeShape();
+
+        // A press without a drag draws nothing and leaves the selection alone
+        if (latlngs.length < (this.tool === 'box' ? 2 : 3)) return;
+        this.set(this.within(latlngs), this.additive);
+    }
+
+    onKeyDown(e) {
+        if (e.key === 'Escape') {
+            this.stopTool();
+        }
+    }
+
+    removeShape() {
+        this.map.off('mousemove', this.onMouseMove);
+        document.removeEventListener('mouseup', this.onMouseUp);
+        if (this.shape) {
+            this.map.removeLayer(this.shape);
+            this.shape = null;
+        }
+        this.latlngs = [];
+    }
+
+    // A feature counts as inside when its centre is, so a claim straddling the edge goes wherever most of it lies
+    within(latlngs) {
+        const bounds = L.latLngBounds(latlngs);
+        const ring = latlngs.map(latlng => [latlng.lng, latlng.lat]);
+
+        return this.options.features().filter(feature => {
+            const center = ClaimClusters.centroidOf(feature, this.schema.claim(feature));
+            return center && bounds.contains(center) &&
+                (this.tool === 'box' || GeoUtils.pointInRing([center.lng, center.lat], ring));
+        });
+    }
+
+    // Shift-click adds or removes a feature instead of opening it; returns whether it did
+    handleClick(e) {
+        if (!e.originalEvent || !e.originalEvent.shiftKey) return false;
+
+        // Depending on the order they were bound in, the layer's popup has opened already or opens next
+        const layer = e.target;
+        const suppress = () => layer.closePopup();
+        suppress();
+        layer.once('popupopen', suppress);
+        setTimeout(() => layer.off('popupopen', suppress), 0);
+
+        this.toggle(layer.feature);
+        return true;
+    }
+
+    features() {
+        return [...this.selected];
+    }
+
+    keyOf(feature) {
+        return this.options.keyOf ? this.options.keyOf(feature) : feature;
+    }
+
+    // Selected features by key, which may be older copies of the features the viewer shows now
+    keyed() {
+        return new Map(this.features().map(feature => [this.keyOf(feature), feature]));
+    }
+
+    set(features, additive = false) {
+        if (!additive) {
+            this.selected.clear();
+        }
+        const keyed = this.keyed();
+        features
+            .filter(feature => !keyed.has(this.keyOf(feature)))
+            .forEach(feature => this.selected.add(feature));
+        this.changed();
+    }
+
+    toggle(feature) {
+        const selected = this.keyed().get(this.keyOf(feature));
+        if (selected) {
+            this.selected.delete(selected);
+        } else {
+            this.selected.add(feature);
+        }
+        this.changed();
+    }
+
+    clear() {
+        if (this.selected.size === 0) return;
+        this.selected.clear();
+        this.changed();
+    }
+
+    // Drops selected features that no longer pass the viewer's filters and swaps in the
+    // viewer's current copy of those that do
+    retain(features) {
+        const current = new Map(features.map(feature => [this.keyOf(feature), feature]));
+        const stale = this.features().filter(feature => current.get(this.keyOf(feature)) !== feature);
+        if (stale.length === 0) return;
+
+        stale.forEach(feature => {
+            this.selected.delete(feature);
+            const copy = current.get(this.keyOf(feature));
+            if (copy) this.selected.add(copy);
+        });
+        this.changed();
+    }
+
+    changed() {
+        this.draw();
+        this.render();
+        if (this.options.onChange) {
+            this.options.onChange(this.features());
+        }
+    }
+
+    draw() {
+        this.layer.clearLayers();
+        this.selected.forEach(feature => this.layer.addData(feature));
+    }
+
+    // Also called after a language switch
+    refresh() {
+        this.updateTools();
+        this.render();
+    }
+
+    render() {
+        const summary = this.elements.summary;
+        summary.innerHTML = '';
+        this.elements.actions.style.display = this.selected.size > 0 ? '' : 'none';
+        if (this.selected.size === 0) return;
+
+        const stats = this.summarize();
+        const count = L.DomUtil.create('div', 'selection-count', summary);
+        I18n.setText(count, '{count} selected', { count: I18n.number(stats.count) });
+
+        const area = L.DomUtil.create('div', 'selection-total', summary);
+        I18n.setText(area, 'Total area: {area} ha', { area: I18n.fixed(stats.area, 2) });
+        // Land use and asset records carry no household counts
+        if (stats.households !== null) {
+            const households = L.DomUtil.create('div', 'selection-total', summary);
+            I18n.setText(households, 'Households: {households}', { households: I18n.number(stats.households) });
+        }
+
+        this.breakdown(summary, 'By type', stats.types);
+        if (stats.statuses.size > 0) {
+            this.breakdown(summary, 'By status', stats.statuses);
+        }
+
+        // Only features carrying an id can be kept by an attribute query
+        this.elements.filter.disabled = !this.query();
+    }
+
+    breakdown(parent, title, counts) {
+        const section = L.DomUtil.create('div', 'selection-breakdown', parent);
+        I18n.setText(L.DomUtil.create('h4', '', section), title);
+
+        const list = L.DomUtil.create('ul', '', section);
+        [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([label, count]) => {
+                const item = L.DomUtil.create('li', '', list);
+                L.DomUtil.create('span', '', item).textContent = label;
+                L.DomUtil.create('span', '', item).textContent = I18n.number(count);
+            });
+    }
+
+    // Counts by type and by claim status, with area in hectares and households summed over the set
+    summarize() {
+        const stats = { count: this.selected.size, area: 0, households: null, types: new Map(), statuses: new Map() };
+        const add = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+        this.selected.forEach(feature => {
+            const record = this.schema.claim(feature);
+            stats.area += record.area;
+            if (record.households !== null) {
+                stats.households = (stats.households || 0) + (parseFloat(record.households) || 0);
+            }
+
+            const type = record.type
+                ? I18n.typeName(record.type, record.typeName)
+                : (this.options.assetType && this.options.assetType(feature)) || I18n.t('Other');
+            add(stats.types, type);
+            if (record.kind === 'claim') {
+                add(stats.statuses, I18n.statusName(record.status, record.statusName) || I18n.t('N/A'));
+            }
+        });
+
+        return stats;
+    }
+
+    // An attribute query keeping just the selected ids, or null when none of them has one. Ids repeat
+    // across villages, so each village's ids form a group: (village = X AND claim_id is one of ...) OR ...
+    query() {
+        const groups = new Map();
+        this.selected.forEach(feature => {
+            const props = feature.properties || {};
+            const field = FeatureSelection.ID_FIELDS.find(key => props[key] !== undefined && props[key] !== null && props[key] !== '');
+            if (!field) return;
+
+            const key = `${field}|${props.village || ''}`;
+            if (!groups.has(key)) {
+                groups.set(key, { field, village: props.village, ids: [] });
+            }
+            groups.get(key).ids.push(String(props[field]));
+        });
+
+        const rules = [...groups.values()].map(({ field, village, ids }) => {
+            const rule = { field, operator: 'in', value: ids };
+            return village ? { op: 'and', rules: [{ field: 'village', operator: 'eq', value: village }, rule] } : rule;
+        });
+        return rules.length > 0 ? { op: 'or', rules } : null;
+    }
+
+    zoomTo() {
+        const bounds = L.latLngBounds([]);
+        this.selected.forEach(feature => {
+            const bbox = SpatialIndex.featureBBox(feature);
+            if (bbox) {
+                bounds.extend([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]]);
+            }
+        });
+
+        if (bounds.isValid()) {
+            this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 16 });
+        }
+    }
+
+    filter() {
+        const query = this.query();
+        if (query && this.options.onFilter) {
+            this.options.onFilter(query);
+        }
+    }
+
+    export() {
+        if (this.selected.size === 0 || !this.options.onExport) return;
+        this.options.onExport(this.elements.format.value, { type: 'FeatureCollection', features: this.features() });
+    }
+}
+
+// Properties identifying a feature, as read by FRAClaimSchema
+FeatureSelection.ID_FIELDS = ['claim_id', 'feature_id'];
+
+FeatureSelection.HINTS = {
+    idle: 'Shift-click features, or draw a box or lasso around them, to select them.',
+    box: 'Drag on the map to draw a box; hold Shift to add to the selection. Esc to stop.',
+    lasso: 'Drag on the map to draw around features; hold Shift to add to the selection. Esc to stop.'
+};
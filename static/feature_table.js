@@ -0,0 +1,151 @@
+/**
+ * Vanachitra.AI - Feature Table
+ * Accessible tabular alternative to the map: the current filtered set as a sortable table with "show on map" links
+ */
+
+class FeatureTable {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.options = {
+            container: 'feature-table-panel',
+            pageSize: 100,              // rows added per "Show more"
+            onShow: null,               // (feature) => void, a row's "Show on map" was pressed
+            ...options
+        };
+        this.features = [];
+        this.limit = this.options.pageSize;
+        this.sortKey = 'id';
+        this.descending = false;
+
+        this.container = document.getElementById(this.options.container);
+        this.elements = {
+            table: this.container.querySelector('.feature-table'),
+            more: this.container.querySelector('.feature-table-more')
+        };
+
+        this.elements.more.addEventListener('click', () => {
+            this.limit += this.options.pageSize;
+            this.render();
+        });
+    }
+
+    isOpen() {
+        return this.container.style.display !== 'none';
+    }
+
+    show(features) {
+        this.container.style.display = 'block';
+        this.update(features);
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+    }
+
+    // Called whenever the filtered set changes; a closed table only keeps the list
+    update(features) {
+        this.features = features;
+        this.limit = this.options.pageSize;
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+
+    rows() {
+        const column = FeatureTable.COLUMNS.find(c => c.key === this.sortKey);
+        const sign = this.descending ? -1 : 1;
+
+        return this.features
+            .map(feature => ({ feature, claim: this.schema.claim(feature) }))
+            .sort((x, y) => {
+                const a = column.value(x.claim);
+                const b = column.value(y.claim);
+                return (column.numeric ? a - b : String(a).localeCompare(String(b), I18n.intl())) * sign;
+            });
+    }
+
+    render() {
+        const rows = this.rows();
+        const table = this.elements.table;
+        table.innerHTML = '';
+
+        const caption = table.createCaption();
+        const counts = { count: I18n.number(rows.length), limit: I18n.number(this.limit) };
+        caption.textContent = rows.length > this.limit
+            ? I18n.t('{count} features matching the current filters, first {limit} shown', counts)
+            : I18n.t('{count} features matching the current filters', counts);
+
+        // Sorting is done with buttons in the headers so it works from the keyboard too
+        const header = table.createTHead().insertRow();
+        FeatureTable.COLUMNS.forEach(column => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            if (column.key === this.sortKey) {
+                th.setAttribute('aria-sort', this.descending ? 'descending' : 'ascending');
+            }
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = I18n.t(column.label) + (column.key === this.sortKey ? (this.descending ? ' ▼' : ' ▲') : '');
+            button.addEventListener('click', () => this.sort(column.key));
+            th.appendChild(button);
+            header.appendChild(th);
+        });
+        const actions = document.createElement('th');
+        actions.scope = 'col';
+        actions.textContent = I18n.t('Map');
+        header.appendChild(actions);
+
+        const body = table.createTBody();
+        rows.slice(0, this.limit).forEach(({ feature, claim }) => {
+            const row = body.insertRow();
+            FeatureTable.COLUMNS.forEach((column, i) => {
+                // The ID labels the row for screen readers
+                const cell = i === 0 ? document.createElement('th') : row.insertCell();
+                if (i === 0) {
+                    cell.scope = 'row';
+                    row.appendChild(cell);
+                }
+                cell.textContent = column.format(column.value(claim));
+            });
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = '📍';
+            button.title = I18n.t('Show on map');
+            button.setAttribute('aria-label', I18n.t('Show {id} on map', { id: claim.id }));
+            button.addEventListener('click', () => {
+                if (this.options.onShow) this.options.onShow(feature);
+            });
+            row.insertCell().appendChild(button);
+        });
+
+        this.elements.more.style.display = rows.length > this.limit ? '' : 'none';
+        // setText rather than textContent: a language switch re-translates the button from its message
+        I18n.setText(this.elements.more, 'Show {count} more', {
+            count: I18n.number(Math.min(this.options.pageSize, rows.length - this.limit))
+        });
+    }
+
+    sort(key) {
+        if (this.sortKey === key) {
+            this.descending = !this.descending;
+        } else {
+            this.sortKey = key;
+            this.descending = FeatureTable.COLUMNS.find(c => c.key === key).numeric;
+        }
+        this.render();
+
+        // Re-rendering replaces the header, so put focus back on the same column's button
+        const index = FeatureTable.COLUMNS.findIndex(c => c.key === key);
+        const button = this.elements.table.tHead.rows[0].cells[index].querySelector('button');
+        button.focus();
+    }
+}
+
+FeatureTable.COLUMNS = [
+    { key: 'id', label: 'ID', numeric: false, value: claim => claim.id || '', format: v => v || I18n.t('N/A') },
+    { key: 'type', label: 'Type', numeric: false, value: claim => claim.type || '', format: v => v || I18n.t('N/A') },
+    { key: 'status', label: 'Status', numeric: false, value: claim => I18n.statusName(claim.status, claim.statusName) || '', format: v => v || I18n.t('N/A') },
+    { key: 'village', label: 'Village', numeric: false, value: claim => claim.village || '', format: v => v || I18n.t('N/A') },
+    { key: 'area', label: 'Area ha', numeric: true, value: claim => claim.area, format: v => I18n.fixed(v, 2) }
+];
@@ -0,0 +1,217 @@
+/**
+ * Vanachitra.AI - SVG Charts
+ * Dependency-free bar, stacked bar, line and donut charts whose marks report clicks by key
+ */
+
+class FRACharts {
+    // data: [{ key, label, value, color? }]; onClick(key)
+    static bar(data, options = {}) {
+        const series = [{ key: 'value', label: options.seriesLabel || 'Claims', color: options.color || FRACharts.PALETTE[0] }];
+        const rows = data.map(d => ({ key: d.key, label: d.label, values: { value: d.value }, color: d.color }));
+        return FRACharts.stackedBar(rows, series, {
+            ...options,
+            legend: false,
+            onClick: options.onClick ? (rowKey) => options.onClick(rowKey) : null
+        });
+    }
+
+    // Horizontal so long state and community names stay readable.
+    // rows: [{ key, label, values: { [seriesKey]: n } }]; series: [{ key, label, color }];
+    // onClick(rowKey, seriesKey) - seriesKey is null when the row label was clicked
+    static stackedBar(rows, series, options = {}) {
+        const { width = 340, rowHeight = 20, labelWidth = 110, onClick = null, active = null } = options;
+        const top = 4;
+        const height = top + rows.length * rowHeight + 4;
+        const barWidth = width - labelWidth - 40;
+        const max = FRACharts.niceMax(Math.max(0, ...rows.map(row =>
+            series.reduce((sum, s) => sum + (row.values[s.key] || 0), 0))));
+
+        const svg = FRACharts.svg(width, height);
+        rows.forEach((row, i) => {
+            const y = top + i * rowHeight;
+            const group = FRACharts.el('g', { class: `chart-row${row.key === active ? ' active' : ''}` }, svg);
+
+            const label = FRACharts.el('text', {
+                x: labelWidth - 6, y: y + rowHeight / 2, 'text-anchor': 'end', 'dominant-baseline': 'middle', class: 'chart-label'
+            }, group);
+            label.textContent = FRACharts.truncate(row.label, 16);
+            FRACharts.title(label, row.label);
+            FRACharts.clickable(label, onClick, () => onClick(row.key, null));
+
+            let x = labelWidth;
+            let total = 0;
+            series.forEach(s => {
+                const value = row.values[s.key] || 0;
+                if (value <= 0) return;
+
+                const w = value / max * barWidth;
+                const rect = FRACharts.el('rect', {
+                    x, y: y + 3, width: Math.max(w, 1), height: rowHeight - 6,
+                    fill: (series.length === 1 && row.color) || s.color, class: 'chart-mark'
+                }, group);
+                FRACharts.title(rect, `${row.label}${series.length > 1 ? ` • ${s.label}` : ''}: ${FRACharts.format(value)}`);
+                FRACharts.clickable(rect, onClick, () => onClick(row.key, series.length > 1 ? s.key : null));
+                x += w;
+                total += value;
+            });
+
+            const value = FRACharts.el('text', {
+                x: x + 4, y: y + rowHeight / 2, 'dominant-baseline': 'middle', class: 'chart-value'
+            }, group);
+            value.textContent = FRACharts.format(total);
+        });
+
+        return FRACharts.wrap(svg, options.legend === false ? null : series, onClick ? (key) => onClick(null, key) : null);
+    }
+
+    // points: [{ key, label, values: { [seriesKey]: n } }] in x order; onClick(pointKey)
+    static line(points, series, options = {}) {
+        const { width = 340, height = 180, onClick = null, active = null } = options;
+        const pad = { top: 10, right: 12, bottom: 24, left: 36 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const max = FRACharts.niceMax(Math.max(0, ...points.flatMap(p => series.map(s => p.values[s.key] || 0))));
+        const xOf = i => pad.left + (points.length > 1 ? i / (points.length - 1) * plotWidth : plotWidth / 2);
+        const yOf = v => pad.top + plotHeight - v / max * plotHeight;
+
+        const svg = FRACharts.svg(width, height);
+        for (let i = 0; i <= 4; i++) {
+            const value = max * i / 4;
+            FRACharts.el('line', { x1: pad.left, x2: width - pad.right, y1: yOf(value), y2: yOf(value), class: 'chart-grid' }, svg);
+            const tick = FRACharts.el('text', {
+                x: pad.left - 4, y: yOf(value), 'text-anchor': 'end', 'dominant-baseline': 'middle', class: 'chart-axis'
+            }, svg);
+            tick.textContent = FRACharts.format(value);
+        }
+
+        // Wide invisible columns make a whole period clickable, not just its dots
+        points.forEach((point, i) => {
+            const column = FRACharts.el('rect', {
+                x: xOf(i) - plotWidth / Math.max(points.length - 1, 1) / 2, y: pad.top,
+                width: plotWidth / Math.max(points.length - 1, 1), height: plotHeight,
+                class: `chart-column${point.key === active ? ' active' : ''}`
+            }, svg);
+            FRACharts.title(column, `${point.label}: ${series.map(s => `${s.label} ${FRACharts.format(point.values[s.key] || 0)}`).join(', ')}`);
+            FRACharts.clickable(column, onClick, () => onClick(point.key));
+
+            const label = FRACharts.el('text', { x: xOf(i), y: height - 8, 'text-anchor': 'middle', class: 'chart-axis' }, svg);
+            label.textContent = point.label;
+        });
+
+        series.forEach(s => {
+            const coords = points.map((p, i) => `${xOf(i).toFixed(1)},${yOf(p.values[s.key] || 0).toFixed(1)}`);
+            FRACharts.el('polyline', { points: coords.join(' '), fill: 'none', stroke: s.color, 'stroke-width': 2, 'pointer-events': 'none' }, svg);
+            points.forEach((p, i) => {
+                FRACharts.el('circle', {
+                    cx: xOf(i), cy: yOf(p.values[s.key] || 0), r: 3, fill: s.color, 'pointer-events': 'none'
+                }, svg);
+            });
+        });
+
+        return FRACharts.wrap(svg, series, null);
+    }
+
+    // data: [{ key, label, value, color? }]; onClick(key)
+    static donut(data, options = {}) {
+        const { size = 160, thickness = 28, onClick = null, active = null } = options;
+        const radius = (size - thickness) / 2;
+        const circumference = 2 * Math.PI * radius;
+        const total = data.reduce((sum, d) => sum + d.value, 0);
+        const slices = data.map((d, i) => ({ ...d, color: d.color || FRACharts.PALETTE[i % FRACharts.PALETTE.length] }));
+
+        const svg = FRACharts.svg(size, size);
+        // Each slice is a dashed ring segment, which also covers the single 100% slice an arc path can't
+        let offset = 0;
+        slices.forEach(slice => {
+            if (slice.value <= 0 || total === 0) return;
+
+            const length = slice.value / total * circumference;
+            const ring = FRACharts.el('circle', {
+                cx: size / 2, cy: size / 2, r: radius, fill: 'none', stroke: slice.color,
+                'stroke-width': slice.key === active ? thickness + 6 : thickness,
+                'stroke-dasharray': `${length} ${circumference - length}`,
+                'stroke-dashoffset': -offset,
+                transform: `rotate(-90 ${size / 2} ${size / 2})`,
+                class: 'chart-mark'
+            }, svg);
+            FRACharts.title(ring, `${slice.label}: ${FRACharts.format(slice.value)} (${(slice.value / total * 100).toFixed(1)}%)`);
+            FRACharts.clickable(ring, onClick, () => onClick(slice.key));
+            offset += length;
+        });
+
+        const center = FRACharts.el('text', {
+            x: size / 2, y: size / 2, 'text-anchor': 'middle', 'dominant-baseline': 'middle', class: 'chart-total'
+        }, svg);
+        center.textContent = FRACharts.format(total);
+
+        return FRACharts.wrap(svg, slices, onClick);
+    }
+
+    static wrap(svg, legendItems, onClick) {
+        const container = document.createElement('div');
+        container.className = 'chart';
+        container.appendChild(svg);
+
+        if (legendItems && legendItems.length > 0) {
+            const legend = document.createElement('div');
+            legend.className = 'chart-legend';
+            legendItems.forEach(item => {
+                const entry = document.createElement('span');
+                entry.innerHTML = `<i style="background: ${item.color};"></i>`;
+                entry.appendChild(document.createTextNode(item.label));
+                if (onClick) {
+                    entry.classList.add('clickable');
+                    entry.addEventListener('click', () => onClick(item.key));
+                }
+                legend.appendChild(entry);
+            });
+            container.appendChild(legend);
+        }
+        return container;
+    }
+
+    static svg(width, height) {
+        return FRACharts.el('svg', { viewBox: `0 0 ${width} ${height}`, width: '100%', preserveAspectRatio: 'xMidYMid meet' });
+    }
+
+    static el(tag, attrs, parent = null) {
+        const element = document.createElementNS(FRACharts.SVG_NS, tag);
+        Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+        if (parent) {
+            parent.appendChild(element);
+        }
+        return element;
+    }
+
+    // Native SVG tooltip
+    static title(element, text) {
+        FRACharts.el('title', {}, element).textContent = text;
+    }
+
+    static clickable(element, onClick, handler) {
+        if (!onClick) return;
+        element.classList.add('clickable');
+        element.addEventListener('click', handler);
+    }
+
+    // Rounds an axis maximum up to 1, 2, 2.5 or 5 times a power of ten
+    static niceMax(value) {
+        if (value <= 0) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= value);
+        return step * magnitude;
+    }
+
+    static format(value) {
+        return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+    }
+
+    static truncate(text, length) {
+        const value = String(text);
+        return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+    }
+}
+
+FRACharts.SVG_NS = 'http://www.w3.org/2000/svg';
+
+FRACharts.PALETTE = ['#3498db', '#2ecc71', '#e67e22', '#9b59b6', '#e74c3c', '#1abc9c', '#f1c40f', '#34495e'];
@@ -0,0 +1,406 @@
+/**
+ * Vanachitra.AI - Regional Choropleth
+ * Rolls claims up per state and district and shades the regions by a selectable metric at low zooms
+ */
+
+class FRAChoropleth {
+    constructor(map, schema, options = {}) {
+        this.map = map;
+        this.schema = schema;
+        this.options = {
+            position: 'bottomright',
+            districtZoom: 6,            // state totals below this zoom, district totals from it
+            featureZoom: 9,             // individual features from this zoom on
+            classes: 5,
+            padding: 0.05,              // degrees added around generated region outlines
+            boundaries: {},             // { state, district }: FeatureCollections keyed by properties.name
+            onModeChange: null,         // ('state' | 'district' | 'features') => void, after every update
+            onToggle: null,             // (enabled) => void when the checkbox is switched
+            ...options
+        };
+        this.enabled = true;
+        this.metric = 'count';
+        this.method = 'quantile';
+        this.features = [];
+        this.mode = null;
+        this.layer = null;
+        this.legend = null;
+
+        if (!this.map.getPane('choropleth')) {
+            this.map.createPane('choropleth').style.zIndex = 405;
+        }
+
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+        this.control.addTo(this.map);
+
+        this.map.on('zoomend', () => this.update());
+    }
+
+    createContainer() {
+        const container = L.DomUtil.create('div', 'choropleth-legend');
+        container.innerHTML = `
+            <label class="choropleth-toggle"><input type="checkbox" class="choropleth-enable" checked> <span data-i18n>🗺️ Aggregate by region</span></label>
+            <div class="choropleth-options">
+                <select class="choropleth-metric" title="Metric" data-i18n-title>
+                    ${Object.entries(FRAChoropleth.METRICS).map(([key, metric]) =>
+                        `<option value="${key}" data-i18n>${metric.label}</option>`).join('')}
+                </select>
+                <select class="choropleth-method" title="Class breaks" data-i18n-title>
+                    ${Object.entries(FRAChoropleth.METHODS).map(([key, label]) =>
+                        `<option value="${key}" data-i18n>${label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="choropleth-title"></div>
+            <div class="choropleth-classes"></div>
+            <div class="choropleth-hint"></div>
+        `;
+        I18n.translate(container);
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.elements = {
+            enable: container.querySelector('.choropleth-enable'),
+            options: container.querySelector('.choropleth-options'),
+            metric: container.querySelector('.choropleth-metric'),
+            method: container.querySelector('.choropleth-method'),
+            title: container.querySelector('.choropleth-title'),
+            classes: container.querySelector('.choropleth-classes'),
+            hint: container.querySelector('.choropleth-hint')
+        };
+
+        this.elements.enable.addEventListener('change', (e) => {
+            this.setEnabled(e.target.checked);
+            if (this.options.onToggle) {
+                this.options.onToggle(this.enabled);
+            }
+        });
+        this.elements.metric.addEventListener('change', (e) => {
+            this.metric = e.target.value;
+            this.update();
+        });
+        this.elements.method.addEventListener('change', (e) => {
+            this.method = e.target.value;
+            this.update();
+        });
+
+        I18n.setText(this.elements.hint, 'Zoom to level {zoom} for individual features', { zoom: this.options.featureZoom });
+        return container;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.elements.enable.checked = enabled;
+        this.update();
+    }
+
+    // Claims currently passing the viewer's filters; land use features are not counted
+    setFeatures(features) {
+        this.features = features.filter(feature => this.schema.claim(feature).kind === 'claim');
+        this.update();
+    }
+
+    setBoundaries(boundaries) {
+        this.options.boundaries = boundaries;
+        this.update();
+    }
+
+    // Also called after a language switch, to redraw the legend and tooltips
+    refresh() {
+        if (this.mode !== 'features') {
+            this.update();
+        }
+    }
+
+    currentMode() {
+        const zoom = this.map.getZoom();
+        if (!this.enabled || zoom >= this.options.featureZoom) return 'features';
+        return zoom < this.options.districtZoom ? 'state' : 'district';
+    }
+
+    update() {
+        const mode = this.currentMode();
+
+        if (this.layer) {
+            this.map.removeLayer(this.layer);
+            this.layer = null;
+        }
+
+        const aggregated = mode !== 'features';
+        this.legend = null;
+        this.elements.options.style.display = aggregated ? '' : 'none';
+        this.elements.title.style.display = aggregated ? '' : 'none';
+        this.elements.classes.style.display = aggregated ? '' : 'none';
+        this.elements.hint.style.display = aggregated ? '' : 'none';
+
+        if (aggregated) {
+            this.render(mode);
+        }
+
+        // Reported on every update, not just on change, so layers created later get hidden too
+        this.mode = mode;
+        if (this.options.onModeChange) {
+            this.options.onModeChange(mode);
+        }
+    }
+
+    render(level) {
+        const metric = FRAChoropleth.METRICS[this.metric];
+        const regions = this.aggregate(this.features, level).filter(region => region.geometry);
+        const breaks = FRAChoropleth.classBreaks(regions.map(region => metric.value(region)), this.method, this.options.classes);
+        const colors = FRAChoropleth.classColors(metric.palette, breaks.length);
+
+        this.layer = L.geoJSON({
+            type: 'FeatureCollection',
+            features: regions.map(region => ({ type: 'Feature', properties: { region }, geometry: region.geometry }))
+        }, {
+            pane: 'choropleth',
+            style: (feature) => ({
+                color: '#ffffff',
+                weight: 1.5,
+                opacity: 0.9,
+                fillColor: colors[FRAChoropleth.classify(metric.value(feature.properties.region), breaks)],
+                fillOpacity: 0.75
+            }),
+            onEachFeature: (feature, layer) => {
+                const region = feature.properties.region;
+                layer.bindTooltip(FRAChoropleth.tooltipContent(region), { sticky: true });
+                layer.on('mouseover', () => layer.setStyle({ weight: 3, color: '#ffff00' }));
+                layer.on('mouseout', () => layer.setStyle({ weight: 1.5, color: '#ffffff' }));
+                // Drilling into a region is just zooming in; the zoom thresholds do the rest
+                layer.on('click', () => this.map.fitBounds(layer.getBounds(), { padding: [20, 20] }));
+            }
+        }).addTo(this.map);
+
+        this.renderLegend(level, metric, breaks, colors, regions);
+    }
+
+    renderLegend(level, metric, breaks, colors, regions) {
+        this.elements.title.textContent = I18n.t(level === 'state' ? '{metric} per state' : '{metric} per district', {
+            metric: I18n.t(metric.label)
+        });
+
+        if (breaks.length === 0) {
+            this.elements.classes.innerHTML = `<div class="choropleth-class">${I18n.t('No claims to aggregate')}</div>`;
+            return;
+        }
+
+        const values = regions.map(region => metric.value(region));
+        let lower = Math.min(...values);
+        const items = breaks.map((upper, i) => {
+            const label = lower === upper ? metric.format(upper) : `${metric.format(lower)} – ${metric.format(upper)}`;
+            lower = upper;
+            return { label, fill: colors[i] };
+        });
+        this.legend = { title: this.elements.title.textContent, items };
+        this.elements.classes.innerHTML = items.map(item =>
+            `<div class="choropleth-class"><i style="background: ${item.fill};"></i>${item.label}</div>`).join('');
+    }
+
+    // The class breaks shown, for printed legends; null while individual features are drawn
+    legendSection() {
+        return this.legend;
+    }
+
+    // Per-region totals; outlines come from the supplied boundaries or, failing that, an
+    // envelope around the region's claims
+    aggregate(features, level) {
+        const regions = new Map();
+
+        features.forEach(feature => {
+            const claim = this.schema.claim(feature);
+            const name = level === 'state' ? claim.state : claim.district;
+            if (!name) return;
+
+            const key = level === 'state' ? name : `${claim.state}|${name}`;
+            if (!regions.has(key)) {
+                regions.set(key, {
+                    level, name, state: claim.state, count: 0, area: 0, approved: 0, pending: 0, points: []
+                });
+            }
+
+            const region = regions.get(key);
+            region.count++;
+            region.area += claim.area || 0;
+            if (claim.status === 'approved') {
+                region.approved++;
+            } else if (claim.status !== 'rejected') {
+                region.pending++;
+            }
+
+            if (feature.geometry && feature.geometry.type === 'Point') {
+                region.points.push(feature.geometry.coordinates);
+            } else {
+                GeoUtils.vertices(feature).forEach(point => region.points.push(point));
+            }
+        });
+
+        return [...regions.values()].map(region => {
+            region.geometry = this.boundaryGeometry(region) || FRAChoropleth.envelope(region.points, this.options.padding);
+            delete region.points;
+            return region;
+        });
+    }
+
+    boundaryGeometry(region) {
+        const collection = this.options.boundaries[region.level];
+        if (!collection) return null;
+
+        const match = collection.features.find(feature =>
+            feature.properties.name === region.name &&
+            (region.level === 'state' || !feature.properties.state || feature.properties.state === region.state));
+        return match ? match.geometry : null;
+    }
+
+    // Padded convex hull; single claims and straight lines get a padded box instead
+    static envelope(points, padding) {
+        if (points.length === 0) return null;
+
+        const hull = GeoUtils.convexHull(points);
+        if (!hull) {
+            const xs = points.map(p => p[0]);
+            const ys = points.map(p => p[1]);
+            const [minX, maxX, minY, maxY] = [Math.min(...xs) - padding, Math.max(...xs) + padding,
+                Math.min(...ys) - padding, Math.max(...ys) + padding];
+            return { type: 'Polygon', coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]] };
+        }
+
+        const cx = hull.slice(0, -1).reduce((s, p) => s + p[0], 0) / (hull.length - 1);
+        const cy = hull.slice(0, -1).reduce((s, p) => s + p[1], 0) / (hull.length - 1);
+        const ring = hull.map(([x, y]) => {
+            const length = Math.hypot(x - cx, y - cy) || 1;
+            return [x + (x - cx) / length * padding, y + (y - cy) / length * padding];
+        });
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+
+    // Upper bound of each class, ascending; never more classes than distinct values
+    static classBreaks(values, method, classes) {
+        const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+        if (sorted.length === 0) return [];
+
+        const k = Math.min(classes, new Set(sorted).size);
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        let breaks;
+
+        if (k <= 1) {
+            breaks = [];
+        } else if (method === 'equal') {
+            const step = (max - min) / k;
+            breaks = Array.from({ length: k - 1 }, (_, i) => min + step * (i + 1));
+        } else if (method === 'jenks') {
+            breaks = FRAChoropleth.jenksBreaks(sorted, k);
+        } else {
+            breaks = Array.from({ length: k - 1 }, (_, i) => sorted[Math.ceil(sorted.length * (i + 1) / k) - 1]);
+        }
+
+        return [...new Set([...breaks, max])].sort((a, b) => a - b);
+    }
+
+    // Fisher-Jenks natural breaks: minimises the within-class variance
+    static jenksBreaks(sorted, k) {
+        const n = sorted.length;
+        const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+        const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+
+        for (let j = 1; j <= k; j++) {
+            lower[1][j] = 1;
+            variance[1][j] = 0;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let w = 0;
+            let v = 0;
+
+            for (let m = 1; m <= l; m++) {
+                const i = l - m + 1;
+                const value = sorted[i - 1];
+                w++;
+                sum += value;
+                sumSquares += value * value;
+                v = sumSquares - (sum * sum) / w;
+
+                if (i > 1) {
+                    for (let j = 2; j <= k; j++) {
+                        if (variance[l][j] >= v + variance[i - 1][j - 1]) {
+                            lower[l][j] = i;
+                            variance[l][j] = v + variance[i - 1][j - 1];
+                        }
+                    }
+                }
+            }
+            lower[l][1] = 1;
+            variance[l][1] = v;
+        }
+
+        const breaks = [];
+        let end = n;
+        for (let j = k; j >= 2; j--) {
+            const start = lower[end][j] - 1;
+            breaks.unshift(sorted[start - 1]);
+            end = start;
+        }
+        return breaks;
+    }
+
+    static classify(value, breaks) {
+        const index = breaks.findIndex(upper => value <= upper);
+        return index < 0 ? breaks.length - 1 : index;
+    }
+
+    // Spreads a palette evenly over fewer classes so the extremes stay light and dark
+    static classColors(palette, count) {
+        if (count <= 1) return [palette[palette.length - 1]];
+        return Array.from({ length: count }, (_, i) => palette[Math.round(i * (palette.length - 1) / (count - 1))]);
+    }
+
+    static tooltipContent(region) {
+        const rate = FRAChoropleth.METRICS.approvalRate;
+        return `
+            <strong>${region.name}</strong>${region.level === 'district' ? `, ${region.state}` : ''}<br>
+            ${I18n.t('Claims: {count}', { count: I18n.number(region.count) })}<br>
+            ${I18n.t('Area: {area} ha', { area: I18n.fixed(region.area, 1) })}<br>
+            ${I18n.t('Approval rate: {rate}', { rate: rate.format(rate.value(region)) })}<br>
+            ${I18n.t('Pending: {count}', { count: I18n.number(region.pending) })}
+        `;
+    }
+}
+
+FRAChoropleth.METRICS = {
+    count: {
+        label: 'Claims',
+        value: region => region.count,
+        format: value => I18n.number(Math.round(value)),
+        palette: ['#edf8fb', '#b2e2e2', '#66c2a4', '#2ca25f', '#006d2c']
+    },
+    area: {
+        label: 'Total area (ha)',
+        value: region => region.area,
+        format: value => I18n.number(value, { maximumFractionDigits: 1 }),
+        palette: ['#ffffd4', '#fed98e', '#fe9929', '#d95f0e', '#993404']
+    },
+    approvalRate: {
+        label: 'Approval rate',
+        // Share of all claims in the region that are approved
+        value: region => (region.count > 0 ? region.approved / region.count * 100 : 0),
+        format: value => I18n.number(value / 100, { style: 'percent', maximumFractionDigits: 0 }),
+        palette: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f']
+    },
+    pending: {
+        label: 'Pending claims',
+        // Anything not yet approved or rejected
+        value: region => region.pending,
+        format: value => I18n.number(Math.round(value)),
+        palette: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15']
+    }
+};
+
+FRAChoropleth.METHODS = {
+    quantile: 'Quantile',
+    equal: 'Equal interval',
+    jenks: 'Natural breaks'
+};
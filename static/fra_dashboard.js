@@ -0,0 +1,203 @@
+/**
+ * Vanachitra.AI - Analytics Dashboard
+ * Charts the Flask analytics endpoints; clicking a bar, slice or period hands back the matching map filter
+ */
+
+class FRADashboard {
+    constructor(options = {}) {
+        this.options = {
+            container: 'dashboard',
+            onFilter: null,             // ({ state?, fraType?, status?, community?, year? }) => void
+            tribalLimit: 12,            // communities charted, by claim count
+            typeColors: {},             // FRA type -> colour, to match the map layer
+            ...options
+        };
+        this.data = null;
+        this.loading = null;
+        this.active = {};
+
+        this.container = document.getElementById(this.options.container);
+        this.body = this.container.querySelector('.dashboard-body');
+        this.container.querySelector('.dashboard-close').addEventListener('click', () => this.hide());
+    }
+
+    isOpen() {
+        return this.container.classList.contains('open');
+    }
+
+    // Redraws the open charts, e.g. after a language switch
+    refresh() {
+        if (this.isOpen() && this.data) {
+            this.render();
+        }
+    }
+
+    // The analytics don't change while the page is open, so they are fetched once
+    async show(activeFilters = {}) {
+        this.active = activeFilters;
+        this.container.classList.add('open');
+
+        if (!this.data) {
+            this.body.innerHTML = `<div class="dashboard-note">${I18n.t('⏳ Loading analytics...')}</div>`;
+            this.loading = this.loading || this.load();
+            this.data = await this.loading;
+        }
+        this.render();
+    }
+
+    hide() {
+        this.container.classList.remove('open');
+    }
+
+    async load() {
+        const entries = await Promise.all(Object.entries(FRADashboard.ENDPOINTS).map(async ([key, url]) => {
+            try {
+                const response = await fetch(url);
+                const body = await response.json();
+                if (!response.ok || body.error) {
+                    throw new Error(body.error || `HTTP error! status: ${response.status}`);
+                }
+                return [key, body];
+            } catch (error) {
+                console.warn(`⚠️ Analytics endpoint ${url} failed:`, error);
+                return [key, null];
+            }
+        }));
+
+        const data = Object.fromEntries(entries);
+        console.log('📊 Dashboard analytics loaded:', Object.keys(data).filter(key => data[key]));
+        return data;
+    }
+
+    render() {
+        const { analytics, states, tribal, timeline, performance } = this.data;
+        const summary = analytics && analytics.summary;
+        this.body.innerHTML = '';
+
+        this.body.appendChild(this.renderKPIs(performance, summary));
+
+        this.addCard(I18n.t('🏛️ Claims by Type'), summary && summary.claims_by_type, counts => FRACharts.donut(
+            Object.entries(counts).map(([type, value]) => ({
+                key: type,
+                label: I18n.typeName(type),
+                value,
+                color: this.options.typeColors[type]
+            })),
+            { active: this.active.fraType, onClick: type => this.filter({ fraType: type }) }
+        ));
+
+        this.addCard(I18n.t('📋 Claims by Status'), summary && summary.claims_by_status, counts => FRACharts.bar(
+            Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .map(([status, value]) => ({
+                    key: status,
+                    label: I18n.statusName(status),
+                    value,
+                    color: FRAClaimSchema.statusColor(status)
+                })),
+            { active: this.active.status, onClick: status => this.filter({ status }) }
+        ));
+
+        this.addCard(I18n.t('🗺️ Claims by State and Type'), states, byState => FRACharts.stackedBar(
+            Object.entries(byState)
+                .sort((a, b) => b[1].total_claims - a[1].total_claims)
+                .map(([state, row]) => ({ key: state, label: state, values: row.fra_type || {} })),
+            ['IFR', 'CFR', 'CR'].map(type => ({ key: type, label: type, color: this.options.typeColors[type] })),
+            {
+                active: this.active.state,
+                onClick: (state, type) => this.filter({
+                    ...(state ? { state } : {}),
+                    ...(type ? { fraType: type } : {})
+                })
+            }
+        ));
+
+        this.addCard(I18n.t('👥 Tribal Communities'), tribal, byCommunity => FRACharts.stackedBar(
+            Object.entries(byCommunity)
+                .sort((a, b) => b[1].total_claims - a[1].total_claims)
+                .slice(0, this.options.tribalLimit)
+                .map(([community, row]) => ({
+                    key: community,
+                    label: community,
+                    values: { approved: row.approved_claims, other: row.total_claims - row.approved_claims }
+                })),
+            [
+                { key: 'approved', label: I18n.statusName('approved'), color: FRAClaimSchema.statusColor('approved') },
+                { key: 'other', label: I18n.t('Not yet approved'), color: '#95a5a6' }
+            ],
+            {
+                active: this.active.community,
+                onClick: (community, series) => this.filter({
+                    ...(community ? { community } : {}),
+                    ...(series === 'approved' ? { status: 'approved' } : {})
+                })
+            }
+        ));
+
+        this.addCard(I18n.t('📈 Submissions per Year'), timeline && timeline.yearly, yearly => FRACharts.line(
+            Object.keys(yearly)
+                .sort()
+                .map(year => ({
+                    key: year,
+                    label: year,
+                    values: { submitted: yearly[year].claims_submitted, approved: yearly[year].claims_approved }
+                })),
+            [
+                { key: 'submitted', label: I18n.t('Submitted'), color: '#3498db' },
+                { key: 'approved', label: I18n.statusName('approved'), color: FRAClaimSchema.statusColor('approved') }
+            ],
+            { active: this.active.year, onClick: year => this.filter({ year }) }
+        ));
+    }
+
+    renderKPIs(performance, summary) {
+        const kpis = performance ? [
+            ['Total Claims', performance.total_claims],
+            ['Approval Rate', `${performance.approval_rate}%`],
+            ['Pending', performance.pending_claims],
+            ['Total Area', `${FRACharts.format(performance.total_area_ha)} ha`],
+            ['Field Verified', `${performance.field_verification_rate}%`],
+            ['GPS Verified', `${performance.gps_verification_rate}%`]
+        ] : summary ? [
+            ['Total Claims', summary.total_claims],
+            ['Total Area', `${FRACharts.format(summary.total_area_ha)} ha`]
+        ] : [];
+
+        const grid = document.createElement('div');
+        grid.className = 'dashboard-kpis';
+        grid.innerHTML = kpis.map(([label, value]) => `
+            <div class="stat-card">
+                <div class="stat-value">${value}</div>
+                <div class="stat-label">${I18n.t(label)}</div>
+            </div>
+        `).join('');
+        return grid;
+    }
+
+    addCard(title, data, build) {
+        const card = document.createElement('div');
+        card.className = 'dashboard-card';
+        card.innerHTML = `<h4>${title}</h4>`;
+
+        if (data && Object.keys(data).length > 0) {
+            card.appendChild(build(data));
+        } else {
+            card.insertAdjacentHTML('beforeend', `<div class="dashboard-note">${I18n.t('No data available')}</div>`);
+        }
+        this.body.appendChild(card);
+    }
+
+    filter(filters) {
+        if (this.options.onFilter) {
+            this.options.onFilter(filters);
+        }
+    }
+}
+
+FRADashboard.ENDPOINTS = {
+    analytics: '/api/analytics',
+    states: '/api/state-summary',
+    tribal: '/api/tribal-analysis',
+    timeline: '/api/timeline',
+    performance: '/api/performance'
+};
@@ -0,0 +1,470 @@
+/**
+ * Vanachitra.AI - FRA Data Export
+ * Client-side GeoJSON, zipped ESRI Shapefile, KML, CSV and GPX writers for claim collections
+ */
+
+class FRAExporter {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.options = {
+            name: 'Vanachitra.AI FRA Claims',
+            styles: {},                 // canonical type -> { color, fillColor, fillOpacity }
+            ...options
+        };
+    }
+
+    // Returns { filename, content, type } ready for a download link
+    export(format, collection, basename) {
+        const info = FRAExporter.FORMATS[format];
+        if (!info) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const features = collection.features || [];
+        const content = {
+            geojson: () => JSON.stringify(collection, null, 2),
+            shapefile: () => this.toShapefile(features, basename),
+            kml: () => this.toKML(features),
+            csv: () => this.toCSV(features),
+            gpx: () => this.toGPX(features)
+        }[format]();
+
+        return { filename: `${basename}${info.suffix}`, content, type: info.mime };
+    }
+
+    // Union of attribute names across features, in first-seen order
+    attributeKeys(features) {
+        const keys = new Set();
+        features.forEach(feature => {
+            Object.keys(feature.properties || {}).forEach(key => keys.add(key));
+        });
+        return [...keys];
+    }
+
+    // One-line summary used for KML descriptions and GPX desc elements
+    describe(claim) {
+        return [claim.typeName, claim.statusName, claim.area > 0 ? `${claim.area.toFixed(2)} ha` : null]
+            .filter(Boolean)
+            .join(' • ');
+    }
+
+    // ---- ESRI Shapefile ----
+
+    // A shapefile holds one geometry type, so point features get their own set of files
+    toShapefile(features, basename) {
+        const polygons = features.filter(feature => GeoUtils.polygons(feature).length > 0);
+        const points = features.filter(feature => feature.geometry && feature.geometry.type === 'Point');
+        const skipped = features.length - polygons.length - points.length;
+        if (skipped > 0) {
+            console.warn(`⚠️ Shapefile export skipped ${skipped} features with unsupported geometry`);
+        }
+
+        const zip = new ZipWriter();
+        const addLayer = (name, shapeType, members, shapes) => {
+            const { shp, shx } = FRAExporter.buildShp(shapeType, shapes);
+            zip.addFile(`${name}.shp`, shp)
+                .addFile(`${name}.shx`, shx)
+                .addFile(`${name}.dbf`, this.buildDBF(members))
+                .addFile(`${name}.prj`, FRAExporter.WGS84_PRJ)
+                .addFile(`${name}.cpg`, 'UTF-8');
+        };
+
+        if (polygons.length > 0 || points.length === 0) {
+            addLayer(basename, FRAExporter.SHAPE_POLYGON, polygons, polygons.map(f => FRAExporter.shapeRings(f)));
+        }
+        if (points.length > 0) {
+            addLayer(`${basename}_points`, FRAExporter.SHAPE_POINT, points, points.map(f => [[f.geometry.coordinates]]));
+        }
+
+        return zip.toBlob();
+    }
+
+    // Shapefile rings: outer rings clockwise, holes counter-clockwise, all closed
+    static shapeRings(feature) {
+        const rings = [];
+
+        GeoUtils.polygons(feature).forEach(polygon => {
+            polygon.forEach((ring, i) => {
+                const closed = ring.slice();
+                const first = closed[0];
+                const last = closed[closed.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    closed.push(first);
+                }
+
+                const clockwise = GeoUtils.ringArea(closed) < 0;
+                rings.push(clockwise === (i === 0) ? closed : closed.reverse());
+            });
+        });
+
+        return rings;
+    }
+
+    // records: per shape, a list of rings; a point is a single ring holding one coordinate
+    static buildShp(shapeType, records) {
+        const bbox = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        const contents = records.map(rings => {
+            const points = rings.flat();
+            const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            points.forEach(([x, y]) => SpatialIndex.extend(box, { minX: x, minY: y, maxX: x, maxY: y }));
+            SpatialIndex.extend(bbox, box);
+
+            if (shapeType === FRAExporter.SHAPE_POINT) {
+                const view = new DataView(new ArrayBuffer(20));
+                view.setInt32(0, shapeType, true);
+                view.setFloat64(4, points[0][0], true);
+                view.setFloat64(12, points[0][1], true);
+                return view.buffer;
+            }
+
+            // Shape type, box, part/point counts, part offsets, points
+            const view = new DataView(new ArrayBuffer(44 + 4 * rings.length + 16 * points.length));
+            view.setInt32(0, shapeType, true);
+            [box.minX, box.minY, box.maxX, box.maxY].forEach((v, i) => view.setFloat64(4 + i * 8, v, true));
+            view.setInt32(36, rings.length, true);
+            view.setInt32(40, points.length, true);
+
+            let offset = 44;
+            let start = 0;
+            rings.forEach(ring => {
+                view.setInt32(offset, start, true);
+                offset += 4;
+                start += ring.length;
+            });
+            points.forEach(([x, y]) => {
+                view.setFloat64(offset, x, true);
+                view.setFloat64(offset + 8, y, true);
+                offset += 16;
+            });
+
+            return view.buffer;
+        });
+
+        if (contents.length === 0) {
+            Object.assign(bbox, { minX: 0, minY: 0, maxX: 0, maxY: 0 });
+        }
+
+        const shpLength = 100 + contents.reduce((sum, c) => sum + 8 + c.byteLength, 0);
+        const shxLength = 100 + 8 * contents.length;
+        const shp = new DataView(new ArrayBuffer(shpLength));
+        const shx = new DataView(new ArrayBuffer(shxLength));
+
+        [[shp, shpLength], [shx, shxLength]].forEach(([view, length]) => {
+            view.setInt32(0, 9994);                     // file code, big-endian
+            view.setInt32(24, length / 2);              // length in 16-bit words
+            view.setInt32(28, 1000, true);
+            view.setInt32(32, shapeType, true);
+            [bbox.minX, bbox.minY, bbox.maxX, bbox.maxY].forEach((v, i) => view.setFloat64(36 + i * 8, v, true));
+        });
+
+        let offset = 100;
+        contents.forEach((content, i) => {
+            shx.setInt32(100 + i * 8, offset / 2);
+            shx.setInt32(104 + i * 8, content.byteLength / 2);
+
+            shp.setInt32(offset, i + 1);
+            shp.setInt32(offset + 4, content.byteLength / 2);
+            new Uint8Array(shp.buffer, offset + 8, content.byteLength).set(new Uint8Array(content));
+            offset += 8 + content.byteLength;
+        });
+
+        return { shp: shp.buffer, shx: shx.buffer };
+    }
+
+    // dBASE III attribute table; field types and widths inferred from the values
+    buildDBF(features) {
+        const encoder = new TextEncoder();
+        const fields = this.dbfFields(features);
+        const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+        const headerLength = 32 + 32 * fields.length + 1;
+        const bytes = new Uint8Array(headerLength + recordLength * features.length + 1);
+        const view = new DataView(bytes.buffer);
+        const now = new Date();
+
+        view.setUint8(0, 0x03);
+        view.setUint8(1, now.getFullYear() - 1900);
+        view.setUint8(2, now.getMonth() + 1);
+        view.setUint8(3, now.getDate());
+        view.setUint32(4, features.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        fields.forEach((field, i) => {
+            const at = 32 + i * 32;
+            bytes.set(encoder.encode(field.name), at);
+            bytes[at + 11] = field.type.charCodeAt(0);
+            bytes[at + 16] = field.length;
+            bytes[at + 17] = field.decimals;
+        });
+        bytes[headerLength - 1] = 0x0d;
+
+        features.forEach((feature, r) => {
+            let at = headerLength + r * recordLength;
+            bytes[at++] = 0x20;                         // not deleted
+
+            fields.forEach(field => {
+                const cell = encoder.encode(FRAExporter.dbfValue(field, (feature.properties || {})[field.key]));
+                bytes.fill(0x20, at, at + field.length);
+                bytes.set(cell, at);
+                at += field.length;
+            });
+        });
+        bytes[bytes.length - 1] = 0x1a;
+
+        return bytes;
+    }
+
+    dbfFields(features) {
+        const names = new Set();
+
+        return this.attributeKeys(features).map(key => {
+            const values = features
+                .map(feature => (feature.properties || {})[key])
+                .filter(value => value !== undefined && value !== null && value !== '');
+
+            // Field names are capped at 10 characters; keep them unique after truncation
+            let name = key.slice(0, 10);
+            for (let n = 1; names.has(name.toUpperCase()); n++) {
+                name = key.slice(0, 10 - String(n).length) + n;
+            }
+            names.add(name.toUpperCase());
+
+            if (values.length > 0 && values.every(v => typeof v === 'boolean')) {
+                return { key, name, type: 'L', length: 1, decimals: 0 };
+            }
+
+            if (values.length > 0 && values.every(v => typeof v === 'number' && isFinite(v))) {
+                const decimals = Math.min(8, Math.max(0, ...values.map(v => (String(v).split('.')[1] || '').length)));
+                const integers = Math.max(...values.map(v => String(Math.trunc(Math.abs(v))).length + (v < 0 ? 1 : 0)));
+                const length = integers + (decimals > 0 ? decimals + 1 : 0);
+                if (length <= 19) {
+                    return { key, name, type: 'N', length, decimals };
+                }
+            }
+
+            const length = Math.min(254, Math.max(1, ...values.map(v => FRAExporter.dbfText(v, 254).length)));
+            return { key, name, type: 'C', length, decimals: 0 };
+        });
+    }
+
+    static dbfValue(field, value) {
+        if (value === undefined || value === null || value === '') {
+            return field.type === 'L' ? '?' : '';
+        }
+
+        if (field.type === 'L') return value ? 'T' : 'F';
+        if (field.type === 'N') return value.toFixed(field.decimals).padStart(field.length, ' ');
+        return new TextDecoder().decode(FRAExporter.dbfText(value, field.length));
+    }
+
+    // UTF-8 bytes of a value, cut at a character boundary to fit the field
+    static dbfText(value, maxBytes) {
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        const bytes = new TextEncoder().encode(text);
+        if (bytes.length <= maxBytes) return bytes;
+
+        let end = maxBytes;
+        while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+        return bytes.slice(0, end);
+    }
+
+    // ---- KML ----
+
+    toKML(features) {
+        const esc = FRAExporter.escapeXML;
+        const groups = new Map();
+
+        features.forEach(feature => {
+            const type = this.schema.claim(feature).type || 'Other';
+            if (!groups.has(type)) groups.set(type, []);
+            groups.get(type).push(feature);
+        });
+
+        const styles = [...groups.keys()].map(type => {
+            const style = this.options.styles[type] || { color: '#333333', fillColor: '#666666', fillOpacity: 0.5 };
+            return `    <Style id="${FRAExporter.styleId(type)}">
+      <LineStyle><color>${FRAExporter.kmlColor(style.color, 1)}</color><width>${type === 'CFR' ? 3 : 2}</width></LineStyle>
+      <PolyStyle><color>${FRAExporter.kmlColor(style.fillColor, style.fillOpacity)}</color></PolyStyle>
+      <IconStyle><color>${FRAExporter.kmlColor(style.color, 1)}</color></IconStyle>
+    </Style>`;
+        });
+
+        const folders = [...groups.entries()].map(([type, members]) => {
+            const info = FRAClaimSchema.TYPES[type];
+            const placemarks = members.map(feature => this.kmlPlacemark(feature)).filter(Boolean);
+            return `    <Folder>
+      <name>${esc(info ? `${info.icon} ${info.name}` : type)}</name>
+${placemarks.join('\n')}
+    </Folder>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${esc(this.options.name)}</name>
+${styles.join('\n')}
+${folders.join('\n')}
+  </Document>
+</kml>
+`;
+    }
+
+    kmlPlacemark(feature) {
+        const esc = FRAExporter.escapeXML;
+        const geometry = FRAExporter.kmlGeometry(feature.geometry);
+        if (!geometry) return null;
+
+        const claim = this.schema.claim(feature);
+        const data = Object.entries(feature.properties || {})
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) =>
+                `          <Data name="${esc(key)}"><value>${esc(typeof value === 'object' ? JSON.stringify(value) : value)}</value></Data>`
+            );
+
+        return `      <Placemark>
+        <name>${esc(claim.id || '')}</name>
+        <description>${esc(this.describe(claim))}</description>
+        <styleUrl>#${FRAExporter.styleId(claim.type || 'Other')}</styleUrl>
+        <ExtendedData>
+${data.join('\n')}
+        </ExtendedData>
+        ${geometry}
+      </Placemark>`;
+    }
+
+    static kmlGeometry(geometry) {
+        if (!geometry) return null;
+
+        const coords = (ring) => ring.map(([lon, lat]) => `${lon},${lat},0`).join(' ');
+        const polygon = (rings) => `<Polygon>` +
+            `<outerBoundaryIs><LinearRing><coordinates>${coords(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+            rings.slice(1).map(hole =>
+                `<innerBoundaryIs><LinearRing><coordinates>${coords(hole)}</coordinates></LinearRing></innerBoundaryIs>`
+            ).join('') +
+            `</Polygon>`;
+
+        switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]},0</coordinates></Point>`;
+        case 'Polygon':
+            return polygon(geometry.coordinates);
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+        default:
+            return null;
+        }
+    }
+
+    // KML colors are aabbggrr
+    static kmlColor(hex, opacity) {
+        const rgb = (hex || '#666666').replace('#', '');
+        const alpha = Math.round(Math.max(0, Math.min(1, opacity ?? 1)) * 255).toString(16).padStart(2, '0');
+        return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`.toLowerCase();
+    }
+
+    static styleId(type) {
+        return `type-${String(type).replace(/\s+/g, '-')}`;
+    }
+
+    // ---- CSV ----
+
+    toCSV(features) {
+        // Computed centroids replace any centroid columns the source carries
+        const keys = this.attributeKeys(features).filter(key => key !== 'centroid_lat' && key !== 'centroid_lon');
+        const rows = [['centroid_lat', 'centroid_lon', ...keys]];
+
+        features.forEach(feature => {
+            const centroid = FRAExporter.featureCentroid(feature);
+            const props = feature.properties || {};
+            rows.push([
+                centroid ? centroid[1].toFixed(6) : '',
+                centroid ? centroid[0].toFixed(6) : '',
+                ...keys.map(key => props[key])
+            ]);
+        });
+
+        // BOM so spreadsheet apps pick up UTF-8 village and community names
+        return '\uFEFF' + rows.map(row => row.map(FRAExporter.csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    static featureCentroid(feature) {
+        const geometry = feature.geometry;
+        if (geometry && geometry.type === 'Point') return geometry.coordinates;
+        if (GeoUtils.polygons(feature).length > 0) return GeoUtils.centroid(feature);
+
+        const lat = parseFloat((feature.properties || {}).centroid_lat);
+        const lon = parseFloat((feature.properties || {}).centroid_lon);
+        return isNaN(lat) || isNaN(lon) ? null : [lon, lat];
+    }
+
+    static csvCell(value) {
+        if (value === undefined || value === null) return '';
+
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ---- GPX ----
+
+    toGPX(features) {
+        const esc = FRAExporter.escapeXML;
+        const waypoints = [];
+        const tracks = [];
+
+        features.forEach(feature => {
+            const claim = this.schema.claim(feature);
+            const name = `<name>${esc(claim.id || '')}</name>`;
+            const desc = `<desc>${esc(this.describe(claim))}</desc>`;
+            const type = `<type>${esc(claim.type || '')}</type>`;
+
+            if (feature.geometry && feature.geometry.type === 'Point') {
+                const [lon, lat] = feature.geometry.coordinates;
+                waypoints.push(`  <wpt lat="${lat}" lon="${lon}">${name}${desc}${type}</wpt>`);
+                return;
+            }
+
+            // One track per claim, one segment per boundary ring
+            const segments = GeoUtils.polygons(feature).flat().map(ring =>
+                `    <trkseg>\n${ring.map(([lon, lat]) => `      <trkpt lat="${lat}" lon="${lon}"/>`).join('\n')}\n    </trkseg>`
+            );
+            if (segments.length > 0) {
+                tracks.push(`  <trk>\n    ${name}\n    ${desc}\n    ${type}\n${segments.join('\n')}\n  </trk>`);
+            }
+        });
+
+        // GPX 1.1 requires waypoints before tracks
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Vanachitra.AI" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${esc(this.options.name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${[...waypoints, ...tracks].join('\n')}
+</gpx>
+`;
+    }
+
+    static escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+FRAExporter.FORMATS = {
+    geojson: { label: '🗺️ GeoJSON', suffix: '.geojson', mime: 'application/geo+json' },
+    shapefile: { label: '📦 Shapefile (.zip)', suffix: '_shp.zip', mime: 'application/zip' },
+    kml: { label: '🌍 KML (Google Earth)', suffix: '.kml', mime: 'application/vnd.google-earth.kml+xml' },
+    csv: { label: '📄 CSV', suffix: '.csv', mime: 'text/csv' },
+    gpx: { label: '🧭 GPX', suffix: '.gpx', mime: 'application/gpx+xml' }
+};
+
+FRAExporter.SHAPE_POINT = 1;
+FRAExporter.SHAPE_POLYGON = 5;
+
+// EPSG:4326 in the ESRI WKT flavour GIS packages expect next to a .shp
+FRAExporter.WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
@@ -0,0 +1,131 @@
+/**
+ * Vanachitra.AI - CFR Containment Hierarchy
+ * Resolves the parent CFR of every IFR/CR claim by polygon containment and collects violations
+ */
+
+class FRAHierarchy {
+    constructor(schema) {
+        this.schema = schema;
+        this.reset();
+    }
+
+    reset() {
+        this.parentOf = new Map();
+        this.childrenOf = new Map();
+        this.violations = [];
+    }
+
+    compute(features) {
+        this.reset();
+
+        const cfrs = features.filter(f => this.schema.claim(f).type === 'CFR' && f.geometry);
+        const children = features.filter(f => ['IFR', 'CR'].includes(this.schema.claim(f).type) && f.geometry);
+        const cfrIndex = new SpatialIndex().loadFeatures(cfrs);
+
+        cfrs.forEach(cfr => this.childrenOf.set(cfr, []));
+
+        children.forEach(feature => {
+            const bbox = SpatialIndex.featureBBox(feature);
+            const candidates = cfrIndex.search(bbox).filter(cfr => this.intersects(feature, cfr));
+
+            if (candidates.length === 0) {
+                this.violations.push({ kind: 'orphan', feature, cfr: null });
+                return;
+            }
+
+            // Smallest enclosing CFR wins when community forests are nested
+            const containing = candidates
+                .filter(cfr => this.within(feature, cfr))
+                .sort((a, b) => GeoUtils.planarArea(a) - GeoUtils.planarArea(b));
+
+            if (containing.length > 0) {
+                this.link(feature, containing[0]);
+                return;
+            }
+
+            // Overlaps one or more CFRs without fitting inside any: attach to the best
+            // covering one so the relationship is still drawn, and flag the spill
+            const ranked = candidates
+                .map(cfr => ({ cfr, coverage: this.coverage(feature, cfr) }))
+                .sort((a, b) => b.coverage.inside - a.coverage.inside);
+            const best = ranked[0];
+
+            this.link(feature, best.cfr);
+            this.violations.push({
+                kind: 'spill',
+                feature,
+                cfr: best.cfr,
+                outsideVertices: best.coverage.total - best.coverage.inside,
+                totalVertices: best.coverage.total
+            });
+        });
+
+        return this;
+    }
+
+    // Point and MultiPoint claims have no outline; their positions are tested against the CFR directly
+    static points(feature) {
+        const geometry = feature.geometry;
+        if (geometry.type === 'Point') return [geometry.coordinates];
+        if (geometry.type === 'MultiPoint') return geometry.coordinates;
+        return null;
+    }
+
+    // [lng, lat] to draw a feature's link from: the mean of its points, else its polygon centroid
+    static position(feature) {
+        const points = FRAHierarchy.points(feature);
+        if (!points) return GeoUtils.centroid(feature);
+        if (points.length === 0) return null;
+        return [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+    }
+
+    coverage(feature, cfr) {
+        const points = FRAHierarchy.points(feature);
+        if (!points) return GeoUtils.vertexCoverage(feature, cfr);
+        return { inside: points.filter(point => GeoUtils.pointInGeometry(point, cfr)).length, total: points.length };
+    }
+
+    intersects(feature, cfr) {
+        return FRAHierarchy.points(feature) ? this.coverage(feature, cfr).inside > 0 : GeoUtils.intersects(feature, cfr);
+    }
+
+    within(feature, cfr) {
+        if (!FRAHierarchy.points(feature)) return GeoUtils.within(feature, cfr);
+        const coverage = this.coverage(feature, cfr);
+        return coverage.total > 0 && coverage.inside === coverage.total;
+    }
+
+    link(child, cfr) {
+        this.parentOf.set(child, cfr);
+        this.childrenOf.get(cfr).push(child);
+    }
+
+    getParent(feature) {
+        return this.parentOf.get(feature) || null;
+    }
+
+    getChildren(feature) {
+        return this.childrenOf.get(feature) || [];
+    }
+
+    getSummary() {
+        return {
+            cfrs: this.childrenOf.size,
+            linked: this.parentOf.size,
+            orphans: this.violations.filter(v => v.kind === 'orphan').length,
+            spills: this.violations.filter(v => v.kind === 'spill').length
+        };
+    }
+
+    describeViolation(violation) {
+        const claim = this.schema.claim(violation.feature);
+
+        if (violation.kind === 'orphan') {
+            return `${claim.id} (${claim.type}) lies outside every CFR boundary`;
+        }
+
+        const parent = this.schema.claim(violation.cfr);
+        return `${claim.id} (${claim.type}) spills outside ${parent.id}: ` +
+            `${violation.outsideVertices} of ${violation.totalVertices} vertices outside`;
+    }
+}
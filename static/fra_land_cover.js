@@ -0,0 +1,144 @@
+/**
+ * Vanachitra.AI - Claim Land-Cover Composition
+ * Spatial join of classified asset polygons onto claims: area and confidence-weighted share of each class
+ */
+
+class FRALandCover {
+    constructor() {
+        this.compositions = new Map();  // claim properties -> composition
+    }
+
+    // composition: { claimAreaHa, classes: { [class]: { areaHa, weightedHa, share } }, coveredShare }
+    compute(claims, assets) {
+        this.compositions.clear();
+        this.join(claims, assets);
+
+        console.log(`🌲 Land cover joined for ${this.compositions.size} claims from ${assets.length} assets`);
+        return this;
+    }
+
+    // Joins the given claims only, keeping the compositions of the others
+    join(claims, assets) {
+        const polygons = assets.filter(asset => GeoUtils.polygons(asset).length > 0);
+        const index = new SpatialIndex().loadFeatures(polygons);
+        const triangles = new Map();
+        const trianglesOf = asset => {
+            if (!triangles.has(asset)) {
+                triangles.set(asset, GeoUtils.polygons(asset).flatMap(polygon => GeoUtils.triangulate(polygon[0])));
+            }
+            return triangles.get(asset);
+        };
+
+        claims.forEach(claim => {
+            if (GeoUtils.polygons(claim).length === 0) return;
+
+            const claimAreaHa = GeoUtils.geodesicAreaHectares(claim);
+            const classes = {};
+
+            index.search(SpatialIndex.featureBBox(claim)).forEach(asset => {
+                const pieces = GeoUtils.intersection(claim, asset, trianglesOf(asset));
+                if (pieces.length === 0) return;
+
+                const areaHa = GeoUtils.geodesicAreaHectares({ type: 'MultiPolygon', coordinates: pieces.map(ring => [ring]) });
+                const confidence = parseFloat(asset.properties.confidence);
+                const key = FRALandCover.classOf(asset.properties.class);
+
+                classes[key] = classes[key] || { areaHa: 0, weightedHa: 0, share: 0 };
+                classes[key].areaHa += areaHa;
+                // Unscored detections count in full
+                classes[key].weightedHa += areaHa * (isNaN(confidence) ? 1 : confidence);
+            });
+
+            // Overlapping detections can add up past the claim; scale back so shares never exceed 100%
+            const weighted = Object.values(classes).reduce((sum, c) => sum + c.weightedHa, 0);
+            const scale = claimAreaHa > 0 ? Math.min(1, claimAreaHa / Math.max(weighted, 1e-12)) / claimAreaHa : 0;
+            Object.values(classes).forEach(c => {
+                c.share = c.weightedHa * scale;
+            });
+
+            this.compositions.set(claim.properties, {
+                claimAreaHa,
+                classes,
+                coveredShare: Object.values(classes).reduce((sum, c) => sum + c.share, 0)
+            });
+        });
+
+        return this;
+    }
+
+    // New assets only change the claims they touch; joins those again and returns them
+    rejoin(claims, assets, added) {
+        const index = new SpatialIndex().loadFeatures(added);
+        const touched = claims.filter(claim => {
+            const bbox = SpatialIndex.featureBBox(claim);
+            return bbox && index.search(bbox).length > 0;
+        });
+
+        this.join(touched, assets);
+        return touched;
+    }
+
+    // Accepts a feature or its schema claim record
+    get(featureOrClaim) {
+        return this.compositions.get(featureOrClaim.properties) || null;
+    }
+
+    // Share of one class as a percentage; 0 for claims without a composition
+    percent(featureOrClaim, key) {
+        const composition = this.get(featureOrClaim);
+        return composition && composition.classes[key] ? composition.classes[key].share * 100 : 0;
+    }
+
+    // Stacked bar plus per-class rows for popups and the info panel
+    static html(composition) {
+        if (!composition) {
+            return `<div class="land-cover"><em>${I18n.t('No land-cover data for this claim')}</em></div>`;
+        }
+
+        const entries = Object.entries(FRALandCover.CLASSES)
+            .map(([key, info]) => ({
+                key,
+                ...info,
+                label: I18n.t(info.label),
+                ...(composition.classes[key] || { areaHa: 0, share: 0 })
+            }))
+            .filter(entry => entry.areaHa > 0);
+        if (entries.length === 0) {
+            return `<div class="land-cover"><em>${I18n.t('No classified land cover inside this claim')}</em></div>`;
+        }
+
+        const unclassified = Math.max(0, 1 - composition.coveredShare);
+        const percent = share => I18n.number(share, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        return `
+            <div class="land-cover">
+                <strong>${I18n.t('Land cover')}</strong> <span class="land-cover-note">${I18n.t('(confidence-weighted)')}</span>
+                <div class="land-cover-bar">
+                    ${entries.map(e => `<i style="width: ${(e.share * 100).toFixed(1)}%; background: ${e.color};" title="${e.label}"></i>`).join('')}
+                </div>
+                ${entries.map(e => `
+                    <div class="land-cover-row">
+                        <span><i style="background: ${e.color};"></i>${e.icon} ${e.label}</span>
+                        <span>${percent(e.share)} • ${I18n.fixed(e.areaHa, 2)} ha</span>
+                    </div>
+                `).join('')}
+                ${unclassified > 0.005 ? `<div class="land-cover-row land-cover-note"><span>${I18n.t('Unclassified')}</span><span>${percent(unclassified)}</span></div>` : ''}
+            </div>
+        `;
+    }
+
+    // Asset classifications use finer labels (forest_dense, agriculture_irrigated, urban, ...)
+    static classOf(value) {
+        const raw = String(value || '').toLowerCase();
+        const match = Object.entries(FRALandCover.CLASSES)
+            .find(([, info]) => info.prefixes.some(prefix => raw.startsWith(prefix)));
+        return match ? match[0] : 'other';
+    }
+}
+
+FRALandCover.CLASSES = {
+    forest: { label: 'Forest', icon: '🌲', color: '#2ca02c', prefixes: ['forest', 'mangrove'] },
+    water: { label: 'Water', icon: '💧', color: '#1f77b4', prefixes: ['water', 'wetland'] },
+    agricultural: { label: 'Agricultural', icon: '🌾', color: '#ff7f0e', prefixes: ['agri', 'crop'] },
+    homestead: { label: 'Homestead', icon: '🏘️', color: '#d62728', prefixes: ['homestead', 'urban', 'settlement', 'built'] },
+    other: { label: 'Other', icon: '▫️', color: '#95a5a6', prefixes: [] }
+};
@@ -0,0 +1,120 @@
+/**
+ * Vanachitra.AI - Claim Overlap Detection
+ * Finds pairwise polygon intersections between claims and classifies which of them are conflicts
+ */
+
+class FRAOverlaps {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.options = {
+            minAreaHa: 0.01,            // smaller intersections are snapping slivers along shared edges
+            ...options
+        };
+        this.reset();
+    }
+
+    reset() {
+        this.overlaps = [];
+    }
+
+    compute(features) {
+        this.reset();
+
+        const claims = features.filter(f => this.schema.claim(f).kind === 'claim' && GeoUtils.polygons(f).length > 0);
+        const index = new SpatialIndex().loadFeatures(claims);
+        const order = new Map(claims.map((feature, i) => [feature, i]));
+        const areas = new Map();
+        const triangles = new Map();
+        const areaOf = f => {
+            if (!areas.has(f)) areas.set(f, GeoUtils.geodesicAreaHectares(f));
+            return areas.get(f);
+        };
+        const trianglesOf = f => {
+            if (!triangles.has(f)) triangles.set(f, GeoUtils.polygons(f).flatMap(polygon => GeoUtils.triangulate(polygon[0])));
+            return triangles.get(f);
+        };
+
+        claims.forEach((a, i) => {
+            // Each pair once: only partners later in the list
+            index.search(SpatialIndex.featureBBox(a))
+                .filter(b => order.get(b) > i)
+                .forEach(b => {
+                    const pieces = GeoUtils.intersection(a, b, trianglesOf(b));
+                    if (pieces.length === 0) return;
+
+                    const geometry = { type: 'MultiPolygon', coordinates: pieces.map(ring => [ring]) };
+                    const areaHa = GeoUtils.geodesicAreaHectares(geometry);
+                    if (areaHa < this.options.minAreaHa) return;
+
+                    const kind = this.classify(a, b);
+                    this.overlaps.push({
+                        a,
+                        b,
+                        kind,
+                        conflict: FRAOverlaps.KINDS[kind].conflict,
+                        geometry,
+                        areaHa,
+                        percentA: areaHa / areaOf(a) * 100,
+                        percentB: areaHa / areaOf(b) * 100
+                    });
+                });
+        });
+
+        this.overlaps.sort((x, y) => y.areaHa - x.areaHa);
+        return this;
+    }
+
+    // An IFR or CR inside its own village's CFR is the expected nesting; across villages it is a dispute
+    classify(a, b) {
+        const claimA = this.schema.claim(a);
+        const claimB = this.schema.claim(b);
+        const types = [claimA.type, claimB.type].sort().join('-');
+
+        if (types === 'IFR-IFR') return 'ifr-ifr';
+        if (types === 'CFR-CFR') return 'cfr-cfr';
+        if (types === 'CFR-IFR' || types === 'CFR-CR') {
+            const sameVillage = claimA.village && claimA.village === claimB.village;
+            if (sameVillage) return 'nested';
+            return types === 'CFR-IFR' ? 'ifr-foreign-cfr' : 'cr-foreign-cfr';
+        }
+        return 'other';
+    }
+
+    conflicts() {
+        return this.overlaps.filter(overlap => overlap.conflict);
+    }
+
+    getSummary() {
+        const byKind = {};
+        this.overlaps.forEach(overlap => {
+            byKind[overlap.kind] = (byKind[overlap.kind] || 0) + 1;
+        });
+        return {
+            overlaps: this.overlaps.length,
+            conflicts: this.conflicts().length,
+            conflictAreaHa: this.conflicts().reduce((sum, overlap) => sum + overlap.areaHa, 0),
+            byKind
+        };
+    }
+
+    describe(overlap) {
+        const a = this.schema.claim(overlap.a);
+        const b = this.schema.claim(overlap.b);
+        const claim = (record) => `${record.id} (${record.type}, ${record.village || I18n.t('unknown village')})`;
+        return I18n.t('{a} and {b}: {area} ha - {kind}', {
+            a: claim(a),
+            b: claim(b),
+            area: I18n.fixed(overlap.areaHa, 2),
+            kind: I18n.t(FRAOverlaps.KINDS[overlap.kind].label)
+        });
+    }
+}
+
+FRAOverlaps.KINDS = {
+    'ifr-ifr': { label: 'IFR overlaps IFR', conflict: true },
+    'ifr-foreign-cfr': { label: "IFR inside another village's CFR", conflict: true },
+    'cr-foreign-cfr': { label: "CR inside another village's CFR", conflict: true },
+    'cfr-cfr': { label: 'CFR overlaps CFR', conflict: true },
+    'nested': { label: 'Within own village CFR', conflict: false },
+    'other': { label: 'IFR/CR overlap', conflict: false }
+};
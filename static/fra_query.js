@@ -0,0 +1,160 @@
+/**
+ * Vanachitra.AI - Attribute Queries
+ * Compound conditions on any claim attribute: nested AND/OR groups of comparisons, ranges,
+ * set membership and boolean tests, evaluated against feature properties
+ */
+
+class FRAQuery {
+    // query: { op: 'and' | 'or', rules: [rule | query] }, rule: { field, operator, value }
+    static empty() {
+        return { op: 'and', rules: [] };
+    }
+
+    static isGroup(node) {
+        return !!node && Array.isArray(node.rules);
+    }
+
+    // A query without a single condition anywhere matches everything
+    static isEmpty(query) {
+        return !query || !query.rules.some(node => (FRAQuery.isGroup(node) ? !FRAQuery.isEmpty(node) : !!node.field));
+    }
+
+    static matches(query, props) {
+        if (FRAQuery.isEmpty(query)) return true;
+
+        // Incomplete rules (no field picked yet) and empty sub-groups don't take part
+        const nodes = query.rules.filter(node => (FRAQuery.isGroup(node) ? !FRAQuery.isEmpty(node) : !!node.field));
+        const test = node => (FRAQuery.isGroup(node) ? FRAQuery.matches(node, props) : FRAQuery.test(node, props || {}));
+        return query.op === 'or' ? nodes.some(test) : nodes.every(test);
+    }
+
+    static test(rule, props) {
+        const operator = FRAQuery.OPERATORS[rule.operator];
+        if (!operator) return false;
+
+        const value = props[rule.field];
+        const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        if (operator.arity === 0) {
+            return operator.test(value, empty);
+        }
+        if (empty) return false;
+
+        // List attributes (e.g. livelihood_activities) match when any of their items does
+        return Array.isArray(value)
+            ? value.some(item => operator.test(item, rule.value))
+            : operator.test(value, rule.value);
+    }
+
+    // Field descriptions for the builder: { key, type: 'number' | 'boolean' | 'list' | 'text', values, min, max }
+    static fields(features, maxValues = FRAQuery.MAX_VALUES) {
+        const seen = new Map();
+
+        features.forEach(feature => {
+            Object.entries(feature.properties || {}).forEach(([key, value]) => {
+                if (value === null || value === undefined || value === '' || (typeof value === 'object' && !Array.isArray(value))) return;
+                if (!seen.has(key)) {
+                    seen.set(key, { key, types: new Set(), values: new Set(), min: Infinity, max: -Infinity });
+                }
+                const field = seen.get(key);
+                const items = Array.isArray(value) ? value : [value];
+
+                field.types.add(Array.isArray(value) ? 'list' : FRAQuery.typeOf(value));
+                items.forEach(item => {
+                    if (field.values.size <= maxValues) field.values.add(item);
+                    const number = parseFloat(item);
+                    if (!Array.isArray(value) && Number.isFinite(number)) {
+                        field.min = Math.min(field.min, number);
+                        field.max = Math.max(field.max, number);
+                    }
+                });
+            });
+        });
+
+        return [...seen.values()]
+            .map(field => {
+                // Mixed columns fall back to text, which every operator but the numeric ones handles
+                const type = field.types.size === 1 ? [...field.types][0] : 'text';
+                return {
+                    key: field.key,
+                    type,
+                    // Only small vocabularies are offered as choices; ids and free text are typed in
+                    values: type !== 'number' && field.values.size <= maxValues ? [...field.values].map(String).sort() : null,
+                    min: type === 'number' ? field.min : null,
+                    max: type === 'number' ? field.max : null
+                };
+            })
+            .sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    static typeOf(value) {
+        if (typeof value === 'boolean' || value === 'true' || value === 'false') return 'boolean';
+        if (typeof value === 'number') return 'number';
+        return 'text';
+    }
+
+    static operatorsFor(type) {
+        return Object.entries(FRAQuery.OPERATORS)
+            .filter(([, operator]) => operator.types.includes(type))
+            .map(([key]) => key);
+    }
+
+    // e.g. (data_quality_score ≥ 0.8 AND dependence_level is one of High, Medium)
+    static describe(query, nested = false) {
+        const nodes = query.rules.filter(node => (FRAQuery.isGroup(node) ? !FRAQuery.isEmpty(node) : !!node.field));
+        const text = nodes
+            .map(node => (FRAQuery.isGroup(node) ? FRAQuery.describe(node, true) : FRAQuery.describeRule(node)))
+            .join(` ${I18n.t(query.op === 'or' ? 'OR' : 'AND')} `);
+        return nested && nodes.length > 1 ? `(${text})` : text;
+    }
+
+    static describeRule(rule) {
+        const operator = FRAQuery.OPERATORS[rule.operator];
+        if (!operator) return rule.field;
+
+        const label = I18n.t(operator.label);
+        if (operator.arity === 0) return `${rule.field} ${label}`;
+        if (operator.arity === 2) {
+            return `${rule.field} ${label} ${I18n.number(rule.value[0])} ${I18n.t('and')} ${I18n.number(rule.value[1])}`;
+        }
+        const value = Array.isArray(rule.value) ? rule.value.join(', ') : rule.value;
+        return `${rule.field} ${label} ${value}`;
+    }
+
+    // Compact JSON for permalinks and saved queries; anything unreadable decodes to null
+    static encode(query) {
+        return FRAQuery.isEmpty(query) ? '' : JSON.stringify(query);
+    }
+
+    static decode(text) {
+        if (!text) return null;
+
+        try {
+            const query = typeof text === 'string' ? JSON.parse(text) : text;
+            return FRAQuery.isGroup(query) && !FRAQuery.isEmpty(query) ? query : null;
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable query:', error);
+            return null;
+        }
+    }
+}
+
+// Distinct values above which a text field is typed in rather than picked from a list
+FRAQuery.MAX_VALUES = 40;
+
+// arity: 0 takes no value, 1 a single value (or a list for the set operators), 2 a [min, max] range
+FRAQuery.OPERATORS = {
+    eq: { label: '=', arity: 1, types: ['number', 'text', 'list'], test: (a, b) => (typeof a === 'number' ? a === parseFloat(b) : String(a) === String(b)) },
+    ne: { label: '≠', arity: 1, types: ['number', 'text'], test: (a, b) => (typeof a === 'number' ? a !== parseFloat(b) : String(a) !== String(b)) },
+    lt: { label: '<', arity: 1, types: ['number'], test: (a, b) => parseFloat(a) < parseFloat(b) },
+    le: { label: '≤', arity: 1, types: ['number'], test: (a, b) => parseFloat(a) <= parseFloat(b) },
+    gt: { label: '>', arity: 1, types: ['number'], test: (a, b) => parseFloat(a) > parseFloat(b) },
+    ge: { label: '≥', arity: 1, types: ['number'], test: (a, b) => parseFloat(a) >= parseFloat(b) },
+    between: { label: 'between', arity: 2, types: ['number'], test: (a, b) => parseFloat(a) >= parseFloat(b[0]) && parseFloat(a) <= parseFloat(b[1]) },
+    in: { label: 'is one of', arity: 1, types: ['text', 'list', 'number'], test: (a, b) => [].concat(b).map(String).includes(String(a)) },
+    notIn: { label: 'is not one of', arity: 1, types: ['text', 'number'], test: (a, b) => ![].concat(b).map(String).includes(String(a)) },
+    contains: { label: 'contains', arity: 1, types: ['text', 'list'], test: (a, b) => String(a).toLowerCase().includes(String(b).toLowerCase()) },
+    isTrue: { label: 'is true', arity: 0, types: ['boolean'], test: (a) => a === true || a === 'true' },
+    isFalse: { label: 'is false', arity: 0, types: ['boolean'], test: (a) => a === false || a === 'false' },
+    isEmpty: { label: 'is empty', arity: 0, types: ['number', 'text', 'list', 'boolean'], test: (a, empty) => empty },
+    notEmpty: { label: 'is not empty', arity: 0, types: ['number', 'text', 'list', 'boolean'], test: (a, empty) => !empty }
+};
@@ -0,0 +1,236 @@
+/**
+ * Vanachitra.AI - FRA Claim Schema Adapter
+ * Maps every FRA GeoJSON variant (vanachitra_fra_data, fra_claims*) onto one canonical claim record
+ */
+
+class FRAClaimSchema {
+    constructor() {
+        // Normalized records are cached per feature object so repeated styling,
+        // filtering and statistics passes don't redo the field juggling
+        this.cache = new WeakMap();
+        this.resetReport();
+    }
+
+    resetReport() {
+        this.report = {
+            features: 0,
+            unknownTypes: {},
+            unknownStatuses: {},
+            missingFields: {}
+        };
+    }
+
+    claim(feature) {
+        if (this.cache.has(feature)) {
+            return this.cache.get(feature);
+        }
+
+        const record = this.normalize(feature);
+        this.cache.set(feature, record);
+        return record;
+    }
+
+    // Drop the cached record after a feature's properties were edited in place
+    forget(feature) {
+        this.cache.delete(feature);
+    }
+
+    normalizeAll(features) {
+        return (features || []).map(feature => this.claim(feature));
+    }
+
+    normalize(feature) {
+        const props = (feature && feature.properties) || {};
+        this.report.features++;
+
+        // Type: vanachitra uses claim_type/fra_type (long name)/feature_type,
+        // fra_claims uses fra_type (code) plus fra_type_name
+        const rawType = FRAClaimSchema.firstDefined(props, ['claim_type', 'fra_type', 'feature_type', 'fra_type_name']);
+        const type = ['claim_type', 'fra_type', 'feature_type', 'fra_type_name']
+            .map(key => FRAClaimSchema.normalizeType(props[key]))
+            .find(Boolean) || null;
+
+        if (!type) {
+            this.recordIssue('unknownTypes', rawType === undefined ? '(missing)' : rawType);
+        }
+
+        // Status: "Approved" in vanachitra, "approved" + status_name in fra_claims
+        const rawStatus = FRAClaimSchema.firstDefined(props, ['status', 'status_name']);
+        const status = FRAClaimSchema.normalizeStatus(props.status) ||
+            FRAClaimSchema.normalizeStatus(props.status_name);
+        const typeInfo = FRAClaimSchema.TYPES[type];
+        const kind = typeInfo ? typeInfo.kind : null;
+
+        if (rawStatus !== undefined && !status) {
+            this.recordIssue('unknownStatuses', rawStatus);
+        } else if (rawStatus === undefined && kind === 'claim') {
+            this.recordIssue('missingFields', 'status');
+        }
+
+        // Area in hectares, whichever unit the source carries
+        const area = FRAClaimSchema.readArea(props);
+        if (area === null) {
+            this.recordIssue('missingFields', 'area');
+        }
+
+        const id = FRAClaimSchema.firstDefined(props, ['claim_id', 'feature_id']);
+        if (id === undefined) {
+            this.recordIssue('missingFields', 'id');
+        }
+
+        const centroidLat = parseFloat(props.centroid_lat);
+        const centroidLon = parseFloat(props.centroid_lon);
+
+        return {
+            id: id === undefined ? null : String(id),
+            kind,
+            type,
+            typeName: props.fra_type_name || (typeInfo ? typeInfo.name : rawType) || null,
+            status,
+            statusName: props.status_name || (status ? FRAClaimSchema.STATUSES[status].name : rawStatus) || null,
+            area: area === null ? 0 : area,
+            state: props.state || null,
+            district: props.district || null,
+            block: props.block || null,
+            village: props.village || null,
+            panchayat: props.panchayat || null,
+            gramSabha: props.gram_sabha || null,
+            householdHead: props.household_head || props.applicant_name || null,
+            households: FRAClaimSchema.firstDefined(props, ['total_households', 'beneficiary_households']) ?? null,
+            familyMembers: props.family_members ?? null,
+            tribalCommunity: props.tribal_community || null,
+            surveyNumber: props.survey_number || null,
+            submissionDate: props.submission_date || null,
+            lastUpdated: props.last_updated || null,
+            centroid: isNaN(centroidLat) || isNaN(centroidLon) ? null : [centroidLat, centroidLon],
+            properties: props
+        };
+    }
+
+    recordIssue(bucket, value) {
+        const key = String(value);
+        this.report[bucket][key] = (this.report[bucket][key] || 0) + 1;
+    }
+
+    hasIssues() {
+        return ['unknownTypes', 'unknownStatuses', 'missingFields']
+            .some(bucket => Object.keys(this.report[bucket]).length > 0);
+    }
+
+    getReport() {
+        return JSON.parse(JSON.stringify(this.report));
+    }
+
+    logReport(source) {
+        if (this.hasIssues()) {
+            console.warn(`⚠️ Unmapped FRA values in ${source}:`, this.getReport());
+        }
+    }
+
+    // Claim ids repeat across villages, so the village picks between duplicates; without
+    // a match there the first claim with the id wins, as find_claim does on the server
+    findClaim(features, id, village = null) {
+        const matches = features.filter(feature => this.claim(feature).id === id);
+        return (village && matches.find(feature => this.claim(feature).village === village)) || matches[0] || null;
+    }
+
+    matchesType(record, filterValue) {
+        return !filterValue || record.type === FRAClaimSchema.normalizeType(filterValue);
+    }
+
+    matchesStatus(record, filterValue) {
+        return !filterValue || record.status === FRAClaimSchema.normalizeStatus(filterValue);
+    }
+
+    static typeIcon(type) {
+        const info = FRAClaimSchema.TYPES[type];
+        return info ? info.icon : '📍';
+    }
+
+    static statusIcon(status) {
+        const info = FRAClaimSchema.STATUSES[status];
+        return info ? info.icon : '❓';
+    }
+
+    static statusColor(status) {
+        const info = FRAClaimSchema.STATUSES[status];
+        return info ? info.color : '#7f8c8d';
+    }
+
+    // Only the latest status is recorded; before last_updated the claim is taken to be
+    // as filed. Without last_updated the current status is the best we know.
+    static statusAsOf(record, isoDate) {
+        if (record.submissionDate && isoDate < record.submissionDate) return null;
+        if (record.lastUpdated && isoDate < record.lastUpdated) return 'submitted';
+        return record.status;
+    }
+
+    static normalizeType(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const key = String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+        return FRAClaimSchema.TYPE_ALIASES[key] || null;
+    }
+
+    static normalizeStatus(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        return FRAClaimSchema.STATUSES[key] ? key : null;
+    }
+
+    static readArea(props) {
+        const hectares = FRAClaimSchema.firstDefined(props, ['area_claimed', 'area_hectares', 'claim_area_ha']);
+        if (hectares !== undefined && !isNaN(parseFloat(hectares))) {
+            return parseFloat(hectares);
+        }
+
+        if (props.claim_area_acres !== undefined && !isNaN(parseFloat(props.claim_area_acres))) {
+            return parseFloat(props.claim_area_acres) * 0.404686;
+        }
+
+        if (props.area_km2 !== undefined && !isNaN(parseFloat(props.area_km2))) {
+            return parseFloat(props.area_km2) * 100;
+        }
+
+        return null;
+    }
+
+    static firstDefined(props, keys) {
+        const key = keys.find(k => props[k] !== undefined && props[k] !== null && props[k] !== '');
+        return key === undefined ? undefined : props[key];
+    }
+}
+
+// Canonical FRA/feature types; keys double as style keys in both viewers
+FRAClaimSchema.TYPES = {
+    CFR: { name: 'Community Forest Resource Rights', icon: '🌲', kind: 'claim' },
+    IFR: { name: 'Individual Forest Rights', icon: '🏠', kind: 'claim' },
+    CR: { name: 'Community Rights', icon: '🤝', kind: 'claim' },
+    Agriculture: { name: 'Agriculture', icon: '🌾', kind: 'landuse' },
+    'Water Body': { name: 'Water Body', icon: '💧', kind: 'landuse' }
+};
+
+// Canonical statuses across both datasets (vanachitra uses the first three)
+FRAClaimSchema.STATUSES = {
+    approved: { name: 'Approved', icon: '✅', color: '#2ecc71' },
+    pending: { name: 'Pending', icon: '⏳', color: '#f1c40f' },
+    under_review: { name: 'Under Review', icon: '🔄', color: '#3498db' },
+    submitted: { name: 'Submitted', icon: '📨', color: '#bdc3c7' },
+    field_verification: { name: 'Field Verification', icon: '🔍', color: '#1abc9c' },
+    rejected: { name: 'Rejected', icon: '❌', color: '#e74c3c' },
+    disputed: { name: 'Disputed', icon: '⚠️', color: '#e67e22' },
+    appealed: { name: 'Appealed', icon: '⚖️', color: '#9b59b6' }
+};
+
+// Every spelling of a type we have seen in the generated GeoJSON files
+FRAClaimSchema.TYPE_ALIASES = {
+    'cfr': 'CFR',
+    'community forest resource rights': 'CFR',
+    'community forest rights': 'CFR',
+    'ifr': 'IFR',
+    'individual forest rights': 'IFR',
+    'cr': 'CR',
+    'community rights': 'CR',
+    'community resource rights': 'CR',
+    'agriculture': 'Agriculture',
+    'water body': 'Water Body'
+};
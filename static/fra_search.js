@@ -0,0 +1,198 @@
+/**
+ * Vanachitra.AI - Fuzzy Claim Search
+ * Typo-tolerant, transliteration-friendly lookup over claim ids, places, gram sabhas and households
+ */
+
+class FRASearch {
+    constructor(schema) {
+        this.schema = schema;
+        this.entries = [];
+    }
+
+    // One entry per searchable value; shared values (a village, a community) collect every feature carrying them
+    build(features) {
+        const entries = new Map();
+
+        features.forEach((feature, index) => {
+            const claim = this.schema.claim(feature);
+
+            FRASearch.FIELDS.forEach(({ kind, field, scope, detail }) => {
+                const value = claim[field];
+                if (value === null || value === undefined || value === '') return;
+
+                const label = String(value);
+                const key = FRASearch.normalize(label);
+                if (!key) return;
+
+                // Per-feature fields are keyed by position (claim ids aren't guaranteed unique);
+                // shared ones by value within their scope
+                const id = scope ? `${kind}|${key}|${scope(claim)}` : `${kind}|#${index}`;
+                let entry = entries.get(id);
+                if (!entry) {
+                    entry = {
+                        kind,
+                        label,
+                        detail: detail(claim),
+                        key,
+                        compact: key.replace(/ /g, ''),
+                        tokens: key.split(' '),
+                        features: []
+                    };
+                    entries.set(id, entry);
+                }
+                entry.features.push(feature);
+            });
+        });
+
+        this.entries = [...entries.values()];
+        this.entries.forEach(entry => {
+            if (entry.features.length > 1) {
+                entry.detail = `${entry.detail} • ${entry.features.length} features`;
+            }
+        });
+
+        console.log(`🔎 Search index built: ${this.entries.length} entries`);
+        return this;
+    }
+
+    // Ranked suggestions grouped by kind; groups ordered by their best match
+    search(text, limit = 5) {
+        const query = FRASearch.prepare(text);
+        if (!query) return [];
+
+        const groups = new Map();
+        this.entries.forEach(entry => {
+            const score = FRASearch.score(query, entry);
+            if (score <= 0) return;
+
+            if (!groups.has(entry.kind)) {
+                groups.set(entry.kind, []);
+            }
+            groups.get(entry.kind).push({ ...entry, score });
+        });
+
+        const kinds = Object.keys(FRASearch.KINDS);
+        return [...groups.entries()]
+            .map(([kind, items]) => ({
+                kind,
+                ...FRASearch.KINDS[kind],
+                items: items
+                    .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+                    .slice(0, limit)
+            }))
+            .sort((a, b) => b.items[0].score - a.items[0].score || kinds.indexOf(a.kind) - kinds.indexOf(b.kind));
+    }
+
+    static prepare(text) {
+        const key = FRASearch.normalize(text);
+        if (!key) return null;
+        return { key, compact: key.replace(/ /g, ''), tokens: key.split(' ') };
+    }
+
+    static score(query, entry) {
+        if (entry.key === query.key) return 1;
+        if (entry.key.startsWith(query.key)) return 0.95;
+        // "cfrtekum001" for CFR_TE_KUM_001
+        if (entry.compact.startsWith(query.compact)) return 0.9;
+        if (entry.key.includes(query.key)) return 0.8;
+
+        // Otherwise every query word has to resemble some word of the entry
+        let total = 0;
+        for (const token of query.tokens) {
+            const best = Math.max(...entry.tokens.map(word => FRASearch.tokenScore(token, word)));
+            if (best < FRASearch.MIN_TOKEN_SCORE) return 0;
+            total += best;
+        }
+        return 0.75 * total / query.tokens.length;
+    }
+
+    static tokenScore(token, word) {
+        if (word === token) return 1;
+        if (word.startsWith(token)) return 0.9;
+
+        // Numbers (survey numbers, claim serials) must match exactly; too short a word can't carry a typo
+        if (/^\d+$/.test(token) || token.length < 3) return 0;
+
+        const full = 1 - FRASearch.editDistance(token, word) / Math.max(token.length, word.length);
+        // Compare against the start of the word too, so a half-typed word with a typo still matches
+        const prefix = word.length > token.length
+            ? 0.9 * (1 - FRASearch.editDistance(token, word.slice(0, token.length)) / token.length)
+            : 0;
+
+        return Math.max(full, prefix);
+    }
+
+    // Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+    static editDistance(a, b) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+        }
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    // Folds the spelling variants romanized Indic names come in ("Bheem"/"Bhim", "Shyam"/"Syam")
+    static normalize(text) {
+        let key = String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+
+        FRASearch.TRANSLITERATIONS.forEach(([pattern, replacement]) => {
+            key = key.replace(pattern, replacement);
+        });
+        return key;
+    }
+}
+
+// Order matters: aspirates first, doubled letters last
+FRASearch.TRANSLITERATIONS = [
+    [/([bcdgjkprst])h+/g, '$1'],
+    [/f/g, 'p'],
+    [/w/g, 'v'],
+    [/z/g, 'j'],
+    [/q/g, 'k'],
+    [/x/g, 'ks'],
+    [/y/g, 'i'],
+    [/ee/g, 'i'],
+    [/oo/g, 'u'],
+    [/([a-z])\1+/g, '$1']
+];
+
+FRASearch.MIN_TOKEN_SCORE = 0.6;
+
+FRASearch.KINDS = {
+    claim: { label: 'Claims', icon: '📄' },
+    household: { label: 'Household Heads', icon: '👤' },
+    survey: { label: 'Survey Numbers', icon: '🔢' },
+    village: { label: 'Villages', icon: '🏘️' },
+    gramSabha: { label: 'Gram Sabhas', icon: '🏛️' },
+    district: { label: 'Districts', icon: '🗺️' },
+    community: { label: 'Tribal Communities', icon: '👥' }
+};
+
+// Which record fields are searchable; `scope` marks values shared between features
+FRASearch.FIELDS = [
+    { kind: 'claim', field: 'id', detail: c => `${c.typeName} • ${c.village}, ${c.district}` },
+    { kind: 'household', field: 'householdHead', detail: c => `${c.id} • ${c.village}` },
+    { kind: 'survey', field: 'surveyNumber', detail: c => `${c.id} • ${c.village}` },
+    { kind: 'village', field: 'village', scope: c => `${c.district}|${c.state}`, detail: c => `${c.district}, ${c.state}` },
+    { kind: 'gramSabha', field: 'gramSabha', scope: c => `${c.village}|${c.district}`, detail: c => `${c.village}, ${c.district}` },
+    { kind: 'district', field: 'district', scope: c => c.state, detail: c => c.state },
+    { kind: 'community', field: 'tribalCommunity', scope: () => '', detail: () => 'Tribal community' }
+];
@@ -0,0 +1,329 @@
+/**
+ * Vanachitra.AI - Geometry Utilities
+ * Polygon predicates and geodesic measurements on GeoJSON [lon, lat] coordinates
+ */
+
+class GeoUtils {
+    // Normalize Polygon/MultiPolygon geometries to a list of polygons ([outer, ...holes])
+    static polygons(featureOrGeometry) {
+        const geometry = featureOrGeometry && featureOrGeometry.type === 'Feature'
+            ? featureOrGeometry.geometry
+            : featureOrGeometry;
+        if (!geometry) return [];
+
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        return [];
+    }
+
+    static pointInRing(point, ring) {
+        const [x, y] = point;
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    static pointInPolygon(point, polygon) {
+        if (!GeoUtils.pointInRing(point, polygon[0])) return false;
+        return !polygon.slice(1).some(hole => GeoUtils.pointInRing(point, hole));
+    }
+
+    static pointInGeometry(point, featureOrGeometry) {
+        return GeoUtils.polygons(featureOrGeometry).some(polygon => GeoUtils.pointInPolygon(point, polygon));
+    }
+
+    // Proper crossing of segments ab and cd (touching endpoints don't count)
+    static segmentsCross(a, b, c, d) {
+        const orient = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+        const d1 = orient(c, d, a);
+        const d2 = orient(c, d, b);
+        const d3 = orient(a, b, c);
+        const d4 = orient(a, b, d);
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    static ringsCross(ringA, ringB) {
+        for (let i = 0; i < ringA.length - 1; i++) {
+            for (let j = 0; j < ringB.length - 1; j++) {
+                if (GeoUtils.segmentsCross(ringA[i], ringA[i + 1], ringB[j], ringB[j + 1])) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    static vertices(featureOrGeometry) {
+        const points = [];
+        GeoUtils.polygons(featureOrGeometry).forEach(polygon => {
+            // Closing vertex repeats the first one
+            polygon[0].slice(0, -1).forEach(point => points.push(point));
+        });
+        return points;
+    }
+
+    // Share of the inner feature's vertices that fall inside the outer feature
+    static vertexCoverage(inner, outer) {
+        const points = GeoUtils.vertices(inner);
+        if (points.length === 0) return { inside: 0, total: 0 };
+
+        const inside = points.filter(point => GeoUtils.pointInGeometry(point, outer)).length;
+        return { inside, total: points.length };
+    }
+
+    // True when every part of inner lies within outer: all vertices inside and no boundary crossings
+    static within(inner, outer) {
+        const coverage = GeoUtils.vertexCoverage(inner, outer);
+        if (coverage.total === 0 || coverage.inside < coverage.total) return false;
+
+        const outerRings = GeoUtils.polygons(outer).flat();
+        return !GeoUtils.polygons(inner).some(polygon =>
+            outerRings.some(ring => GeoUtils.ringsCross(polygon[0], ring))
+        );
+    }
+
+    static intersects(a, b) {
+        if (GeoUtils.vertexCoverage(a, b).inside > 0 || GeoUtils.vertexCoverage(b, a).inside > 0) {
+            return true;
+        }
+
+        const ringsA = GeoUtils.polygons(a).map(polygon => polygon[0]);
+        const ringsB = GeoUtils.polygons(b).map(polygon => polygon[0]);
+        return ringsA.some(ringA => ringsB.some(ringB => GeoUtils.ringsCross(ringA, ringB)));
+    }
+
+    // Signed shoelace area of a ring in squared degrees (counter-clockwise positive)
+    static ringArea(ring) {
+        let area = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+        }
+        return -area / 2;
+    }
+
+    static planarArea(featureOrGeometry) {
+        return GeoUtils.polygons(featureOrGeometry).reduce((sum, polygon) => {
+            const holes = polygon.slice(1).reduce((h, ring) => h + Math.abs(GeoUtils.ringArea(ring)), 0);
+            return sum + Math.abs(GeoUtils.ringArea(polygon[0])) - holes;
+        }, 0);
+    }
+
+    // Geodesic area of a ring in square metres (spherical excess on the WGS84 radius)
+    static geodesicRingArea(ring) {
+        const d2r = Math.PI / 180;
+        let area = 0;
+
+        for (let i = 0; i < ring.length - 1; i++) {
+            const p1 = ring[i];
+            const p2 = ring[i + 1];
+            area += (p2[0] - p1[0]) * d2r * (2 + Math.sin(p1[1] * d2r) + Math.sin(p2[1] * d2r));
+        }
+
+        return Math.abs(area * GeoUtils.EARTH_RADIUS * GeoUtils.EARTH_RADIUS / 2);
+    }
+
+    static geodesicArea(featureOrGeometry) {
+        return GeoUtils.polygons(featureOrGeometry).reduce((sum, polygon) => {
+            const holes = polygon.slice(1).reduce((h, ring) => h + GeoUtils.geodesicRingArea(ring), 0);
+            return sum + GeoUtils.geodesicRingArea(polygon[0]) - holes;
+        }, 0);
+    }
+
+    static geodesicAreaHectares(featureOrGeometry) {
+        return GeoUtils.geodesicArea(featureOrGeometry) / 10000;
+    }
+
+    // Ear-clipping triangulation of a simple ring into counter-clockwise [a, b, c] triangles
+    static triangulate(ring) {
+        const closed = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+        let points = closed ? ring.slice(0, -1) : ring.slice();
+        if (GeoUtils.ringArea([...points, points[0]]) < 0) {
+            points = points.reverse();
+        }
+
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const inTriangle = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+        const triangles = [];
+        const remaining = points.map((point, i) => i);
+
+        while (remaining.length > 3) {
+            let clipped = false;
+
+            for (let i = 0; i < remaining.length; i++) {
+                const prev = points[remaining[(i + remaining.length - 1) % remaining.length]];
+                const current = points[remaining[i]];
+                const next = points[remaining[(i + 1) % remaining.length]];
+                const turn = cross(prev, current, next);
+
+                // Collinear vertices add no area and can never be ears
+                if (Math.abs(turn) < 1e-18) {
+                    remaining.splice(i, 1);
+                    clipped = true;
+                    break;
+                }
+                if (turn < 0) continue;
+
+                const blocked = remaining.some(index => {
+                    const p = points[index];
+                    return p !== prev && p !== current && p !== next &&
+                        !(p[0] === current[0] && p[1] === current[1]) && inTriangle(p, prev, current, next);
+                });
+                if (!blocked) {
+                    triangles.push([prev, current, next]);
+                    remaining.splice(i, 1);
+                    clipped = true;
+                    break;
+                }
+            }
+
+            // Self-intersecting rings have no ear left; fan out the rest rather than loop forever
+            if (!clipped) {
+                for (let i = 1; i < remaining.length - 1; i++) {
+                    triangles.push([points[remaining[0]], points[remaining[i]], points[remaining[i + 1]]]);
+                }
+                return triangles;
+            }
+        }
+
+        if (remaining.length === 3) {
+            triangles.push(remaining.map(index => points[index]));
+        }
+        return triangles;
+    }
+
+    // Sutherland-Hodgman: the part of any ring inside a convex counter-clockwise ring, unclosed
+    static clipToConvex(subject, clip) {
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        let output = subject.slice();
+
+        for (let i = 0; i < clip.length && output.length > 0; i++) {
+            const a = clip[i];
+            const b = clip[(i + 1) % clip.length];
+            const input = output;
+            output = [];
+
+            input.forEach((current, j) => {
+                const previous = input[(j + input.length - 1) % input.length];
+                const currentIn = cross(a, b, current) >= 0;
+                const previousIn = cross(a, b, previous) >= 0;
+
+                if (currentIn !== previousIn) {
+                    // Edge crosses the clip line: keep the crossing point
+                    const dp = cross(a, b, previous);
+                    const t = dp / (dp - cross(a, b, current));
+                    output.push([previous[0] + t * (current[0] - previous[0]), previous[1] + t * (current[1] - previous[1])]);
+                }
+                if (currentIn) {
+                    output.push(current);
+                }
+            });
+        }
+
+        return output;
+    }
+
+    // Intersection of two polygon features as closed rings, one per piece; outer rings only, as claim
+    // polygons carry no holes. The second feature is cut into triangles, so pieces tile the overlap
+    // rather than outline it; pass its triangles when intersecting the same feature repeatedly
+    static intersection(a, b, trianglesOfB = null) {
+        const triangles = trianglesOfB || GeoUtils.polygons(b).flatMap(polygon => GeoUtils.triangulate(polygon[0]));
+        const pieces = [];
+
+        GeoUtils.polygons(a).forEach(polygon => {
+            const subject = polygon[0].slice(0, -1);
+            triangles.forEach(triangle => {
+                const piece = GeoUtils.clipToConvex(subject, triangle);
+                if (piece.length >= 3 && Math.abs(GeoUtils.ringArea([...piece, piece[0]])) > 0) {
+                    pieces.push([...piece, piece[0]]);
+                }
+            });
+        });
+
+        return pieces;
+    }
+
+    // Great-circle distance in metres between two [lon, lat] points (haversine)
+    static distance(a, b) {
+        const d2r = Math.PI / 180;
+        const dLat = (b[1] - a[1]) * d2r;
+        const dLon = (b[0] - a[0]) * d2r;
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(a[1] * d2r) * Math.cos(b[1] * d2r) * Math.sin(dLon / 2) ** 2;
+        return 2 * GeoUtils.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    static lineLength(coords) {
+        let length = 0;
+        for (let i = 1; i < coords.length; i++) {
+            length += GeoUtils.distance(coords[i - 1], coords[i]);
+        }
+        return length;
+    }
+
+    // Geodesic perimeter in metres, holes included
+    static perimeter(featureOrGeometry) {
+        return GeoUtils.polygons(featureOrGeometry)
+            .reduce((sum, polygon) => sum + polygon.reduce((s, ring) => s + GeoUtils.lineLength(ring), 0), 0);
+    }
+
+    // Area-weighted centroid as [lon, lat]; falls back to the vertex mean for degenerate rings
+    static centroid(featureOrGeometry) {
+        let cx = 0;
+        let cy = 0;
+        let total = 0;
+
+        GeoUtils.polygons(featureOrGeometry).forEach(polygon => {
+            const ring = polygon[0];
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+                cx += (ring[j][0] + ring[i][0]) * cross;
+                cy += (ring[j][1] + ring[i][1]) * cross;
+                total += cross;
+            }
+        });
+
+        if (Math.abs(total) < 1e-12) {
+            const points = GeoUtils.vertices(featureOrGeometry);
+            if (points.length === 0) return null;
+            return [
+                points.reduce((s, p) => s + p[0], 0) / points.length,
+                points.reduce((s, p) => s + p[1], 0) / points.length
+            ];
+        }
+
+        return [cx / (3 * total), cy / (3 * total)];
+    }
+
+    // Convex hull of [lon, lat] points as a closed counter-clockwise ring (Andrew's monotone chain)
+    static convexHull(points) {
+        const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        if (sorted.length < 3) return null;
+
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const half = (list) => {
+            const chain = [];
+            list.forEach(point => {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                    chain.pop();
+                }
+                chain.push(point);
+            });
+            chain.pop();
+            return chain;
+        };
+
+        const hull = [...half(sorted), ...half([...sorted].reverse())];
+        if (hull.length < 3) return null;
+        return [...hull, hull[0]];
+    }
+}
+
+GeoUtils.EARTH_RADIUS = 6378137;
@@ -0,0 +1,165 @@
+/**
+ * Vanachitra.AI - Translations
+ * Locale bundles keyed by the English UI text, the language switcher and locale-aware number and date formatting
+ */
+
+class I18n {
+    // Called once by each viewer before it builds any UI, so the first render is already in the saved language
+    static init() {
+        I18n.locale = I18n.readLocale();
+        document.documentElement.lang = I18n.locale;
+        I18n.translate();
+    }
+
+    // bundle: { name, intl, messages }; name is shown in the switcher in its own script
+    static register(locale, bundle) {
+        I18n.bundles[locale] = { messages: {}, ...bundle };
+    }
+
+    static setLocale(locale) {
+        if (!I18n.bundles[locale] || locale === I18n.locale) return;
+
+        I18n.locale = locale;
+        document.documentElement.lang = locale;
+        try {
+            localStorage.setItem(I18n.STORAGE_KEY, locale);
+        } catch (error) {
+            // Private browsing can refuse storage; the choice just won't be remembered
+        }
+
+        I18n.translate();
+        I18n.listeners.forEach(listener => listener(locale));
+    }
+
+    // listener: (locale) => void, to redraw whatever was rendered from strings in code
+    static onChange(listener) {
+        I18n.listeners.push(listener);
+    }
+
+    // Message ids are the English text; untranslated ones fall back to it. {name} placeholders take params.name
+    static t(message, params = {}) {
+        const bundle = I18n.bundles[I18n.locale];
+        const text = (bundle && bundle.messages[message]) || message;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    static has(message) {
+        const bundle = I18n.bundles[I18n.locale];
+        return !!(bundle && bundle.messages[message]);
+    }
+
+    // Datasets spell types differently ("Community Forest Rights"); try their name, then the schema's
+    static typeName(type, name = null) {
+        const canonical = FRAClaimSchema.TYPES[type] ? FRAClaimSchema.TYPES[type].name : null;
+        return I18n.firstTranslated([name, canonical]) || name || canonical || type;
+    }
+
+    static statusName(status, name = null) {
+        const canonical = FRAClaimSchema.STATUSES[status] ? FRAClaimSchema.STATUSES[status].name : null;
+        return I18n.firstTranslated([name, canonical]) || name || canonical || status;
+    }
+
+    static firstTranslated(messages) {
+        const message = messages.find(m => m && I18n.has(m));
+        return message ? I18n.t(message) : null;
+    }
+
+    static number(value, options = {}) {
+        return new Intl.NumberFormat(I18n.intl(), options).format(value);
+    }
+
+    // Localized toFixed
+    static fixed(value, digits) {
+        return I18n.number(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+
+    // value: a Date or 'YYYY-MM-DD'; dates are calendar days, so they are formatted in UTC
+    static date(value, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        const match = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})/.exec(value) : null;
+        const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : value;
+        if (!(date instanceof Date) || isNaN(date.getTime())) return value;
+
+        return new Intl.DateTimeFormat(I18n.intl(), { ...options, timeZone: 'UTC' }).format(date);
+    }
+
+    static intl() {
+        return I18n.bundles[I18n.locale].intl;
+    }
+
+    // Markup opts in with data-i18n (text) and data-i18n-title / -aria-label / -placeholder; an empty
+    // attribute is filled with the English it had on first pass, so the page itself holds the message ids
+    static translate(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (!element.dataset.i18n) {
+                element.dataset.i18n = element.textContent.trim();
+            }
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = I18n.t(element.dataset.i18n, params);
+        });
+
+        I18n.ATTRIBUTES.forEach(attribute => {
+            const key = `i18n${attribute.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase())}`;
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                if (!element.dataset[key]) {
+                    element.dataset[key] = element.getAttribute(attribute) || '';
+                }
+                element.setAttribute(attribute, I18n.t(element.dataset[key]));
+            });
+        });
+    }
+
+    // For text that code changes later (toggle buttons, counts): records the message so a language switch redraws it
+    static setText(element, message, params = null) {
+        element.dataset.i18n = message;
+        if (params) {
+            element.dataset.i18nParams = JSON.stringify(params);
+        } else {
+            delete element.dataset.i18nParams;
+        }
+        element.textContent = I18n.t(message, params || {});
+    }
+
+    // Same for a title, aria-label or placeholder
+    static setAttribute(element, attribute, message) {
+        element.setAttribute(`data-i18n-${attribute}`, message);
+        element.setAttribute(attribute, I18n.t(message));
+    }
+
+    // Fills a <select> with the registered languages and switches on change
+    static bindSwitcher(select) {
+        select.innerHTML = Object.entries(I18n.bundles)
+            .map(([locale, bundle]) => `<option value="${locale}" lang="${locale}">${bundle.name}</option>`)
+            .join('');
+        select.value = I18n.locale;
+        select.addEventListener('change', () => I18n.setLocale(select.value));
+        I18n.onChange(locale => {
+            select.value = locale;
+        });
+    }
+
+    // The saved choice, else the browser's first language we have a bundle for
+    static readLocale() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(I18n.STORAGE_KEY);
+        } catch (error) {
+            // Storage may be unavailable; fall through to the browser languages
+        }
+        if (saved && I18n.bundles[saved]) return saved;
+
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => I18n.bundles[language]);
+        return preferred || 'en';
+    }
+}
+
+I18n.STORAGE_KEY = 'vanachitra.locale';
+I18n.ATTRIBUTES = ['title', 'aria-label', 'placeholder'];
+I18n.locale = 'en';
+I18n.listeners = [];
+
+// English is the source language: its bundle is empty and every message shows as written
+I18n.bundles = {
+    en: { name: 'English', intl: 'en-IN', messages: {} }
+};
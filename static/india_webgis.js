@@ -13,12 +13,41 @@ class IndiaWebGIS {
             baseLayers: {}
         };
         this.currentFilters = {};
-        this.data = {
-            assets: null,
-            fra: null,
-            admin: null
-        };
+        this.loaders = null;
+        this.aggregatesPending = null;
+        this.filterOptions = null;
+        this.claimLayers = new Map();
         this.selectedFeatures = new Set();
+        this.schema = new FRAClaimSchema();
+        this.assetRenderer = null;
+        this.layerOpacity = {};
+        this.layerControl = null;
+        this.overlayImporter = null;
+        this.selectedClaimId = null;
+        this.selectedClaimVillage = null;
+        this.timeSlider = null;
+        this.choropleth = null;
+        this.clusters = null;
+        this.heatmap = null;
+        this.boundaries = null;
+        this.dashboard = null;
+        this.measureTool = null;
+        this.overlaps = new FRAOverlaps(this.schema);
+        this.landCover = new FRALandCover();
+        this.overlapReport = null;
+        this.offlineStore = new OfflineStore('india');
+        this.offlinePanel = null;
+        this.printComposer = null;
+        this.featureNavigator = null;
+        this.featureTable = null;
+        this.attributeQuery = null;
+        this.queryBuilder = null;
+        this.selection = null;
+        this.exporter = null;
+        this.permalink = new Permalink({
+            getState: () => this.getPermalinkState(),
+            applyState: (state) => this.restorePermalink(state)
+        });
         
         // India bounding box
         this.indiaBounds = [[6.0, 68.0], [37.0, 97.0]];
@@ -91,6 +120,12 @@ class IndiaWebGIS {
                 fillOpacity: 0,
                 dashArray: '10, 5'
             },
+            block: {
+                color: '#566573',
+                weight: 1.5,
+                fillOpacity: 0,
+                dashArray: '8, 4'
+            },
             village: {
                 color: '#7f8c8d',
                 weight: 1,
@@ -109,12 +144,21 @@ class IndiaWebGIS {
     }
     
     async init() {
+        I18n.init();
         this.showLoading(true);
         this.initializeMap();
+        this.setupOverlayImport();
         this.setupEventListeners();
         this.setupOpacityControls();
         await this.loadData();
         this.setupLegend();
+        this.setupPrint();
+        this.setupAccessibility();
+        this.setupQueryBuilder();
+        this.setupSelection();
+        this.setupDashboard();
+        this.setupPermalink();
+        this.setupLanguage();
         this.showLoading(false);
     }
     
@@ -157,8 +201,8 @@ class IndiaWebGIS {
             'Terrain': terrainLayer
         };
         
-        // Add layer control
-        L.control.layers(this.layers.baseLayers).addTo(this.map);
+        // Add layer control (dropped files are added to it as overlays)
+        this.layerControl = L.control.layers(this.layers.baseLayers).addTo(this.map);
         
         // Add scale control
         L.control.scale({
@@ -167,6 +211,64 @@ class IndiaWebGIS {
             imperial: false
         }).addTo(this.map);
         
+        // Submission timeline; its range is set once the claims are loaded
+        this.timeSlider = new TimeSlider(this.map, {
+            position: 'bottomright',
+            onChange: () => {
+                this.updateLayerVisibility();
+                this.updateStatistics();
+            }
+        });
+        
+        // Regional roll-up standing in for the claims at low zooms
+        this.choropleth = new FRAChoropleth(this.map, this.schema, {
+            position: 'bottomright',
+            onModeChange: () => this.updateClaimPane(),
+            onToggle: (enabled) => {
+                if (enabled) this.clusters.setEnabled(false);
+            }
+        });
+        
+        // Or centroid bubbles, the other stand-in; switching one on switches the other off
+        this.clusters = new ClaimClusters(this.map, this.schema, {
+            position: 'bottomright',
+            featureZoom: this.choropleth.options.featureZoom,
+            typeColors: Object.fromEntries(Object.entries(this.fraStyles).map(([type, style]) => [type, style.fillColor])),
+            onSelect: (feature) => {
+                this.featureNavigator.select(feature);
+                this.featureNavigator.open();
+            },
+            onModeChange: () => this.updateClaimPane(),
+            onToggle: (enabled) => {
+                if (enabled) this.choropleth.setEnabled(false);
+            }
+        });
+        
+        // Where claims (or pending ones, or objections) concentrate; off until picked in the layer control.
+        // Leaflet can't rename entries, so the label stays in the language the page loaded in
+        this.heatmap = new ClaimHeatmap(this.map, this.schema);
+        this.layerControl.addOverlay(this.heatmap.layer, I18n.t('🔥 Claim density'));
+
+        // Distance/area measuring, also started from the 📏 map button
+        this.measureTool = new MeasureTool(this.map, {
+            position: 'topleft',
+            onStart: () => {
+                if (this.selection) this.selection.stopTool();
+            }
+        });
+
+        // Field downloads: the shown base map's tiles plus the claims and assets in view
+        this.offlinePanel = new OfflinePanel(this.map, this.offlineStore, {
+            position: 'topleft',
+            tileLayer: () => Object.values(this.layers.baseLayers).find(layer => this.map.hasLayer(layer)),
+            // Everything in the area rather than what passes the filters: offline, the filters run on this copy
+            collect: async (bounds) => ({
+                fra: await this.fetchArea('/api/fra-claims', bounds),
+                assets: await this.fetchArea('/api/assets', bounds)
+            })
+        });
+        OfflineStore.registerServiceWorker();
+
         // Add coordinate display
         this.map.on('mousemove', (e) => {
             this.updateCoordinateDisplay(e.latlng);
@@ -183,6 +285,25 @@ class IndiaWebGIS {
         });
     }
     
+    setupOverlayImport() {
+        this.overlayImporter = new OverlayImporter(this.map, {
+            getLayerControl: () => this.layerControl,
+            onComplete: (results) => {
+                const messages = OverlayImporter.summarize(results);
+                messages.forEach(message => console.log(message));
+
+                // One dialog listing every file that failed, not one per file
+                const failures = messages.filter((message, i) => results[i].error);
+                if (failures.length > 0) {
+                    this.showError(`${I18n.t('Could not import {failed} of {total} files:', {
+                        failed: failures.length,
+                        total: results.length
+                    })}\n${failures.join('\n')}`);
+                }
+            }
+        });
+    }
+    
     setupEventListeners() {
         // Layer toggles
         document.getElementById('assets-layer').addEventListener('change', (e) => {
@@ -244,46 +365,199 @@ class IndiaWebGIS {
         document.getElementById('fullscreen').addEventListener('click', () => {
             this.toggleFullscreen();
         });
+        
+        document.getElementById('find-overlaps').addEventListener('click', () => {
+            this.toggleOverlaps();
+        });
+        
+        document.getElementById('measure').addEventListener('click', () => {
+            this.measureTool.toggle('distance');
+        });
     }
     
     async loadData() {
         try {
-            // Load assets data
-            const assetsResponse = await fetch('/api/assets');
-            this.data.assets = await assetsResponse.json();
-            
-            // Load FRA claims data
-            const fraResponse = await fetch('/api/fra-claims');
-            this.data.fra = await fraResponse.json();
-            
-            // Generate administrative boundaries (since we don't have real data)
-            this.data.admin = await this.generateAdminBoundaries();
-            
-            // Create layers
+            // Create layers; their features arrive page by page for the view
             this.createAssetLayer();
             this.createFRALayer();
-            this.createAdminLayer();
+            // Boundaries first: they decide which region filters the server can apply
+            await this.createAdminLayer();
+            this.createLoaders();
+            
+            // Dropdowns and the timeline cover every claim, not just those loaded so far
+            const [options] = await Promise.all([this.fetchFilterOptions(), this.loadView()]);
+            this.scheduleAggregates();
+            this.schema.logReport('/api/fra-claims');
+            this.filterOptions = options || this.filterOptionsFrom(this.loaders.fra.features);
+            this.timeSlider.setRange(this.filterOptions.submission_range || []);
             
             // Populate filter options
             this.populateFilterOptions();
             
-            // Update statistics
-            this.updateStatistics();
+            this.map.on('moveend', () => {
+                this.updateStatistics();
+                this.loadView().catch(error => console.error('❌ Failed to load the claims in view:', error));
+            });
             
         } catch (error) {
             console.error('Error loading data:', error);
-            this.showError('Failed to load map data. Please refresh the page.');
+            this.showError(I18n.t('Failed to load map data. Please refresh the page.'));
         }
     }
     
-    createAssetLayer() {
-        if (!this.data.assets || !this.data.assets.features) return;
+    // Claims and assets are requested for the view with the filters the server understands;
+    // what it can't apply (boundary shapes, land cover, the timeline) is left to isClaimVisible
+    createLoaders() {
+        // Falls back to the copy saved with offline areas when the server can't be reached
+        const fallback = (key) => async () => {
+            const cached = await this.offlineStore.cachedData(key);
+            if (cached) {
+                this.offlinePanel.showCached();
+            }
+            return cached;
+        };
         
-        this.layers.assets = L.geoJSON(this.data.assets, {
-            style: (feature) => {
-                const assetType = feature.properties.class || 'agricultural';
-                return this.assetStyles[assetType] || this.assetStyles.agricultural;
-            },
+        this.loaders = {
+            fra: new PagedFeatureLoader({
+                url: '/api/fra-claims',
+                params: () => this.claimQuery(),
+                fallback: fallback('fra'),
+                onPage: (features) => {
+                    this.schema.normalizeAll(features);
+                    this.landCover.join(features, this.coverAssets());
+                    this.updateClaimLayers(features);
+                    this.scheduleAggregates();
+                }
+            }),
+            assets: new PagedFeatureLoader({
+                url: '/api/assets',
+                params: () => ({ asset_type: this.currentFilters.assetType, min_area: this.currentFilters.minArea }),
+                fallback: fallback('assets'),
+                onPage: (features) => {
+                    this.assetRenderer.addFeatures(features.filter(f => this.isAssetVisible(f.properties)));
+                    if (!this.hasAssetFilters()) {
+                        this.rejoinCover(features);
+                    }
+                    this.scheduleAggregates();
+                }
+            }),
+            // The land-cover join needs every asset under a claim whatever the asset filters show;
+            // only fetched while those filters are set, otherwise it reads the assets loader
+            cover: new PagedFeatureLoader({
+                url: '/api/assets',
+                fallback: fallback('assets'),
+                onPage: (features) => {
+                    if (this.hasAssetFilters()) {
+                        this.rejoinCover(features);
+                        this.scheduleAggregates();
+                    }
+                }
+            })
+        };
+    }
+    
+    claimQuery() {
+        const filters = this.currentFilters;
+        // Names only where no boundary is loaded; with one, claims whose centroid falls inside also count
+        const region = (level) => (this.boundaries && this.boundaries.hasLevel(level) ? null : filters[level]);
+        
+        return {
+            state: region('state'),
+            district: region('district'),
+            village: region('village'),
+            fra_type: filters.fraType,
+            status: filters.status,
+            tribal_community: filters.community,
+            year: filters.year
+        };
+    }
+    
+    hasAssetFilters() {
+        return !!(this.currentFilters.assetType || this.currentFilters.minArea);
+    }
+    
+    // Fetches what the view still lacks for the current filters; each page is drawn as it arrives
+    loadView() {
+        const bounds = this.map.getBounds();
+        const loads = [this.loaders.fra.load(bounds), this.loaders.assets.load(bounds)];
+        if (this.hasAssetFilters()) {
+            loads.push(this.loaders.cover.load(bounds));
+        }
+        return Promise.all(loads);
+    }
+    
+    // Resolves once no loader has a request in flight
+    whenLoaded() {
+        return Promise.all(Object.values(this.loaders).map(loader => loader.idle()));
+    }
+    
+    // Runs after every filter change; pages only join and draw what they add
+    refreshData() {
+        // Popups and the land-cover filter read the composition, so join before redrawing
+        this.landCover.compute(this.loaders.fra.features, this.coverAssets());
+        this.updateLayerVisibility();
+        this.updateStatistics();
+    }
+    
+    // Every asset under the claims, whatever the asset filters show
+    coverAssets() {
+        return this.hasAssetFilters() ? this.loaders.cover.features : this.loaders.assets.features;
+    }
+    
+    // New assets: the claims beneath them get a new composition, which the land-cover filter reads
+    rejoinCover(assets) {
+        const touched = this.landCover.rejoin(this.loaders.fra.features, this.coverAssets(), assets);
+        this.updateClaimLayers(touched);
+    }
+    
+    // The roll-ups cover every visible claim, so a burst of pages redraws them once it is over
+    scheduleAggregates() {
+        if (this.aggregatesPending) return;
+        this.aggregatesPending = this.whenLoaded()
+            .catch(() => null)
+            .then(() => {
+                this.aggregatesPending = null;
+                this.updateAggregates();
+                this.updateStatistics();
+            });
+    }
+    
+    // Every page of one endpoint within the bounds, with no filters
+    async fetchArea(url, bounds) {
+        const loader = new PagedFeatureLoader({ url, margin: 0 });
+        await loader.load(bounds);
+        return loader.features;
+    }
+    
+    async fetchFilterOptions() {
+        try {
+            const response = await fetch('/api/filter-options');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('⚠️ Filter options unavailable, using the loaded claims:', error);
+            return null;
+        }
+    }
+    
+    // The /api/filter-options fields used here, from the claims at hand (an offline copy)
+    filterOptionsFrom(features) {
+        const claims = features.map(f => this.schema.claim(f));
+        const dates = claims.map(claim => claim.submissionDate).filter(Boolean).sort();
+        
+        return {
+            tribal_communities: [...new Set(claims.map(claim => claim.tribalCommunity))].sort(),
+            years: [...new Set(dates.map(date => date.slice(0, 4)))],
+            submission_range: dates.length > 0 ? [dates[0], dates[dates.length - 1]] : [],
+            regions: claims.map(claim => [claim.state, claim.district, claim.village])
+        };
+    }
+    
+    createAssetLayer() {
+        this.layers.assets = L.geoJSON(null, {
+            style: (feature) => this.getAssetStyle(feature),
             onEachFeature: (feature, layer) => {
                 // Add hover effects
                 layer.on({
@@ -292,31 +566,67 @@ class IndiaWebGIS {
                     click: (e) => this.selectFeature(e)
                 });
                 
-                // Add popup with asset information
-                const props = feature.properties;
-                const popupContent = `
+                // Add popup with asset information, built on opening so it follows the language
+                layer.bindPopup(() => `
                     <div class="popup-content">
-                        <h4>Asset Information</h4>
-                        <p><strong>Type:</strong> ${props.class || 'Unknown'}</p>
-                        <p><strong>Area:</strong> ${props.area_km2 || 'N/A'} km²</p>
-                        <p><strong>Confidence:</strong> ${props.confidence ? (props.confidence * 100).toFixed(1) + '%' : 'N/A'}</p>
+                        <h4>${I18n.t('Asset Information')}</h4>
+                        ${this.assetDetails(feature.properties)}
                     </div>
-                `;
-                layer.bindPopup(popupContent);
+                `);
             }
         });
         
         this.layers.assets.addTo(this.map);
+        
+        // Assets live in a spatial index; only those near the viewport become Leaflet layers
+        this.assetRenderer = new ViewportRenderer(this.map, {
+            createLayer: (feature) => ViewportRenderer.addToGeoJSON(this.layers.assets, feature),
+            removeLayer: (feature, layer) => this.layers.assets.removeLayer(layer)
+        });
+    }
+    
+    getAssetStyle(feature) {
+        const assetType = feature.properties.class || 'agricultural';
+        const style = { ...(this.assetStyles[assetType] || this.assetStyles.agricultural) };
+        
+        // Styles are recomputed whenever an asset enters the viewport, so
+        // opacity must come from here rather than setStyle
+        if (this.layerOpacity.assets !== undefined) {
+            style.opacity = this.layerOpacity.assets;
+            style.fillOpacity = this.layerOpacity.assets;
+        }
+        
+        return style;
+    }
+    
+    isAssetVisible(props) {
+        if (this.currentFilters.assetType && props.class !== this.currentFilters.assetType) {
+            return false;
+        }
+        
+        if (this.currentFilters.minArea && (props.area_km2 || 0) < this.currentFilters.minArea) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // Hide the pane rather than the layer so the FRA checkbox keeps its meaning
+    updateClaimPane() {
+        const pane = this.map.getPane('fra-claims');
+        if (pane) {
+            const standIn = this.choropleth.currentMode() !== 'features' || (this.clusters && this.clusters.currentMode() !== 'features');
+            pane.style.display = standIn ? 'none' : '';
+        }
     }
     
     createFRALayer() {
-        if (!this.data.fra || !this.data.fra.features) return;
+        // Own pane so the regional choropleth can stand in for the claims at low zooms
+        this.map.createPane('fra-claims').style.zIndex = 410;
         
-        this.layers.fra = L.geoJSON(this.data.fra, {
-            style: (feature) => {
-                const fraType = feature.properties.fra_type || 'IFR';
-                return this.fraStyles[fraType] || this.fraStyles.IFR;
-            },
+        this.layers.fra = L.geoJSON(null, {
+            pane: 'fra-claims',
+            style: (feature) => this.getFRAStyle(feature),
             onEachFeature: (feature, layer) => {
                 // Add hover effects
                 layer.on({
@@ -325,36 +635,57 @@ class IndiaWebGIS {
                     click: (e) => this.selectFeature(e)
                 });
                 
-                // Add popup with FRA information
-                const props = feature.properties;
-                const popupContent = `
-                    <div class="popup-content">
-                        <h4>FRA Claim Information</h4>
-                        <p><strong>Claim ID:</strong> ${props.claim_id || 'N/A'}</p>
-                        <p><strong>Type:</strong> ${props.fra_type_name || props.fra_type || 'N/A'}</p>
-                        <p><strong>State:</strong> ${props.state || 'N/A'}</p>
-                        <p><strong>District:</strong> ${props.district || 'N/A'}</p>
-                        <p><strong>Village:</strong> ${props.village || 'N/A'}</p>
-                        <p><strong>Area:</strong> ${props.claim_area_ha || 'N/A'} hectares</p>
-                        <p><strong>Status:</strong> ${props.status_name || props.status || 'N/A'}</p>
-                        <p><strong>Community:</strong> ${props.tribal_community || 'N/A'}</p>
-                    </div>
-                `;
-                layer.bindPopup(popupContent);
+                // Add popup with FRA information, built on opening so it follows the language
+                layer.bindPopup(() => {
+                    const claim = this.schema.claim(feature);
+                    const na = I18n.t('N/A');
+                    return `
+                        <div class="popup-content">
+                            <h4>${I18n.t('FRA Claim Information')}</h4>
+                            <p><strong>${I18n.t('Claim ID:')}</strong> ${claim.id || na}</p>
+                            <p><strong>${I18n.t('Type:')}</strong> ${I18n.typeName(claim.type, claim.typeName) || na}</p>
+                            <p><strong>${I18n.t('State:')}</strong> ${claim.state || na}</p>
+                            <p><strong>${I18n.t('District:')}</strong> ${claim.district || na}</p>
+                            <p><strong>${I18n.t('Village:')}</strong> ${claim.village || na}</p>
+                            <p><strong>${I18n.t('Area:')}</strong> ${I18n.t('{area} hectares', { area: I18n.fixed(claim.area, 2) })}</p>
+                            <p><strong>${I18n.t('Status:')}</strong> ${FRAClaimSchema.statusIcon(claim.status)} ${I18n.statusName(claim.status, claim.statusName) || na}</p>
+                            <p><strong>${I18n.t('Community:')}</strong> ${claim.tribalCommunity || na}</p>
+                            ${FRALandCover.html(this.landCover.get(feature))}
+                            ${MeasureTool.popupButton()}
+                        </div>
+                    `;
+                });
+                this.measureTool.bindFeature(layer);
             }
         });
         
         this.layers.fra.addTo(this.map);
     }
     
-    createAdminLayer() {
-        if (!this.data.admin || !this.data.admin.features) return;
+    getFRAStyle(feature) {
+        const claim = this.schema.claim(feature);
+        const style = { ...(this.fraStyles[claim.type] || this.fraStyles.IFR) };
         
-        this.layers.admin = L.geoJSON(this.data.admin, {
-            style: (feature) => {
-                const adminLevel = feature.properties.admin_level || 'state';
-                return this.adminStyles[adminLevel] || this.adminStyles.state;
-            },
+        // Timeline playback can colour claims by their status as of the slider date
+        const statusColor = this.timeSlider.colorOf(claim);
+        if (statusColor) {
+            style.color = statusColor;
+            style.fillColor = statusColor;
+        }
+        
+        // Claims are added as their pages arrive, so the opacity slider must apply here
+        if (this.layerOpacity.fra !== undefined) {
+            style.opacity = this.layerOpacity.fra;
+            style.fillOpacity = this.layerOpacity.fra;
+        }
+        
+        return style;
+    }
+    
+    async createAdminLayer() {
+        // Real boundaries from the files under data/boundaries; levels without a file are left out
+        this.boundaries = new AdminBoundaries(this.map, {
+            style: (feature) => this.getAdminStyle(feature),
             onEachFeature: (feature, layer) => {
                 // Add hover effects for boundary highlighting
                 layer.on({
@@ -363,72 +694,67 @@ class IndiaWebGIS {
                     click: (e) => this.selectBoundary(e)
                 });
                 
-                // Add popup with administrative information
-                const props = feature.properties;
-                const popupContent = `
+                // Add popup with administrative information, built on opening so it follows the language
+                layer.bindPopup(() => `
                     <div class="popup-content">
-                        <h4>Administrative Boundary</h4>
-                        <p><strong>Level:</strong> ${props.admin_level || 'N/A'}</p>
-                        <p><strong>Name:</strong> ${props.name || 'N/A'}</p>
-                        <p><strong>Code:</strong> ${props.code || 'N/A'}</p>
+                        <h4>${I18n.t('Administrative Boundary')}</h4>
+                        ${this.boundaryDetails(feature.properties, true)}
                     </div>
-                `;
-                layer.bindPopup(popupContent);
-            }
+                `);
+            },
+            onLevelChange: (level) => console.log(`🗺️ Showing ${level || 'no'} boundaries`)
         });
         
+        const levels = await this.boundaries.load();
+        this.layers.admin = this.boundaries.layer;
         this.layers.admin.addTo(this.map);
+        
+        if (levels.length > 0) {
+            this.choropleth.setBoundaries({
+                state: { features: this.boundaries.features('state') },
+                district: { features: this.boundaries.features('district') }
+            });
+        } else {
+            // Without any file the map still works from the claims' names, but nothing says why no lines show
+            document.getElementById('boundary-notice').style.display = 'block';
+        }
     }
     
-    async generateAdminBoundaries() {
-        // Generate realistic administrative boundaries for Indian states/districts/villages
-        // This is a simplified version - in production, use real boundary data
+    getAdminStyle(feature) {
+        const props = feature.properties;
+        const style = this.isBoundarySelected(props)
+            ? this.adminStyles.highlighted
+            : this.adminStyles[props.admin_level] || this.adminStyles.state;
         
-        const features = [];
-        const states = [
-            'Andhra Pradesh', 'Assam', 'Chhattisgarh', 'Gujarat', 'Jharkhand',
-            'Karnataka', 'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Odisha',
-            'Rajasthan', 'Telangana', 'West Bengal'
-        ];
+        // Boundaries are created as the viewport moves, so the opacity slider must apply here
+        return this.layerOpacity.admin === undefined ? style : { ...style, opacity: this.layerOpacity.admin };
+    }
+    
+    isBoundarySelected(props) {
+        const selected = this.currentFilters[props.admin_level];
+        if (!selected || props.name !== selected) return false;
         
-        // Generate state boundaries (simplified rectangles within India bounds)
-        for (let i = 0; i < states.length; i++) {
-            const state = states[i];
-            const latOffset = (i % 4) * 3;
-            const lonOffset = Math.floor(i / 4) * 5;
-            
-            const bounds = [
-                [20 + latOffset, 75 + lonOffset],
-                [20 + latOffset, 80 + lonOffset],
-                [25 + latOffset, 80 + lonOffset],
-                [25 + latOffset, 75 + lonOffset],
-                [20 + latOffset, 75 + lonOffset]
-            ];
-            
-            features.push({
-                type: 'Feature',
-                properties: {
-                    admin_level: 'state',
-                    name: state,
-                    code: `ST_${i + 1}`
-                },
-                geometry: {
-                    type: 'Polygon',
-                    coordinates: [bounds]
-                }
-            });
-        }
+        // Same-named districts and villages exist in different states
+        return props.admin_level === 'state' || !props.state || !this.currentFilters.state || props.state === this.currentFilters.state;
+    }
+    
+    // Dropdown options from the boundary files when they cover the level, otherwise from the claims' regions
+    regionOptions(level, parents) {
+        const names = this.boundaries && this.boundaries.hasLevel(level) ? this.boundaries.children(level, parents) : [];
+        if (names.length > 0) return names;
         
-        return {
-            type: 'FeatureCollection',
-            features: features
-        };
+        return [...new Set(
+            ((this.filterOptions && this.filterOptions.regions) || [])
+                .map(([state, district, village]) => ({ state, district, village }))
+                .filter(region => Object.entries(parents).every(([key, value]) => !value || region[key] === value))
+                .map(region => region[level])
+        )].sort();
     }
     
     populateFilterOptions() {
         // Populate state filter
         const stateFilter = document.getElementById('state-filter');
-        const states = [...new Set(this.data.fra.features.map(f => f.properties.state))].sort();
+        const states = this.regionOptions('state', {});
         
         states.forEach(state => {
             if (state) {
@@ -438,18 +764,39 @@ class IndiaWebGIS {
                 stateFilter.appendChild(option);
             }
         });
+        
+        // Populate tribal community and submission year filters
+        const communityFilter = document.getElementById('community-filter');
+        const communities = this.filterOptions.tribal_communities || [];
+        
+        communities.forEach(community => {
+            if (community) {
+                const option = document.createElement('option');
+                option.value = community;
+                option.textContent = community;
+                communityFilter.appendChild(option);
+            }
+        });
+        
+        const yearFilter = document.getElementById('year-filter');
+        const years = this.filterOptions.years || [];
+        
+        years.forEach(year => {
+            if (year) {
+                const option = document.createElement('option');
+                option.value = year;
+                option.textContent = year;
+                yearFilter.appendChild(option);
+            }
+        });
     }
     
     updateDistrictOptions(selectedState) {
         const districtFilter = document.getElementById('district-filter');
-        districtFilter.innerHTML = '<option value="">All Districts</option>';
+        districtFilter.innerHTML = `<option value="" data-i18n="All Districts">${I18n.t('All Districts')}</option>`;
         
         if (selectedState) {
-            const districts = [...new Set(
-                this.data.fra.features
-                    .filter(f => f.properties.state === selectedState)
-                    .map(f => f.properties.district)
-            )].sort();
+            const districts = this.regionOptions('district', { state: selectedState });
             
             districts.forEach(district => {
                 if (district) {
@@ -464,14 +811,13 @@ class IndiaWebGIS {
     
     updateVillageOptions(selectedDistrict) {
         const villageFilter = document.getElementById('village-filter');
-        villageFilter.innerHTML = '<option value="">All Villages</option>';
+        villageFilter.innerHTML = `<option value="" data-i18n="All Villages">${I18n.t('All Villages')}</option>`;
         
         if (selectedDistrict) {
-            const villages = [...new Set(
-                this.data.fra.features
-                    .filter(f => f.properties.district === selectedDistrict)
-                    .map(f => f.properties.village)
-            )].sort();
+            const villages = this.regionOptions('village', {
+                state: document.getElementById('state-filter').value,
+                district: selectedDistrict
+            });
             
             villages.forEach(village => {
                 if (village) {
@@ -492,81 +838,210 @@ class IndiaWebGIS {
             district: document.getElementById('district-filter').value,
             village: document.getElementById('village-filter').value,
             fraType: document.getElementById('fra-type-filter').value,
-            status: document.getElementById('status-filter').value
+            status: document.getElementById('status-filter').value,
+            community: document.getElementById('community-filter').value,
+            year: document.getElementById('year-filter').value,
+            coverClass: document.getElementById('cover-class-filter').value,
+            coverMin: parseFloat(document.getElementById('cover-min-filter').value) || 0
         };
         
-        this.updateLayerVisibility();
+        this.reloadView();
         this.highlightSelectedBoundaries();
+        this.permalink.update(true);
     }
     
-    updateLayerVisibility() {
-        // Filter assets layer
+    // Asks the server again for the current filters and announces the result once it is in
+    reloadView() {
+        if (!this.loaders) return;
+        
+        // Loaders drop their features when the query changed, so this clears what no longer matches
+        // (and applies the filters the server doesn't know) before the new pages arrive
+        const loading = this.loadView();
+        this.refreshData();
+        loading
+            .then(() => this.announceFilterResults())
+            .catch(error => {
+                console.error('❌ Failed to load the filtered claims:', error);
+                this.showError(I18n.t('Failed to load map data. Please refresh the page.'));
+            });
+    }
+    
+    announceFilterResults() {
+        if (!this.featureNavigator) return;
+        const bounds = this.map.getBounds();
+        const count = OfflineStore.featuresIn(this.visibleClaims(), bounds).length;
+        this.featureNavigator.announce(I18n.t('{count} claims in view match the filters', { count: I18n.number(count) }));
+    }
+    
+    refreshAssetStyles() {
+        // Only rendered assets exist as layers; the rest pick this up via getAssetStyle
         if (this.layers.assets) {
             this.layers.assets.eachLayer(layer => {
-                const props = layer.feature.properties;
-                let visible = true;
-                
-                if (this.currentFilters.assetType && props.class !== this.currentFilters.assetType) {
-                    visible = false;
-                }
-                
-                if (this.currentFilters.minArea && (props.area_km2 || 0) < this.currentFilters.minArea) {
-                    visible = false;
-                }
-                
-                layer.setStyle({ opacity: visible ? 1 : 0, fillOpacity: visible ? 0.8 : 0 });
+                layer.setStyle(this.getAssetStyle(layer.feature));
             });
         }
+    }
+    
+    // Features failing the filters are taken off the map, not just made transparent
+    updateLayerVisibility() {
+        if (!this.loaders) return;
         
-        // Filter FRA layer
-        if (this.layers.fra) {
-            this.layers.fra.eachLayer(layer => {
-                const props = layer.feature.properties;
-                let visible = true;
-                
-                if (this.currentFilters.state && props.state !== this.currentFilters.state) {
-                    visible = false;
-                }
-                
-                if (this.currentFilters.district && props.district !== this.currentFilters.district) {
-                    visible = false;
-                }
-                
-                if (this.currentFilters.village && props.village !== this.currentFilters.village) {
-                    visible = false;
-                }
-                
-                if (this.currentFilters.fraType && props.fra_type !== this.currentFilters.fraType) {
-                    visible = false;
+        // Filter assets layer
+        this.assetRenderer.setFeatures(this.visibleAssets());
+        
+        // Filter FRA layer; claims dropped by a refetch go too
+        const loaded = new Set(this.loaders.fra.features);
+        this.claimLayers.forEach((layer, feature) => {
+            if (!loaded.has(feature)) {
+                this.layers.fra.removeLayer(layer);
+                this.claimLayers.delete(feature);
+            }
+        });
+        this.updateClaimLayers(this.loaders.fra.features);
+        this.updateAggregates();
+    }
+    
+    // Adds, restyles or removes the layers of just these claims
+    updateClaimLayers(features) {
+        if (!this.layers.fra) return;
+        
+        features.forEach(feature => {
+            const layer = this.claimLayers.get(feature);
+            if (!this.isClaimVisible(this.schema.claim(feature))) {
+                if (layer) {
+                    this.layers.fra.removeLayer(layer);
+                    this.claimLayers.delete(feature);
                 }
-                
-                if (this.currentFilters.status && props.status !== this.currentFilters.status) {
-                    visible = false;
+            } else if (layer) {
+                layer.setStyle(this.getFRAStyle(feature));
+            } else {
+                const created = ViewportRenderer.addToGeoJSON(this.layers.fra, feature);
+                if (created) this.claimLayers.set(feature, created);
+            }
+        });
+    }
+    
+    // Views over every visible claim: choropleth, clusters, heatmap, table, overlaps and the selection
+    updateAggregates() {
+        if (!this.loaders) return;
+        
+        if (this.layers.fra) {
+            const visible = this.visibleClaims();
+            
+            this.choropleth.setFeatures(visible);
+            this.clusters.setFeatures(visible);
+            this.heatmap.setFeatures(visible);
+            
+            if (this.featureTable) {
+                this.featureTable.update(visible);
+            }
+            if (this.featureNavigator && this.featureNavigator.current && !visible.includes(this.featureNavigator.current)) {
+                this.featureNavigator.clear();
+            }
+        }
+        
+        if (this.overlapReport && this.overlapReport.layer) {
+            this.updateOverlaps();
+        }
+        // A filter change refetches every feature, so wait for the last page before dropping any
+        if (this.selection) {
+            this.whenLoaded().then(() => this.selection.retain([...this.visibleClaims(), ...this.visibleAssets()]));
+        }
+    }
+    
+    // Of the claims loaded so far; the server has already dropped most of those failing the filters
+    visibleClaims() {
+        return this.loaders ? this.loaders.fra.features.filter(f => this.isClaimVisible(this.schema.claim(f))) : [];
+    }
+    
+    visibleAssets() {
+        return this.loaders ? this.loaders.assets.features.filter(f => this.isAssetVisible(f.properties)) : [];
+    }
+    
+    toggleOverlaps() {
+        const button = document.getElementById('find-overlaps');
+        
+        if (this.overlapReport && this.overlapReport.layer) {
+            this.overlapReport.hide();
+            this.overlaps.reset();
+            I18n.setText(button, '🧩 Find Overlaps');
+            return;
+        }
+        
+        if (!this.overlapReport) {
+            this.overlapReport = new OverlapReport(this.map, this.overlaps, {
+                onSelect: (overlap) => {
+                    const bbox = SpatialIndex.featureBBox(overlap.geometry);
+                    this.map.fitBounds([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]], { padding: [60, 60], maxZoom: 17 });
                 }
-                
-                layer.setStyle({ opacity: visible ? 1 : 0, fillOpacity: visible ? 0.5 : 0 });
             });
         }
+        this.updateOverlaps();
+        I18n.setText(button, '🧩 Hide Overlaps');
+    }
+    
+    // Pairs among the claims passing the current filters
+    updateOverlaps() {
+        if (!this.loaders) return;
+        
+        this.overlaps.compute(this.visibleClaims());
+        this.overlapReport.show();
+        console.log('Overlaps computed:', this.overlaps.getSummary());
+    }
+    
+    isClaimVisible(claim) {
+        if (!['state', 'district', 'village'].every(level => this.isClaimInRegion(claim, level))) {
+            return false;
+        }
+        
+        if (!this.schema.matchesType(claim, this.currentFilters.fraType)) {
+            return false;
+        }
+        
+        if (!this.schema.matchesStatus(claim, this.currentFilters.status)) {
+            return false;
+        }
+        
+        if (this.currentFilters.community && claim.tribalCommunity !== this.currentFilters.community) {
+            return false;
+        }
+        
+        if (this.currentFilters.year && !(claim.submissionDate || '').startsWith(this.currentFilters.year)) {
+            return false;
+        }
+        
+        // e.g. more than 50% forest
+        if (this.currentFilters.coverClass &&
+            !(this.landCover.percent(claim, this.currentFilters.coverClass) > (this.currentFilters.coverMin || 0))) {
+            return false;
+        }
+        
+        if (!FRAQuery.matches(this.attributeQuery, claim.properties)) {
+            return false;
+        }
+        
+        return this.timeSlider.includes(claim);
+    }
+    
+    // A claim is in the selected region when its recorded name says so or, with a boundary
+    // loaded, its centroid falls inside it; recorded names and coordinates don't always agree
+    isClaimInRegion(claim, level) {
+        const name = this.currentFilters[level];
+        if (!name || claim[level] === name) return true;
+        
+        const region = this.boundaries && this.boundaries.find(level, {
+            name,
+            state: this.currentFilters.state,
+            district: level === 'village' ? this.currentFilters.district : null
+        });
+        return !!(region && claim.centroid && GeoUtils.pointInGeometry([claim.centroid[1], claim.centroid[0]], region));
     }
     
     highlightSelectedBoundaries() {
-        if (!this.layers.admin) return;
+        if (!this.boundaries) return;
         
-        this.layers.admin.eachLayer(layer => {
-            const props = layer.feature.properties;
-            let highlighted = false;
-            
-            // Highlight based on selected filters
-            if (this.currentFilters.state && props.name === this.currentFilters.state) {
-                highlighted = true;
-            }
-            
-            if (highlighted) {
-                layer.setStyle(this.adminStyles.highlighted);
-            } else {
-                const adminLevel = props.admin_level || 'state';
-                layer.setStyle(this.adminStyles[adminLevel]);
-            }
+        this.boundaries.forEachRendered(layer => {
+            layer.setStyle(this.getAdminStyle(layer.feature));
         });
     }
     
@@ -579,17 +1054,25 @@ class IndiaWebGIS {
         document.getElementById('village-filter').value = '';
         document.getElementById('fra-type-filter').value = '';
         document.getElementById('status-filter').value = '';
+        document.getElementById('community-filter').value = '';
+        document.getElementById('year-filter').value = '';
+        document.getElementById('cover-class-filter').value = '';
+        document.getElementById('cover-min-filter').value = '';
         
         // Clear current filters
         this.currentFilters = {};
+        this.attributeQuery = null;
+        this.queryBuilder.setQuery(null);
+        this.updateQuerySummary();
         
-        // Reset layer visibility
-        this.updateLayerVisibility();
+        // Reload the view without them
+        this.reloadView();
         this.highlightSelectedBoundaries();
         
         // Update dependent dropdowns
         this.updateDistrictOptions('');
         this.updateVillageOptions('');
+        this.permalink.update(true);
     }
     
     toggleLayer(layerName, visible) {
@@ -599,12 +1082,20 @@ class IndiaWebGIS {
             } else {
                 this.map.removeLayer(this.layers[layerName]);
             }
+            this.permalink.update(true);
         }
     }
     
     updateLayerOpacity(layerName, opacity) {
-        if (this.layers[layerName]) {
-            this.layers[layerName].setStyle({ fillOpacity: opacity, opacity: opacity });
+        if (layerName === 'assets') {
+            this.layerOpacity.assets = opacity;
+            this.refreshAssetStyles();
+        } else if (layerName === 'admin') {
+            this.layerOpacity.admin = opacity;
+            this.highlightSelectedBoundaries();
+        } else if (layerName === 'fra') {
+            this.layerOpacity.fra = opacity;
+            this.claimLayers.forEach((layer, feature) => layer.setStyle(this.getFRAStyle(feature)));
         }
     }
     
@@ -627,12 +1118,10 @@ class IndiaWebGIS {
         const feature = e.target.feature;
         if (feature.properties.class) {
             // Asset feature
-            const assetType = feature.properties.class;
-            e.target.setStyle(this.assetStyles[assetType] || this.assetStyles.agricultural);
-        } else if (feature.properties.fra_type) {
+            e.target.setStyle(this.getAssetStyle(feature));
+        } else if (this.schema.claim(feature).kind === 'claim') {
             // FRA feature
-            const fraType = feature.properties.fra_type;
-            e.target.setStyle(this.fraStyles[fraType] || this.fraStyles.IFR);
+            e.target.setStyle(this.getFRAStyle(feature));
         }
     }
     
@@ -647,14 +1136,22 @@ class IndiaWebGIS {
     }
     
     resetBoundaryHighlight(e) {
-        const feature = e.target.feature;
-        const adminLevel = feature.properties.admin_level || 'state';
-        e.target.setStyle(this.adminStyles[adminLevel]);
+        e.target.setStyle(this.getAdminStyle(e.target.feature));
     }
     
     selectFeature(e) {
+        if (this.selection && this.selection.handleClick(e)) return;
+        
         const feature = e.target.feature;
         this.updateInfoPanel(feature);
+        if (this.featureNavigator && this.layers.fra && this.layers.fra.hasLayer(e.target)) {
+            this.featureNavigator.setCurrent(feature);
+        }
+        
+        const claim = this.schema.claim(feature);
+        this.selectedClaimId = claim.kind === 'claim' ? claim.id : null;
+        this.selectedClaimVillage = claim.kind === 'claim' ? claim.village : null;
+        this.permalink.update(true);
         
         // Zoom to feature if it's small
         const bounds = e.target.getBounds();
@@ -665,7 +1162,21 @@ class IndiaWebGIS {
     
     selectBoundary(e) {
         const feature = e.target.feature;
+        const props = feature.properties;
         this.updateInfoPanel(feature);
+        this.selectedClaimId = null;
+        this.selectedClaimVillage = null;
+        
+        // Clicking a region selects it (and its parents) in the geographic filters
+        const level = props.admin_level;
+        const state = level === 'state' ? props.name : props.state;
+        const district = level === 'district' ? props.name : props.district;
+        document.getElementById('state-filter').value = state || '';
+        this.updateDistrictOptions(state || '');
+        document.getElementById('district-filter').value = level === 'state' ? '' : district || '';
+        this.updateVillageOptions(level === 'state' ? '' : district || '');
+        document.getElementById('village-filter').value = level === 'village' ? props.name : '';
+        this.applyFilters();
         
         // Zoom to boundary
         const bounds = e.target.getBounds();
@@ -678,36 +1189,59 @@ class IndiaWebGIS {
         const infoDiv = document.getElementById('feature-info');
         const props = feature.properties;
         
-        let content = '<h4>Feature Details</h4>';
+        // Kept so a language switch can redraw it
+        this.infoFeature = feature;
+        
+        let content = `<h4>${I18n.t('Feature Details')}</h4>`;
         
         if (props.class) {
             // Asset feature
-            content += `
-                <p><strong>Type:</strong> ${props.class}</p>
-                <p><strong>Area:</strong> ${props.area_km2 || 'N/A'} km²</p>
-                <p><strong>Confidence:</strong> ${props.confidence ? (props.confidence * 100).toFixed(1) + '%' : 'N/A'}</p>
-            `;
-        } else if (props.fra_type) {
-            // FRA feature
-            content += `
-                <p><strong>Claim ID:</strong> ${props.claim_id || 'N/A'}</p>
-                <p><strong>Type:</strong> ${props.fra_type_name || props.fra_type}</p>
-                <p><strong>State:</strong> ${props.state || 'N/A'}</p>
-                <p><strong>District:</strong> ${props.district || 'N/A'}</p>
-                <p><strong>Status:</strong> ${props.status_name || props.status}</p>
-            `;
+            content += this.assetDetails(props);
         } else if (props.admin_level) {
             // Administrative boundary
+            content += this.boundaryDetails(props, false);
+        } else if (this.schema.claim(feature).kind === 'claim') {
+            // FRA feature
+            const claim = this.schema.claim(feature);
+            const na = I18n.t('N/A');
             content += `
-                <p><strong>Level:</strong> ${props.admin_level}</p>
-                <p><strong>Name:</strong> ${props.name || 'N/A'}</p>
-                <p><strong>Code:</strong> ${props.code || 'N/A'}</p>
+                <p><strong>${I18n.t('Claim ID:')}</strong> ${claim.id || na}</p>
+                <p><strong>${I18n.t('Type:')}</strong> ${I18n.typeName(claim.type, claim.typeName)}</p>
+                <p><strong>${I18n.t('State:')}</strong> ${claim.state || na}</p>
+                <p><strong>${I18n.t('District:')}</strong> ${claim.district || na}</p>
+                <p><strong>${I18n.t('Area:')}</strong> ${I18n.t('{area} hectares', { area: I18n.fixed(claim.area, 2) })}</p>
+                <p><strong>${I18n.t('Status:')}</strong> ${FRAClaimSchema.statusIcon(claim.status)} ${I18n.statusName(claim.status, claim.statusName)}</p>
+                ${FRALandCover.html(this.landCover.get(feature))}
             `;
         }
         
         infoDiv.innerHTML = content;
     }
     
+    // Rows shared by the asset popup and the info panel
+    assetDetails(props) {
+        const na = I18n.t('N/A');
+        return `
+            <p><strong>${I18n.t('Type:')}</strong> ${props.class || I18n.t('Unknown')}</p>
+            <p><strong>${I18n.t('Area:')}</strong> ${props.area_km2 ? `${I18n.number(props.area_km2)} km²` : na}</p>
+            <p><strong>${I18n.t('Confidence:')}</strong> ${props.confidence
+                ? I18n.number(props.confidence, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                : na}</p>
+        `;
+    }
+    
+    // The popup also lists the regions containing the boundary
+    boundaryDetails(props, withParents) {
+        const na = I18n.t('N/A');
+        const parents = withParents ? [props.block, props.district, props.state].filter(Boolean).join(', ') : '';
+        return `
+            <p><strong>${I18n.t('Level:')}</strong> ${props.admin_level || na}</p>
+            <p><strong>${I18n.t('Name:')}</strong> ${props.name || na}</p>
+            ${parents ? `<p><strong>${I18n.t('Within:')}</strong> ${parents}</p>` : ''}
+            <p><strong>${I18n.t('Code:')}</strong> ${props.code || na}</p>
+        `;
+    }
+    
     updateCoordinateDisplay(latlng) {
         // You can add a coordinate display element if needed
     }
@@ -744,6 +1278,163 @@ class IndiaWebGIS {
         
         this.map.removeLayer(currentLayer);
         nextLayer.addTo(this.map);
+        this.permalink.update(true);
+    }
+    
+    setupDashboard() {
+        this.dashboard = new FRADashboard({
+            typeColors: Object.fromEntries(Object.entries(this.fraStyles).map(([type, style]) => [type, style.color])),
+            onFilter: (filters) => this.applyDashboardFilter(filters)
+        });
+        
+        document.getElementById('dashboard-toggle').addEventListener('click', () => {
+            if (this.dashboard.isOpen()) {
+                this.dashboard.hide();
+            } else {
+                this.dashboard.show(this.currentFilters);
+            }
+        });
+    }
+    
+    // The charts cover every claim, so a click replaces the claim filters with its slice rather
+    // than narrowing whatever was selected before; asset filters are left alone
+    applyDashboardFilter(filters) {
+        document.getElementById('state-filter').value = filters.state || '';
+        this.updateDistrictOptions(filters.state || '');
+        this.updateVillageOptions('');
+        
+        const selects = { fraType: 'fra-type-filter', status: 'status-filter', community: 'community-filter', year: 'year-filter' };
+        Object.entries(selects).forEach(([key, id]) => {
+            document.getElementById(id).value = filters[key] || '';
+        });
+        
+        this.applyFilters();
+        this.dashboard.hide();
+        console.log('📊 Dashboard filter applied:', filters);
+    }
+    
+    // Markup follows the language by itself; this redraws what was rendered from strings in code
+    setupLanguage() {
+        I18n.bindSwitcher(document.getElementById('language-select'));
+        I18n.onChange(() => {
+            this.renderLegend();
+            this.updateStatistics();
+            this.updateZoomStatistic();
+            this.timeSlider.updateDisplay();
+            this.dashboard.refresh();
+            this.clusters.refresh();
+            this.choropleth.refresh();
+            this.offlinePanel.refresh();
+            this.measureTool.refresh();
+            if (this.overlapReport) {
+                this.overlapReport.refresh();
+            }
+            if (this.infoFeature) {
+                this.updateInfoPanel(this.infoFeature);
+            }
+            if (this.featureTable) {
+                this.featureTable.update(this.visibleClaims());
+            }
+            this.queryBuilder.refresh();
+            this.updateQuerySummary();
+            this.selection.refresh();
+        });
+    }
+    
+    setupPermalink() {
+        this.map.on('moveend', () => this.permalink.update());
+        this.map.on('baselayerchange', () => this.permalink.update(true));
+        
+        if (this.permalink.start()) {
+            console.log('🔗 Restored view from permalink');
+        }
+    }
+    
+    getPermalinkState() {
+        const center = this.map.getCenter();
+        
+        return {
+            view: { lat: center.lat, lng: center.lng, zoom: this.map.getZoom() },
+            base: Permalink.activeBaseLayerSlug(this.map, this.layers.baseLayers),
+            layers: ['assets', 'fra', 'admin'].filter(key => this.layers[key] && this.map.hasLayer(this.layers[key])),
+            filters: { ...this.currentFilters, query: FRAQuery.encode(this.attributeQuery) },
+            claim: this.selectedClaimId,
+            claimVillage: this.selectedClaimVillage
+        };
+    }
+    
+    restorePermalink(state) {
+        if (!this.loaders) return;
+        
+        if (state.base) {
+            Permalink.switchBaseLayer(this.map, this.layers.baseLayers, state.base);
+        }
+        
+        // Set the dropdowns top-down so each level's options exist before it is selected
+        const filters = state.filters || {};
+        document.getElementById('asset-type-filter').value = filters.assetType || '';
+        document.getElementById('min-area-filter').value = filters.minArea || '';
+        document.getElementById('state-filter').value = filters.state || '';
+        this.updateDistrictOptions(filters.state || '');
+        document.getElementById('district-filter').value = filters.district || '';
+        this.updateVillageOptions(filters.district || '');
+        document.getElementById('village-filter').value = filters.village || '';
+        document.getElementById('fra-type-filter').value = filters.fraType || '';
+        document.getElementById('status-filter').value = filters.status || '';
+        document.getElementById('community-filter').value = filters.community || '';
+        document.getElementById('year-filter').value = filters.year || '';
+        document.getElementById('cover-class-filter').value = filters.coverClass || '';
+        document.getElementById('cover-min-filter').value = filters.coverMin || '';
+        this.attributeQuery = FRAQuery.decode(filters.query);
+        this.queryBuilder.setQuery(this.attributeQuery);
+        this.updateQuerySummary();
+        this.applyFilters();
+        
+        if (state.layers) {
+            ['assets', 'fra', 'admin'].forEach(key => {
+                const visible = state.layers.includes(key);
+                document.getElementById(`${key}-layer`).checked = visible;
+                this.toggleLayer(key, visible);
+            });
+        }
+        
+        if (state.view) {
+            this.map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+        }
+        
+        // The claim arrives with the view and filters set above; kept meanwhile so the hash still names it
+        this.selectedClaimId = state.claim || null;
+        this.selectedClaimVillage = state.claim ? state.claimVillage || null : null;
+        if (state.claim) {
+            this.whenLoaded().then(() => this.restoreClaim(state.claim, state.claimVillage, !state.view));
+        }
+    }
+    
+    restoreClaim(claimId, village, fit) {
+        if (this.selectedClaimId !== claimId) return;
+        
+        const feature = this.schema.findClaim(this.visibleClaims(), claimId, village);
+        if (!feature) {
+            console.warn(`⚠️ Claim ${claimId} from the permalink was not found`);
+            this.selectedClaimId = null;
+            this.selectedClaimVillage = null;
+            this.permalink.update();
+            return;
+        }
+        
+        this.updateInfoPanel(feature);
+        if (!fit) return;
+        
+        // Point claims are markers without getBounds, and a claim may have no layer drawn yet
+        const layer = this.claimLayers.get(feature);
+        if (layer && layer.getBounds) {
+            this.map.fitBounds(layer.getBounds(), { padding: [20, 20], animate: false });
+            return;
+        }
+        const bbox = SpatialIndex.featureBBox(feature);
+        if (bbox) {
+            this.map.fitBounds([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]], { padding: [20, 20], maxZoom: 16, animate: false });
+        }
     }
     
     toggleFullscreen() {
@@ -758,85 +1449,281 @@ class IndiaWebGIS {
         const legend = L.control({ position: 'bottomleft' });
         
         legend.onAdd = () => {
-            const div = L.DomUtil.create('div', 'legend');
-            div.innerHTML = `
-                <h4>Map Legend</h4>
-                
-                <h5>Assets</h5>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${this.assetStyles.water.fillColor}"></div>
-                    <span>Water Bodies</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${this.assetStyles.forest.fillColor}"></div>
-                    <span>Forest</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${this.assetStyles.agricultural.fillColor}"></div>
-                    <span>Agricultural Land</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${this.assetStyles.homestead.fillColor}"></div>
-                    <span>Homestead</span>
-                </div>
-                
-                <h5>FRA Claims</h5>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${this.fraStyles.IFR.fillColor}; border-style: dashed;"></div>
-                    <span>Individual Forest Rights</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${this.fraStyles.CFR.fillColor}; border-style: dashed;"></div>
-                    <span>Community Forest Rights</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${this.fraStyles.CR.fillColor}; border-style: dashed;"></div>
-                    <span>Community Resource Rights</span>
-                </div>
-                
-                <h5>Administrative</h5>
-                <div class="legend-item">
-                    <div class="legend-color" style="border: 3px dashed ${this.adminStyles.state.color}; background: transparent;"></div>
-                    <span>State Boundaries</span>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="border: 2px dashed ${this.adminStyles.district.color}; background: transparent;"></div>
-                    <span>District Boundaries</span>
-                </div>
-            `;
-            return div;
+            this.legendElement = L.DomUtil.create('div', 'legend');
+            this.renderLegend();
+            return this.legendElement;
         };
         
         legend.addTo(this.map);
     }
     
+    // Also called after a language switch
+    renderLegend() {
+        if (!this.legendElement) return;
+        
+        this.legendElement.innerHTML = `
+                <h4>${I18n.t('Map Legend')}</h4>
+                ${this.legendSections().map(section => `
+                    <h5>${section.title}</h5>
+                    ${section.items.map(item => `
+                        <div class="legend-item">
+                            <div class="legend-color" style="${item.fill
+                                ? `background-color: ${item.fill};${item.dashed ? ' border-style: dashed;' : ''}`
+                                : `border: ${item.weight}px dashed ${item.stroke}; background: transparent;`}"></div>
+                            <span>${item.label}</span>
+                        </div>
+                    `).join('')}
+                `).join('')}
+            `;
+    }
+    
+    // Shared by the on-screen legend and printed maps; layer is the key in this.layers each section describes
+    legendSections() {
+        const boundary = (style, label) => ({ label: I18n.t(label), stroke: style.color, weight: Math.ceil(style.weight), dashed: true });
+        
+        return [
+            {
+                layer: 'assets',
+                title: I18n.t('Assets'),
+                items: [
+                    { label: I18n.t('Water Bodies'), fill: this.assetStyles.water.fillColor },
+                    { label: I18n.t('Forest'), fill: this.assetStyles.forest.fillColor },
+                    { label: I18n.t('Agricultural Land'), fill: this.assetStyles.agricultural.fillColor },
+                    { label: I18n.t('Homestead'), fill: this.assetStyles.homestead.fillColor }
+                ]
+            },
+            {
+                layer: 'fra',
+                title: I18n.t('FRA Claims'),
+                items: [
+                    { label: I18n.typeName('IFR', 'Individual Forest Rights'), fill: this.fraStyles.IFR.fillColor, dashed: true },
+                    { label: I18n.typeName('CFR', 'Community Forest Rights'), fill: this.fraStyles.CFR.fillColor, dashed: true },
+                    { label: I18n.typeName('CR', 'Community Resource Rights'), fill: this.fraStyles.CR.fillColor, dashed: true }
+                ]
+            },
+            {
+                layer: 'admin',
+                title: I18n.t('Administrative'),
+                items: [
+                    boundary(this.adminStyles.state, 'State Boundaries'),
+                    boundary(this.adminStyles.district, 'District Boundaries'),
+                    boundary(this.adminStyles.block, 'Block Boundaries'),
+                    boundary(this.adminStyles.village, 'Village Boundaries')
+                ]
+            }
+        ];
+    }
+    
+    setupPrint() {
+        this.printComposer = new PrintComposer(this.map, {
+            title: () => I18n.t('FRA Claims and Assets - India'),
+            filename: 'india_fra_map',
+            tileLayer: () => Object.values(this.layers.baseLayers).find(layer => this.map.hasLayer(layer)),
+            // What is drawn right now: regional classes or status colours first, then the layers switched on
+            legend: () => [
+                this.choropleth.legendSection(),
+                this.clusters.legendSection(),
+                this.timeSlider.legendSection(),
+                this.overlapReport && this.overlapReport.legendSection(),
+                ...this.legendSections().filter(section => this.layers[section.layer] && this.map.hasLayer(this.layers[section.layer]) &&
+                    !(section.layer === 'fra' && (this.choropleth.currentMode() !== 'features' || this.clusters.currentMode() !== 'features')))
+            ].filter(Boolean),
+            caption: () => this.describeFilters(),
+            statistics: () => this.printStatistics()
+        });
+        
+        document.getElementById('print-map').addEventListener('click', () => {
+            this.printComposer.open();
+        });
+    }
+    
+    // Keyboard navigation over the claims passing the filters, and the same set as a table
+    setupAccessibility() {
+        this.featureNavigator = new FeatureNavigator(this.map, {
+            features: () => (this.layers.fra && this.map.hasLayer(this.layers.fra) ? this.visibleClaims() : []),
+            layerFor: (feature) => this.claimLayers.get(feature) || null,
+            describe: (feature) => FeatureNavigator.describeClaim(this.schema.claim(feature)),
+            onSelect: (feature, layer) => {
+                if (layer) this.highlightFeature({ target: layer });
+                this.updateInfoPanel(feature);
+            },
+            onDeselect: (feature, layer) => {
+                if (layer) this.resetHighlight({ target: layer });
+            },
+            onOpen: (feature, layer) => {
+                if (!layer) return;
+                this.selectFeature({ target: layer });
+                layer.openPopup();
+            },
+            minZoom: () => (this.choropleth.enabled || this.clusters.enabled ? this.choropleth.options.featureZoom : 0)
+        });
+        
+        this.featureTable = new FeatureTable(this.schema, {
+            onShow: (feature) => this.featureNavigator.select(feature)
+        });
+        
+        const button = document.getElementById('toggle-table');
+        button.addEventListener('click', () => {
+            const open = !this.featureTable.isOpen();
+            if (open) {
+                this.featureTable.show(this.visibleClaims());
+            } else {
+                this.featureTable.hide();
+            }
+            button.setAttribute('aria-expanded', String(open));
+            I18n.setText(button, open ? '📋 Hide Table' : '📋 Show as Table');
+        });
+    }
+    
+    // Compound conditions on any claim attribute, applied on top of the filters above
+    setupQueryBuilder() {
+        this.queryBuilder = new QueryBuilder({
+            fields: () => FRAQuery.fields(this.loaders ? this.loaders.fra.features : []),
+            onApply: (query) => this.applyQuery(query)
+        });
+        
+        document.getElementById('open-query-builder').addEventListener('click', () => {
+            this.queryBuilder.open();
+        });
+    }
+    
+    // The server doesn't know attribute queries, so this only redraws what is loaded
+    applyQuery(query) {
+        this.attributeQuery = query;
+        this.updateQuerySummary();
+        this.updateLayerVisibility();
+        this.updateStatistics();
+        this.permalink.update(true);
+        this.announceFilterResults();
+    }
+    
+    updateQuerySummary() {
+        const summary = document.getElementById('query-summary');
+        summary.textContent = this.attributeQuery
+            ? I18n.t('Query: {query}', { query: FRAQuery.describe(this.attributeQuery) })
+            : '';
+    }
+    
+    // Shift-click, box and lasso selection over the claims and assets shown, filling selectedFeatures
+    setupSelection() {
+        this.exporter = new FRAExporter(this.schema, { name: 'India FRA Claims and Assets', styles: this.fraStyles });
+        this.selection = new FeatureSelection(this.map, this.schema, {
+            selected: this.selectedFeatures,
+            features: () => [
+                ...(this.map.hasLayer(this.layers.fra) ? this.visibleClaims() : []),
+                ...(this.map.hasLayer(this.layers.assets) ? this.visibleAssets() : [])
+            ],
+            // Paging refetches features as new objects; the loaders' key tells them apart
+            keyOf: PagedFeatureLoader.keyOf,
+            assetType: (feature) => feature.properties.class,
+            onStart: () => {
+                if (this.measureTool.isActive()) this.measureTool.finish();
+            },
+            // Assets carry no ids, so the query keeps the selected claims and leaves assets to the other filters
+            onFilter: (query) => {
+                this.queryBuilder.setQuery(query);
+                this.applyQuery(query);
+            },
+            onExport: (format, collection) => this.exportSelection(format, collection)
+        });
+    }
+    
+    exportSelection(format, collection) {
+        try {
+            const basename = `india_fra_selection_${new Date().toISOString().split('T')[0]}`;
+            const file = this.exporter.export(format, collection, basename);
+            PrintComposer.download(file.content instanceof Blob ? file.content : new Blob([file.content], { type: file.type }), file.filename);
+            this.featureNavigator.announce(I18n.t('Exported {count} features as {filename}', {
+                count: I18n.number(collection.features.length),
+                filename: file.filename
+            }));
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            this.showError(I18n.t('Export failed: {error}', { error: error.message }));
+        }
+    }
+    
+    describeFilters() {
+        const filters = this.currentFilters;
+        const parts = [];
+        
+        if (filters.state) parts.push(I18n.t('State: {state}', filters));
+        if (filters.district) parts.push(I18n.t('District: {district}', filters));
+        if (filters.village) parts.push(I18n.t('Village: {village}', filters));
+        if (filters.fraType) parts.push(I18n.t('FRA type: {type}', { type: I18n.typeName(filters.fraType) }));
+        if (filters.status) parts.push(I18n.t('Status: {status}', { status: I18n.statusName(filters.status) }));
+        if (filters.community) parts.push(I18n.t('Community: {community}', filters));
+        if (filters.year) parts.push(I18n.t('Submitted in {year}', filters));
+        if (filters.coverClass) {
+            parts.push(I18n.t('More than {percent}% {cover} cover', {
+                percent: I18n.number(filters.coverMin || 0),
+                cover: I18n.t(FRALandCover.CLASSES[filters.coverClass].label).toLowerCase()
+            }));
+        }
+        if (filters.assetType) parts.push(I18n.t('Asset type: {type}', { type: filters.assetType }));
+        if (filters.minArea) parts.push(I18n.t('Asset area ≥ {area} km²', { area: I18n.number(filters.minArea) }));
+        if (this.timeSlider.enabled) parts.push(I18n.t('Submitted by {date}', { date: I18n.date(this.timeSlider.isoDate()) }));
+        if (this.attributeQuery) parts.push(I18n.t('Query: {query}', { query: FRAQuery.describe(this.attributeQuery) }));
+        
+        return parts.length > 0 ? parts.join(' • ') : I18n.t('none (all claims and assets)');
+    }
+    
+    printStatistics() {
+        const claims = this.visibleClaims().map(f => this.schema.claim(f));
+        const assets = this.visibleAssets();
+        const count = type => claims.filter(claim => claim.type === type).length;
+        const approved = claims.filter(claim => this.timeSlider.statusOf(claim) === 'approved').length;
+        const area = claims.reduce((sum, claim) => sum + claim.area, 0);
+        
+        const n = I18n.number;
+        const rows = [
+            [I18n.t('FRA claims'), n(claims.length)],
+            ['IFR / CFR / CR', `${n(count('IFR'))} / ${n(count('CFR'))} / ${n(count('CR'))}`],
+            [I18n.t('Claimed area'), `${n(area, { maximumFractionDigits: 1 })} ha`],
+            [I18n.t('Approved'), `${n(approved)} (${n(claims.length ? approved / claims.length : 0, { style: 'percent' })})`],
+            [I18n.t('Assets'), n(assets.length)]
+        ];
+        if (this.overlapReport && this.overlapReport.layer) {
+            rows.push([I18n.t('Conflicting overlaps'), n(this.overlaps.conflicts().length)]);
+        }
+        return rows;
+    }
+    
     showLoading(show) {
-        const loadingDiv = document.getElementById('loading');
-        loadingDiv.style.display = show ? 'block' : 'none';
+        const loadingDiv = document.getElementById('loading-overlay');
+        loadingDiv.style.display = show ? 'flex' : 'none';
     }
     
     showError(message) {
-        alert(`Error: ${message}`);
+        alert(I18n.t('Error: {message}', { message }));
     }
     
     updateStatistics() {
-        // Update asset count
-        const totalAssets = this.data.assets ? this.data.assets.features.length : 0;
-        const totalFRA = this.data.fra ? this.data.fra.features.length : 0;
+        // Features passing the filters within the view; the loaders still hold what earlier views fetched
+        const totalAssets = this.inView(this.visibleAssets()).length;
+        const totalFRA = this.inView(this.visibleClaims()).length;
         
         const totalAssetsEl = document.getElementById('total-assets');
         const totalFRAEl = document.getElementById('total-fra');
         
-        if (totalAssetsEl) totalAssetsEl.textContent = totalAssets.toLocaleString();
-        if (totalFRAEl) totalFRAEl.textContent = totalFRA.toLocaleString();
+        if (totalAssetsEl) totalAssetsEl.textContent = I18n.number(totalAssets);
+        if (totalFRAEl) totalFRAEl.textContent = I18n.number(totalFRA);
         
         console.log(`Statistics updated: ${totalAssets} assets, ${totalFRA} FRA claims`);
     }
     
+    inView(features) {
+        const bounds = this.map.getBounds();
+        return features.filter(feature => {
+            const bbox = SpatialIndex.featureBBox(feature);
+            return bbox && bounds.intersects([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]]);
+        });
+    }
+    
     updateZoomStatistic() {
         const zoomEl = document.getElementById('map-zoom');
         if (zoomEl) {
-            zoomEl.textContent = this.map.getZoom();
+            zoomEl.textContent = I18n.number(this.map.getZoom());
         }
     }
     
@@ -855,7 +1742,7 @@ class IndiaWebGIS {
             if (slider && display) {
                 slider.addEventListener('input', (e) => {
                     const value = Math.round(e.target.value * 100);
-                    display.textContent = `${value}%`;
+                    display.textContent = I18n.number(value / 100, { style: 'percent' });
                 });
             }
         });
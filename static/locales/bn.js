@@ -0,0 +1,591 @@
+/**
+ * Vanachitra.AI - Bengali Translations
+ * Keyed by the English UI text; anything missing here shows in English
+ */
+
+I18n.register('bn', {
+    name: 'বাংলা',
+    intl: 'bn-IN',
+    messages: {
+        // Header and layout
+        'Empowering Forest Communities through Digital Mapping': 'ডিজিটাল মানচিত্রের মাধ্যমে বনবাসী সম্প্রদায়ের ক্ষমতায়ন',
+        'Forest Rights Act - WebGIS Visualization System': 'বন অধিকার আইন - ওয়েবজিআইএস ভিজ্যুয়ালাইজেশন ব্যবস্থা',
+        '🇮🇳 India Asset Management - Enhanced 3-Layer WebGIS': '🇮🇳 ভারত সম্পদ ব্যবস্থাপনা - উন্নত ৩-স্তর ওয়েবজিআইএস',
+        'Satellite-based Asset Mapping • FRA Claims Management • Administrative Boundaries': 'উপগ্রহ-ভিত্তিক সম্পদ মানচিত্রণ • এফআরএ দাবি ব্যবস্থাপনা • প্রশাসনিক সীমানা',
+        'Language': 'ভাষা',
+        'Map': 'মানচিত্র',
+        '🌳 Loading Vanachitra.AI...': '🌳 Vanachitra.AI লোড হচ্ছে...',
+        'Preparing Forest Rights Act spatial data': 'বন অধিকার আইনের স্থানিক তথ্য প্রস্তুত হচ্ছে',
+        'Loading Enhanced WebGIS...': 'উন্নত ওয়েবজিআইএস লোড হচ্ছে...',
+        'Preparing satellite imagery and asset data': 'উপগ্রহ চিত্র ও সম্পদের তথ্য প্রস্তুত হচ্ছে',
+        'Close': 'বন্ধ করুন',
+        'N/A': 'প্রযোজ্য নয়',
+        'Unknown': 'অজানা',
+        'none': 'কোনোটি নয়',
+        'None': 'কোনোটি নয়',
+        'Error: {message}': 'ত্রুটি: {message}',
+
+        // Map controls
+        'Reset View': 'দৃশ্য রিসেট করুন',
+        'Zoom to India': 'ভারতে জুম করুন',
+        'Toggle Layers': 'স্তর দেখান/লুকান',
+        'Fullscreen': 'পূর্ণ পর্দা',
+        'Export Data': 'তথ্য রপ্তানি করুন',
+        'Measure Distance': 'দূরত্ব মাপুন',
+        'Print Map': 'মানচিত্র প্রিন্ট করুন',
+        'Analytics Dashboard': 'বিশ্লেষণ ড্যাশবোর্ড',
+        'Previous in filtered set': 'ফিল্টার করা তালিকায় আগেরটি',
+        'Next in filtered set': 'ফিল্টার করা তালিকায় পরেরটি',
+        '◀ Prev': '◀ আগের',
+        'Next ▶': 'পরের ▶',
+        'Dock left': 'বাঁ দিকে রাখুন',
+        'Dock right': 'ডান দিকে রাখুন',
+        'Legend': 'নির্দেশিকা',
+        'Map Legend': 'মানচিত্রের নির্দেশিকা',
+
+        // FRA claim types and statuses
+        'Individual Forest Rights': 'ব্যক্তিগত বন অধিকার',
+        'Community Forest Resource Rights': 'সমষ্টিগত বনসম্পদ অধিকার',
+        'Community Forest Rights': 'সমষ্টিগত বন অধিকার',
+        'Community Rights': 'সমষ্টিগত অধিকার',
+        'Community Resource Rights': 'সমষ্টিগত সম্পদ অধিকার',
+        'Agriculture': 'কৃষি',
+        'Water Body': 'জলাশয়',
+        'Water Bodies': 'জলাশয়',
+        'Feature': 'বস্তু',
+        'Approved': 'অনুমোদিত',
+        'Pending': 'বিচারাধীন',
+        'Under Review': 'পর্যালোচনাধীন',
+        'Submitted': 'জমা দেওয়া হয়েছে',
+        'Field Verification': 'মাঠ যাচাই',
+        'Rejected': 'প্রত্যাখ্যাত',
+        'Disputed': 'বিতর্কিত',
+        'Appealed': 'আপিল করা হয়েছে',
+        '✅ Approved': '✅ অনুমোদিত',
+        '⏳ Pending': '⏳ বিচারাধীন',
+        '🔄 Under Review': '🔄 পর্যালোচনাধীন',
+        '📨 Submitted': '📨 জমা দেওয়া হয়েছে',
+        '🔍 Field Verification': '🔍 মাঠ যাচাই',
+        '❌ Rejected': '❌ প্রত্যাখ্যাত',
+        '⚠️ Disputed': '⚠️ বিতর্কিত',
+        '⚖️ Appealed': '⚖️ আপিল করা হয়েছে',
+        'CFR - Community Forest Resource Rights': 'সিএফআর - সমষ্টিগত বনসম্পদ অধিকার',
+        'CFR - Community Forest Resources': 'সিএফআর - সমষ্টিগত বনসম্পদ',
+        'IFR - Individual Forest Rights': 'আইএফআর - ব্যক্তিগত বন অধিকার',
+        'CR - Community Rights': 'সিআর - সমষ্টিগত অধিকার',
+        '🌲 CFR - Community Forest Resource Rights': '🌲 সিএফআর - সমষ্টিগত বনসম্পদ অধিকার',
+        '🏠 IFR - Individual Forest Rights': '🏠 আইএফআর - ব্যক্তিগত বন অধিকার',
+        '🤝 CR - Community Rights': '🤝 সিআর - সমষ্টিগত অধিকার',
+        '🌾 Agriculture': '🌾 কৃষি',
+        '💧 Water Bodies': '💧 জলাশয়',
+
+        // Filters
+        '🔍 Filters': '🔍 ফিল্টার',
+        '🗺️ Geographic Filters': '🗺️ ভৌগোলিক ফিল্টার',
+        '🏛️ FRA Type Filters': '🏛️ এফআরএ ধরন ফিল্টার',
+        '🏞️ Asset Filters': '🏞️ সম্পদ ফিল্টার',
+        'State:': 'রাজ্য:',
+        'District:': 'জেলা:',
+        'Village:': 'গ্রাম:',
+        'FRA Type:': 'এফআরএ ধরন:',
+        'Status:': 'অবস্থা:',
+        'Tribal Community:': 'উপজাতি সম্প্রদায়:',
+        'Submission Year:': 'জমার বছর:',
+        'Land Cover Share:': 'ভূমি আচ্ছাদনের অংশ:',
+        'Asset Type:': 'সম্পদের ধরন:',
+        'Minimum Area (km²):': 'ন্যূনতম আয়তন (কিমি²):',
+        'All States': 'সব রাজ্য',
+        'All Districts': 'সব জেলা',
+        'All Villages': 'সব গ্রাম',
+        'All Types': 'সব ধরন',
+        'All Status': 'সব অবস্থা',
+        'All Communities': 'সব সম্প্রদায়',
+        'All Years': 'সব বছর',
+        'All Assets': 'সব সম্পদ',
+        'Any Land Cover': 'যেকোনো ভূমি আচ্ছাদন',
+        'more than': 'এর বেশি',
+        'Minimum share (%)': 'ন্যূনতম অংশ (%)',
+        '🌲 Forest': '🌲 বন',
+        '💧 Water': '💧 জল',
+        '🌾 Agricultural': '🌾 কৃষি',
+        '🌾 Agricultural Land': '🌾 কৃষিজমি',
+        '🏘️ Homestead': '🏘️ বসতবাড়ি',
+        '🔍 Apply Filters': '🔍 ফিল্টার প্রয়োগ করুন',
+        '🗑️ Clear': '🗑️ মুছুন',
+        'State: {state}': 'রাজ্য: {state}',
+        'District: {district}': 'জেলা: {district}',
+        'Village: {village}': 'গ্রাম: {village}',
+        'FRA type: {type}': 'এফআরএ ধরন: {type}',
+        'Status: {status}': 'অবস্থা: {status}',
+        'Community: {community}': 'সম্প্রদায়: {community}',
+        'Submitted in {year}': '{year} সালে জমা',
+        'Submitted by {date}': '{date} পর্যন্ত জমা',
+        'More than {percent}% {cover} cover': '{percent}%-এর বেশি {cover} আচ্ছাদন',
+        'Asset type: {type}': 'সম্পদের ধরন: {type}',
+        'Asset area ≥ {area} km²': 'সম্পদের আয়তন ≥ {area} কিমি²',
+        'none (all features)': 'কোনোটি নয় (সব বস্তু)',
+        'none (all claims and assets)': 'কোনোটি নয় (সব দাবি ও সম্পদ)',
+        'Filters applied! Showing {shown} of {total} features.': 'ফিল্টার প্রয়োগ হয়েছে! {total}টির মধ্যে {shown}টি বস্তু দেখানো হচ্ছে।',
+        'Filters cleared!': 'ফিল্টার মুছে ফেলা হয়েছে!',
+        'No data available to filter!': 'ফিল্টার করার মতো কোনো তথ্য নেই!',
+        '{count} claims in view match the filters': 'দৃশ্যে {count}টি দাবি ফিল্টারের সঙ্গে মেলে',
+
+        // Layers and legend
+        'Map Layers': 'মানচিত্রের স্তর',
+        'Assets Layer': 'সম্পদ স্তর',
+        'Water, Forest, Agriculture, Homestead': 'জল, বন, কৃষি, বসতবাড়ি',
+        'FRA Boundaries': 'এফআরএ সীমানা',
+        'IFR, CFR, CR Claims': 'আইএফআর, সিএফআর, সিআর দাবি',
+        'Admin Boundaries': 'প্রশাসনিক সীমানা',
+        'States, Districts, Blocks, Villages': 'রাজ্য, জেলা, ব্লক, গ্রাম',
+        'Opacity:': 'অস্বচ্ছতা:',
+        'FRA Layers': 'এফআরএ স্তর',
+        'FRA Claims': 'এফআরএ দাবি',
+        'Assets': 'সম্পদ',
+        'Administrative': 'প্রশাসনিক',
+        'Forest': 'বন',
+        'Agricultural Land': 'কৃষিজমি',
+        'Homestead': 'বসতবাড়ি',
+        'State Boundaries': 'রাজ্যের সীমানা',
+        'District Boundaries': 'জেলার সীমানা',
+        'Block Boundaries': 'ব্লকের সীমানা',
+        'Village Boundaries': 'গ্রামের সীমানা',
+        'Large forest areas managed by Gram Sabha': 'গ্রামসভা পরিচালিত বড় বনাঞ্চল',
+        'Small plots allocated to tribal households': 'উপজাতি পরিবারগুলিকে বরাদ্দ ছোট জমি',
+        'Shared resources like grazing land, ponds': 'চারণভূমি, পুকুরের মতো যৌথ সম্পদ',
+
+        // Statistics and actions
+        '📊 Quick Statistics': '📊 সংক্ষিপ্ত পরিসংখ্যান',
+        'Total Features': 'মোট বস্তু',
+        'Total Area (Ha)': 'মোট আয়তন (হে.)',
+        'Approved Claims': 'অনুমোদিত দাবি',
+        'Pending Claims': 'বিচারাধীন দাবি',
+        'Assets in View': 'দৃশ্যে সম্পদ',
+        'FRA Claims in View': 'দৃশ্যে এফআরএ দাবি',
+        'Zoom Level': 'জুম স্তর',
+        '⚡ Actions': '⚡ কাজ',
+        '🎯 Zoom to Data': '🎯 তথ্যে জুম করুন',
+        '💾 Export Data': '💾 তথ্য রপ্তানি করুন',
+        '🏠 Reset View': '🏠 দৃশ্য রিসেট করুন',
+        '🛰️ Toggle Map': '🛰️ মানচিত্র বদলান',
+        '🏷️ Toggle Labels': '🏷️ লেবেল দেখান/লুকান',
+        '🏷️ Show Labels': '🏷️ লেবেল দেখান',
+        '🚫 Hide Labels': '🚫 লেবেল লুকান',
+        '🖨️ Print Map': '🖨️ মানচিত্র প্রিন্ট করুন',
+        '📋 Table View': '📋 সারণি দৃশ্য',
+        '📋 Show as Table': '📋 সারণি হিসেবে দেখান',
+        '📋 Hide Table': '📋 সারণি লুকান',
+        '📥 GeoJSON': '📥 GeoJSON',
+        'No data to zoom to!': 'জুম করার মতো কোনো তথ্য নেই!',
+        'No data to export!': 'রপ্তানি করার মতো কোনো তথ্য নেই!',
+        'Exported {count} features as {filename}': '{count}টি বস্তু {filename} হিসেবে রপ্তানি হয়েছে',
+        'Export failed: {error}': 'রপ্তানি ব্যর্থ: {error}',
+        'Failed to load FRA data. Please check the server connection.': 'এফআরএ তথ্য লোড করা যায়নি। অনুগ্রহ করে সার্ভার সংযোগ পরীক্ষা করুন।',
+        'Failed to load map data. Please refresh the page.': 'মানচিত্রের তথ্য লোড করা যায়নি। অনুগ্রহ করে পৃষ্ঠাটি রিফ্রেশ করুন।',
+        'Server unreachable - showing claims saved for offline use.': 'সার্ভারে পৌঁছানো যাচ্ছে না - অফলাইনের জন্য সংরক্ষিত দাবি দেখানো হচ্ছে।',
+        'Could not import {failed} of {total} files:': '{total}টির মধ্যে {failed}টি ফাইল আমদানি করা যায়নি:',
+
+        // Popups and feature details
+        '🎯 Feature Information': '🎯 বস্তুর তথ্য',
+        'Click on any feature to see detailed information.': 'বিস্তারিত তথ্য দেখতে যেকোনো বস্তুতে ক্লিক করুন।',
+        'Enhanced Features:': 'উন্নত সুবিধা:',
+        '🛰️ Satellite-based asset mapping': '🛰️ উপগ্রহ-ভিত্তিক সম্পদ মানচিত্রণ',
+        '🗺️ India-focused view with realistic boundaries': '🗺️ বাস্তব সীমানাসহ ভারত-কেন্দ্রিক দৃশ্য',
+        '🔍 Dynamic filtering and highlighting': '🔍 গতিশীল ফিল্টারিং ও হাইলাইটিং',
+        '📊 Real-time statistics': '📊 তাৎক্ষণিক পরিসংখ্যান',
+        'Feature Details': 'বস্তুর বিবরণ',
+        'Asset Information': 'সম্পদের তথ্য',
+        'FRA Claim Information': 'এফআরএ দাবির তথ্য',
+        'Administrative Boundary': 'প্রশাসনিক সীমানা',
+        'ID:': 'আইডি:',
+        'Claim ID:': 'দাবি আইডি:',
+        'Type:': 'ধরন:',
+        'Area:': 'আয়তন:',
+        'Location:': 'অবস্থান:',
+        'Households:': 'পরিবার:',
+        'Beneficiaries:': 'উপকারভোগী:',
+        'Household Head:': 'পরিবারের প্রধান:',
+        'Gram Sabha:': 'গ্রামসভা:',
+        'Community:': 'সম্প্রদায়:',
+        'Submission:': 'জমার তারিখ:',
+        'Confidence:': 'আস্থা:',
+        'Level:': 'স্তর:',
+        'Name:': 'নাম:',
+        'Within:': 'অন্তর্গত:',
+        'Code:': 'কোড:',
+        '📏 Measure this feature': '📏 এই বস্তুটি মাপুন',
+        '{area} hectares': '{area} হেক্টর',
+
+        // Statistics, search and analysis tools
+        'States': 'রাজ্য',
+        'Features': 'বস্তু',
+        'FRA claims': 'এফআরএ দাবি',
+        'Agriculture / Water': 'কৃষি / জল',
+        'Total area': 'মোট আয়তন',
+        'Claimed area': 'দাবিকৃত আয়তন',
+        'Conflicting overlaps': 'বিরোধপূর্ণ ওভারল্যাপ',
+        '🔎 Search': '🔎 খুঁজুন',
+        'Search claims': 'দাবি খুঁজুন',
+        'Claim ID, village, gram sabha, household...': 'দাবি আইডি, গ্রাম, গ্রামসভা, পরিবার...',
+        'No matches': 'কোনো মিল নেই',
+        'Claims': 'দাবি',
+        'Household Heads': 'পরিবারের প্রধান',
+        'Survey Numbers': 'সমীক্ষা নম্বর',
+        'Villages': 'গ্রাম',
+        'Gram Sabhas': 'গ্রামসভা',
+        'Districts': 'জেলা',
+        'Tribal Communities': 'উপজাতি সম্প্রদায়',
+        '🏛️ FRA Hierarchy': '🏛️ এফআরএ স্তরবিন্যাস',
+        '🧭 Hierarchy Check': '🧭 স্তরবিন্যাস যাচাই',
+        '🏗️ Show Hierarchy': '🏗️ স্তরবিন্যাস দেখান',
+        '🔗 Hide Hierarchy': '🔗 স্তরবিন্যাস লুকান',
+        '{linked} claims linked to {cfrs} CFRs • {orphans} orphans • {spills} boundary spills': '{linked}টি দাবি {cfrs}টি সিএফআর-এর সঙ্গে যুক্ত • {orphans}টি বিচ্ছিন্ন • {spills}টি সীমানা ছাড়িয়ে',
+        '{id}: {count} child claims': '{id}: {count}টি উপ-দাবি',
+        '✅ Every IFR/CR claim sits inside a CFR': '✅ প্রতিটি আইএফআর/সিআর দাবি কোনো সিএফআর-এর ভেতরে আছে',
+        'Zoom to this claim': 'এই দাবিতে জুম করুন',
+        '🧩 Overlap Check': '🧩 ওভারল্যাপ যাচাই',
+        '🧩 Find Overlaps': '🧩 ওভারল্যাপ খুঁজুন',
+        '🧩 Hide Overlaps': '🧩 ওভারল্যাপ লুকান',
+        'Conflicts only': 'শুধু বিরোধ',
+
+        // Claim editor
+        '✏️ Draw Claim': '✏️ দাবি আঁকুন',
+        '📐 Reshape Selected': '📐 নির্বাচিতটির আকার বদলান',
+        '✏️ New Claim': '✏️ নতুন দাবি',
+        '📐 Reshape {id}': '📐 {id}-এর আকার বদলান',
+        'vertices': 'শীর্ষবিন্দু',
+        'Drag vertices to move, click a midpoint to insert, right-click a vertex to delete. Vertices snap to CFR boundaries.': 'শীর্ষবিন্দু সরাতে টানুন, যোগ করতে মধ্যবিন্দুতে ক্লিক করুন, মুছতে শীর্ষবিন্দুতে রাইট-ক্লিক করুন। শীর্ষবিন্দুগুলি সিএফআর সীমানায় আটকে যায়।',
+        'Claim Type:': 'দাবির ধরন:',
+        'Family Members:': 'পরিবারের সদস্য:',
+        'Survey Number:': 'সমীক্ষা নম্বর:',
+        'Total Households:': 'মোট পরিবার:',
+        'Beneficiary Households:': 'উপকারভোগী পরিবার:',
+        'Resource Type:': 'সম্পদের ধরন:',
+        '💾 Save': '💾 সংরক্ষণ করুন',
+        '✖️ Cancel': '✖️ বাতিল করুন',
+        'Click to place vertices; click the first vertex or double-click to close.': 'শীর্ষবিন্দু বসাতে ক্লিক করুন; বন্ধ করতে প্রথম শীর্ষবিন্দুতে ক্লিক বা ডাবল-ক্লিক করুন।',
+        'Select a CFR, IFR or CR claim on the map first!': 'আগে মানচিত্রে একটি সিএফআর, আইএফআর বা সিআর দাবি বেছে নিন!',
+        'Only single-part claim polygons can be reshaped.': 'শুধু এক-অংশের দাবি বহুভুজের আকার বদলানো যায়।',
+        'Close the claim boundary first!': 'আগে দাবির সীমানা বন্ধ করুন!',
+        'Please fill in {field}.': 'অনুগ্রহ করে {field} পূরণ করুন।',
+        'Claim {id} saved ({area} ha)': 'দাবি {id} সংরক্ষিত হয়েছে ({area} হে.)',
+        'Claim {id} saved ({area} ha) - hidden by current filters': 'দাবি {id} সংরক্ষিত হয়েছে ({area} হে.) - বর্তমান ফিল্টারের কারণে লুকানো',
+
+        // Keyboard navigation and feature table
+        'Selection cleared': 'নির্বাচন মুছে ফেলা হয়েছে',
+        'No features in view. Zoom out or change the filters.': 'দৃশ্যে কোনো বস্তু নেই। জুম আউট করুন বা ফিল্টার বদলান।',
+        '{index} of {count} in view': 'দৃশ্যে {count}টির মধ্যে {index}',
+        'north': 'উত্তর',
+        'south': 'দক্ষিণ',
+        'west': 'পশ্চিম',
+        'east': 'পূর্ব',
+        'No feature further {direction}': '{direction} দিকে আর কোনো বস্তু নেই',
+        'Press Enter for details.': 'বিবরণের জন্য Enter চাপুন।',
+        'Showing details for {feature}': '{feature}-এর বিবরণ দেখানো হচ্ছে',
+        'Arrow keys pan the map and plus and minus zoom. Press N or ] for the next feature in view and P or [ for the previous one. With a feature selected, arrow keys move to the nearest feature in that direction, Enter shows its details and Escape clears the selection. A table of the features is available in the sidebar.': 'তীর কী মানচিত্র সরায় এবং প্লাস ও মাইনাস জুম করে। দৃশ্যে পরের বস্তুর জন্য N বা ] এবং আগেরটির জন্য P বা [ চাপুন। বস্তু নির্বাচিত থাকলে তীর কী সেই দিকের নিকটতম বস্তুতে নিয়ে যায়, Enter তার বিবরণ দেখায় এবং Escape নির্বাচন মুছে দেয়। বস্তুগুলির সারণি পাশের প্যানেলে পাওয়া যায়।',
+        '{count} features matching the current filters': 'বর্তমান ফিল্টারের সঙ্গে মেলে এমন {count}টি বস্তু',
+        '{count} features matching the current filters, first {limit} shown': 'বর্তমান ফিল্টারের সঙ্গে মেলে এমন {count}টি বস্তু, প্রথম {limit}টি দেখানো হয়েছে',
+        'ID': 'আইডি',
+        'Type': 'ধরন',
+        'Status': 'অবস্থা',
+        'Village': 'গ্রাম',
+        'Area ha': 'আয়তন হে.',
+        'Show on map': 'মানচিত্রে দেখান',
+        'Show {id} on map': '{id} মানচিত্রে দেখান',
+        'Show more': 'আরও দেখান',
+        'Show {count} more': 'আরও {count}টি দেখান',
+
+        // Land cover
+        'Land cover': 'ভূমি আচ্ছাদন',
+        '(confidence-weighted)': '(আস্থা-ভারযুক্ত)',
+        'Water': 'জল',
+        'Agricultural': 'কৃষি',
+        'Other': 'অন্যান্য',
+        'Unclassified': 'অশ্রেণিভুক্ত',
+        'No land-cover data for this claim': 'এই দাবির জন্য ভূমি আচ্ছাদনের তথ্য নেই',
+        'No classified land cover inside this claim': 'এই দাবির ভেতরে কোনো শ্রেণিভুক্ত ভূমি আচ্ছাদন নেই',
+
+        // Timeline
+        '🕒 Timeline': '🕒 সময়রেখা',
+        'Play': 'চালান',
+        'Pause': 'থামান',
+        'Step': 'ধাপ',
+        'Week': 'সপ্তাহ',
+        'Month': 'মাস',
+        'Quarter': 'ত্রৈমাসিক',
+        'Status as of date': 'তারিখ অনুযায়ী অবস্থা',
+        'Status as of {date}': '{date} অনুযায়ী অবস্থা',
+
+        // Printing
+        'Print map': 'মানচিত্র প্রিন্ট করুন',
+        'Title': 'শিরোনাম',
+        'Paper': 'কাগজ',
+        'Orientation': 'দিক',
+        'Landscape': 'আড়াআড়ি',
+        'Portrait': 'লম্বালম্বি',
+        'Resolution': 'রেজোলিউশন',
+        'Forest Rights Act Claims': 'বন অধিকার আইনের দাবি',
+        'FRA Claims and Assets - India': 'এফআরএ দাবি ও সম্পদ - ভারত',
+        'Printed {date}': 'মুদ্রিত {date}',
+        'Filters: {filters}': 'ফিল্টার: {filters}',
+        'Summary': 'সারসংক্ষেপ',
+        'Loading map tiles {done}/{total}…': 'মানচিত্রের টাইল লোড হচ্ছে {done}/{total}…',
+        'Encoding…': 'এনকোড হচ্ছে…',
+        '✅ Saved {filename}': '✅ {filename} সংরক্ষিত হয়েছে',
+        '⚠️ Saved {filename}, but {count} base map tiles could not be loaded for printing': '⚠️ {filename} সংরক্ষিত হয়েছে, কিন্তু {count}টি ভিত্তি মানচিত্রের টাইল প্রিন্টের জন্য লোড করা যায়নি',
+        '❌ Print failed: {error}': '❌ প্রিন্ট ব্যর্থ: {error}',
+
+        // Analytics dashboard
+        '📊 FRA Analytics Dashboard': '📊 এফআরএ বিশ্লেষণ ড্যাশবোর্ড',
+        'Click a bar, slice or year to filter the map': 'মানচিত্র ফিল্টার করতে কোনো বার, অংশ বা বছরে ক্লিক করুন',
+        '⏳ Loading analytics...': '⏳ বিশ্লেষণ লোড হচ্ছে...',
+        'No data available': 'কোনো তথ্য নেই',
+        '🏛️ Claims by Type': '🏛️ ধরন অনুযায়ী দাবি',
+        '📋 Claims by Status': '📋 অবস্থা অনুযায়ী দাবি',
+        '🗺️ Claims by State and Type': '🗺️ রাজ্য ও ধরন অনুযায়ী দাবি',
+        '👥 Tribal Communities': '👥 উপজাতি সম্প্রদায়',
+        '📈 Submissions per Year': '📈 বছরপ্রতি জমা',
+        'Not yet approved': 'এখনও অনুমোদিত নয়',
+        'Total Claims': 'মোট দাবি',
+        'Approval Rate': 'অনুমোদনের হার',
+        'Total Area': 'মোট আয়তন',
+        'Field Verified': 'মাঠে যাচাইকৃত',
+        'GPS Verified': 'জিপিএস যাচাইকৃত',
+
+        // Claim detail panel
+        'Unnamed feature': 'নামহীন বস্তু',
+        '{index} of {total}': '{total}টির মধ্যে {index}',
+        '📄 Summary': '📄 সারসংক্ষেপ',
+        '👥 Community': '👥 সম্প্রদায়',
+        '✔️ Verification': '✔️ যাচাই',
+        '🌿 Ecology': '🌿 বাস্তুসংস্থান',
+        '🧭 Related': '🧭 সম্পর্কিত',
+        '⏳ Loading full record...': '⏳ সম্পূর্ণ রেকর্ড লোড হচ্ছে...',
+        '⚠️ Server record unavailable; showing map attributes': '⚠️ সার্ভারের রেকর্ড পাওয়া যায়নি; মানচিত্রের বৈশিষ্ট্য দেখানো হচ্ছে',
+        'Area': 'আয়তন',
+        'Location': 'অবস্থান',
+        'Nothing recorded for this feature': 'এই বস্তুর জন্য কিছু নথিভুক্ত নেই',
+        'Not recorded': 'নথিভুক্ত নয়',
+        '✅ Yes': '✅ হ্যাঁ',
+        '❌ No': '❌ না',
+        'Parent CFR': 'মূল সিএফআর',
+        'Not applicable': 'প্রযোজ্য নয়',
+        'Lies outside every CFR boundary': 'কোনো সিএফআর সীমানার ভেতরে নেই',
+        'Child claims ({count})': 'উপ-দাবি ({count})',
+        'Block': 'ব্লক',
+        'Panchayat': 'পঞ্চায়েত',
+        'Survey Number': 'সমীক্ষা নম্বর',
+        'Submission Date': 'জমার তারিখ',
+        'Last Updated': 'সর্বশেষ হালনাগাদ',
+        'Tribal Community': 'উপজাতি সম্প্রদায়',
+        'Gram Sabha': 'গ্রামসভা',
+        'Total Households': 'মোট পরিবার',
+        'Beneficiary Households': 'উপকারভোগী পরিবার',
+        'Household Head': 'পরিবারের প্রধান',
+        'Family Members': 'পরিবারের সদস্য',
+        'Field Verification Done': 'মাঠ যাচাই সম্পন্ন',
+        'GPS Coordinates Verified': 'জিপিএস স্থানাঙ্ক যাচাইকৃত',
+        'Boundary Demarcated': 'সীমানা চিহ্নিত',
+        'Resource Type': 'সম্পদের ধরন',
+        'Forest Type': 'বনের ধরন',
+
+        // Query builder
+        '🧮 Query Builder': '🧮 কোয়েরি বিল্ডার',
+        'Query Builder': 'কোয়েরি বিল্ডার',
+        'Saved queries': 'সংরক্ষিত কোয়েরি',
+        'Load': 'লোড করুন',
+        'Delete': 'মুছুন',
+        'Query name': 'কোয়েরির নাম',
+        'Save': 'সংরক্ষণ করুন',
+        'Apply': 'প্রয়োগ করুন',
+        'Clear': 'মুছে ফেলুন',
+        'Combine conditions': 'শর্ত একত্র করুন',
+        'All of (AND)': 'সবগুলি (AND)',
+        'Any of (OR)': 'যেকোনো (OR)',
+        '+ Condition': '+ শর্ত',
+        '+ Group': '+ গোষ্ঠী',
+        'Remove': 'সরান',
+        'Field': 'ক্ষেত্র',
+        'Operator': 'অপারেটর',
+        'Value': 'মান',
+        'Minimum': 'সর্বনিম্ন',
+        'Maximum': 'সর্বাধিক',
+        'Choose a field': 'ক্ষেত্র বেছে নিন',
+        'Choose a value': 'মান বেছে নিন',
+        'and': 'এবং',
+        'AND': 'এবং',
+        'OR': 'অথবা',
+        'between': 'এর মধ্যে',
+        'is one of': 'এগুলির একটি',
+        'is not one of': 'এগুলির কোনোটি নয়',
+        'contains': 'রয়েছে',
+        'is true': 'সত্য',
+        'is false': 'মিথ্যা',
+        'is empty': 'খালি',
+        'is not empty': 'খালি নয়',
+        'No conditions yet; every claim matches.': 'এখনও কোনো শর্ত নেই; প্রতিটি দাবি মেলে।',
+        'Enter a name for the query.': 'কোয়েরির জন্য একটি নাম দিন।',
+        'Add a condition before saving.': 'সংরক্ষণের আগে একটি শর্ত যোগ করুন।',
+        'Saved "{name}".': '"{name}" সংরক্ষিত হয়েছে।',
+        'Loaded "{name}".': '"{name}" লোড হয়েছে।',
+        'Deleted "{name}".': '"{name}" মুছে ফেলা হয়েছে।',
+        'Query: {query}': 'কোয়েরি: {query}',
+
+        // Claim clusters
+        '🔵 Cluster claims': '🔵 দাবিগুলি গুচ্ছ করুন',
+        'Pie slices': 'পাই অংশ',
+        'By FRA type': 'FRA প্রকার অনুযায়ী',
+        'By status': 'অবস্থা অনুযায়ী',
+        'Zoom to level {zoom} for claim outlines': 'দাবির সীমানার জন্য স্তর {zoom}-এ জুম করুন',
+        '{count} claims': '{count}টি দাবি',
+        'Claim clusters by status': 'অবস্থা অনুযায়ী দাবি গুচ্ছ',
+        'Claim clusters by FRA type': 'FRA প্রকার অনুযায়ী দাবি গুচ্ছ',
+
+        // Density heatmap
+        '🔥 Claim density': '🔥 দাবির ঘনত্ব',
+        'Weight by': 'ওজনের ভিত্তি',
+        'Claimed area (ha)': 'দাবিকৃত এলাকা (হে.)',
+        'Pending claims': 'বিচারাধীন দাবি',
+        'Objections received': 'প্রাপ্ত আপত্তি',
+        'Radius': 'ব্যাসার্ধ',
+        'Intensity': 'তীব্রতা',
+        'Low': 'কম',
+        'High': 'বেশি',
+
+        // Feature selection
+        '🔲 Selection': '🔲 নির্বাচন',
+        '▭ Box Select': '▭ বক্স নির্বাচন',
+        '➰ Lasso': '➰ ল্যাসো',
+        '🎯 Zoom to Selection': '🎯 নির্বাচনে জুম করুন',
+        '🔍 Filter to Selection': '🔍 নির্বাচন অনুযায়ী ফিল্টার করুন',
+        '💾 Export': '💾 রপ্তানি করুন',
+        '✕ Clear Selection': '✕ নির্বাচন মুছুন',
+        'Export format': 'রপ্তানির ফরম্যাট',
+        '{count} selected': '{count}টি নির্বাচিত',
+        'Total area: {area} ha': 'মোট আয়তন: {area} হে.',
+        'Households: {households}': 'পরিবার: {households}',
+        'By type': 'ধরন অনুযায়ী',
+        'Shift-click features, or draw a box or lasso around them, to select them.': 'নির্বাচন করতে ফিচারে Shift-ক্লিক করুন, অথবা সেগুলির চারপাশে বক্স বা ল্যাসো আঁকুন।',
+        'Drag on the map to draw a box; hold Shift to add to the selection. Esc to stop.': 'বক্স আঁকতে মানচিত্রে টানুন; নির্বাচনে যোগ করতে Shift চেপে রাখুন। থামাতে Esc।',
+        'Drag on the map to draw around features; hold Shift to add to the selection. Esc to stop.': 'ফিচারের চারপাশে আঁকতে মানচিত্রে টানুন; নির্বাচনে যোগ করতে Shift চেপে রাখুন। থামাতে Esc।',
+
+        // Boundary notice
+        '⚠️ No boundary files found in data/boundaries. Add state and district GeoJSON or TopoJSON files there to draw boundaries and aggregate claims by region.': '⚠️ data/boundaries-এ কোনো সীমানা ফাইল পাওয়া যায়নি। সীমানা দেখাতে এবং দাবিগুলি অঞ্চল অনুযায়ী একত্র করতে সেখানে রাজ্য ও জেলার GeoJSON বা TopoJSON ফাইল যোগ করুন।',
+
+        // Regional choropleth
+        '🗺️ Aggregate by region': '🗺️ অঞ্চল অনুযায়ী একত্র করুন',
+        'Metric': 'পরিমাপ',
+        'Class breaks': 'শ্রেণি বিভাজন',
+        'Total area (ha)': 'মোট আয়তন (হে.)',
+        'Approval rate': 'অনুমোদনের হার',
+        'Quantile': 'কোয়ান্টাইল',
+        'Equal interval': 'সমান ব্যবধান',
+        'Natural breaks': 'প্রাকৃতিক বিভাজন',
+        'Zoom to level {zoom} for individual features': 'আলাদা বস্তুর জন্য স্তর {zoom} পর্যন্ত জুম করুন',
+        '{metric} per state': 'রাজ্য অনুযায়ী {metric}',
+        '{metric} per district': 'জেলা অনুযায়ী {metric}',
+        'No claims to aggregate': 'একত্র করার মতো কোনো দাবি নেই',
+        'Claims: {count}': 'দাবি: {count}',
+        'Area: {area} ha': 'আয়তন: {area} হে.',
+        'Approval rate: {rate}': 'অনুমোদনের হার: {rate}',
+        'Pending: {count}': 'বিচারাধীন: {count}',
+
+        // Offline field mode
+        'Offline field mode': 'অফলাইন ফিল্ড মোড',
+        '📴 Offline': '📴 অফলাইন',
+        'This browser can\'t store maps for offline use.': 'এই ব্রাউজার অফলাইন ব্যবহারের জন্য মানচিত্র সংরক্ষণ করতে পারে না।',
+        'Area name': 'এলাকার নাম',
+        'Zoom': 'জুম',
+        'to': 'থেকে',
+        '⬇️ Save current view': '⬇️ বর্তমান দৃশ্য সংরক্ষণ করুন',
+        'Cancel': 'বাতিল করুন',
+        '● Online': '● অনলাইন',
+        '● Offline': '● অফলাইন',
+        'Enter a zoom range, lowest first': 'জুমের পরিসর লিখুন, আগে সর্বনিম্ন',
+        '{count} tiles - over the {limit} limit, zoom in or lower the maximum': '{count}টি টাইল - {limit} সীমার বেশি, জুম ইন করুন বা সর্বোচ্চ কমান',
+        '{count} tiles': '{count}টি টাইল',
+        'Area around {lat}, {lng}': '{lat}, {lng}-এর আশেপাশের এলাকা',
+        'Failed: {message}': 'ব্যর্থ: {message}',
+        '{done} / {total} tiles': '{done} / {total}টি টাইল',
+        'No areas saved yet': 'এখনও কোনো এলাকা সংরক্ষিত হয়নি',
+        'Zoom {min}-{max}': 'জুম {min}-{max}',
+        '({count} missing)': '({count}টি অনুপস্থিত)',
+        'Saved {age}': '{age} সংরক্ষিত',
+        '⚠️ stale, re-download when online': '⚠️ পুরোনো, অনলাইনে থাকলে আবার ডাউনলোড করুন',
+        '🎯 Go to': '🎯 সেখানে যান',
+        '🗑️ Delete': '🗑️ মুছুন',
+        'Delete the offline copy of "{name}"?': '"{name}"-এর অফলাইন কপি মুছবেন?',
+        '📦 Server unreachable, showing saved data:': '📦 সার্ভারে পৌঁছানো যাচ্ছে না, সংরক্ষিত ডেটা দেখানো হচ্ছে:',
+        '{count} claims, oldest saved {age}': '{count}টি দাবি, সবচেয়ে পুরোনোটি {age} সংরক্ষিত',
+        '{count} assets, oldest saved {age}': '{count}টি সম্পদ, সবচেয়ে পুরোনোটি {age} সংরক্ষিত',
+        '{count} {key}, oldest saved {age}': '{count} {key}, সবচেয়ে পুরোনোটি {age} সংরক্ষিত',
+        '⚠️ This copy is stale; reload when back online': '⚠️ এই কপিটি পুরোনো; অনলাইনে ফিরে আবার লোড করুন',
+        'just now': 'এইমাত্র',
+        '{count} min ago': '{count} মিনিট আগে',
+        '{count} h ago': '{count} ঘণ্টা আগে',
+        '1 day ago': '1 দিন আগে',
+        '{count} days ago': '{count} দিন আগে',
+
+        // Overlap report and claim editor
+        '{conflicts} conflicts ({area} ha) • {others} expected or minor overlaps': '{conflicts}টি বিরোধ ({area} হে.) • {others}টি প্রত্যাশিত বা সামান্য ওভারল্যাপ',
+        'Sort by {column}': '{column} অনুযায়ী সাজান',
+        '✅ No conflicting overlaps': '✅ কোনো বিরোধপূর্ণ ওভারল্যাপ নেই',
+        '✅ No overlapping claims': '✅ কোনো ওভারল্যাপিং দাবি নেই',
+        'Conflicting overlap': 'বিরোধপূর্ণ ওভারল্যাপ',
+        'Expected or minor overlap': 'প্রত্যাশিত বা সামান্য ওভারল্যাপ',
+        'Claim overlaps': 'দাবির ওভারল্যাপ',
+        'Claim A': 'দাবি A',
+        'Claim B': 'দাবি B',
+        'Overlap ha': 'ওভারল্যাপ হে.',
+        '% of A': 'A-এর %',
+        '% of B': 'B-এর %',
+        'IFR overlaps IFR': 'IFR, IFR-এর সঙ্গে ওভারল্যাপ করে',
+        'IFR inside another village\'s CFR': 'অন্য গ্রামের CFR-এর ভিতরে IFR',
+        'CR inside another village\'s CFR': 'অন্য গ্রামের CFR-এর ভিতরে CR',
+        'CFR overlaps CFR': 'CFR, CFR-এর সঙ্গে ওভারল্যাপ করে',
+        'Within own village CFR': 'নিজের গ্রামের CFR-এর ভিতরে',
+        'IFR/CR overlap': 'IFR/CR ওভারল্যাপ',
+        'unknown village': 'অজানা গ্রাম',
+        '{a} and {b}: {area} ha - {kind}': '{a} ও {b}: {area} হে. - {kind}',
+        'ha': 'হে.',
+
+        // Measurement tool
+        '📏 Distance': '📏 দূরত্ব',
+        '⬛ Area': '⬛ আয়তন',
+        'Measure distance': 'দূরত্ব মাপুন',
+        'Measure area and perimeter': 'আয়তন ও পরিসীমা মাপুন',
+        'Clear measurement': 'মাপ মুছুন',
+        'Click to add points; double-click or click the last point to finish.': 'বিন্দু যোগ করতে ক্লিক করুন; শেষ করতে ডাবল-ক্লিক করুন বা শেষ বিন্দুতে ক্লিক করুন।',
+        'Click to add corners; double-click or click the first corner to close.': 'কোণ যোগ করতে ক্লিক করুন; বন্ধ করতে ডাবল-ক্লিক করুন বা প্রথম কোণে ক্লিক করুন।',
+        'Distance:': 'দূরত্ব:',
+        'Last segment {length}': 'শেষ অংশ {length}',
+        'Perimeter:': 'পরিসীমা:',
+        'Recorded:': 'নথিভুক্ত:',
+        'within ±{tolerance}%': '±{tolerance}% এর মধ্যে',
+        'outside ±{tolerance}%': '±{tolerance}% এর বাইরে',
+        'No recorded area to compare with.': 'তুলনা করার মতো কোনো নথিভুক্ত আয়তন নেই।',
+        'This feature has no polygon to measure.': 'এই বস্তুতে মাপার মতো কোনো বহুভুজ নেই।',
+        'acres': 'একর',
+        'km²': 'বর্গ কিমি',
+        'km': 'কিমি',
+        'm': 'মি.',
+
+        // Overlay import
+        '📂 Drop GeoJSON, KML/KMZ, zipped Shapefile or CSV files': '📂 GeoJSON, KML/KMZ, জিপ করা Shapefile বা CSV ফাইল এখানে ছাড়ুন',
+        'No attributes': 'কোনো বৈশিষ্ট্য নেই',
+        '✅ {file}: {count} features as "{name}"': '✅ {file}: "{name}" হিসেবে {count}টি বস্তু',
+        'Shapefiles must be dropped as one .zip holding the .shp, .dbf and .prj files': 'Shapefile-কে .shp, .dbf ও .prj ফাইলসহ একটি .zip হিসেবে ছাড়ুন',
+        'Unsupported file type ".{extension}"': 'অসমর্থিত ফাইল প্রকার ".{extension}"',
+        'No features with geometry found': 'জ্যামিতিসহ কোনো বস্তু পাওয়া যায়নি',
+        'Coordinates are not WGS84 longitude/latitude; reproject to EPSG:4326 first': 'স্থানাঙ্ক WGS84 দ্রাঘিমা/অক্ষাংশে নেই; আগে EPSG:4326-এ পুনঃপ্রক্ষেপণ করুন',
+        'Invalid JSON: {reason}': 'অবৈধ JSON: {reason}',
+        'Not a GeoJSON FeatureCollection, Feature or geometry': 'এটি GeoJSON FeatureCollection, Feature বা জ্যামিতি নয়',
+        'Invalid KML: the XML is not well-formed': 'অবৈধ KML: XML সঠিকভাবে গঠিত নয়',
+        'CSV has no data rows': 'CSV-তে কোনো ডেটা সারি নেই',
+        'No latitude/longitude columns found (expected e.g. "lat" and "lon", got: {columns})': 'অক্ষাংশ/দ্রাঘিমা কলাম পাওয়া যায়নি (প্রত্যাশিত যেমন "lat" ও "lon", পাওয়া গেছে: {columns})',
+        'ZIP contains no .shp or .kml file': 'ZIP-এ কোনো .shp বা .kml ফাইল নেই',
+        '{layer}: projected coordinate system "{projection}"; reproject to EPSG:4326 first': '{layer}: প্রক্ষিপ্ত স্থানাঙ্ক ব্যবস্থা "{projection}"; আগে EPSG:4326-এ পুনঃপ্রক্ষেপণ করুন',
+        'Invalid .shp file header': 'অবৈধ .shp ফাইল হেডার',
+        'Unsupported shapefile geometry type {type}': 'অসমর্থিত shapefile জ্যামিতি প্রকার {type}'
+    }
+});
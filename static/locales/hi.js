@@ -0,0 +1,591 @@
+/**
+ * Vanachitra.AI - Hindi Translations
+ * Keyed by the English UI text; anything missing here shows in English
+ */
+
+I18n.register('hi', {
+    name: 'हिन्दी',
+    intl: 'hi-IN',
+    messages: {
+        // Header and layout
+        'Empowering Forest Communities through Digital Mapping': 'डिजिटल मानचित्रण से वन समुदायों का सशक्तिकरण',
+        'Forest Rights Act - WebGIS Visualization System': 'वन अधिकार अधिनियम - वेबजीआईएस विज़ुअलाइज़ेशन प्रणाली',
+        '🇮🇳 India Asset Management - Enhanced 3-Layer WebGIS': '🇮🇳 भारत परिसंपत्ति प्रबंधन - उन्नत 3-परत वेबजीआईएस',
+        'Satellite-based Asset Mapping • FRA Claims Management • Administrative Boundaries': 'उपग्रह-आधारित परिसंपत्ति मानचित्रण • एफआरए दावा प्रबंधन • प्रशासनिक सीमाएँ',
+        'Language': 'भाषा',
+        'Map': 'मानचित्र',
+        '🌳 Loading Vanachitra.AI...': '🌳 Vanachitra.AI लोड हो रहा है...',
+        'Preparing Forest Rights Act spatial data': 'वन अधिकार अधिनियम का स्थानिक डेटा तैयार हो रहा है',
+        'Loading Enhanced WebGIS...': 'उन्नत वेबजीआईएस लोड हो रहा है...',
+        'Preparing satellite imagery and asset data': 'उपग्रह चित्र और परिसंपत्ति डेटा तैयार हो रहा है',
+        'Close': 'बंद करें',
+        'N/A': 'उपलब्ध नहीं',
+        'Unknown': 'अज्ञात',
+        'none': 'कोई नहीं',
+        'None': 'कोई नहीं',
+        'Error: {message}': 'त्रुटि: {message}',
+
+        // Map controls
+        'Reset View': 'दृश्य रीसेट करें',
+        'Zoom to India': 'भारत पर ज़ूम करें',
+        'Toggle Layers': 'परतें दिखाएँ/छिपाएँ',
+        'Fullscreen': 'पूर्ण स्क्रीन',
+        'Export Data': 'डेटा निर्यात करें',
+        'Measure Distance': 'दूरी मापें',
+        'Print Map': 'मानचित्र प्रिंट करें',
+        'Analytics Dashboard': 'विश्लेषण डैशबोर्ड',
+        'Previous in filtered set': 'फ़िल्टर किए गए समूह में पिछला',
+        'Next in filtered set': 'फ़िल्टर किए गए समूह में अगला',
+        '◀ Prev': '◀ पिछला',
+        'Next ▶': 'अगला ▶',
+        'Dock left': 'बाईं ओर रखें',
+        'Dock right': 'दाईं ओर रखें',
+        'Legend': 'मानचित्र सूची',
+        'Map Legend': 'मानचित्र सूची',
+
+        // FRA claim types and statuses
+        'Individual Forest Rights': 'व्यक्तिगत वन अधिकार',
+        'Community Forest Resource Rights': 'सामुदायिक वन संसाधन अधिकार',
+        'Community Forest Rights': 'सामुदायिक वन अधिकार',
+        'Community Rights': 'सामुदायिक अधिकार',
+        'Community Resource Rights': 'सामुदायिक संसाधन अधिकार',
+        'Agriculture': 'कृषि',
+        'Water Body': 'जल निकाय',
+        'Water Bodies': 'जल निकाय',
+        'Feature': 'वस्तु',
+        'Approved': 'स्वीकृत',
+        'Pending': 'लंबित',
+        'Under Review': 'समीक्षाधीन',
+        'Submitted': 'जमा किया गया',
+        'Field Verification': 'क्षेत्र सत्यापन',
+        'Rejected': 'अस्वीकृत',
+        'Disputed': 'विवादित',
+        'Appealed': 'अपील की गई',
+        '✅ Approved': '✅ स्वीकृत',
+        '⏳ Pending': '⏳ लंबित',
+        '🔄 Under Review': '🔄 समीक्षाधीन',
+        '📨 Submitted': '📨 जमा किया गया',
+        '🔍 Field Verification': '🔍 क्षेत्र सत्यापन',
+        '❌ Rejected': '❌ अस्वीकृत',
+        '⚠️ Disputed': '⚠️ विवादित',
+        '⚖️ Appealed': '⚖️ अपील की गई',
+        'CFR - Community Forest Resource Rights': 'सीएफआर - सामुदायिक वन संसाधन अधिकार',
+        'CFR - Community Forest Resources': 'सीएफआर - सामुदायिक वन संसाधन',
+        'IFR - Individual Forest Rights': 'आईएफआर - व्यक्तिगत वन अधिकार',
+        'CR - Community Rights': 'सीआर - सामुदायिक अधिकार',
+        '🌲 CFR - Community Forest Resource Rights': '🌲 सीएफआर - सामुदायिक वन संसाधन अधिकार',
+        '🏠 IFR - Individual Forest Rights': '🏠 आईएफआर - व्यक्तिगत वन अधिकार',
+        '🤝 CR - Community Rights': '🤝 सीआर - सामुदायिक अधिकार',
+        '🌾 Agriculture': '🌾 कृषि',
+        '💧 Water Bodies': '💧 जल निकाय',
+
+        // Filters
+        '🔍 Filters': '🔍 फ़िल्टर',
+        '🗺️ Geographic Filters': '🗺️ भौगोलिक फ़िल्टर',
+        '🏛️ FRA Type Filters': '🏛️ एफआरए प्रकार फ़िल्टर',
+        '🏞️ Asset Filters': '🏞️ परिसंपत्ति फ़िल्टर',
+        'State:': 'राज्य:',
+        'District:': 'ज़िला:',
+        'Village:': 'गाँव:',
+        'FRA Type:': 'एफआरए प्रकार:',
+        'Status:': 'स्थिति:',
+        'Tribal Community:': 'जनजातीय समुदाय:',
+        'Submission Year:': 'आवेदन वर्ष:',
+        'Land Cover Share:': 'भू-आवरण हिस्सा:',
+        'Asset Type:': 'परिसंपत्ति प्रकार:',
+        'Minimum Area (km²):': 'न्यूनतम क्षेत्रफल (किमी²):',
+        'All States': 'सभी राज्य',
+        'All Districts': 'सभी ज़िले',
+        'All Villages': 'सभी गाँव',
+        'All Types': 'सभी प्रकार',
+        'All Status': 'सभी स्थितियाँ',
+        'All Communities': 'सभी समुदाय',
+        'All Years': 'सभी वर्ष',
+        'All Assets': 'सभी परिसंपत्तियाँ',
+        'Any Land Cover': 'कोई भी भू-आवरण',
+        'more than': 'से अधिक',
+        'Minimum share (%)': 'न्यूनतम हिस्सा (%)',
+        '🌲 Forest': '🌲 वन',
+        '💧 Water': '💧 जल',
+        '🌾 Agricultural': '🌾 कृषि',
+        '🌾 Agricultural Land': '🌾 कृषि भूमि',
+        '🏘️ Homestead': '🏘️ आवास',
+        '🔍 Apply Filters': '🔍 फ़िल्टर लागू करें',
+        '🗑️ Clear': '🗑️ साफ़ करें',
+        'State: {state}': 'राज्य: {state}',
+        'District: {district}': 'ज़िला: {district}',
+        'Village: {village}': 'गाँव: {village}',
+        'FRA type: {type}': 'एफआरए प्रकार: {type}',
+        'Status: {status}': 'स्थिति: {status}',
+        'Community: {community}': 'समुदाय: {community}',
+        'Submitted in {year}': '{year} में जमा',
+        'Submitted by {date}': '{date} तक जमा',
+        'More than {percent}% {cover} cover': '{percent}% से अधिक {cover} आवरण',
+        'Asset type: {type}': 'परिसंपत्ति प्रकार: {type}',
+        'Asset area ≥ {area} km²': 'परिसंपत्ति क्षेत्रफल ≥ {area} किमी²',
+        'none (all features)': 'कोई नहीं (सभी वस्तुएँ)',
+        'none (all claims and assets)': 'कोई नहीं (सभी दावे और परिसंपत्तियाँ)',
+        'Filters applied! Showing {shown} of {total} features.': 'फ़िल्टर लागू! {total} में से {shown} वस्तुएँ दिखाई जा रही हैं।',
+        'Filters cleared!': 'फ़िल्टर हटा दिए गए!',
+        'No data available to filter!': 'फ़िल्टर करने के लिए कोई डेटा नहीं!',
+        '{count} claims in view match the filters': 'दृश्य में {count} दावे फ़िल्टर से मेल खाते हैं',
+
+        // Layers and legend
+        'Map Layers': 'मानचित्र परतें',
+        'Assets Layer': 'परिसंपत्ति परत',
+        'Water, Forest, Agriculture, Homestead': 'जल, वन, कृषि, आवास',
+        'FRA Boundaries': 'एफआरए सीमाएँ',
+        'IFR, CFR, CR Claims': 'आईएफआर, सीएफआर, सीआर दावे',
+        'Admin Boundaries': 'प्रशासनिक सीमाएँ',
+        'States, Districts, Blocks, Villages': 'राज्य, ज़िले, ब्लॉक, गाँव',
+        'Opacity:': 'अपारदर्शिता:',
+        'FRA Layers': 'एफआरए परतें',
+        'FRA Claims': 'एफआरए दावे',
+        'Assets': 'परिसंपत्तियाँ',
+        'Administrative': 'प्रशासनिक',
+        'Forest': 'वन',
+        'Agricultural Land': 'कृषि भूमि',
+        'Homestead': 'आवास',
+        'State Boundaries': 'राज्य सीमाएँ',
+        'District Boundaries': 'ज़िला सीमाएँ',
+        'Block Boundaries': 'ब्लॉक सीमाएँ',
+        'Village Boundaries': 'गाँव सीमाएँ',
+        'Large forest areas managed by Gram Sabha': 'ग्राम सभा द्वारा प्रबंधित बड़े वन क्षेत्र',
+        'Small plots allocated to tribal households': 'जनजातीय परिवारों को आवंटित छोटे भूखंड',
+        'Shared resources like grazing land, ponds': 'चारागाह, तालाब जैसे साझा संसाधन',
+
+        // Statistics and actions
+        '📊 Quick Statistics': '📊 त्वरित आँकड़े',
+        'Total Features': 'कुल वस्तुएँ',
+        'Total Area (Ha)': 'कुल क्षेत्रफल (हे.)',
+        'Approved Claims': 'स्वीकृत दावे',
+        'Pending Claims': 'लंबित दावे',
+        'Assets in View': 'दृश्य में परिसंपत्तियाँ',
+        'FRA Claims in View': 'दृश्य में एफआरए दावे',
+        'Zoom Level': 'ज़ूम स्तर',
+        '⚡ Actions': '⚡ कार्रवाइयाँ',
+        '🎯 Zoom to Data': '🎯 डेटा पर ज़ूम करें',
+        '💾 Export Data': '💾 डेटा निर्यात करें',
+        '🏠 Reset View': '🏠 दृश्य रीसेट करें',
+        '🛰️ Toggle Map': '🛰️ मानचित्र बदलें',
+        '🏷️ Toggle Labels': '🏷️ लेबल दिखाएँ/छिपाएँ',
+        '🏷️ Show Labels': '🏷️ लेबल दिखाएँ',
+        '🚫 Hide Labels': '🚫 लेबल छिपाएँ',
+        '🖨️ Print Map': '🖨️ मानचित्र प्रिंट करें',
+        '📋 Table View': '📋 तालिका दृश्य',
+        '📋 Show as Table': '📋 तालिका के रूप में दिखाएँ',
+        '📋 Hide Table': '📋 तालिका छिपाएँ',
+        '📥 GeoJSON': '📥 GeoJSON',
+        'No data to zoom to!': 'ज़ूम करने के लिए कोई डेटा नहीं!',
+        'No data to export!': 'निर्यात करने के लिए कोई डेटा नहीं!',
+        'Exported {count} features as {filename}': '{count} वस्तुएँ {filename} के रूप में निर्यात की गईं',
+        'Export failed: {error}': 'निर्यात विफल: {error}',
+        'Failed to load FRA data. Please check the server connection.': 'एफआरए डेटा लोड नहीं हो सका। कृपया सर्वर कनेक्शन जाँचें।',
+        'Failed to load map data. Please refresh the page.': 'मानचित्र डेटा लोड नहीं हो सका। कृपया पेज रीफ़्रेश करें।',
+        'Server unreachable - showing claims saved for offline use.': 'सर्वर उपलब्ध नहीं - ऑफ़लाइन उपयोग के लिए सहेजे गए दावे दिखाए जा रहे हैं।',
+        'Could not import {failed} of {total} files:': '{total} में से {failed} फ़ाइलें आयात नहीं हो सकीं:',
+
+        // Popups and feature details
+        '🎯 Feature Information': '🎯 वस्तु जानकारी',
+        'Click on any feature to see detailed information.': 'विस्तृत जानकारी देखने के लिए किसी भी वस्तु पर क्लिक करें।',
+        'Enhanced Features:': 'उन्नत सुविधाएँ:',
+        '🛰️ Satellite-based asset mapping': '🛰️ उपग्रह-आधारित परिसंपत्ति मानचित्रण',
+        '🗺️ India-focused view with realistic boundaries': '🗺️ वास्तविक सीमाओं के साथ भारत-केंद्रित दृश्य',
+        '🔍 Dynamic filtering and highlighting': '🔍 गतिशील फ़िल्टरिंग और हाइलाइटिंग',
+        '📊 Real-time statistics': '📊 वास्तविक समय आँकड़े',
+        'Feature Details': 'वस्तु विवरण',
+        'Asset Information': 'परिसंपत्ति जानकारी',
+        'FRA Claim Information': 'एफआरए दावा जानकारी',
+        'Administrative Boundary': 'प्रशासनिक सीमा',
+        'ID:': 'आईडी:',
+        'Claim ID:': 'दावा आईडी:',
+        'Type:': 'प्रकार:',
+        'Area:': 'क्षेत्रफल:',
+        'Location:': 'स्थान:',
+        'Households:': 'परिवार:',
+        'Beneficiaries:': 'लाभार्थी:',
+        'Household Head:': 'परिवार का मुखिया:',
+        'Gram Sabha:': 'ग्राम सभा:',
+        'Community:': 'समुदाय:',
+        'Submission:': 'आवेदन तिथि:',
+        'Confidence:': 'विश्वसनीयता:',
+        'Level:': 'स्तर:',
+        'Name:': 'नाम:',
+        'Within:': 'अंतर्गत:',
+        'Code:': 'कोड:',
+        '📏 Measure this feature': '📏 इस वस्तु को मापें',
+        '{area} hectares': '{area} हेक्टेयर',
+
+        // Statistics, search and analysis tools
+        'States': 'राज्य',
+        'Features': 'वस्तुएँ',
+        'FRA claims': 'एफआरए दावे',
+        'Agriculture / Water': 'कृषि / जल',
+        'Total area': 'कुल क्षेत्रफल',
+        'Claimed area': 'दावा किया गया क्षेत्रफल',
+        'Conflicting overlaps': 'परस्पर विरोधी अतिव्यापन',
+        '🔎 Search': '🔎 खोजें',
+        'Search claims': 'दावे खोजें',
+        'Claim ID, village, gram sabha, household...': 'दावा आईडी, गाँव, ग्राम सभा, परिवार...',
+        'No matches': 'कोई परिणाम नहीं',
+        'Claims': 'दावे',
+        'Household Heads': 'परिवार के मुखिया',
+        'Survey Numbers': 'सर्वेक्षण संख्याएँ',
+        'Villages': 'गाँव',
+        'Gram Sabhas': 'ग्राम सभाएँ',
+        'Districts': 'ज़िले',
+        'Tribal Communities': 'जनजातीय समुदाय',
+        '🏛️ FRA Hierarchy': '🏛️ एफआरए पदानुक्रम',
+        '🧭 Hierarchy Check': '🧭 पदानुक्रम जाँच',
+        '🏗️ Show Hierarchy': '🏗️ पदानुक्रम दिखाएँ',
+        '🔗 Hide Hierarchy': '🔗 पदानुक्रम छिपाएँ',
+        '{linked} claims linked to {cfrs} CFRs • {orphans} orphans • {spills} boundary spills': '{linked} दावे {cfrs} सीएफआर से जुड़े • {orphans} असंबद्ध • {spills} सीमा से बाहर',
+        '{id}: {count} child claims': '{id}: {count} उप-दावे',
+        '✅ Every IFR/CR claim sits inside a CFR': '✅ हर आईएफआर/सीआर दावा किसी सीएफआर के भीतर है',
+        'Zoom to this claim': 'इस दावे पर ज़ूम करें',
+        '🧩 Overlap Check': '🧩 अतिव्यापन जाँच',
+        '🧩 Find Overlaps': '🧩 अतिव्यापन खोजें',
+        '🧩 Hide Overlaps': '🧩 अतिव्यापन छिपाएँ',
+        'Conflicts only': 'केवल विवाद',
+
+        // Claim editor
+        '✏️ Draw Claim': '✏️ दावा बनाएँ',
+        '📐 Reshape Selected': '📐 चयनित का आकार बदलें',
+        '✏️ New Claim': '✏️ नया दावा',
+        '📐 Reshape {id}': '📐 {id} का आकार बदलें',
+        'vertices': 'शीर्ष',
+        'Drag vertices to move, click a midpoint to insert, right-click a vertex to delete. Vertices snap to CFR boundaries.': 'शीर्ष खिसकाने के लिए खींचें, जोड़ने के लिए मध्य-बिंदु पर क्लिक करें, हटाने के लिए शीर्ष पर राइट-क्लिक करें। शीर्ष सीएफआर सीमाओं से चिपक जाते हैं।',
+        'Claim Type:': 'दावा प्रकार:',
+        'Family Members:': 'परिवार के सदस्य:',
+        'Survey Number:': 'सर्वेक्षण संख्या:',
+        'Total Households:': 'कुल परिवार:',
+        'Beneficiary Households:': 'लाभार्थी परिवार:',
+        'Resource Type:': 'संसाधन प्रकार:',
+        '💾 Save': '💾 सहेजें',
+        '✖️ Cancel': '✖️ रद्द करें',
+        'Click to place vertices; click the first vertex or double-click to close.': 'शीर्ष रखने के लिए क्लिक करें; बंद करने के लिए पहले शीर्ष पर क्लिक या डबल-क्लिक करें।',
+        'Select a CFR, IFR or CR claim on the map first!': 'पहले मानचित्र पर कोई सीएफआर, आईएफआर या सीआर दावा चुनें!',
+        'Only single-part claim polygons can be reshaped.': 'केवल एक-भागीय दावा बहुभुजों का आकार बदला जा सकता है।',
+        'Close the claim boundary first!': 'पहले दावे की सीमा बंद करें!',
+        'Please fill in {field}.': 'कृपया {field} भरें।',
+        'Claim {id} saved ({area} ha)': 'दावा {id} सहेजा गया ({area} हे.)',
+        'Claim {id} saved ({area} ha) - hidden by current filters': 'दावा {id} सहेजा गया ({area} हे.) - वर्तमान फ़िल्टर के कारण छिपा है',
+
+        // Keyboard navigation and feature table
+        'Selection cleared': 'चयन हटाया गया',
+        'No features in view. Zoom out or change the filters.': 'दृश्य में कोई वस्तु नहीं। ज़ूम आउट करें या फ़िल्टर बदलें।',
+        '{index} of {count} in view': 'दृश्य में {count} में से {index}',
+        'north': 'उत्तर',
+        'south': 'दक्षिण',
+        'west': 'पश्चिम',
+        'east': 'पूर्व',
+        'No feature further {direction}': '{direction} में आगे कोई वस्तु नहीं',
+        'Press Enter for details.': 'विवरण के लिए Enter दबाएँ।',
+        'Showing details for {feature}': '{feature} का विवरण दिखाया जा रहा है',
+        'Arrow keys pan the map and plus and minus zoom. Press N or ] for the next feature in view and P or [ for the previous one. With a feature selected, arrow keys move to the nearest feature in that direction, Enter shows its details and Escape clears the selection. A table of the features is available in the sidebar.': 'तीर कुंजियाँ मानचित्र को खिसकाती हैं और प्लस व माइनस ज़ूम करते हैं। दृश्य में अगली वस्तु के लिए N या ] और पिछली के लिए P या [ दबाएँ। वस्तु चुनी होने पर तीर कुंजियाँ उस दिशा की निकटतम वस्तु पर ले जाती हैं, Enter उसका विवरण दिखाता है और Escape चयन हटाता है। वस्तुओं की तालिका साइडबार में उपलब्ध है।',
+        '{count} features matching the current filters': 'वर्तमान फ़िल्टर से मेल खाती {count} वस्तुएँ',
+        '{count} features matching the current filters, first {limit} shown': 'वर्तमान फ़िल्टर से मेल खाती {count} वस्तुएँ, पहली {limit} दिखाई गई हैं',
+        'ID': 'आईडी',
+        'Type': 'प्रकार',
+        'Status': 'स्थिति',
+        'Village': 'गाँव',
+        'Area ha': 'क्षेत्रफल हे.',
+        'Show on map': 'मानचित्र पर दिखाएँ',
+        'Show {id} on map': '{id} को मानचित्र पर दिखाएँ',
+        'Show more': 'और दिखाएँ',
+        'Show {count} more': '{count} और दिखाएँ',
+
+        // Land cover
+        'Land cover': 'भू-आवरण',
+        '(confidence-weighted)': '(विश्वसनीयता-भारित)',
+        'Water': 'जल',
+        'Agricultural': 'कृषि',
+        'Other': 'अन्य',
+        'Unclassified': 'अवर्गीकृत',
+        'No land-cover data for this claim': 'इस दावे के लिए कोई भू-आवरण डेटा नहीं',
+        'No classified land cover inside this claim': 'इस दावे के भीतर कोई वर्गीकृत भू-आवरण नहीं',
+
+        // Timeline
+        '🕒 Timeline': '🕒 समयरेखा',
+        'Play': 'चलाएँ',
+        'Pause': 'रोकें',
+        'Step': 'कदम',
+        'Week': 'सप्ताह',
+        'Month': 'महीना',
+        'Quarter': 'तिमाही',
+        'Status as of date': 'तिथि के अनुसार स्थिति',
+        'Status as of {date}': '{date} के अनुसार स्थिति',
+
+        // Printing
+        'Print map': 'मानचित्र प्रिंट करें',
+        'Title': 'शीर्षक',
+        'Paper': 'काग़ज़',
+        'Orientation': 'दिशा',
+        'Landscape': 'आड़ा',
+        'Portrait': 'खड़ा',
+        'Resolution': 'रिज़ॉल्यूशन',
+        'Forest Rights Act Claims': 'वन अधिकार अधिनियम दावे',
+        'FRA Claims and Assets - India': 'एफआरए दावे और परिसंपत्तियाँ - भारत',
+        'Printed {date}': 'मुद्रित {date}',
+        'Filters: {filters}': 'फ़िल्टर: {filters}',
+        'Summary': 'सारांश',
+        'Loading map tiles {done}/{total}…': 'मानचित्र टाइलें लोड हो रही हैं {done}/{total}…',
+        'Encoding…': 'एन्कोड हो रहा है…',
+        '✅ Saved {filename}': '✅ {filename} सहेजी गई',
+        '⚠️ Saved {filename}, but {count} base map tiles could not be loaded for printing': '⚠️ {filename} सहेजी गई, पर {count} आधार मानचित्र टाइलें प्रिंट के लिए लोड नहीं हो सकीं',
+        '❌ Print failed: {error}': '❌ प्रिंट विफल: {error}',
+
+        // Analytics dashboard
+        '📊 FRA Analytics Dashboard': '📊 एफआरए विश्लेषण डैशबोर्ड',
+        'Click a bar, slice or year to filter the map': 'मानचित्र फ़िल्टर करने के लिए किसी बार, हिस्से या वर्ष पर क्लिक करें',
+        '⏳ Loading analytics...': '⏳ विश्लेषण लोड हो रहा है...',
+        'No data available': 'कोई डेटा उपलब्ध नहीं',
+        '🏛️ Claims by Type': '🏛️ प्रकार के अनुसार दावे',
+        '📋 Claims by Status': '📋 स्थिति के अनुसार दावे',
+        '🗺️ Claims by State and Type': '🗺️ राज्य और प्रकार के अनुसार दावे',
+        '👥 Tribal Communities': '👥 जनजातीय समुदाय',
+        '📈 Submissions per Year': '📈 प्रति वर्ष आवेदन',
+        'Not yet approved': 'अभी स्वीकृत नहीं',
+        'Total Claims': 'कुल दावे',
+        'Approval Rate': 'स्वीकृति दर',
+        'Total Area': 'कुल क्षेत्रफल',
+        'Field Verified': 'क्षेत्र सत्यापित',
+        'GPS Verified': 'जीपीएस सत्यापित',
+
+        // Claim detail panel
+        'Unnamed feature': 'अनाम वस्तु',
+        '{index} of {total}': '{total} में से {index}',
+        '📄 Summary': '📄 सारांश',
+        '👥 Community': '👥 समुदाय',
+        '✔️ Verification': '✔️ सत्यापन',
+        '🌿 Ecology': '🌿 पारिस्थितिकी',
+        '🧭 Related': '🧭 संबंधित',
+        '⏳ Loading full record...': '⏳ पूरा रिकॉर्ड लोड हो रहा है...',
+        '⚠️ Server record unavailable; showing map attributes': '⚠️ सर्वर रिकॉर्ड उपलब्ध नहीं; मानचित्र के गुण दिखाए जा रहे हैं',
+        'Area': 'क्षेत्रफल',
+        'Location': 'स्थान',
+        'Nothing recorded for this feature': 'इस वस्तु के लिए कुछ दर्ज नहीं',
+        'Not recorded': 'दर्ज नहीं',
+        '✅ Yes': '✅ हाँ',
+        '❌ No': '❌ नहीं',
+        'Parent CFR': 'मूल सीएफआर',
+        'Not applicable': 'लागू नहीं',
+        'Lies outside every CFR boundary': 'किसी भी सीएफआर सीमा के बाहर है',
+        'Child claims ({count})': 'उप-दावे ({count})',
+        'Block': 'ब्लॉक',
+        'Panchayat': 'पंचायत',
+        'Survey Number': 'सर्वेक्षण संख्या',
+        'Submission Date': 'आवेदन तिथि',
+        'Last Updated': 'अंतिम अद्यतन',
+        'Tribal Community': 'जनजातीय समुदाय',
+        'Gram Sabha': 'ग्राम सभा',
+        'Total Households': 'कुल परिवार',
+        'Beneficiary Households': 'लाभार्थी परिवार',
+        'Household Head': 'परिवार का मुखिया',
+        'Family Members': 'परिवार के सदस्य',
+        'Field Verification Done': 'क्षेत्र सत्यापन हुआ',
+        'GPS Coordinates Verified': 'जीपीएस निर्देशांक सत्यापित',
+        'Boundary Demarcated': 'सीमांकन हुआ',
+        'Resource Type': 'संसाधन प्रकार',
+        'Forest Type': 'वन प्रकार',
+
+        // Query builder
+        '🧮 Query Builder': '🧮 क्वेरी बिल्डर',
+        'Query Builder': 'क्वेरी बिल्डर',
+        'Saved queries': 'सहेजी गई क्वेरी',
+        'Load': 'लोड करें',
+        'Delete': 'हटाएँ',
+        'Query name': 'क्वेरी का नाम',
+        'Save': 'सहेजें',
+        'Apply': 'लागू करें',
+        'Clear': 'साफ़ करें',
+        'Combine conditions': 'शर्तें मिलाएँ',
+        'All of (AND)': 'सभी (AND)',
+        'Any of (OR)': 'कोई भी (OR)',
+        '+ Condition': '+ शर्त',
+        '+ Group': '+ समूह',
+        'Remove': 'हटाएँ',
+        'Field': 'फ़ील्ड',
+        'Operator': 'ऑपरेटर',
+        'Value': 'मान',
+        'Minimum': 'न्यूनतम',
+        'Maximum': 'अधिकतम',
+        'Choose a field': 'फ़ील्ड चुनें',
+        'Choose a value': 'मान चुनें',
+        'and': 'और',
+        'AND': 'और',
+        'OR': 'या',
+        'between': 'के बीच',
+        'is one of': 'इनमें से एक है',
+        'is not one of': 'इनमें से कोई नहीं',
+        'contains': 'में शामिल है',
+        'is true': 'सत्य है',
+        'is false': 'असत्य है',
+        'is empty': 'खाली है',
+        'is not empty': 'खाली नहीं है',
+        'No conditions yet; every claim matches.': 'अभी कोई शर्त नहीं; हर दावा मेल खाता है।',
+        'Enter a name for the query.': 'क्वेरी के लिए नाम दर्ज करें।',
+        'Add a condition before saving.': 'सहेजने से पहले एक शर्त जोड़ें।',
+        'Saved "{name}".': '"{name}" सहेजी गई।',
+        'Loaded "{name}".': '"{name}" लोड की गई।',
+        'Deleted "{name}".': '"{name}" हटाई गई।',
+        'Query: {query}': 'क्वेरी: {query}',
+
+        // Claim clusters
+        '🔵 Cluster claims': '🔵 दावों को समूहित करें',
+        'Pie slices': 'पाई खंड',
+        'By FRA type': 'FRA प्रकार के अनुसार',
+        'By status': 'स्थिति के अनुसार',
+        'Zoom to level {zoom} for claim outlines': 'दावों की सीमाओं के लिए स्तर {zoom} तक ज़ूम करें',
+        '{count} claims': '{count} दावे',
+        'Claim clusters by status': 'स्थिति के अनुसार दावा समूह',
+        'Claim clusters by FRA type': 'FRA प्रकार के अनुसार दावा समूह',
+
+        // Density heatmap
+        '🔥 Claim density': '🔥 दावा घनत्व',
+        'Weight by': 'भार का आधार',
+        'Claimed area (ha)': 'दावा किया गया क्षेत्र (हे.)',
+        'Pending claims': 'लंबित दावे',
+        'Objections received': 'प्राप्त आपत्तियाँ',
+        'Radius': 'त्रिज्या',
+        'Intensity': 'तीव्रता',
+        'Low': 'कम',
+        'High': 'अधिक',
+
+        // Feature selection
+        '🔲 Selection': '🔲 चयन',
+        '▭ Box Select': '▭ बॉक्स चयन',
+        '➰ Lasso': '➰ लैसो',
+        '🎯 Zoom to Selection': '🎯 चयन पर ज़ूम करें',
+        '🔍 Filter to Selection': '🔍 चयन तक फ़िल्टर करें',
+        '💾 Export': '💾 निर्यात करें',
+        '✕ Clear Selection': '✕ चयन हटाएँ',
+        'Export format': 'निर्यात प्रारूप',
+        '{count} selected': '{count} चयनित',
+        'Total area: {area} ha': 'कुल क्षेत्रफल: {area} हे.',
+        'Households: {households}': 'परिवार: {households}',
+        'By type': 'प्रकार अनुसार',
+        'Shift-click features, or draw a box or lasso around them, to select them.': 'चुनने के लिए फ़ीचर पर Shift-क्लिक करें, या उनके चारों ओर बॉक्स या लैसो बनाएँ।',
+        'Drag on the map to draw a box; hold Shift to add to the selection. Esc to stop.': 'बॉक्स बनाने के लिए मानचित्र पर खींचें; चयन में जोड़ने के लिए Shift दबाए रखें। रोकने के लिए Esc।',
+        'Drag on the map to draw around features; hold Shift to add to the selection. Esc to stop.': 'फ़ीचर के चारों ओर बनाने के लिए मानचित्र पर खींचें; चयन में जोड़ने के लिए Shift दबाए रखें। रोकने के लिए Esc।',
+
+        // Boundary notice
+        '⚠️ No boundary files found in data/boundaries. Add state and district GeoJSON or TopoJSON files there to draw boundaries and aggregate claims by region.': '⚠️ data/boundaries में कोई सीमा फ़ाइल नहीं मिली। सीमाएँ दिखाने और दावों को क्षेत्र के अनुसार एकत्र करने के लिए वहाँ राज्य और ज़िले की GeoJSON या TopoJSON फ़ाइलें जोड़ें।',
+
+        // Regional choropleth
+        '🗺️ Aggregate by region': '🗺️ क्षेत्र के अनुसार एकत्र करें',
+        'Metric': 'माप',
+        'Class breaks': 'वर्ग विभाजन',
+        'Total area (ha)': 'कुल क्षेत्रफल (हे.)',
+        'Approval rate': 'स्वीकृति दर',
+        'Quantile': 'क्वांटाइल',
+        'Equal interval': 'समान अंतराल',
+        'Natural breaks': 'प्राकृतिक विभाजन',
+        'Zoom to level {zoom} for individual features': 'अलग-अलग वस्तुओं के लिए स्तर {zoom} तक ज़ूम करें',
+        '{metric} per state': 'राज्य अनुसार {metric}',
+        '{metric} per district': 'ज़िला अनुसार {metric}',
+        'No claims to aggregate': 'एकत्र करने के लिए कोई दावा नहीं',
+        'Claims: {count}': 'दावे: {count}',
+        'Area: {area} ha': 'क्षेत्रफल: {area} हे.',
+        'Approval rate: {rate}': 'स्वीकृति दर: {rate}',
+        'Pending: {count}': 'लंबित: {count}',
+
+        // Offline field mode
+        'Offline field mode': 'ऑफ़लाइन फ़ील्ड मोड',
+        '📴 Offline': '📴 ऑफ़लाइन',
+        'This browser can\'t store maps for offline use.': 'यह ब्राउज़र ऑफ़लाइन उपयोग के लिए मानचित्र सहेज नहीं सकता।',
+        'Area name': 'क्षेत्र का नाम',
+        'Zoom': 'ज़ूम',
+        'to': 'से',
+        '⬇️ Save current view': '⬇️ वर्तमान दृश्य सहेजें',
+        'Cancel': 'रद्द करें',
+        '● Online': '● ऑनलाइन',
+        '● Offline': '● ऑफ़लाइन',
+        'Enter a zoom range, lowest first': 'ज़ूम सीमा दर्ज करें, पहले सबसे कम',
+        '{count} tiles - over the {limit} limit, zoom in or lower the maximum': '{count} टाइलें - {limit} की सीमा से अधिक, ज़ूम इन करें या अधिकतम घटाएँ',
+        '{count} tiles': '{count} टाइलें',
+        'Area around {lat}, {lng}': '{lat}, {lng} के आसपास का क्षेत्र',
+        'Failed: {message}': 'विफल: {message}',
+        '{done} / {total} tiles': '{done} / {total} टाइलें',
+        'No areas saved yet': 'अभी तक कोई क्षेत्र सहेजा नहीं गया',
+        'Zoom {min}-{max}': 'ज़ूम {min}-{max}',
+        '({count} missing)': '({count} अनुपलब्ध)',
+        'Saved {age}': '{age} सहेजा गया',
+        '⚠️ stale, re-download when online': '⚠️ पुराना, ऑनलाइन होने पर फिर से डाउनलोड करें',
+        '🎯 Go to': '🎯 वहाँ जाएँ',
+        '🗑️ Delete': '🗑️ हटाएँ',
+        'Delete the offline copy of "{name}"?': '"{name}" की ऑफ़लाइन प्रति हटाएँ?',
+        '📦 Server unreachable, showing saved data:': '📦 सर्वर उपलब्ध नहीं, सहेजा गया डेटा दिखाया जा रहा है:',
+        '{count} claims, oldest saved {age}': '{count} दावे, सबसे पुराना {age} सहेजा गया',
+        '{count} assets, oldest saved {age}': '{count} परिसंपत्तियाँ, सबसे पुरानी {age} सहेजी गई',
+        '{count} {key}, oldest saved {age}': '{count} {key}, सबसे पुराना {age} सहेजा गया',
+        '⚠️ This copy is stale; reload when back online': '⚠️ यह प्रति पुरानी है; ऑनलाइन होने पर फिर से लोड करें',
+        'just now': 'अभी',
+        '{count} min ago': '{count} मिनट पहले',
+        '{count} h ago': '{count} घंटे पहले',
+        '1 day ago': '1 दिन पहले',
+        '{count} days ago': '{count} दिन पहले',
+
+        // Overlap report and claim editor
+        '{conflicts} conflicts ({area} ha) • {others} expected or minor overlaps': '{conflicts} टकराव ({area} हे.) • {others} अपेक्षित या मामूली ओवरलैप',
+        'Sort by {column}': '{column} के अनुसार क्रमबद्ध करें',
+        '✅ No conflicting overlaps': '✅ कोई टकराव वाला ओवरलैप नहीं',
+        '✅ No overlapping claims': '✅ कोई ओवरलैप करने वाला दावा नहीं',
+        'Conflicting overlap': 'टकराव वाला ओवरलैप',
+        'Expected or minor overlap': 'अपेक्षित या मामूली ओवरलैप',
+        'Claim overlaps': 'दावों के ओवरलैप',
+        'Claim A': 'दावा A',
+        'Claim B': 'दावा B',
+        'Overlap ha': 'ओवरलैप हे.',
+        '% of A': 'A का %',
+        '% of B': 'B का %',
+        'IFR overlaps IFR': 'IFR, IFR से ओवरलैप करता है',
+        'IFR inside another village\'s CFR': 'किसी दूसरे गाँव के CFR के भीतर IFR',
+        'CR inside another village\'s CFR': 'किसी दूसरे गाँव के CFR के भीतर CR',
+        'CFR overlaps CFR': 'CFR, CFR से ओवरलैप करता है',
+        'Within own village CFR': 'अपने गाँव के CFR के भीतर',
+        'IFR/CR overlap': 'IFR/CR ओवरलैप',
+        'unknown village': 'अज्ञात गाँव',
+        '{a} and {b}: {area} ha - {kind}': '{a} और {b}: {area} हे. - {kind}',
+        'ha': 'हे.',
+
+        // Measurement tool
+        '📏 Distance': '📏 दूरी',
+        '⬛ Area': '⬛ क्षेत्रफल',
+        'Measure distance': 'दूरी मापें',
+        'Measure area and perimeter': 'क्षेत्रफल और परिधि मापें',
+        'Clear measurement': 'माप हटाएँ',
+        'Click to add points; double-click or click the last point to finish.': 'बिंदु जोड़ने के लिए क्लिक करें; समाप्त करने के लिए डबल-क्लिक करें या अंतिम बिंदु पर क्लिक करें।',
+        'Click to add corners; double-click or click the first corner to close.': 'कोने जोड़ने के लिए क्लिक करें; बंद करने के लिए डबल-क्लिक करें या पहले कोने पर क्लिक करें।',
+        'Distance:': 'दूरी:',
+        'Last segment {length}': 'अंतिम खंड {length}',
+        'Perimeter:': 'परिधि:',
+        'Recorded:': 'दर्ज:',
+        'within ±{tolerance}%': '±{tolerance}% के भीतर',
+        'outside ±{tolerance}%': '±{tolerance}% से बाहर',
+        'No recorded area to compare with.': 'तुलना के लिए कोई दर्ज क्षेत्रफल नहीं है।',
+        'This feature has no polygon to measure.': 'इस वस्तु में मापने के लिए कोई बहुभुज नहीं है।',
+        'acres': 'एकड़',
+        'km²': 'वर्ग कि.मी.',
+        'km': 'कि.मी.',
+        'm': 'मी.',
+
+        // Overlay import
+        '📂 Drop GeoJSON, KML/KMZ, zipped Shapefile or CSV files': '📂 GeoJSON, KML/KMZ, ज़िप की गई Shapefile या CSV फ़ाइलें यहाँ छोड़ें',
+        'No attributes': 'कोई विशेषता नहीं',
+        '✅ {file}: {count} features as "{name}"': '✅ {file}: {count} वस्तुएँ "{name}" के रूप में',
+        'Shapefiles must be dropped as one .zip holding the .shp, .dbf and .prj files': 'Shapefile को .shp, .dbf और .prj फ़ाइलों वाली एक .zip के रूप में छोड़ें',
+        'Unsupported file type ".{extension}"': 'असमर्थित फ़ाइल प्रकार ".{extension}"',
+        'No features with geometry found': 'ज्यामिति वाली कोई वस्तु नहीं मिली',
+        'Coordinates are not WGS84 longitude/latitude; reproject to EPSG:4326 first': 'निर्देशांक WGS84 देशांतर/अक्षांश में नहीं हैं; पहले EPSG:4326 में पुनः प्रक्षेपित करें',
+        'Invalid JSON: {reason}': 'अमान्य JSON: {reason}',
+        'Not a GeoJSON FeatureCollection, Feature or geometry': 'यह GeoJSON FeatureCollection, Feature या ज्यामिति नहीं है',
+        'Invalid KML: the XML is not well-formed': 'अमान्य KML: XML सही ढंग से बना नहीं है',
+        'CSV has no data rows': 'CSV में कोई डेटा पंक्ति नहीं है',
+        'No latitude/longitude columns found (expected e.g. "lat" and "lon", got: {columns})': 'अक्षांश/देशांतर कॉलम नहीं मिले (अपेक्षित जैसे "lat" और "lon", मिले: {columns})',
+        'ZIP contains no .shp or .kml file': 'ZIP में कोई .shp या .kml फ़ाइल नहीं है',
+        '{layer}: projected coordinate system "{projection}"; reproject to EPSG:4326 first': '{layer}: प्रक्षेपित निर्देशांक प्रणाली "{projection}"; पहले EPSG:4326 में पुनः प्रक्षेपित करें',
+        'Invalid .shp file header': 'अमान्य .shp फ़ाइल हेडर',
+        'Unsupported shapefile geometry type {type}': 'असमर्थित shapefile ज्यामिति प्रकार {type}'
+    }
+});
@@ -0,0 +1,591 @@
+/**
+ * Vanachitra.AI - Odia Translations
+ * Keyed by the English UI text; anything missing here shows in English
+ */
+
+I18n.register('or', {
+    name: 'ଓଡ଼ିଆ',
+    intl: 'or-IN',
+    messages: {
+        // Header and layout
+        'Empowering Forest Communities through Digital Mapping': 'ଡିଜିଟାଲ ମାନଚିତ୍ରଣ ମାଧ୍ୟମରେ ବନ ସମୁଦାୟର ସଶକ୍ତିକରଣ',
+        'Forest Rights Act - WebGIS Visualization System': 'ଜଙ୍ଗଲ ଅଧିକାର ଆଇନ - ୱେବଜିଆଇଏସ ଭିଜୁଆଲାଇଜେସନ ପ୍ରଣାଳୀ',
+        '🇮🇳 India Asset Management - Enhanced 3-Layer WebGIS': '🇮🇳 ଭାରତ ସମ୍ପତ୍ତି ପରିଚାଳନା - ଉନ୍ନତ 3-ସ୍ତର ୱେବଜିଆଇଏସ',
+        'Satellite-based Asset Mapping • FRA Claims Management • Administrative Boundaries': 'ଉପଗ୍ରହ-ଆଧାରିତ ସମ୍ପତ୍ତି ମାନଚିତ୍ରଣ • ଏଫଆରଏ ଦାବି ପରିଚାଳନା • ପ୍ରଶାସନିକ ସୀମା',
+        'Language': 'ଭାଷା',
+        'Map': 'ମାନଚିତ୍ର',
+        '🌳 Loading Vanachitra.AI...': '🌳 Vanachitra.AI ଲୋଡ୍ ହେଉଛି...',
+        'Preparing Forest Rights Act spatial data': 'ଜଙ୍ଗଲ ଅଧିକାର ଆଇନର ସ୍ଥାନିକ ତଥ୍ୟ ପ୍ରସ୍ତୁତ ହେଉଛି',
+        'Loading Enhanced WebGIS...': 'ଉନ୍ନତ ୱେବଜିଆଇଏସ ଲୋଡ୍ ହେଉଛି...',
+        'Preparing satellite imagery and asset data': 'ଉପଗ୍ରହ ଚିତ୍ର ଓ ସମ୍ପତ୍ତି ତଥ୍ୟ ପ୍ରସ୍ତୁତ ହେଉଛି',
+        'Close': 'ବନ୍ଦ କରନ୍ତୁ',
+        'N/A': 'ଉପଲବ୍ଧ ନାହିଁ',
+        'Unknown': 'ଅଜ୍ଞାତ',
+        'none': 'କିଛି ନାହିଁ',
+        'None': 'କିଛି ନାହିଁ',
+        'Error: {message}': 'ତ୍ରୁଟି: {message}',
+
+        // Map controls
+        'Reset View': 'ଦୃଶ୍ୟ ପୁନଃସେଟ୍ କରନ୍ତୁ',
+        'Zoom to India': 'ଭାରତକୁ ଜୁମ୍ କରନ୍ତୁ',
+        'Toggle Layers': 'ସ୍ତର ଦେଖାନ୍ତୁ/ଲୁଚାନ୍ତୁ',
+        'Fullscreen': 'ପୂର୍ଣ୍ଣ ସ୍କ୍ରିନ୍',
+        'Export Data': 'ତଥ୍ୟ ରପ୍ତାନି କରନ୍ତୁ',
+        'Measure Distance': 'ଦୂରତା ମାପନ୍ତୁ',
+        'Print Map': 'ମାନଚିତ୍ର ପ୍ରିଣ୍ଟ କରନ୍ତୁ',
+        'Analytics Dashboard': 'ବିଶ୍ଳେଷଣ ଡ୍ୟାସବୋର୍ଡ',
+        'Previous in filtered set': 'ଛଣା ସମୂହରେ ପୂର୍ବବର୍ତ୍ତୀ',
+        'Next in filtered set': 'ଛଣା ସମୂହରେ ପରବର୍ତ୍ତୀ',
+        '◀ Prev': '◀ ପୂର୍ବ',
+        'Next ▶': 'ପର ▶',
+        'Dock left': 'ବାମ ପଟେ ରଖନ୍ତୁ',
+        'Dock right': 'ଡାହାଣ ପଟେ ରଖନ୍ତୁ',
+        'Legend': 'ସଙ୍କେତ ସୂଚୀ',
+        'Map Legend': 'ମାନଚିତ୍ର ସଙ୍କେତ ସୂଚୀ',
+
+        // FRA claim types and statuses
+        'Individual Forest Rights': 'ବ୍ୟକ୍ତିଗତ ଜଙ୍ଗଲ ଅଧିକାର',
+        'Community Forest Resource Rights': 'ସାମୁଦାୟିକ ଜଙ୍ଗଲ ସମ୍ବଳ ଅଧିକାର',
+        'Community Forest Rights': 'ସାମୁଦାୟିକ ଜଙ୍ଗଲ ଅଧିକାର',
+        'Community Rights': 'ସାମୁଦାୟିକ ଅଧିକାର',
+        'Community Resource Rights': 'ସାମୁଦାୟିକ ସମ୍ବଳ ଅଧିକାର',
+        'Agriculture': 'କୃଷି',
+        'Water Body': 'ଜଳାଶୟ',
+        'Water Bodies': 'ଜଳାଶୟ',
+        'Feature': 'ବସ୍ତୁ',
+        'Approved': 'ଅନୁମୋଦିତ',
+        'Pending': 'ବିଚାରାଧୀନ',
+        'Under Review': 'ସମୀକ୍ଷାଧୀନ',
+        'Submitted': 'ଦାଖଲ ହୋଇଛି',
+        'Field Verification': 'କ୍ଷେତ୍ର ଯାଞ୍ଚ',
+        'Rejected': 'ପ୍ରତ୍ୟାଖ୍ୟାତ',
+        'Disputed': 'ବିବାଦୀୟ',
+        'Appealed': 'ଆପିଲ୍ ହୋଇଛି',
+        '✅ Approved': '✅ ଅନୁମୋଦିତ',
+        '⏳ Pending': '⏳ ବିଚାରାଧୀନ',
+        '🔄 Under Review': '🔄 ସମୀକ୍ଷାଧୀନ',
+        '📨 Submitted': '📨 ଦାଖଲ ହୋଇଛି',
+        '🔍 Field Verification': '🔍 କ୍ଷେତ୍ର ଯାଞ୍ଚ',
+        '❌ Rejected': '❌ ପ୍ରତ୍ୟାଖ୍ୟାତ',
+        '⚠️ Disputed': '⚠️ ବିବାଦୀୟ',
+        '⚖️ Appealed': '⚖️ ଆପିଲ୍ ହୋଇଛି',
+        'CFR - Community Forest Resource Rights': 'ସିଏଫଆର - ସାମୁଦାୟିକ ଜଙ୍ଗଲ ସମ୍ବଳ ଅଧିକାର',
+        'CFR - Community Forest Resources': 'ସିଏଫଆର - ସାମୁଦାୟିକ ଜଙ୍ଗଲ ସମ୍ବଳ',
+        'IFR - Individual Forest Rights': 'ଆଇଏଫଆର - ବ୍ୟକ୍ତିଗତ ଜଙ୍ଗଲ ଅଧିକାର',
+        'CR - Community Rights': 'ସିଆର - ସାମୁଦାୟିକ ଅଧିକାର',
+        '🌲 CFR - Community Forest Resource Rights': '🌲 ସିଏଫଆର - ସାମୁଦାୟିକ ଜଙ୍ଗଲ ସମ୍ବଳ ଅଧିକାର',
+        '🏠 IFR - Individual Forest Rights': '🏠 ଆଇଏଫଆର - ବ୍ୟକ୍ତିଗତ ଜଙ୍ଗଲ ଅଧିକାର',
+        '🤝 CR - Community Rights': '🤝 ସିଆର - ସାମୁଦାୟିକ ଅଧିକାର',
+        '🌾 Agriculture': '🌾 କୃଷି',
+        '💧 Water Bodies': '💧 ଜଳାଶୟ',
+
+        // Filters
+        '🔍 Filters': '🔍 ଛାଣକ',
+        '🗺️ Geographic Filters': '🗺️ ଭୌଗୋଳିକ ଛାଣକ',
+        '🏛️ FRA Type Filters': '🏛️ ଏଫଆରଏ ପ୍ରକାର ଛାଣକ',
+        '🏞️ Asset Filters': '🏞️ ସମ୍ପତ୍ତି ଛାଣକ',
+        'State:': 'ରାଜ୍ୟ:',
+        'District:': 'ଜିଲ୍ଲା:',
+        'Village:': 'ଗ୍ରାମ:',
+        'FRA Type:': 'ଏଫଆରଏ ପ୍ରକାର:',
+        'Status:': 'ସ୍ଥିତି:',
+        'Tribal Community:': 'ଆଦିବାସୀ ସମୁଦାୟ:',
+        'Submission Year:': 'ଦାଖଲ ବର୍ଷ:',
+        'Land Cover Share:': 'ଭୂ-ଆବରଣ ଅଂଶ:',
+        'Asset Type:': 'ସମ୍ପତ୍ତି ପ୍ରକାର:',
+        'Minimum Area (km²):': 'ସର୍ବନିମ୍ନ କ୍ଷେତ୍ରଫଳ (କିମି²):',
+        'All States': 'ସମସ୍ତ ରାଜ୍ୟ',
+        'All Districts': 'ସମସ୍ତ ଜିଲ୍ଲା',
+        'All Villages': 'ସମସ୍ତ ଗ୍ରାମ',
+        'All Types': 'ସମସ୍ତ ପ୍ରକାର',
+        'All Status': 'ସମସ୍ତ ସ୍ଥିତି',
+        'All Communities': 'ସମସ୍ତ ସମୁଦାୟ',
+        'All Years': 'ସମସ୍ତ ବର୍ଷ',
+        'All Assets': 'ସମସ୍ତ ସମ୍ପତ୍ତି',
+        'Any Land Cover': 'ଯେକୌଣସି ଭୂ-ଆବରଣ',
+        'more than': 'ରୁ ଅଧିକ',
+        'Minimum share (%)': 'ସର୍ବନିମ୍ନ ଅଂଶ (%)',
+        '🌲 Forest': '🌲 ଜଙ୍ଗଲ',
+        '💧 Water': '💧 ଜଳ',
+        '🌾 Agricultural': '🌾 କୃଷି',
+        '🌾 Agricultural Land': '🌾 କୃଷି ଜମି',
+        '🏘️ Homestead': '🏘️ ବାସସ୍ଥାନ',
+        '🔍 Apply Filters': '🔍 ଛାଣକ ପ୍ରୟୋଗ କରନ୍ତୁ',
+        '🗑️ Clear': '🗑️ ସଫା କରନ୍ତୁ',
+        'State: {state}': 'ରାଜ୍ୟ: {state}',
+        'District: {district}': 'ଜିଲ୍ଲା: {district}',
+        'Village: {village}': 'ଗ୍ରାମ: {village}',
+        'FRA type: {type}': 'ଏଫଆରଏ ପ୍ରକାର: {type}',
+        'Status: {status}': 'ସ୍ଥିତି: {status}',
+        'Community: {community}': 'ସମୁଦାୟ: {community}',
+        'Submitted in {year}': '{year}ରେ ଦାଖଲ',
+        'Submitted by {date}': '{date} ସୁଦ୍ଧା ଦାଖଲ',
+        'More than {percent}% {cover} cover': '{percent}%ରୁ ଅଧିକ {cover} ଆବରଣ',
+        'Asset type: {type}': 'ସମ୍ପତ୍ତି ପ୍ରକାର: {type}',
+        'Asset area ≥ {area} km²': 'ସମ୍ପତ୍ତି କ୍ଷେତ୍ରଫଳ ≥ {area} କିମି²',
+        'none (all features)': 'କିଛି ନାହିଁ (ସମସ୍ତ ବସ୍ତୁ)',
+        'none (all claims and assets)': 'କିଛି ନାହିଁ (ସମସ୍ତ ଦାବି ଓ ସମ୍ପତ୍ତି)',
+        'Filters applied! Showing {shown} of {total} features.': 'ଛାଣକ ପ୍ରୟୋଗ ହେଲା! {total}ରୁ {shown}ଟି ବସ୍ତୁ ଦେଖାଯାଉଛି।',
+        'Filters cleared!': 'ଛାଣକ ହଟାଗଲା!',
+        'No data available to filter!': 'ଛାଣିବା ପାଇଁ କୌଣସି ତଥ୍ୟ ନାହିଁ!',
+        '{count} claims in view match the filters': 'ଦୃଶ୍ୟରେ {count}ଟି ଦାବି ଛାଣକ ସହ ମେଳ ଖାଉଛି',
+
+        // Layers and legend
+        'Map Layers': 'ମାନଚିତ୍ର ସ୍ତର',
+        'Assets Layer': 'ସମ୍ପତ୍ତି ସ୍ତର',
+        'Water, Forest, Agriculture, Homestead': 'ଜଳ, ଜଙ୍ଗଲ, କୃଷି, ବାସସ୍ଥାନ',
+        'FRA Boundaries': 'ଏଫଆରଏ ସୀମା',
+        'IFR, CFR, CR Claims': 'ଆଇଏଫଆର, ସିଏଫଆର, ସିଆର ଦାବି',
+        'Admin Boundaries': 'ପ୍ରଶାସନିକ ସୀମା',
+        'States, Districts, Blocks, Villages': 'ରାଜ୍ୟ, ଜିଲ୍ଲା, ବ୍ଲକ, ଗ୍ରାମ',
+        'Opacity:': 'ଅସ୍ୱଚ୍ଛତା:',
+        'FRA Layers': 'ଏଫଆରଏ ସ୍ତର',
+        'FRA Claims': 'ଏଫଆରଏ ଦାବି',
+        'Assets': 'ସମ୍ପତ୍ତି',
+        'Administrative': 'ପ୍ରଶାସନିକ',
+        'Forest': 'ଜଙ୍ଗଲ',
+        'Agricultural Land': 'କୃଷି ଜମି',
+        'Homestead': 'ବାସସ୍ଥାନ',
+        'State Boundaries': 'ରାଜ୍ୟ ସୀମା',
+        'District Boundaries': 'ଜିଲ୍ଲା ସୀମା',
+        'Block Boundaries': 'ବ୍ଲକ ସୀମା',
+        'Village Boundaries': 'ଗ୍ରାମ ସୀମା',
+        'Large forest areas managed by Gram Sabha': 'ଗ୍ରାମସଭା ଦ୍ୱାରା ପରିଚାଳିତ ବଡ଼ ଜଙ୍ଗଲ ଅଞ୍ଚଳ',
+        'Small plots allocated to tribal households': 'ଆଦିବାସୀ ପରିବାରଙ୍କୁ ଆବଣ୍ଟିତ ଛୋଟ ଜମି ଖଣ୍ଡ',
+        'Shared resources like grazing land, ponds': 'ଗୋଚର ଜମି, ପୋଖରୀ ଭଳି ସାଧାରଣ ସମ୍ବଳ',
+
+        // Statistics and actions
+        '📊 Quick Statistics': '📊 ଶୀଘ୍ର ପରିସଂଖ୍ୟାନ',
+        'Total Features': 'ମୋଟ ବସ୍ତୁ',
+        'Total Area (Ha)': 'ମୋଟ କ୍ଷେତ୍ରଫଳ (ହେ.)',
+        'Approved Claims': 'ଅନୁମୋଦିତ ଦାବି',
+        'Pending Claims': 'ବିଚାରାଧୀନ ଦାବି',
+        'Assets in View': 'ଦୃଶ୍ୟରେ ସମ୍ପତ୍ତି',
+        'FRA Claims in View': 'ଦୃଶ୍ୟରେ ଏଫଆରଏ ଦାବି',
+        'Zoom Level': 'ଜୁମ୍ ସ୍ତର',
+        '⚡ Actions': '⚡ କାର୍ଯ୍ୟ',
+        '🎯 Zoom to Data': '🎯 ତଥ୍ୟକୁ ଜୁମ୍ କରନ୍ତୁ',
+        '💾 Export Data': '💾 ତଥ୍ୟ ରପ୍ତାନି କରନ୍ତୁ',
+        '🏠 Reset View': '🏠 ଦୃଶ୍ୟ ପୁନଃସେଟ୍ କରନ୍ତୁ',
+        '🛰️ Toggle Map': '🛰️ ମାନଚିତ୍ର ବଦଳାନ୍ତୁ',
+        '🏷️ Toggle Labels': '🏷️ ଲେବେଲ ଦେଖାନ୍ତୁ/ଲୁଚାନ୍ତୁ',
+        '🏷️ Show Labels': '🏷️ ଲେବେଲ ଦେଖାନ୍ତୁ',
+        '🚫 Hide Labels': '🚫 ଲେବେଲ ଲୁଚାନ୍ତୁ',
+        '🖨️ Print Map': '🖨️ ମାନଚିତ୍ର ପ୍ରିଣ୍ଟ କରନ୍ତୁ',
+        '📋 Table View': '📋 ସାରଣୀ ଦୃଶ୍ୟ',
+        '📋 Show as Table': '📋 ସାରଣୀ ଭାବେ ଦେଖାନ୍ତୁ',
+        '📋 Hide Table': '📋 ସାରଣୀ ଲୁଚାନ୍ତୁ',
+        '📥 GeoJSON': '📥 GeoJSON',
+        'No data to zoom to!': 'ଜୁମ୍ କରିବା ପାଇଁ କୌଣସି ତଥ୍ୟ ନାହିଁ!',
+        'No data to export!': 'ରପ୍ତାନି ପାଇଁ କୌଣସି ତଥ୍ୟ ନାହିଁ!',
+        'Exported {count} features as {filename}': '{count}ଟି ବସ୍ତୁ {filename} ଭାବେ ରପ୍ତାନି ହେଲା',
+        'Export failed: {error}': 'ରପ୍ତାନି ବିଫଳ: {error}',
+        'Failed to load FRA data. Please check the server connection.': 'ଏଫଆରଏ ତଥ୍ୟ ଲୋଡ୍ ହୋଇପାରିଲା ନାହିଁ। ଦୟାକରି ସର୍ଭର ସଂଯୋଗ ଯାଞ୍ଚ କରନ୍ତୁ।',
+        'Failed to load map data. Please refresh the page.': 'ମାନଚିତ୍ର ତଥ୍ୟ ଲୋଡ୍ ହୋଇପାରିଲା ନାହିଁ। ଦୟାକରି ପୃଷ୍ଠାଟି ରିଫ୍ରେସ୍ କରନ୍ତୁ।',
+        'Server unreachable - showing claims saved for offline use.': 'ସର୍ଭର ଉପଲବ୍ଧ ନାହିଁ - ଅଫଲାଇନ ବ୍ୟବହାର ପାଇଁ ସଞ୍ଚିତ ଦାବି ଦେଖାଯାଉଛି।',
+        'Could not import {failed} of {total} files:': '{total}ରୁ {failed}ଟି ଫାଇଲ ଆମଦାନି ହୋଇପାରିଲା ନାହିଁ:',
+
+        // Popups and feature details
+        '🎯 Feature Information': '🎯 ବସ୍ତୁ ସୂଚନା',
+        'Click on any feature to see detailed information.': 'ବିସ୍ତୃତ ସୂଚନା ଦେଖିବାକୁ ଯେକୌଣସି ବସ୍ତୁ ଉପରେ କ୍ଲିକ୍ କରନ୍ତୁ।',
+        'Enhanced Features:': 'ଉନ୍ନତ ସୁବିଧା:',
+        '🛰️ Satellite-based asset mapping': '🛰️ ଉପଗ୍ରହ-ଆଧାରିତ ସମ୍ପତ୍ତି ମାନଚିତ୍ରଣ',
+        '🗺️ India-focused view with realistic boundaries': '🗺️ ବାସ୍ତବ ସୀମା ସହ ଭାରତ-କେନ୍ଦ୍ରିକ ଦୃଶ୍ୟ',
+        '🔍 Dynamic filtering and highlighting': '🔍 ଗତିଶୀଳ ଛାଣିବା ଓ ହାଇଲାଇଟ୍',
+        '📊 Real-time statistics': '📊 ପ୍ରକୃତ ସମୟ ପରିସଂଖ୍ୟାନ',
+        'Feature Details': 'ବସ୍ତୁ ବିବରଣୀ',
+        'Asset Information': 'ସମ୍ପତ୍ତି ସୂଚନା',
+        'FRA Claim Information': 'ଏଫଆରଏ ଦାବି ସୂଚନା',
+        'Administrative Boundary': 'ପ୍ରଶାସନିକ ସୀମା',
+        'ID:': 'ଆଇଡି:',
+        'Claim ID:': 'ଦାବି ଆଇଡି:',
+        'Type:': 'ପ୍ରକାର:',
+        'Area:': 'କ୍ଷେତ୍ରଫଳ:',
+        'Location:': 'ସ୍ଥାନ:',
+        'Households:': 'ପରିବାର:',
+        'Beneficiaries:': 'ହିତାଧିକାରୀ:',
+        'Household Head:': 'ପରିବାର ମୁଖ୍ୟ:',
+        'Gram Sabha:': 'ଗ୍ରାମସଭା:',
+        'Community:': 'ସମୁଦାୟ:',
+        'Submission:': 'ଦାଖଲ ତାରିଖ:',
+        'Confidence:': 'ବିଶ୍ୱସନୀୟତା:',
+        'Level:': 'ସ୍ତର:',
+        'Name:': 'ନାମ:',
+        'Within:': 'ଅନ୍ତର୍ଗତ:',
+        'Code:': 'କୋଡ୍:',
+        '📏 Measure this feature': '📏 ଏହି ବସ୍ତୁ ମାପନ୍ତୁ',
+        '{area} hectares': '{area} ହେକ୍ଟର',
+
+        // Statistics, search and analysis tools
+        'States': 'ରାଜ୍ୟ',
+        'Features': 'ବସ୍ତୁ',
+        'FRA claims': 'ଏଫଆରଏ ଦାବି',
+        'Agriculture / Water': 'କୃଷି / ଜଳ',
+        'Total area': 'ମୋଟ କ୍ଷେତ୍ରଫଳ',
+        'Claimed area': 'ଦାବି କରାଯାଇଥିବା କ୍ଷେତ୍ରଫଳ',
+        'Conflicting overlaps': 'ବିବାଦୀୟ ଅଧିବ୍ୟାପନ',
+        '🔎 Search': '🔎 ଖୋଜନ୍ତୁ',
+        'Search claims': 'ଦାବି ଖୋଜନ୍ତୁ',
+        'Claim ID, village, gram sabha, household...': 'ଦାବି ଆଇଡି, ଗ୍ରାମ, ଗ୍ରାମସଭା, ପରିବାର...',
+        'No matches': 'କୌଣସି ଫଳାଫଳ ନାହିଁ',
+        'Claims': 'ଦାବି',
+        'Household Heads': 'ପରିବାର ମୁଖ୍ୟ',
+        'Survey Numbers': 'ସର୍ଭେ ନମ୍ବର',
+        'Villages': 'ଗ୍ରାମ',
+        'Gram Sabhas': 'ଗ୍ରାମସଭା',
+        'Districts': 'ଜିଲ୍ଲା',
+        'Tribal Communities': 'ଆଦିବାସୀ ସମୁଦାୟ',
+        '🏛️ FRA Hierarchy': '🏛️ ଏଫଆରଏ କ୍ରମବିନ୍ୟାସ',
+        '🧭 Hierarchy Check': '🧭 କ୍ରମବିନ୍ୟାସ ଯାଞ୍ଚ',
+        '🏗️ Show Hierarchy': '🏗️ କ୍ରମବିନ୍ୟାସ ଦେଖାନ୍ତୁ',
+        '🔗 Hide Hierarchy': '🔗 କ୍ରମବିନ୍ୟାସ ଲୁଚାନ୍ତୁ',
+        '{linked} claims linked to {cfrs} CFRs • {orphans} orphans • {spills} boundary spills': '{linked}ଟି ଦାବି {cfrs}ଟି ସିଏଫଆର ସହ ଯୋଡ଼ା • {orphans}ଟି ଅସଂଲଗ୍ନ • {spills}ଟି ସୀମା ବାହାରେ',
+        '{id}: {count} child claims': '{id}: {count}ଟି ଉପ-ଦାବି',
+        '✅ Every IFR/CR claim sits inside a CFR': '✅ ପ୍ରତ୍ୟେକ ଆଇଏଫଆର/ସିଆର ଦାବି କୌଣସି ସିଏଫଆର ଭିତରେ ଅଛି',
+        'Zoom to this claim': 'ଏହି ଦାବିକୁ ଜୁମ୍ କରନ୍ତୁ',
+        '🧩 Overlap Check': '🧩 ଅଧିବ୍ୟାପନ ଯାଞ୍ଚ',
+        '🧩 Find Overlaps': '🧩 ଅଧିବ୍ୟାପନ ଖୋଜନ୍ତୁ',
+        '🧩 Hide Overlaps': '🧩 ଅଧିବ୍ୟାପନ ଲୁଚାନ୍ତୁ',
+        'Conflicts only': 'କେବଳ ବିବାଦ',
+
+        // Claim editor
+        '✏️ Draw Claim': '✏️ ଦାବି ଆଙ୍କନ୍ତୁ',
+        '📐 Reshape Selected': '📐 ଚୟନିତର ଆକାର ବଦଳାନ୍ତୁ',
+        '✏️ New Claim': '✏️ ନୂଆ ଦାବି',
+        '📐 Reshape {id}': '📐 {id}ର ଆକାର ବଦଳାନ୍ତୁ',
+        'vertices': 'ଶୀର୍ଷ',
+        'Drag vertices to move, click a midpoint to insert, right-click a vertex to delete. Vertices snap to CFR boundaries.': 'ଶୀର୍ଷ ଘୁଞ୍ଚାଇବାକୁ ଟାଣନ୍ତୁ, ଯୋଡ଼ିବାକୁ ମଧ୍ୟବିନ୍ଦୁରେ କ୍ଲିକ୍ କରନ୍ତୁ, ହଟାଇବାକୁ ଶୀର୍ଷରେ ରାଇଟ୍-କ୍ଲିକ୍ କରନ୍ତୁ। ଶୀର୍ଷଗୁଡ଼ିକ ସିଏଫଆର ସୀମାରେ ଲାଗିଯାଏ।',
+        'Claim Type:': 'ଦାବି ପ୍ରକାର:',
+        'Family Members:': 'ପରିବାର ସଦସ୍ୟ:',
+        'Survey Number:': 'ସର୍ଭେ ନମ୍ବର:',
+        'Total Households:': 'ମୋଟ ପରିବାର:',
+        'Beneficiary Households:': 'ହିତାଧିକାରୀ ପରିବାର:',
+        'Resource Type:': 'ସମ୍ବଳ ପ୍ରକାର:',
+        '💾 Save': '💾 ସଞ୍ଚୟ କରନ୍ତୁ',
+        '✖️ Cancel': '✖️ ବାତିଲ କରନ୍ତୁ',
+        'Click to place vertices; click the first vertex or double-click to close.': 'ଶୀର୍ଷ ରଖିବାକୁ କ୍ଲିକ୍ କରନ୍ତୁ; ବନ୍ଦ କରିବାକୁ ପ୍ରଥମ ଶୀର୍ଷରେ କ୍ଲିକ୍ କିମ୍ବା ଡବଲ୍-କ୍ଲିକ୍ କରନ୍ତୁ।',
+        'Select a CFR, IFR or CR claim on the map first!': 'ପ୍ରଥମେ ମାନଚିତ୍ରରେ ଗୋଟିଏ ସିଏଫଆର, ଆଇଏଫଆର କିମ୍ବା ସିଆର ଦାବି ବାଛନ୍ତୁ!',
+        'Only single-part claim polygons can be reshaped.': 'କେବଳ ଏକ-ଭାଗୀୟ ଦାବି ବହୁଭୁଜର ଆକାର ବଦଳାଯାଇପାରିବ।',
+        'Close the claim boundary first!': 'ପ୍ରଥମେ ଦାବି ସୀମା ବନ୍ଦ କରନ୍ତୁ!',
+        'Please fill in {field}.': 'ଦୟାକରି {field} ପୂରଣ କରନ୍ତୁ।',
+        'Claim {id} saved ({area} ha)': 'ଦାବି {id} ସଞ୍ଚିତ ହେଲା ({area} ହେ.)',
+        'Claim {id} saved ({area} ha) - hidden by current filters': 'ଦାବି {id} ସଞ୍ଚିତ ହେଲା ({area} ହେ.) - ବର୍ତ୍ତମାନର ଛାଣକ ଯୋଗୁଁ ଲୁଚିଛି',
+
+        // Keyboard navigation and feature table
+        'Selection cleared': 'ଚୟନ ହଟାଗଲା',
+        'No features in view. Zoom out or change the filters.': 'ଦୃଶ୍ୟରେ କୌଣସି ବସ୍ତୁ ନାହିଁ। ଜୁମ୍ ଆଉଟ୍ କରନ୍ତୁ କିମ୍ବା ଛାଣକ ବଦଳାନ୍ତୁ।',
+        '{index} of {count} in view': 'ଦୃଶ୍ୟରେ {count}ରୁ {index}',
+        'north': 'ଉତ୍ତର',
+        'south': 'ଦକ୍ଷିଣ',
+        'west': 'ପଶ୍ଚିମ',
+        'east': 'ପୂର୍ବ',
+        'No feature further {direction}': '{direction} ଦିଗରେ ଆଉ କୌଣସି ବସ୍ତୁ ନାହିଁ',
+        'Press Enter for details.': 'ବିବରଣୀ ପାଇଁ Enter ଦବାନ୍ତୁ।',
+        'Showing details for {feature}': '{feature}ର ବିବରଣୀ ଦେଖାଯାଉଛି',
+        'Arrow keys pan the map and plus and minus zoom. Press N or ] for the next feature in view and P or [ for the previous one. With a feature selected, arrow keys move to the nearest feature in that direction, Enter shows its details and Escape clears the selection. A table of the features is available in the sidebar.': 'ତୀର ଚାବି ମାନଚିତ୍ରକୁ ଘୁଞ୍ଚାଏ ଏବଂ ପ୍ଲସ୍ ଓ ମାଇନସ୍ ଜୁମ୍ କରେ। ଦୃଶ୍ୟରେ ପରବର୍ତ୍ତୀ ବସ୍ତୁ ପାଇଁ N କିମ୍ବା ] ଏବଂ ପୂର୍ବବର୍ତ୍ତୀ ପାଇଁ P କିମ୍ବା [ ଦବାନ୍ତୁ। ବସ୍ତୁ ଚୟନିତ ଥିଲେ ତୀର ଚାବି ସେହି ଦିଗର ନିକଟତମ ବସ୍ତୁକୁ ନିଏ, Enter ତାହାର ବିବରଣୀ ଦେଖାଏ ଏବଂ Escape ଚୟନ ହଟାଏ। ବସ୍ତୁଗୁଡ଼ିକର ସାରଣୀ ସାଇଡବାରରେ ଉପଲବ୍ଧ।',
+        '{count} features matching the current filters': 'ବର୍ତ୍ତମାନର ଛାଣକ ସହ ମେଳ ଖାଉଥିବା {count}ଟି ବସ୍ତୁ',
+        '{count} features matching the current filters, first {limit} shown': 'ବର୍ତ୍ତମାନର ଛାଣକ ସହ ମେଳ ଖାଉଥିବା {count}ଟି ବସ୍ତୁ, ପ୍ରଥମ {limit}ଟି ଦେଖାଯାଇଛି',
+        'ID': 'ଆଇଡି',
+        'Type': 'ପ୍ରକାର',
+        'Status': 'ସ୍ଥିତି',
+        'Village': 'ଗ୍ରାମ',
+        'Area ha': 'କ୍ଷେତ୍ରଫଳ ହେ.',
+        'Show on map': 'ମାନଚିତ୍ରରେ ଦେଖାନ୍ତୁ',
+        'Show {id} on map': '{id}କୁ ମାନଚିତ୍ରରେ ଦେଖାନ୍ତୁ',
+        'Show more': 'ଅଧିକ ଦେଖାନ୍ତୁ',
+        'Show {count} more': 'ଆଉ {count}ଟି ଦେଖାନ୍ତୁ',
+
+        // Land cover
+        'Land cover': 'ଭୂ-ଆବରଣ',
+        '(confidence-weighted)': '(ବିଶ୍ୱସନୀୟତା-ଭାରିତ)',
+        'Water': 'ଜଳ',
+        'Agricultural': 'କୃଷି',
+        'Other': 'ଅନ୍ୟ',
+        'Unclassified': 'ଅବର୍ଗୀକୃତ',
+        'No land-cover data for this claim': 'ଏହି ଦାବି ପାଇଁ କୌଣସି ଭୂ-ଆବରଣ ତଥ୍ୟ ନାହିଁ',
+        'No classified land cover inside this claim': 'ଏହି ଦାବି ଭିତରେ କୌଣସି ବର୍ଗୀକୃତ ଭୂ-ଆବରଣ ନାହିଁ',
+
+        // Timeline
+        '🕒 Timeline': '🕒 ସମୟରେଖା',
+        'Play': 'ଚଳାନ୍ତୁ',
+        'Pause': 'ବିରତି',
+        'Step': 'ପଦକ୍ଷେପ',
+        'Week': 'ସପ୍ତାହ',
+        'Month': 'ମାସ',
+        'Quarter': 'ତ୍ରୈମାସିକ',
+        'Status as of date': 'ତାରିଖ ଅନୁଯାୟୀ ସ୍ଥିତି',
+        'Status as of {date}': '{date} ଅନୁଯାୟୀ ସ୍ଥିତି',
+
+        // Printing
+        'Print map': 'ମାନଚିତ୍ର ପ୍ରିଣ୍ଟ କରନ୍ତୁ',
+        'Title': 'ଶୀର୍ଷକ',
+        'Paper': 'କାଗଜ',
+        'Orientation': 'ଦିଗ',
+        'Landscape': 'ଭୂଦୃଶ୍ୟ',
+        'Portrait': 'ଠିଆ',
+        'Resolution': 'ରିଜୋଲ୍ୟୁସନ',
+        'Forest Rights Act Claims': 'ଜଙ୍ଗଲ ଅଧିକାର ଆଇନ ଦାବି',
+        'FRA Claims and Assets - India': 'ଏଫଆରଏ ଦାବି ଓ ସମ୍ପତ୍ତି - ଭାରତ',
+        'Printed {date}': '{date}ରେ ପ୍ରିଣ୍ଟ ହୋଇଛି',
+        'Filters: {filters}': 'ଛାଣକ: {filters}',
+        'Summary': 'ସାରାଂଶ',
+        'Loading map tiles {done}/{total}…': 'ମାନଚିତ୍ର ଟାଇଲ୍ ଲୋଡ୍ ହେଉଛି {done}/{total}…',
+        'Encoding…': 'ଏନକୋଡ୍ ହେଉଛି…',
+        '✅ Saved {filename}': '✅ {filename} ସଞ୍ଚିତ ହେଲା',
+        '⚠️ Saved {filename}, but {count} base map tiles could not be loaded for printing': '⚠️ {filename} ସଞ୍ଚିତ ହେଲା, କିନ୍ତୁ {count}ଟି ଆଧାର ମାନଚିତ୍ର ଟାଇଲ୍ ପ୍ରିଣ୍ଟ ପାଇଁ ଲୋଡ୍ ହୋଇପାରିଲା ନାହିଁ',
+        '❌ Print failed: {error}': '❌ ପ୍ରିଣ୍ଟ ବିଫଳ: {error}',
+
+        // Analytics dashboard
+        '📊 FRA Analytics Dashboard': '📊 ଏଫଆରଏ ବିଶ୍ଳେଷଣ ଡ୍ୟାସବୋର୍ଡ',
+        'Click a bar, slice or year to filter the map': 'ମାନଚିତ୍ର ଛାଣିବାକୁ କୌଣସି ବାର୍, ଅଂଶ କିମ୍ବା ବର୍ଷରେ କ୍ଲିକ୍ କରନ୍ତୁ',
+        '⏳ Loading analytics...': '⏳ ବିଶ୍ଳେଷଣ ଲୋଡ୍ ହେଉଛି...',
+        'No data available': 'କୌଣସି ତଥ୍ୟ ଉପଲବ୍ଧ ନାହିଁ',
+        '🏛️ Claims by Type': '🏛️ ପ୍ରକାର ଅନୁଯାୟୀ ଦାବି',
+        '📋 Claims by Status': '📋 ସ୍ଥିତି ଅନୁଯାୟୀ ଦାବି',
+        '🗺️ Claims by State and Type': '🗺️ ରାଜ୍ୟ ଓ ପ୍ରକାର ଅନୁଯାୟୀ ଦାବି',
+        '👥 Tribal Communities': '👥 ଆଦିବାସୀ ସମୁଦାୟ',
+        '📈 Submissions per Year': '📈 ବର୍ଷ ପ୍ରତି ଦାଖଲ',
+        'Not yet approved': 'ଏପର୍ଯ୍ୟନ୍ତ ଅନୁମୋଦିତ ନୁହେଁ',
+        'Total Claims': 'ମୋଟ ଦାବି',
+        'Approval Rate': 'ଅନୁମୋଦନ ହାର',
+        'Total Area': 'ମୋଟ କ୍ଷେତ୍ରଫଳ',
+        'Field Verified': 'କ୍ଷେତ୍ର ଯାଞ୍ଚିତ',
+        'GPS Verified': 'ଜିପିଏସ ଯାଞ୍ଚିତ',
+
+        // Claim detail panel
+        'Unnamed feature': 'ନାମହୀନ ବସ୍ତୁ',
+        '{index} of {total}': '{total}ରୁ {index}',
+        '📄 Summary': '📄 ସାରାଂଶ',
+        '👥 Community': '👥 ସମୁଦାୟ',
+        '✔️ Verification': '✔️ ଯାଞ୍ଚ',
+        '🌿 Ecology': '🌿 ପରିବେଶ',
+        '🧭 Related': '🧭 ସମ୍ବନ୍ଧିତ',
+        '⏳ Loading full record...': '⏳ ସମ୍ପୂର୍ଣ୍ଣ ରେକର୍ଡ ଲୋଡ୍ ହେଉଛି...',
+        '⚠️ Server record unavailable; showing map attributes': '⚠️ ସର୍ଭର ରେକର୍ଡ ଉପଲବ୍ଧ ନାହିଁ; ମାନଚିତ୍ରର ଗୁଣ ଦେଖାଯାଉଛି',
+        'Area': 'କ୍ଷେତ୍ରଫଳ',
+        'Location': 'ସ୍ଥାନ',
+        'Nothing recorded for this feature': 'ଏହି ବସ୍ତୁ ପାଇଁ କିଛି ରେକର୍ଡ ହୋଇନାହିଁ',
+        'Not recorded': 'ରେକର୍ଡ ହୋଇନାହିଁ',
+        '✅ Yes': '✅ ହଁ',
+        '❌ No': '❌ ନା',
+        'Parent CFR': 'ମୂଳ ସିଏଫଆର',
+        'Not applicable': 'ପ୍ରଯୁଜ୍ୟ ନୁହେଁ',
+        'Lies outside every CFR boundary': 'କୌଣସି ସିଏଫଆର ସୀମା ଭିତରେ ନାହିଁ',
+        'Child claims ({count})': 'ଉପ-ଦାବି ({count})',
+        'Block': 'ବ୍ଲକ',
+        'Panchayat': 'ପଞ୍ଚାୟତ',
+        'Survey Number': 'ସର୍ଭେ ନମ୍ବର',
+        'Submission Date': 'ଦାଖଲ ତାରିଖ',
+        'Last Updated': 'ଶେଷ ଅଦ୍ୟତନ',
+        'Tribal Community': 'ଆଦିବାସୀ ସମୁଦାୟ',
+        'Gram Sabha': 'ଗ୍ରାମସଭା',
+        'Total Households': 'ମୋଟ ପରିବାର',
+        'Beneficiary Households': 'ହିତାଧିକାରୀ ପରିବାର',
+        'Household Head': 'ପରିବାର ମୁଖ୍ୟ',
+        'Family Members': 'ପରିବାର ସଦସ୍ୟ',
+        'Field Verification Done': 'କ୍ଷେତ୍ର ଯାଞ୍ଚ ହୋଇଛି',
+        'GPS Coordinates Verified': 'ଜିପିଏସ ସ୍ଥାନାଙ୍କ ଯାଞ୍ଚିତ',
+        'Boundary Demarcated': 'ସୀମା ନିର୍ଦ୍ଧାରିତ',
+        'Resource Type': 'ସମ୍ବଳ ପ୍ରକାର',
+        'Forest Type': 'ଜଙ୍ଗଲ ପ୍ରକାର',
+
+        // Query builder
+        '🧮 Query Builder': '🧮 କ୍ୱେରୀ ବିଲ୍ଡର',
+        'Query Builder': 'କ୍ୱେରୀ ବିଲ୍ଡର',
+        'Saved queries': 'ସଞ୍ଚିତ କ୍ୱେରୀ',
+        'Load': 'ଲୋଡ୍ କରନ୍ତୁ',
+        'Delete': 'ବିଲୋପ କରନ୍ତୁ',
+        'Query name': 'କ୍ୱେରୀ ନାମ',
+        'Save': 'ସଞ୍ଚୟ କରନ୍ତୁ',
+        'Apply': 'ପ୍ରୟୋଗ କରନ୍ତୁ',
+        'Clear': 'ସଫା କରନ୍ତୁ',
+        'Combine conditions': 'ସର୍ତ୍ତ ମିଶାନ୍ତୁ',
+        'All of (AND)': 'ସବୁ (AND)',
+        'Any of (OR)': 'ଯେକୌଣସି (OR)',
+        '+ Condition': '+ ସର୍ତ୍ତ',
+        '+ Group': '+ ଗୋଷ୍ଠୀ',
+        'Remove': 'ହଟାନ୍ତୁ',
+        'Field': 'କ୍ଷେତ୍ର',
+        'Operator': 'ଅପରେଟର',
+        'Value': 'ମୂଲ୍ୟ',
+        'Minimum': 'ସର୍ବନିମ୍ନ',
+        'Maximum': 'ସର୍ବାଧିକ',
+        'Choose a field': 'କ୍ଷେତ୍ର ବାଛନ୍ତୁ',
+        'Choose a value': 'ମୂଲ୍ୟ ବାଛନ୍ତୁ',
+        'and': 'ଏବଂ',
+        'AND': 'ଏବଂ',
+        'OR': 'କିମ୍ବା',
+        'between': 'ମଧ୍ୟରେ',
+        'is one of': 'ଏଥିରୁ ଗୋଟିଏ',
+        'is not one of': 'ଏଥିରୁ କୌଣସିଟି ନୁହେଁ',
+        'contains': 'ରହିଛି',
+        'is true': 'ସତ୍ୟ',
+        'is false': 'ଅସତ୍ୟ',
+        'is empty': 'ଖାଲି',
+        'is not empty': 'ଖାଲି ନୁହେଁ',
+        'No conditions yet; every claim matches.': 'ଏପର୍ଯ୍ୟନ୍ତ କୌଣସି ସର୍ତ୍ତ ନାହିଁ; ପ୍ରତ୍ୟେକ ଦାବି ମେଳ ଖାଉଛି।',
+        'Enter a name for the query.': 'କ୍ୱେରୀ ପାଇଁ ଏକ ନାମ ଦିଅନ୍ତୁ।',
+        'Add a condition before saving.': 'ସଞ୍ଚୟ କରିବା ପୂର୍ବରୁ ଏକ ସର୍ତ୍ତ ଯୋଡନ୍ତୁ।',
+        'Saved "{name}".': '"{name}" ସଞ୍ଚିତ ହେଲା।',
+        'Loaded "{name}".': '"{name}" ଲୋଡ୍ ହେଲା।',
+        'Deleted "{name}".': '"{name}" ବିଲୋପ ହେଲା।',
+        'Query: {query}': 'କ୍ୱେରୀ: {query}',
+
+        // Claim clusters
+        '🔵 Cluster claims': '🔵 ଦାବିଗୁଡ଼ିକୁ ଗୁଚ୍ଛ କରନ୍ତୁ',
+        'Pie slices': 'ପାଇ ଖଣ୍ଡ',
+        'By FRA type': 'FRA ପ୍ରକାର ଅନୁସାରେ',
+        'By status': 'ସ୍ଥିତି ଅନୁସାରେ',
+        'Zoom to level {zoom} for claim outlines': 'ଦାବି ସୀମା ପାଇଁ ସ୍ତର {zoom} କୁ ଜୁମ୍ କରନ୍ତୁ',
+        '{count} claims': '{count} ଦାବି',
+        'Claim clusters by status': 'ସ୍ଥିତି ଅନୁସାରେ ଦାବି ଗୁଚ୍ଛ',
+        'Claim clusters by FRA type': 'FRA ପ୍ରକାର ଅନୁସାରେ ଦାବି ଗୁଚ୍ଛ',
+
+        // Density heatmap
+        '🔥 Claim density': '🔥 ଦାବି ଘନତା',
+        'Weight by': 'ଓଜନର ଆଧାର',
+        'Claimed area (ha)': 'ଦାବି କରାଯାଇଥିବା କ୍ଷେତ୍ର (ହେ.)',
+        'Pending claims': 'ବିଚାରାଧୀନ ଦାବି',
+        'Objections received': 'ପ୍ରାପ୍ତ ଆପତ୍ତି',
+        'Radius': 'ବ୍ୟାସାର୍ଦ୍ଧ',
+        'Intensity': 'ତୀବ୍ରତା',
+        'Low': 'କମ୍',
+        'High': 'ଅଧିକ',
+
+        // Feature selection
+        '🔲 Selection': '🔲 ଚୟନ',
+        '▭ Box Select': '▭ ବକ୍ସ ଚୟନ',
+        '➰ Lasso': '➰ ଲାସୋ',
+        '🎯 Zoom to Selection': '🎯 ଚୟନକୁ ଜୁମ୍ କରନ୍ତୁ',
+        '🔍 Filter to Selection': '🔍 ଚୟନ ପର୍ଯ୍ୟନ୍ତ ଫିଲ୍ଟର କରନ୍ତୁ',
+        '💾 Export': '💾 ରପ୍ତାନି କରନ୍ତୁ',
+        '✕ Clear Selection': '✕ ଚୟନ ହଟାନ୍ତୁ',
+        'Export format': 'ରପ୍ତାନି ଫର୍ମାଟ୍',
+        '{count} selected': '{count} ଚୟନିତ',
+        'Total area: {area} ha': 'ମୋଟ କ୍ଷେତ୍ରଫଳ: {area} ହେ.',
+        'Households: {households}': 'ପରିବାର: {households}',
+        'By type': 'ପ୍ରକାର ଅନୁସାରେ',
+        'Shift-click features, or draw a box or lasso around them, to select them.': 'ଚୟନ କରିବାକୁ ଫିଚରରେ Shift-କ୍ଲିକ୍ କରନ୍ତୁ, କିମ୍ବା ସେଗୁଡ଼ିକ ଚାରିପାଖରେ ବକ୍ସ ବା ଲାସୋ ଆଙ୍କନ୍ତୁ।',
+        'Drag on the map to draw a box; hold Shift to add to the selection. Esc to stop.': 'ବକ୍ସ ଆଙ୍କିବାକୁ ମାନଚିତ୍ରରେ ଟାଣନ୍ତୁ; ଚୟନରେ ଯୋଡ଼ିବାକୁ Shift ଧରି ରଖନ୍ତୁ। ବନ୍ଦ କରିବାକୁ Esc।',
+        'Drag on the map to draw around features; hold Shift to add to the selection. Esc to stop.': 'ଫିଚର ଚାରିପାଖରେ ଆଙ୍କିବାକୁ ମାନଚିତ୍ରରେ ଟାଣନ୍ତୁ; ଚୟନରେ ଯୋଡ଼ିବାକୁ Shift ଧରି ରଖନ୍ତୁ। ବନ୍ଦ କରିବାକୁ Esc।',
+
+        // Boundary notice
+        '⚠️ No boundary files found in data/boundaries. Add state and district GeoJSON or TopoJSON files there to draw boundaries and aggregate claims by region.': '⚠️ data/boundaries ରେ କୌଣସି ସୀମା ଫାଇଲ ମିଳିଲା ନାହିଁ। ସୀମା ଦେଖାଇବା ଏବଂ ଦାବିଗୁଡ଼ିକୁ ଅଞ୍ଚଳ ଅନୁସାରେ ଏକତ୍ର କରିବା ପାଇଁ ସେଠାରେ ରାଜ୍ୟ ଓ ଜିଲ୍ଲାର GeoJSON କିମ୍ବା TopoJSON ଫାଇଲ ଯୋଡ଼ନ୍ତୁ।',
+
+        // Regional choropleth
+        '🗺️ Aggregate by region': '🗺️ ଅଞ୍ଚଳ ଅନୁସାରେ ଏକତ୍ର କରନ୍ତୁ',
+        'Metric': 'ମାପ',
+        'Class breaks': 'ଶ୍ରେଣୀ ବିଭାଜନ',
+        'Total area (ha)': 'ମୋଟ କ୍ଷେତ୍ରଫଳ (ହେ.)',
+        'Approval rate': 'ଅନୁମୋଦନ ହାର',
+        'Quantile': 'କ୍ୱାଣ୍ଟାଇଲ',
+        'Equal interval': 'ସମାନ ବ୍ୟବଧାନ',
+        'Natural breaks': 'ପ୍ରାକୃତିକ ବିଭାଜନ',
+        'Zoom to level {zoom} for individual features': 'ପୃଥକ ବସ୍ତୁ ପାଇଁ ସ୍ତର {zoom} ପର୍ଯ୍ୟନ୍ତ ଜୁମ୍ କରନ୍ତୁ',
+        '{metric} per state': 'ରାଜ୍ୟ ଅନୁସାରେ {metric}',
+        '{metric} per district': 'ଜିଲ୍ଲା ଅନୁସାରେ {metric}',
+        'No claims to aggregate': 'ଏକତ୍ର କରିବାକୁ କୌଣସି ଦାବି ନାହିଁ',
+        'Claims: {count}': 'ଦାବି: {count}',
+        'Area: {area} ha': 'କ୍ଷେତ୍ରଫଳ: {area} ହେ.',
+        'Approval rate: {rate}': 'ଅନୁମୋଦନ ହାର: {rate}',
+        'Pending: {count}': 'ବିଚାରାଧୀନ: {count}',
+
+        // Offline field mode
+        'Offline field mode': 'ଅଫଲାଇନ କ୍ଷେତ୍ର ମୋଡ୍',
+        '📴 Offline': '📴 ଅଫଲାଇନ',
+        'This browser can\'t store maps for offline use.': 'ଏହି ବ୍ରାଉଜର ଅଫଲାଇନ ବ୍ୟବହାର ପାଇଁ ମାନଚିତ୍ର ସଞ୍ଚୟ କରିପାରିବ ନାହିଁ।',
+        'Area name': 'ଅଞ୍ଚଳର ନାମ',
+        'Zoom': 'ଜୁମ୍',
+        'to': 'ରୁ',
+        '⬇️ Save current view': '⬇️ ବର୍ତ୍ତମାନ ଦୃଶ୍ୟ ସଞ୍ଚୟ କରନ୍ତୁ',
+        'Cancel': 'ବାତିଲ କରନ୍ତୁ',
+        '● Online': '● ଅନଲାଇନ',
+        '● Offline': '● ଅଫଲାଇନ',
+        'Enter a zoom range, lowest first': 'ଜୁମ୍ ପରିସର ଦିଅନ୍ତୁ, ପ୍ରଥମେ ସର୍ବନିମ୍ନ',
+        '{count} tiles - over the {limit} limit, zoom in or lower the maximum': '{count} ଟାଇଲ - {limit} ସୀମାଠାରୁ ଅଧିକ, ଜୁମ୍ ଇନ କରନ୍ତୁ କିମ୍ବା ସର୍ବାଧିକ କମାନ୍ତୁ',
+        '{count} tiles': '{count} ଟାଇଲ',
+        'Area around {lat}, {lng}': '{lat}, {lng} ଆଖପାଖ ଅଞ୍ଚଳ',
+        'Failed: {message}': 'ବିଫଳ: {message}',
+        '{done} / {total} tiles': '{done} / {total} ଟାଇଲ',
+        'No areas saved yet': 'ଏପର୍ଯ୍ୟନ୍ତ କୌଣସି ଅଞ୍ଚଳ ସଞ୍ଚୟ ହୋଇନାହିଁ',
+        'Zoom {min}-{max}': 'ଜୁମ୍ {min}-{max}',
+        '({count} missing)': '({count} ଅନୁପଲବ୍ଧ)',
+        'Saved {age}': '{age} ସଞ୍ଚୟ ହୋଇଛି',
+        '⚠️ stale, re-download when online': '⚠️ ପୁରୁଣା, ଅନଲାଇନ ହେଲେ ପୁଣି ଡାଉନଲୋଡ କରନ୍ତୁ',
+        '🎯 Go to': '🎯 ସେଠାକୁ ଯାଆନ୍ତୁ',
+        '🗑️ Delete': '🗑️ ବିଲୋପ କରନ୍ତୁ',
+        'Delete the offline copy of "{name}"?': '"{name}" ର ଅଫଲାଇନ ପ୍ରତି ବିଲୋପ କରିବେ?',
+        '📦 Server unreachable, showing saved data:': '📦 ସର୍ଭର ଉପଲବ୍ଧ ନାହିଁ, ସଞ୍ଚିତ ତଥ୍ୟ ଦେଖାଯାଉଛି:',
+        '{count} claims, oldest saved {age}': '{count} ଦାବି, ସବୁଠାରୁ ପୁରୁଣା {age} ସଞ୍ଚିତ',
+        '{count} assets, oldest saved {age}': '{count} ସମ୍ପତ୍ତି, ସବୁଠାରୁ ପୁରୁଣା {age} ସଞ୍ଚିତ',
+        '{count} {key}, oldest saved {age}': '{count} {key}, ସବୁଠାରୁ ପୁରୁଣା {age} ସଞ୍ଚିତ',
+        '⚠️ This copy is stale; reload when back online': '⚠️ ଏହି ପ୍ରତି ପୁରୁଣା; ଅନଲାଇନ ହେଲେ ପୁଣି ଲୋଡ କରନ୍ତୁ',
+        'just now': 'ଏବେ',
+        '{count} min ago': '{count} ମିନିଟ ପୂର୍ବରୁ',
+        '{count} h ago': '{count} ଘଣ୍ଟା ପୂର୍ବରୁ',
+        '1 day ago': '1 ଦିନ ପୂର୍ବରୁ',
+        '{count} days ago': '{count} ଦିନ ପୂର୍ବରୁ',
+
+        // Overlap report and claim editor
+        '{conflicts} conflicts ({area} ha) • {others} expected or minor overlaps': '{conflicts} ବିବାଦ ({area} ହେ.) • {others} ଆଶାନୁରୂପ କିମ୍ବା ସାମାନ୍ୟ ଓଭରଲାପ',
+        'Sort by {column}': '{column} ଅନୁସାରେ କ୍ରମରେ ସଜାନ୍ତୁ',
+        '✅ No conflicting overlaps': '✅ କୌଣସି ବିବାଦୀୟ ଓଭରଲାପ ନାହିଁ',
+        '✅ No overlapping claims': '✅ କୌଣସି ଓଭରଲାପ ହେଉଥିବା ଦାବି ନାହିଁ',
+        'Conflicting overlap': 'ବିବାଦୀୟ ଓଭରଲାପ',
+        'Expected or minor overlap': 'ଆଶାନୁରୂପ କିମ୍ବା ସାମାନ୍ୟ ଓଭରଲାପ',
+        'Claim overlaps': 'ଦାବି ଓଭରଲାପ',
+        'Claim A': 'ଦାବି A',
+        'Claim B': 'ଦାବି B',
+        'Overlap ha': 'ଓଭରଲାପ ହେ.',
+        '% of A': 'A ର %',
+        '% of B': 'B ର %',
+        'IFR overlaps IFR': 'IFR, IFR ସହ ଓଭରଲାପ କରେ',
+        'IFR inside another village\'s CFR': 'ଅନ୍ୟ ଗାଁର CFR ଭିତରେ IFR',
+        'CR inside another village\'s CFR': 'ଅନ୍ୟ ଗାଁର CFR ଭିତରେ CR',
+        'CFR overlaps CFR': 'CFR, CFR ସହ ଓଭରଲାପ କରେ',
+        'Within own village CFR': 'ନିଜ ଗାଁର CFR ଭିତରେ',
+        'IFR/CR overlap': 'IFR/CR ଓଭରଲାପ',
+        'unknown village': 'ଅଜଣା ଗାଁ',
+        '{a} and {b}: {area} ha - {kind}': '{a} ଓ {b}: {area} ହେ. - {kind}',
+        'ha': 'ହେ.',
+
+        // Measurement tool
+        '📏 Distance': '📏 ଦୂରତା',
+        '⬛ Area': '⬛ କ୍ଷେତ୍ରଫଳ',
+        'Measure distance': 'ଦୂରତା ମାପନ୍ତୁ',
+        'Measure area and perimeter': 'କ୍ଷେତ୍ରଫଳ ଓ ପରିସୀମା ମାପନ୍ତୁ',
+        'Clear measurement': 'ମାପ ହଟାନ୍ତୁ',
+        'Click to add points; double-click or click the last point to finish.': 'ବିନ୍ଦୁ ଯୋଡ଼ିବାକୁ କ୍ଲିକ୍ କରନ୍ତୁ; ଶେଷ କରିବାକୁ ଡବଲ୍-କ୍ଲିକ୍ କରନ୍ତୁ କିମ୍ବା ଶେଷ ବିନ୍ଦୁରେ କ୍ଲିକ୍ କରନ୍ତୁ।',
+        'Click to add corners; double-click or click the first corner to close.': 'କୋଣ ଯୋଡ଼ିବାକୁ କ୍ଲିକ୍ କରନ୍ତୁ; ବନ୍ଦ କରିବାକୁ ଡବଲ୍-କ୍ଲିକ୍ କରନ୍ତୁ କିମ୍ବା ପ୍ରଥମ କୋଣରେ କ୍ଲିକ୍ କରନ୍ତୁ।',
+        'Distance:': 'ଦୂରତା:',
+        'Last segment {length}': 'ଶେଷ ଖଣ୍ଡ {length}',
+        'Perimeter:': 'ପରିସୀମା:',
+        'Recorded:': 'ଲିପିବଦ୍ଧ:',
+        'within ±{tolerance}%': '±{tolerance}% ଭିତରେ',
+        'outside ±{tolerance}%': '±{tolerance}% ବାହାରେ',
+        'No recorded area to compare with.': 'ତୁଳନା ପାଇଁ କୌଣସି ଲିପିବଦ୍ଧ କ୍ଷେତ୍ରଫଳ ନାହିଁ।',
+        'This feature has no polygon to measure.': 'ଏହି ବସ୍ତୁରେ ମାପିବା ପାଇଁ କୌଣସି ବହୁଭୁଜ ନାହିଁ।',
+        'acres': 'ଏକର',
+        'km²': 'ବର୍ଗ କି.ମି.',
+        'km': 'କି.ମି.',
+        'm': 'ମି.',
+
+        // Overlay import
+        '📂 Drop GeoJSON, KML/KMZ, zipped Shapefile or CSV files': '📂 GeoJSON, KML/KMZ, ଜିପ୍ ହୋଇଥିବା Shapefile କିମ୍ବା CSV ଫାଇଲ୍ ଏଠାରେ ଛାଡ଼ନ୍ତୁ',
+        'No attributes': 'କୌଣସି ଗୁଣ ନାହିଁ',
+        '✅ {file}: {count} features as "{name}"': '✅ {file}: "{name}" ଭାବେ {count}ଟି ବସ୍ତୁ',
+        'Shapefiles must be dropped as one .zip holding the .shp, .dbf and .prj files': 'Shapefile କୁ .shp, .dbf ଓ .prj ଫାଇଲ୍ ଥିବା ଗୋଟିଏ .zip ଭାବେ ଛାଡ଼ନ୍ତୁ',
+        'Unsupported file type ".{extension}"': 'ଅସମର୍ଥିତ ଫାଇଲ୍ ପ୍ରକାର ".{extension}"',
+        'No features with geometry found': 'ଜ୍ୟାମିତି ଥିବା କୌଣସି ବସ୍ତୁ ମିଳିଲା ନାହିଁ',
+        'Coordinates are not WGS84 longitude/latitude; reproject to EPSG:4326 first': 'ସ୍ଥାନାଙ୍କ WGS84 ଦ୍ରାଘିମା/ଅକ୍ଷାଂଶରେ ନାହିଁ; ପ୍ରଥମେ EPSG:4326କୁ ପୁନଃ ପ୍ରକ୍ଷେପଣ କରନ୍ତୁ',
+        'Invalid JSON: {reason}': 'ଅବୈଧ JSON: {reason}',
+        'Not a GeoJSON FeatureCollection, Feature or geometry': 'ଏହା GeoJSON FeatureCollection, Feature କିମ୍ବା ଜ୍ୟାମିତି ନୁହେଁ',
+        'Invalid KML: the XML is not well-formed': 'ଅବୈଧ KML: XML ଠିକ୍ ଭାବେ ଗଠିତ ନୁହେଁ',
+        'CSV has no data rows': 'CSVରେ କୌଣସି ଡାଟା ଧାଡ଼ି ନାହିଁ',
+        'No latitude/longitude columns found (expected e.g. "lat" and "lon", got: {columns})': 'ଅକ୍ଷାଂଶ/ଦ୍ରାଘିମା ସ୍ତମ୍ଭ ମିଳିଲା ନାହିଁ (ଆଶା ଥିଲା ଯେପରି "lat" ଓ "lon", ମିଳିଲା: {columns})',
+        'ZIP contains no .shp or .kml file': 'ZIPରେ କୌଣସି .shp କିମ୍ବା .kml ଫାଇଲ୍ ନାହିଁ',
+        '{layer}: projected coordinate system "{projection}"; reproject to EPSG:4326 first': '{layer}: ପ୍ରକ୍ଷେପିତ ସ୍ଥାନାଙ୍କ ପ୍ରଣାଳୀ "{projection}"; ପ୍ରଥମେ EPSG:4326କୁ ପୁନଃ ପ୍ରକ୍ଷେପଣ କରନ୍ତୁ',
+        'Invalid .shp file header': 'ଅବୈଧ .shp ଫାଇଲ୍ ହେଡର୍',
+        'Unsupported shapefile geometry type {type}': 'ଅସମର୍ଥିତ shapefile ଜ୍ୟାମିତି ପ୍ରକାର {type}'
+    }
+});
@@ -0,0 +1,591 @@
+/**
+ * Vanachitra.AI - Telugu Translations
+ * Keyed by the English UI text; anything missing here shows in English
+ */
+
+I18n.register('te', {
+    name: 'తెలుగు',
+    intl: 'te-IN',
+    messages: {
+        // Header and layout
+        'Empowering Forest Communities through Digital Mapping': 'డిజిటల్ మ్యాపింగ్ ద్వారా అటవీ సమాజాల సాధికారత',
+        'Forest Rights Act - WebGIS Visualization System': 'అటవీ హక్కుల చట్టం - వెబ్‌జీఐఎస్ విజువలైజేషన్ వ్యవస్థ',
+        '🇮🇳 India Asset Management - Enhanced 3-Layer WebGIS': '🇮🇳 భారత ఆస్తుల నిర్వహణ - మెరుగైన 3-పొరల వెబ్‌జీఐఎస్',
+        'Satellite-based Asset Mapping • FRA Claims Management • Administrative Boundaries': 'ఉపగ్రహ ఆధారిత ఆస్తుల మ్యాపింగ్ • ఎఫ్ఆర్ఏ క్లెయిమ్‌ల నిర్వహణ • పరిపాలనా సరిహద్దులు',
+        'Language': 'భాష',
+        'Map': 'మ్యాప్',
+        '🌳 Loading Vanachitra.AI...': '🌳 Vanachitra.AI లోడ్ అవుతోంది...',
+        'Preparing Forest Rights Act spatial data': 'అటవీ హక్కుల చట్టం ప్రాదేశిక డేటా సిద్ధమవుతోంది',
+        'Loading Enhanced WebGIS...': 'మెరుగైన వెబ్‌జీఐఎస్ లోడ్ అవుతోంది...',
+        'Preparing satellite imagery and asset data': 'ఉపగ్రహ చిత్రాలు, ఆస్తుల డేటా సిద్ధమవుతోంది',
+        'Close': 'మూసివేయి',
+        'N/A': 'అందుబాటులో లేదు',
+        'Unknown': 'తెలియదు',
+        'none': 'ఏదీ లేదు',
+        'None': 'ఏదీ లేదు',
+        'Error: {message}': 'లోపం: {message}',
+
+        // Map controls
+        'Reset View': 'వీక్షణను రీసెట్ చేయి',
+        'Zoom to India': 'భారతదేశానికి జూమ్ చేయి',
+        'Toggle Layers': 'పొరలను చూపు/దాచు',
+        'Fullscreen': 'పూర్తి స్క్రీన్',
+        'Export Data': 'డేటాను ఎగుమతి చేయి',
+        'Measure Distance': 'దూరాన్ని కొలువు',
+        'Print Map': 'మ్యాప్‌ను ముద్రించు',
+        'Analytics Dashboard': 'విశ్లేషణ డాష్‌బోర్డ్',
+        'Previous in filtered set': 'ఫిల్టర్ చేసిన జాబితాలో మునుపటిది',
+        'Next in filtered set': 'ఫిల్టర్ చేసిన జాబితాలో తదుపరిది',
+        '◀ Prev': '◀ మునుపటి',
+        'Next ▶': 'తదుపరి ▶',
+        'Dock left': 'ఎడమ వైపు ఉంచు',
+        'Dock right': 'కుడి వైపు ఉంచు',
+        'Legend': 'సూచిక',
+        'Map Legend': 'మ్యాప్ సూచిక',
+
+        // FRA claim types and statuses
+        'Individual Forest Rights': 'వ్యక్తిగత అటవీ హక్కులు',
+        'Community Forest Resource Rights': 'సామూహిక అటవీ వనరుల హక్కులు',
+        'Community Forest Rights': 'సామూహిక అటవీ హక్కులు',
+        'Community Rights': 'సామూహిక హక్కులు',
+        'Community Resource Rights': 'సామూహిక వనరుల హక్కులు',
+        'Agriculture': 'వ్యవసాయం',
+        'Water Body': 'జలాశయం',
+        'Water Bodies': 'జలాశయాలు',
+        'Feature': 'అంశం',
+        'Approved': 'ఆమోదించబడింది',
+        'Pending': 'పెండింగ్‌లో ఉంది',
+        'Under Review': 'సమీక్షలో ఉంది',
+        'Submitted': 'సమర్పించబడింది',
+        'Field Verification': 'క్షేత్ర ధృవీకరణ',
+        'Rejected': 'తిరస్కరించబడింది',
+        'Disputed': 'వివాదంలో ఉంది',
+        'Appealed': 'అప్పీల్ చేయబడింది',
+        '✅ Approved': '✅ ఆమోదించబడింది',
+        '⏳ Pending': '⏳ పెండింగ్‌లో ఉంది',
+        '🔄 Under Review': '🔄 సమీక్షలో ఉంది',
+        '📨 Submitted': '📨 సమర్పించబడింది',
+        '🔍 Field Verification': '🔍 క్షేత్ర ధృవీకరణ',
+        '❌ Rejected': '❌ తిరస్కరించబడింది',
+        '⚠️ Disputed': '⚠️ వివాదంలో ఉంది',
+        '⚖️ Appealed': '⚖️ అప్పీల్ చేయబడింది',
+        'CFR - Community Forest Resource Rights': 'సీఎఫ్ఆర్ - సామూహిక అటవీ వనరుల హక్కులు',
+        'CFR - Community Forest Resources': 'సీఎఫ్ఆర్ - సామూహిక అటవీ వనరులు',
+        'IFR - Individual Forest Rights': 'ఐఎఫ్ఆర్ - వ్యక్తిగత అటవీ హక్కులు',
+        'CR - Community Rights': 'సీఆర్ - సామూహిక హక్కులు',
+        '🌲 CFR - Community Forest Resource Rights': '🌲 సీఎఫ్ఆర్ - సామూహిక అటవీ వనరుల హక్కులు',
+        '🏠 IFR - Individual Forest Rights': '🏠 ఐఎఫ్ఆర్ - వ్యక్తిగత అటవీ హక్కులు',
+        '🤝 CR - Community Rights': '🤝 సీఆర్ - సామూహిక హక్కులు',
+        '🌾 Agriculture': '🌾 వ్యవసాయం',
+        '💧 Water Bodies': '💧 జలాశయాలు',
+
+        // Filters
+        '🔍 Filters': '🔍 ఫిల్టర్లు',
+        '🗺️ Geographic Filters': '🗺️ భౌగోళిక ఫిల్టర్లు',
+        '🏛️ FRA Type Filters': '🏛️ ఎఫ్ఆర్ఏ రకం ఫిల్టర్లు',
+        '🏞️ Asset Filters': '🏞️ ఆస్తి ఫిల్టర్లు',
+        'State:': 'రాష్ట్రం:',
+        'District:': 'జిల్లా:',
+        'Village:': 'గ్రామం:',
+        'FRA Type:': 'ఎఫ్ఆర్ఏ రకం:',
+        'Status:': 'స్థితి:',
+        'Tribal Community:': 'గిరిజన సమాజం:',
+        'Submission Year:': 'సమర్పణ సంవత్సరం:',
+        'Land Cover Share:': 'భూ-ఆవరణ వాటా:',
+        'Asset Type:': 'ఆస్తి రకం:',
+        'Minimum Area (km²):': 'కనీస విస్తీర్ణం (చ.కి.మీ):',
+        'All States': 'అన్ని రాష్ట్రాలు',
+        'All Districts': 'అన్ని జిల్లాలు',
+        'All Villages': 'అన్ని గ్రామాలు',
+        'All Types': 'అన్ని రకాలు',
+        'All Status': 'అన్ని స్థితులు',
+        'All Communities': 'అన్ని సమాజాలు',
+        'All Years': 'అన్ని సంవత్సరాలు',
+        'All Assets': 'అన్ని ఆస్తులు',
+        'Any Land Cover': 'ఏ భూ-ఆవరణ అయినా',
+        'more than': 'కంటే ఎక్కువ',
+        'Minimum share (%)': 'కనీస వాటా (%)',
+        '🌲 Forest': '🌲 అడవి',
+        '💧 Water': '💧 నీరు',
+        '🌾 Agricultural': '🌾 వ్యవసాయ',
+        '🌾 Agricultural Land': '🌾 వ్యవసాయ భూమి',
+        '🏘️ Homestead': '🏘️ నివాస స్థలం',
+        '🔍 Apply Filters': '🔍 ఫిల్టర్లను వర్తింపజేయి',
+        '🗑️ Clear': '🗑️ తొలగించు',
+        'State: {state}': 'రాష్ట్రం: {state}',
+        'District: {district}': 'జిల్లా: {district}',
+        'Village: {village}': 'గ్రామం: {village}',
+        'FRA type: {type}': 'ఎఫ్ఆర్ఏ రకం: {type}',
+        'Status: {status}': 'స్థితి: {status}',
+        'Community: {community}': 'సమాజం: {community}',
+        'Submitted in {year}': '{year}లో సమర్పించబడింది',
+        'Submitted by {date}': '{date} నాటికి సమర్పించబడింది',
+        'More than {percent}% {cover} cover': '{percent}% కంటే ఎక్కువ {cover} ఆవరణ',
+        'Asset type: {type}': 'ఆస్తి రకం: {type}',
+        'Asset area ≥ {area} km²': 'ఆస్తి విస్తీర్ణం ≥ {area} చ.కి.మీ',
+        'none (all features)': 'ఏదీ లేదు (అన్ని అంశాలు)',
+        'none (all claims and assets)': 'ఏదీ లేదు (అన్ని క్లెయిమ్‌లు, ఆస్తులు)',
+        'Filters applied! Showing {shown} of {total} features.': 'ఫిల్టర్లు వర్తించాయి! {total}లో {shown} అంశాలు చూపబడుతున్నాయి.',
+        'Filters cleared!': 'ఫిల్టర్లు తొలగించబడ్డాయి!',
+        'No data available to filter!': 'ఫిల్టర్ చేయడానికి డేటా లేదు!',
+        '{count} claims in view match the filters': 'వీక్షణలో {count} క్లెయిమ్‌లు ఫిల్టర్లకు సరిపోతున్నాయి',
+
+        // Layers and legend
+        'Map Layers': 'మ్యాప్ పొరలు',
+        'Assets Layer': 'ఆస్తుల పొర',
+        'Water, Forest, Agriculture, Homestead': 'నీరు, అడవి, వ్యవసాయం, నివాసం',
+        'FRA Boundaries': 'ఎఫ్ఆర్ఏ సరిహద్దులు',
+        'IFR, CFR, CR Claims': 'ఐఎఫ్ఆర్, సీఎఫ్ఆర్, సీఆర్ క్లెయిమ్‌లు',
+        'Admin Boundaries': 'పరిపాలనా సరిహద్దులు',
+        'States, Districts, Blocks, Villages': 'రాష్ట్రాలు, జిల్లాలు, మండలాలు, గ్రామాలు',
+        'Opacity:': 'అపారదర్శకత:',
+        'FRA Layers': 'ఎఫ్ఆర్ఏ పొరలు',
+        'FRA Claims': 'ఎఫ్ఆర్ఏ క్లెయిమ్‌లు',
+        'Assets': 'ఆస్తులు',
+        'Administrative': 'పరిపాలనా',
+        'Forest': 'అడవి',
+        'Agricultural Land': 'వ్యవసాయ భూమి',
+        'Homestead': 'నివాస స్థలం',
+        'State Boundaries': 'రాష్ట్ర సరిహద్దులు',
+        'District Boundaries': 'జిల్లా సరిహద్దులు',
+        'Block Boundaries': 'మండల సరిహద్దులు',
+        'Village Boundaries': 'గ్రామ సరిహద్దులు',
+        'Large forest areas managed by Gram Sabha': 'గ్రామసభ నిర్వహించే పెద్ద అటవీ ప్రాంతాలు',
+        'Small plots allocated to tribal households': 'గిరిజన కుటుంబాలకు కేటాయించిన చిన్న భూభాగాలు',
+        'Shared resources like grazing land, ponds': 'పచ్చిక బయళ్లు, చెరువుల వంటి ఉమ్మడి వనరులు',
+
+        // Statistics and actions
+        '📊 Quick Statistics': '📊 త్వరిత గణాంకాలు',
+        'Total Features': 'మొత్తం అంశాలు',
+        'Total Area (Ha)': 'మొత్తం విస్తీర్ణం (హె.)',
+        'Approved Claims': 'ఆమోదించిన క్లెయిమ్‌లు',
+        'Pending Claims': 'పెండింగ్ క్లెయిమ్‌లు',
+        'Assets in View': 'వీక్షణలోని ఆస్తులు',
+        'FRA Claims in View': 'వీక్షణలోని ఎఫ్ఆర్ఏ క్లెయిమ్‌లు',
+        'Zoom Level': 'జూమ్ స్థాయి',
+        '⚡ Actions': '⚡ చర్యలు',
+        '🎯 Zoom to Data': '🎯 డేటాకు జూమ్ చేయి',
+        '💾 Export Data': '💾 డేటాను ఎగుమతి చేయి',
+        '🏠 Reset View': '🏠 వీక్షణను రీసెట్ చేయి',
+        '🛰️ Toggle Map': '🛰️ మ్యాప్ మార్చు',
+        '🏷️ Toggle Labels': '🏷️ లేబుల్‌లు చూపు/దాచు',
+        '🏷️ Show Labels': '🏷️ లేబుల్‌లు చూపు',
+        '🚫 Hide Labels': '🚫 లేబుల్‌లు దాచు',
+        '🖨️ Print Map': '🖨️ మ్యాప్‌ను ముద్రించు',
+        '📋 Table View': '📋 పట్టిక వీక్షణ',
+        '📋 Show as Table': '📋 పట్టికగా చూపు',
+        '📋 Hide Table': '📋 పట్టికను దాచు',
+        '📥 GeoJSON': '📥 GeoJSON',
+        'No data to zoom to!': 'జూమ్ చేయడానికి డేటా లేదు!',
+        'No data to export!': 'ఎగుమతి చేయడానికి డేటా లేదు!',
+        'Exported {count} features as {filename}': '{count} అంశాలు {filename}గా ఎగుమతి అయ్యాయి',
+        'Export failed: {error}': 'ఎగుమతి విఫలమైంది: {error}',
+        'Failed to load FRA data. Please check the server connection.': 'ఎఫ్ఆర్ఏ డేటా లోడ్ కాలేదు. దయచేసి సర్వర్ కనెక్షన్‌ను తనిఖీ చేయండి.',
+        'Failed to load map data. Please refresh the page.': 'మ్యాప్ డేటా లోడ్ కాలేదు. దయచేసి పేజీని రిఫ్రెష్ చేయండి.',
+        'Server unreachable - showing claims saved for offline use.': 'సర్వర్ అందుబాటులో లేదు - ఆఫ్‌లైన్ కోసం సేవ్ చేసిన క్లెయిమ్‌లు చూపబడుతున్నాయి.',
+        'Could not import {failed} of {total} files:': '{total}లో {failed} ఫైళ్లను దిగుమతి చేయలేకపోయాం:',
+
+        // Popups and feature details
+        '🎯 Feature Information': '🎯 అంశం సమాచారం',
+        'Click on any feature to see detailed information.': 'వివరమైన సమాచారం కోసం ఏదైనా అంశంపై క్లిక్ చేయండి.',
+        'Enhanced Features:': 'మెరుగైన సౌకర్యాలు:',
+        '🛰️ Satellite-based asset mapping': '🛰️ ఉపగ్రహ ఆధారిత ఆస్తుల మ్యాపింగ్',
+        '🗺️ India-focused view with realistic boundaries': '🗺️ వాస్తవ సరిహద్దులతో భారత-కేంద్రిత వీక్షణ',
+        '🔍 Dynamic filtering and highlighting': '🔍 డైనమిక్ ఫిల్టరింగ్, హైలైటింగ్',
+        '📊 Real-time statistics': '📊 తక్షణ గణాంకాలు',
+        'Feature Details': 'అంశం వివరాలు',
+        'Asset Information': 'ఆస్తి సమాచారం',
+        'FRA Claim Information': 'ఎఫ్ఆర్ఏ క్లెయిమ్ సమాచారం',
+        'Administrative Boundary': 'పరిపాలనా సరిహద్దు',
+        'ID:': 'ఐడీ:',
+        'Claim ID:': 'క్లెయిమ్ ఐడీ:',
+        'Type:': 'రకం:',
+        'Area:': 'విస్తీర్ణం:',
+        'Location:': 'ప్రదేశం:',
+        'Households:': 'కుటుంబాలు:',
+        'Beneficiaries:': 'లబ్ధిదారులు:',
+        'Household Head:': 'కుటుంబ పెద్ద:',
+        'Gram Sabha:': 'గ్రామసభ:',
+        'Community:': 'సమాజం:',
+        'Submission:': 'సమర్పణ:',
+        'Confidence:': 'విశ్వసనీయత:',
+        'Level:': 'స్థాయి:',
+        'Name:': 'పేరు:',
+        'Within:': 'పరిధిలో:',
+        'Code:': 'కోడ్:',
+        '📏 Measure this feature': '📏 ఈ అంశాన్ని కొలువు',
+        '{area} hectares': '{area} హెక్టార్లు',
+
+        // Statistics, search and analysis tools
+        'States': 'రాష్ట్రాలు',
+        'Features': 'అంశాలు',
+        'FRA claims': 'ఎఫ్ఆర్ఏ క్లెయిమ్‌లు',
+        'Agriculture / Water': 'వ్యవసాయం / నీరు',
+        'Total area': 'మొత్తం విస్తీర్ణం',
+        'Claimed area': 'క్లెయిమ్ చేసిన విస్తీర్ణం',
+        'Conflicting overlaps': 'విరుద్ధ అతివ్యాప్తులు',
+        '🔎 Search': '🔎 వెతుకు',
+        'Search claims': 'క్లెయిమ్‌లను వెతుకు',
+        'Claim ID, village, gram sabha, household...': 'క్లెయిమ్ ఐడీ, గ్రామం, గ్రామసభ, కుటుంబం...',
+        'No matches': 'సరిపోలికలు లేవు',
+        'Claims': 'క్లెయిమ్‌లు',
+        'Household Heads': 'కుటుంబ పెద్దలు',
+        'Survey Numbers': 'సర్వే నంబర్లు',
+        'Villages': 'గ్రామాలు',
+        'Gram Sabhas': 'గ్రామసభలు',
+        'Districts': 'జిల్లాలు',
+        'Tribal Communities': 'గిరిజన సమాజాలు',
+        '🏛️ FRA Hierarchy': '🏛️ ఎఫ్ఆర్ఏ అనుక్రమం',
+        '🧭 Hierarchy Check': '🧭 అనుక్రమ తనిఖీ',
+        '🏗️ Show Hierarchy': '🏗️ అనుక్రమం చూపు',
+        '🔗 Hide Hierarchy': '🔗 అనుక్రమం దాచు',
+        '{linked} claims linked to {cfrs} CFRs • {orphans} orphans • {spills} boundary spills': '{linked} క్లెయిమ్‌లు {cfrs} సీఎఫ్ఆర్‌లకు అనుసంధానం • {orphans} అనుసంధానం లేనివి • {spills} సరిహద్దు దాటినవి',
+        '{id}: {count} child claims': '{id}: {count} ఉప-క్లెయిమ్‌లు',
+        '✅ Every IFR/CR claim sits inside a CFR': '✅ ప్రతి ఐఎఫ్ఆర్/సీఆర్ క్లెయిమ్ ఏదో ఒక సీఎఫ్ఆర్ లోపల ఉంది',
+        'Zoom to this claim': 'ఈ క్లెయిమ్‌కు జూమ్ చేయి',
+        '🧩 Overlap Check': '🧩 అతివ్యాప్తి తనిఖీ',
+        '🧩 Find Overlaps': '🧩 అతివ్యాప్తులను కనుగొను',
+        '🧩 Hide Overlaps': '🧩 అతివ్యాప్తులను దాచు',
+        'Conflicts only': 'విరుద్ధమైనవి మాత్రమే',
+
+        // Claim editor
+        '✏️ Draw Claim': '✏️ క్లెయిమ్ గీయి',
+        '📐 Reshape Selected': '📐 ఎంచుకున్నదాని ఆకారం మార్చు',
+        '✏️ New Claim': '✏️ కొత్త క్లెయిమ్',
+        '📐 Reshape {id}': '📐 {id} ఆకారం మార్చు',
+        'vertices': 'శీర్షాలు',
+        'Drag vertices to move, click a midpoint to insert, right-click a vertex to delete. Vertices snap to CFR boundaries.': 'శీర్షాన్ని జరపడానికి లాగండి, చేర్చడానికి మధ్యబిందువుపై క్లిక్ చేయండి, తొలగించడానికి శీర్షంపై రైట్-క్లిక్ చేయండి. శీర్షాలు సీఎఫ్ఆర్ సరిహద్దులకు అతుక్కుంటాయి.',
+        'Claim Type:': 'క్లెయిమ్ రకం:',
+        'Family Members:': 'కుటుంబ సభ్యులు:',
+        'Survey Number:': 'సర్వే నంబర్:',
+        'Total Households:': 'మొత్తం కుటుంబాలు:',
+        'Beneficiary Households:': 'లబ్ధిదారు కుటుంబాలు:',
+        'Resource Type:': 'వనరు రకం:',
+        '💾 Save': '💾 సేవ్ చేయి',
+        '✖️ Cancel': '✖️ రద్దు చేయి',
+        'Click to place vertices; click the first vertex or double-click to close.': 'శీర్షాలు ఉంచడానికి క్లిక్ చేయండి; మూసివేయడానికి మొదటి శీర్షంపై క్లిక్ లేదా డబుల్-క్లిక్ చేయండి.',
+        'Select a CFR, IFR or CR claim on the map first!': 'ముందుగా మ్యాప్‌పై ఒక సీఎఫ్ఆర్, ఐఎఫ్ఆర్ లేదా సీఆర్ క్లెయిమ్‌ను ఎంచుకోండి!',
+        'Only single-part claim polygons can be reshaped.': 'ఒకే భాగం ఉన్న క్లెయిమ్ బహుభుజాల ఆకారం మాత్రమే మార్చవచ్చు.',
+        'Close the claim boundary first!': 'ముందుగా క్లెయిమ్ సరిహద్దును మూసివేయండి!',
+        'Please fill in {field}.': 'దయచేసి {field} నింపండి.',
+        'Claim {id} saved ({area} ha)': 'క్లెయిమ్ {id} సేవ్ అయింది ({area} హె.)',
+        'Claim {id} saved ({area} ha) - hidden by current filters': 'క్లెయిమ్ {id} సేవ్ అయింది ({area} హె.) - ప్రస్తుత ఫిల్టర్ల వల్ల దాగి ఉంది',
+
+        // Keyboard navigation and feature table
+        'Selection cleared': 'ఎంపిక తొలగించబడింది',
+        'No features in view. Zoom out or change the filters.': 'వీక్షణలో అంశాలు లేవు. జూమ్ అవుట్ చేయండి లేదా ఫిల్టర్లు మార్చండి.',
+        '{index} of {count} in view': 'వీక్షణలో {count}లో {index}',
+        'north': 'ఉత్తరం',
+        'south': 'దక్షిణం',
+        'west': 'పశ్చిమం',
+        'east': 'తూర్పు',
+        'No feature further {direction}': '{direction} వైపు ఇంకే అంశమూ లేదు',
+        'Press Enter for details.': 'వివరాల కోసం Enter నొక్కండి.',
+        'Showing details for {feature}': '{feature} వివరాలు చూపబడుతున్నాయి',
+        'Arrow keys pan the map and plus and minus zoom. Press N or ] for the next feature in view and P or [ for the previous one. With a feature selected, arrow keys move to the nearest feature in that direction, Enter shows its details and Escape clears the selection. A table of the features is available in the sidebar.': 'బాణం కీలు మ్యాప్‌ను జరుపుతాయి, ప్లస్ మరియు మైనస్ జూమ్ చేస్తాయి. వీక్షణలో తదుపరి అంశం కోసం N లేదా ], మునుపటిదాని కోసం P లేదా [ నొక్కండి. అంశం ఎంచుకున్నప్పుడు బాణం కీలు ఆ దిశలోని సమీప అంశానికి తీసుకెళ్తాయి, Enter దాని వివరాలు చూపుతుంది, Escape ఎంపికను తొలగిస్తుంది. అంశాల పట్టిక సైడ్‌బార్‌లో అందుబాటులో ఉంది.',
+        '{count} features matching the current filters': 'ప్రస్తుత ఫిల్టర్లకు సరిపోయే {count} అంశాలు',
+        '{count} features matching the current filters, first {limit} shown': 'ప్రస్తుత ఫిల్టర్లకు సరిపోయే {count} అంశాలు, మొదటి {limit} చూపబడ్డాయి',
+        'ID': 'ఐడీ',
+        'Type': 'రకం',
+        'Status': 'స్థితి',
+        'Village': 'గ్రామం',
+        'Area ha': 'విస్తీర్ణం హె.',
+        'Show on map': 'మ్యాప్‌లో చూపు',
+        'Show {id} on map': '{id}ని మ్యాప్‌లో చూపు',
+        'Show more': 'మరిన్ని చూపు',
+        'Show {count} more': 'మరో {count} చూపు',
+
+        // Land cover
+        'Land cover': 'భూ-ఆవరణ',
+        '(confidence-weighted)': '(విశ్వసనీయత-భారిత)',
+        'Water': 'నీరు',
+        'Agricultural': 'వ్యవసాయ',
+        'Other': 'ఇతర',
+        'Unclassified': 'వర్గీకరించనిది',
+        'No land-cover data for this claim': 'ఈ క్లెయిమ్‌కు భూ-ఆవరణ డేటా లేదు',
+        'No classified land cover inside this claim': 'ఈ క్లెయిమ్ లోపల వర్గీకరించిన భూ-ఆవరణ లేదు',
+
+        // Timeline
+        '🕒 Timeline': '🕒 కాలక్రమం',
+        'Play': 'ప్లే చేయి',
+        'Pause': 'ఆపు',
+        'Step': 'అడుగు',
+        'Week': 'వారం',
+        'Month': 'నెల',
+        'Quarter': 'త్రైమాసికం',
+        'Status as of date': 'తేదీ నాటి స్థితి',
+        'Status as of {date}': '{date} నాటి స్థితి',
+
+        // Printing
+        'Print map': 'మ్యాప్‌ను ముద్రించు',
+        'Title': 'శీర్షిక',
+        'Paper': 'కాగితం',
+        'Orientation': 'దిశ',
+        'Landscape': 'అడ్డం',
+        'Portrait': 'నిలువు',
+        'Resolution': 'రిజల్యూషన్',
+        'Forest Rights Act Claims': 'అటవీ హక్కుల చట్టం క్లెయిమ్‌లు',
+        'FRA Claims and Assets - India': 'ఎఫ్ఆర్ఏ క్లెయిమ్‌లు, ఆస్తులు - భారతదేశం',
+        'Printed {date}': '{date}న ముద్రించబడింది',
+        'Filters: {filters}': 'ఫిల్టర్లు: {filters}',
+        'Summary': 'సారాంశం',
+        'Loading map tiles {done}/{total}…': 'మ్యాప్ టైల్స్ లోడ్ అవుతున్నాయి {done}/{total}…',
+        'Encoding…': 'ఎన్‌కోడ్ అవుతోంది…',
+        '✅ Saved {filename}': '✅ {filename} సేవ్ అయింది',
+        '⚠️ Saved {filename}, but {count} base map tiles could not be loaded for printing': '⚠️ {filename} సేవ్ అయింది, కానీ {count} ఆధార మ్యాప్ టైల్స్ ముద్రణ కోసం లోడ్ కాలేదు',
+        '❌ Print failed: {error}': '❌ ముద్రణ విఫలమైంది: {error}',
+
+        // Analytics dashboard
+        '📊 FRA Analytics Dashboard': '📊 ఎఫ్ఆర్ఏ విశ్లేషణ డాష్‌బోర్డ్',
+        'Click a bar, slice or year to filter the map': 'మ్యాప్‌ను ఫిల్టర్ చేయడానికి ఏదైనా బార్, భాగం లేదా సంవత్సరంపై క్లిక్ చేయండి',
+        '⏳ Loading analytics...': '⏳ విశ్లేషణ లోడ్ అవుతోంది...',
+        'No data available': 'డేటా అందుబాటులో లేదు',
+        '🏛️ Claims by Type': '🏛️ రకం వారీగా క్లెయిమ్‌లు',
+        '📋 Claims by Status': '📋 స్థితి వారీగా క్లెయిమ్‌లు',
+        '🗺️ Claims by State and Type': '🗺️ రాష్ట్రం, రకం వారీగా క్లెయిమ్‌లు',
+        '👥 Tribal Communities': '👥 గిరిజన సమాజాలు',
+        '📈 Submissions per Year': '📈 సంవత్సరానికి సమర్పణలు',
+        'Not yet approved': 'ఇంకా ఆమోదించబడలేదు',
+        'Total Claims': 'మొత్తం క్లెయిమ్‌లు',
+        'Approval Rate': 'ఆమోద రేటు',
+        'Total Area': 'మొత్తం విస్తీర్ణం',
+        'Field Verified': 'క్షేత్ర ధృవీకరణ అయింది',
+        'GPS Verified': 'జీపీఎస్ ధృవీకరణ అయింది',
+
+        // Claim detail panel
+        'Unnamed feature': 'పేరు లేని అంశం',
+        '{index} of {total}': '{total}లో {index}',
+        '📄 Summary': '📄 సారాంశం',
+        '👥 Community': '👥 సమాజం',
+        '✔️ Verification': '✔️ ధృవీకరణ',
+        '🌿 Ecology': '🌿 పర్యావరణం',
+        '🧭 Related': '🧭 సంబంధిత',
+        '⏳ Loading full record...': '⏳ పూర్తి రికార్డు లోడ్ అవుతోంది...',
+        '⚠️ Server record unavailable; showing map attributes': '⚠️ సర్వర్ రికార్డు అందుబాటులో లేదు; మ్యాప్ లక్షణాలు చూపబడుతున్నాయి',
+        'Area': 'విస్తీర్ణం',
+        'Location': 'ప్రదేశం',
+        'Nothing recorded for this feature': 'ఈ అంశానికి ఏమీ నమోదు కాలేదు',
+        'Not recorded': 'నమోదు కాలేదు',
+        '✅ Yes': '✅ అవును',
+        '❌ No': '❌ కాదు',
+        'Parent CFR': 'మాతృ సీఎఫ్ఆర్',
+        'Not applicable': 'వర్తించదు',
+        'Lies outside every CFR boundary': 'ఏ సీఎఫ్ఆర్ సరిహద్దులోనూ లేదు',
+        'Child claims ({count})': 'ఉప-క్లెయిమ్‌లు ({count})',
+        'Block': 'మండలం',
+        'Panchayat': 'పంచాయతీ',
+        'Survey Number': 'సర్వే నంబర్',
+        'Submission Date': 'సమర్పణ తేదీ',
+        'Last Updated': 'చివరి నవీకరణ',
+        'Tribal Community': 'గిరిజన సమాజం',
+        'Gram Sabha': 'గ్రామసభ',
+        'Total Households': 'మొత్తం కుటుంబాలు',
+        'Beneficiary Households': 'లబ్ధిదారు కుటుంబాలు',
+        'Household Head': 'కుటుంబ పెద్ద',
+        'Family Members': 'కుటుంబ సభ్యులు',
+        'Field Verification Done': 'క్షేత్ర ధృవీకరణ పూర్తయింది',
+        'GPS Coordinates Verified': 'జీపీఎస్ నిర్దేశాంకాలు ధృవీకరించబడ్డాయి',
+        'Boundary Demarcated': 'సరిహద్దు గుర్తించబడింది',
+        'Resource Type': 'వనరు రకం',
+        'Forest Type': 'అటవీ రకం',
+
+        // Query builder
+        '🧮 Query Builder': '🧮 క్వెరీ బిల్డర్',
+        'Query Builder': 'క్వెరీ బిల్డర్',
+        'Saved queries': 'సేవ్ చేసిన క్వెరీలు',
+        'Load': 'లోడ్ చేయండి',
+        'Delete': 'తొలగించండి',
+        'Query name': 'క్వెరీ పేరు',
+        'Save': 'సేవ్ చేయండి',
+        'Apply': 'వర్తింపజేయండి',
+        'Clear': 'క్లియర్ చేయండి',
+        'Combine conditions': 'షరతులను కలపండి',
+        'All of (AND)': 'అన్నీ (AND)',
+        'Any of (OR)': 'ఏదైనా (OR)',
+        '+ Condition': '+ షరతు',
+        '+ Group': '+ సమూహం',
+        'Remove': 'తీసివేయండి',
+        'Field': 'ఫీల్డ్',
+        'Operator': 'ఆపరేటర్',
+        'Value': 'విలువ',
+        'Minimum': 'కనిష్ఠం',
+        'Maximum': 'గరిష్ఠం',
+        'Choose a field': 'ఫీల్డ్‌ను ఎంచుకోండి',
+        'Choose a value': 'విలువను ఎంచుకోండి',
+        'and': 'మరియు',
+        'AND': 'మరియు',
+        'OR': 'లేదా',
+        'between': 'మధ్య',
+        'is one of': 'వీటిలో ఒకటి',
+        'is not one of': 'వీటిలో ఏదీ కాదు',
+        'contains': 'కలిగి ఉంది',
+        'is true': 'నిజం',
+        'is false': 'అసత్యం',
+        'is empty': 'ఖాళీగా ఉంది',
+        'is not empty': 'ఖాళీగా లేదు',
+        'No conditions yet; every claim matches.': 'ఇంకా షరతులు లేవు; ప్రతి క్లెయిమ్ సరిపోతుంది.',
+        'Enter a name for the query.': 'క్వెరీకి పేరు నమోదు చేయండి.',
+        'Add a condition before saving.': 'సేవ్ చేసే ముందు ఒక షరతును జోడించండి.',
+        'Saved "{name}".': '"{name}" సేవ్ చేయబడింది.',
+        'Loaded "{name}".': '"{name}" లోడ్ చేయబడింది.',
+        'Deleted "{name}".': '"{name}" తొలగించబడింది.',
+        'Query: {query}': 'క్వెరీ: {query}',
+
+        // Claim clusters
+        '🔵 Cluster claims': '🔵 క్లెయిమ్‌లను సమూహపరచండి',
+        'Pie slices': 'పై భాగాలు',
+        'By FRA type': 'FRA రకం ప్రకారం',
+        'By status': 'స్థితి ప్రకారం',
+        'Zoom to level {zoom} for claim outlines': 'క్లెయిమ్ సరిహద్దుల కోసం స్థాయి {zoom}కి జూమ్ చేయండి',
+        '{count} claims': '{count} క్లెయిమ్‌లు',
+        'Claim clusters by status': 'స్థితి ప్రకారం క్లెయిమ్ సమూహాలు',
+        'Claim clusters by FRA type': 'FRA రకం ప్రకారం క్లెయిమ్ సమూహాలు',
+
+        // Density heatmap
+        '🔥 Claim density': '🔥 క్లెయిమ్ సాంద్రత',
+        'Weight by': 'బరువు ఆధారం',
+        'Claimed area (ha)': 'క్లెయిమ్ చేసిన విస్తీర్ణం (హె.)',
+        'Pending claims': 'పెండింగ్ క్లెయిమ్‌లు',
+        'Objections received': 'అందిన అభ్యంతరాలు',
+        'Radius': 'వ్యాసార్థం',
+        'Intensity': 'తీవ్రత',
+        'Low': 'తక్కువ',
+        'High': 'ఎక్కువ',
+
+        // Feature selection
+        '🔲 Selection': '🔲 ఎంపిక',
+        '▭ Box Select': '▭ బాక్స్ ఎంపిక',
+        '➰ Lasso': '➰ లాసో',
+        '🎯 Zoom to Selection': '🎯 ఎంపికకు జూమ్ చేయండి',
+        '🔍 Filter to Selection': '🔍 ఎంపికకు ఫిల్టర్ చేయండి',
+        '💾 Export': '💾 ఎగుమతి చేయండి',
+        '✕ Clear Selection': '✕ ఎంపికను తొలగించండి',
+        'Export format': 'ఎగుమతి ఫార్మాట్',
+        '{count} selected': '{count} ఎంపికయ్యాయి',
+        'Total area: {area} ha': 'మొత్తం విస్తీర్ణం: {area} హె.',
+        'Households: {households}': 'కుటుంబాలు: {households}',
+        'By type': 'రకం వారీగా',
+        'Shift-click features, or draw a box or lasso around them, to select them.': 'ఎంచుకోవడానికి ఫీచర్లపై Shift-క్లిక్ చేయండి, లేదా వాటి చుట్టూ బాక్స్ లేదా లాసో గీయండి.',
+        'Drag on the map to draw a box; hold Shift to add to the selection. Esc to stop.': 'బాక్స్ గీయడానికి మ్యాప్‌పై లాగండి; ఎంపికకు జోడించడానికి Shift నొక్కి ఉంచండి. ఆపడానికి Esc.',
+        'Drag on the map to draw around features; hold Shift to add to the selection. Esc to stop.': 'ఫీచర్ల చుట్టూ గీయడానికి మ్యాప్‌పై లాగండి; ఎంపికకు జోడించడానికి Shift నొక్కి ఉంచండి. ఆపడానికి Esc.',
+
+        // Boundary notice
+        '⚠️ No boundary files found in data/boundaries. Add state and district GeoJSON or TopoJSON files there to draw boundaries and aggregate claims by region.': '⚠️ data/boundaries లో సరిహద్దు ఫైళ్లు కనబడలేదు. సరిహద్దులను చూపడానికి, క్లెయిమ్‌లను ప్రాంతాల వారీగా సమీకరించడానికి అక్కడ రాష్ట్ర, జిల్లా GeoJSON లేదా TopoJSON ఫైళ్లను జోడించండి.',
+
+        // Regional choropleth
+        '🗺️ Aggregate by region': '🗺️ ప్రాంతాల వారీగా సమీకరించు',
+        'Metric': 'కొలమానం',
+        'Class breaks': 'తరగతి విభజనలు',
+        'Total area (ha)': 'మొత్తం విస్తీర్ణం (హె.)',
+        'Approval rate': 'ఆమోద రేటు',
+        'Quantile': 'క్వాంటైల్',
+        'Equal interval': 'సమాన అంతరం',
+        'Natural breaks': 'సహజ విభజనలు',
+        'Zoom to level {zoom} for individual features': 'విడి అంశాల కోసం స్థాయి {zoom} కు జూమ్ చేయండి',
+        '{metric} per state': 'రాష్ట్రాల వారీగా {metric}',
+        '{metric} per district': 'జిల్లాల వారీగా {metric}',
+        'No claims to aggregate': 'సమీకరించడానికి క్లెయిమ్‌లు లేవు',
+        'Claims: {count}': 'క్లెయిమ్‌లు: {count}',
+        'Area: {area} ha': 'విస్తీర్ణం: {area} హె.',
+        'Approval rate: {rate}': 'ఆమోద రేటు: {rate}',
+        'Pending: {count}': 'పెండింగ్: {count}',
+
+        // Offline field mode
+        'Offline field mode': 'ఆఫ్‌లైన్ క్షేత్ర మోడ్',
+        '📴 Offline': '📴 ఆఫ్‌లైన్',
+        'This browser can\'t store maps for offline use.': 'ఈ బ్రౌజర్ ఆఫ్‌లైన్ ఉపయోగం కోసం మ్యాప్‌లను నిల్వ చేయలేదు.',
+        'Area name': 'ప్రాంతం పేరు',
+        'Zoom': 'జూమ్',
+        'to': 'నుండి',
+        '⬇️ Save current view': '⬇️ ప్రస్తుత వీక్షణను సేవ్ చేయండి',
+        'Cancel': 'రద్దు చేయండి',
+        '● Online': '● ఆన్‌లైన్',
+        '● Offline': '● ఆఫ్‌లైన్',
+        'Enter a zoom range, lowest first': 'జూమ్ పరిధిని నమోదు చేయండి, ముందుగా కనిష్ఠం',
+        '{count} tiles - over the {limit} limit, zoom in or lower the maximum': '{count} టైల్స్ - {limit} పరిమితి దాటింది, జూమ్ ఇన్ చేయండి లేదా గరిష్ఠాన్ని తగ్గించండి',
+        '{count} tiles': '{count} టైల్స్',
+        'Area around {lat}, {lng}': '{lat}, {lng} చుట్టూ ఉన్న ప్రాంతం',
+        'Failed: {message}': 'విఫలమైంది: {message}',
+        '{done} / {total} tiles': '{done} / {total} టైల్స్',
+        'No areas saved yet': 'ఇంకా ఏ ప్రాంతాలూ సేవ్ కాలేదు',
+        'Zoom {min}-{max}': 'జూమ్ {min}-{max}',
+        '({count} missing)': '({count} లేవు)',
+        'Saved {age}': '{age} సేవ్ చేయబడింది',
+        '⚠️ stale, re-download when online': '⚠️ పాతది, ఆన్‌లైన్‌లో ఉన్నప్పుడు మళ్లీ డౌన్‌లోడ్ చేయండి',
+        '🎯 Go to': '🎯 అక్కడికి వెళ్లు',
+        '🗑️ Delete': '🗑️ తొలగించు',
+        'Delete the offline copy of "{name}"?': '"{name}" ఆఫ్‌లైన్ ప్రతిని తొలగించాలా?',
+        '📦 Server unreachable, showing saved data:': '📦 సర్వర్ అందుబాటులో లేదు, సేవ్ చేసిన డేటా చూపబడుతోంది:',
+        '{count} claims, oldest saved {age}': '{count} క్లెయిమ్‌లు, అత్యంత పాతది {age} సేవ్ చేయబడింది',
+        '{count} assets, oldest saved {age}': '{count} ఆస్తులు, అత్యంత పాతది {age} సేవ్ చేయబడింది',
+        '{count} {key}, oldest saved {age}': '{count} {key}, అత్యంత పాతది {age} సేవ్ చేయబడింది',
+        '⚠️ This copy is stale; reload when back online': '⚠️ ఈ ప్రతి పాతది; ఆన్‌లైన్‌లోకి వచ్చాక మళ్లీ లోడ్ చేయండి',
+        'just now': 'ఇప్పుడే',
+        '{count} min ago': '{count} నిమిషాల క్రితం',
+        '{count} h ago': '{count} గంటల క్రితం',
+        '1 day ago': '1 రోజు క్రితం',
+        '{count} days ago': '{count} రోజుల క్రితం',
+
+        // Overlap report and claim editor
+        '{conflicts} conflicts ({area} ha) • {others} expected or minor overlaps': '{conflicts} వివాదాలు ({area} హె.) • {others} ఊహించిన లేదా స్వల్ప అతివ్యాప్తులు',
+        'Sort by {column}': '{column} ప్రకారం క్రమీకరించు',
+        '✅ No conflicting overlaps': '✅ వివాదాస్పద అతివ్యాప్తులు లేవు',
+        '✅ No overlapping claims': '✅ అతివ్యాప్తి చెందే క్లెయిమ్‌లు లేవు',
+        'Conflicting overlap': 'వివాదాస్పద అతివ్యాప్తి',
+        'Expected or minor overlap': 'ఊహించిన లేదా స్వల్ప అతివ్యాప్తి',
+        'Claim overlaps': 'క్లెయిమ్ అతివ్యాప్తులు',
+        'Claim A': 'క్లెయిమ్ A',
+        'Claim B': 'క్లెయిమ్ B',
+        'Overlap ha': 'అతివ్యాప్తి హె.',
+        '% of A': 'A లో %',
+        '% of B': 'B లో %',
+        'IFR overlaps IFR': 'IFR, IFR తో అతివ్యాప్తి చెందుతుంది',
+        'IFR inside another village\'s CFR': 'మరో గ్రామ CFR లోపల IFR',
+        'CR inside another village\'s CFR': 'మరో గ్రామ CFR లోపల CR',
+        'CFR overlaps CFR': 'CFR, CFR తో అతివ్యాప్తి చెందుతుంది',
+        'Within own village CFR': 'సొంత గ్రామ CFR లోపల',
+        'IFR/CR overlap': 'IFR/CR అతివ్యాప్తి',
+        'unknown village': 'తెలియని గ్రామం',
+        '{a} and {b}: {area} ha - {kind}': '{a} మరియు {b}: {area} హె. - {kind}',
+        'ha': 'హె.',
+
+        // Measurement tool
+        '📏 Distance': '📏 దూరం',
+        '⬛ Area': '⬛ విస్తీర్ణం',
+        'Measure distance': 'దూరాన్ని కొలవండి',
+        'Measure area and perimeter': 'విస్తీర్ణం మరియు చుట్టుకొలత కొలవండి',
+        'Clear measurement': 'కొలతను తొలగించండి',
+        'Click to add points; double-click or click the last point to finish.': 'బిందువులను జోడించడానికి క్లిక్ చేయండి; ముగించడానికి డబుల్-క్లిక్ చేయండి లేదా చివరి బిందువుపై క్లిక్ చేయండి.',
+        'Click to add corners; double-click or click the first corner to close.': 'మూలలను జోడించడానికి క్లిక్ చేయండి; మూసివేయడానికి డబుల్-క్లిక్ చేయండి లేదా మొదటి మూలపై క్లిక్ చేయండి.',
+        'Distance:': 'దూరం:',
+        'Last segment {length}': 'చివరి భాగం {length}',
+        'Perimeter:': 'చుట్టుకొలత:',
+        'Recorded:': 'నమోదైనది:',
+        'within ±{tolerance}%': '±{tolerance}% లోపల',
+        'outside ±{tolerance}%': '±{tolerance}% వెలుపల',
+        'No recorded area to compare with.': 'పోల్చడానికి నమోదైన విస్తీర్ణం లేదు.',
+        'This feature has no polygon to measure.': 'ఈ అంశంలో కొలవడానికి బహుభుజి లేదు.',
+        'acres': 'ఎకరాలు',
+        'km²': 'చ.కి.మీ.',
+        'km': 'కి.మీ.',
+        'm': 'మీ.',
+
+        // Overlay import
+        '📂 Drop GeoJSON, KML/KMZ, zipped Shapefile or CSV files': '📂 GeoJSON, KML/KMZ, జిప్ చేసిన Shapefile లేదా CSV ఫైళ్లను ఇక్కడ వదలండి',
+        'No attributes': 'లక్షణాలు లేవు',
+        '✅ {file}: {count} features as "{name}"': '✅ {file}: "{name}"గా {count} అంశాలు',
+        'Shapefiles must be dropped as one .zip holding the .shp, .dbf and .prj files': 'Shapefileను .shp, .dbf మరియు .prj ఫైళ్లు ఉన్న ఒకే .zipగా వదలండి',
+        'Unsupported file type ".{extension}"': 'మద్దతు లేని ఫైల్ రకం ".{extension}"',
+        'No features with geometry found': 'జ్యామితి ఉన్న అంశాలు ఏవీ కనబడలేదు',
+        'Coordinates are not WGS84 longitude/latitude; reproject to EPSG:4326 first': 'నిరూపకాలు WGS84 రేఖాంశం/అక్షాంశంలో లేవు; ముందుగా EPSG:4326కి పునఃప్రక్షేపించండి',
+        'Invalid JSON: {reason}': 'చెల్లని JSON: {reason}',
+        'Not a GeoJSON FeatureCollection, Feature or geometry': 'ఇది GeoJSON FeatureCollection, Feature లేదా జ్యామితి కాదు',
+        'Invalid KML: the XML is not well-formed': 'చెల్లని KML: XML సరిగా రూపొందలేదు',
+        'CSV has no data rows': 'CSVలో డేటా వరుసలు లేవు',
+        'No latitude/longitude columns found (expected e.g. "lat" and "lon", got: {columns})': 'అక్షాంశం/రేఖాంశం నిలువు వరుసలు కనబడలేదు (ఆశించినవి ఉదా. "lat" మరియు "lon", లభించినవి: {columns})',
+        'ZIP contains no .shp or .kml file': 'ZIPలో .shp లేదా .kml ఫైల్ లేదు',
+        '{layer}: projected coordinate system "{projection}"; reproject to EPSG:4326 first': '{layer}: ప్రక్షేపిత నిరూపక వ్యవస్థ "{projection}"; ముందుగా EPSG:4326కి పునఃప్రక్షేపించండి',
+        'Invalid .shp file header': 'చెల్లని .shp ఫైల్ హెడర్',
+        'Unsupported shapefile geometry type {type}': 'మద్దతు లేని shapefile జ్యామితి రకం {type}'
+    }
+});
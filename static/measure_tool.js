@@ -0,0 +1,347 @@
+/**
+ * Vanachitra.AI - Measurement Tool
+ * Map control for geodesic distance, polygon area and perimeter, and checking a claim's mapped area against its record
+ */
+
+class MeasureTool {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            position: 'topleft',
+            color: '#ffeb3b',
+            tolerance: 10,              // % difference between measured and recorded area still shown as a match
+            snapTolerance: 10,          // pixels; clicking the last vertex again finishes
+            onStart: null,              // (mode) => void, e.g. to leave another drawing mode
+            ...options
+        };
+
+        if (!this.map.getPane('measure')) {
+            this.map.createPane('measure').style.zIndex = 440;
+        }
+
+        this.mode = null;               // 'distance' | 'area' while placing vertices
+        this.latlngs = [];
+        this.group = L.layerGroup().addTo(this.map);
+        this.shape = null;
+        this.guide = null;
+        this.readout = null;            // () => HTML of the result box, redrawn on a language switch
+
+        this.onMapClick = this.onMapClick.bind(this);
+        this.onMapDblClick = this.onMapDblClick.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+        this.control.addTo(this.map);
+    }
+
+    createContainer() {
+        const container = L.DomUtil.create('div', 'measure-control');
+        container.innerHTML = `
+            <div class="measure-buttons">
+                <button type="button" data-mode="distance" title="Measure distance" data-i18n-title data-i18n>📏 Distance</button>
+                <button type="button" data-mode="area" title="Measure area and perimeter" data-i18n-title data-i18n>⬛ Area</button>
+                <button type="button" class="measure-clear" title="Clear measurement" data-i18n-title>✕</button>
+            </div>
+            <div class="measure-result" style="display: none;"></div>
+        `;
+        I18n.translate(container);
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.elements = {
+            buttons: container.querySelectorAll('button[data-mode]'),
+            clear: container.querySelector('.measure-clear'),
+            result: container.querySelector('.measure-result')
+        };
+
+        this.elements.buttons.forEach(button => {
+            button.addEventListener('click', () => this.toggle(button.dataset.mode));
+        });
+        this.elements.clear.addEventListener('click', () => this.clear());
+
+        return container;
+    }
+
+    isActive() {
+        return this.mode !== null;
+    }
+
+    toggle(mode) {
+        if (this.mode === mode) {
+            this.finish();
+        } else {
+            this.start(mode);
+        }
+    }
+
+    start(mode) {
+        this.clear();
+        if (this.options.onStart) {
+            this.options.onStart(mode);
+        }
+        this.mode = mode;
+        this.map.doubleClickZoom.disable();
+        // Claim layers stop taking clicks so every click lands on the map
+        this.map.getContainer().classList.add('map-measuring');
+
+        this.map.on('click', this.onMapClick);
+        this.map.on('dblclick', this.onMapDblClick);
+        this.map.on('mousemove', this.onMouseMove);
+        document.addEventListener('keydown', this.onKeyDown);
+
+        this.updateButtons();
+        this.showResult(() => I18n.t(mode === 'distance'
+            ? 'Click to add points; double-click or click the last point to finish.'
+            : 'Click to add corners; double-click or click the first corner to close.'));
+    }
+
+    // Ends vertex placement, keeping the finished shape and its result on the map
+    finish() {
+        const minimum = this.mode === 'area' ? 3 : 2;
+        this.stopListening();
+
+        if (this.latlngs.length < minimum) {
+            this.clear();
+        } else {
+            this.update();
+        }
+    }
+
+    clear() {
+        this.stopListening();
+        this.group.clearLayers();
+        this.shape = null;
+        this.guide = null;
+        this.latlngs = [];
+        this.readout = null;
+        this.elements.result.style.display = 'none';
+    }
+
+    stopListening() {
+        this.map.off('click', this.onMapClick);
+        this.map.off('dblclick', this.onMapDblClick);
+        this.map.off('mousemove', this.onMouseMove);
+        document.removeEventListener('keydown', this.onKeyDown);
+        this.map.doubleClickZoom.enable();
+        this.map.getContainer().classList.remove('map-measuring');
+
+        if (this.guide) {
+            this.group.removeLayer(this.guide);
+            this.guide = null;
+        }
+        this.mode = null;
+        this.updateButtons();
+    }
+
+    onMapClick(e) {
+        const last = this.latlngs[this.latlngs.length - 1];
+        const first = this.latlngs[0];
+
+        if (this.mode === 'area' && this.latlngs.length >= 3 && this.pixelDistance(e.latlng, first) <= this.options.snapTolerance) {
+            this.finish();
+            return;
+        }
+        if (last && this.latlngs.length >= 2 && this.pixelDistance(e.latlng, last) <= this.options.snapTolerance) {
+            this.finish();
+            return;
+        }
+
+        this.latlngs.push(e.latlng);
+        this.redraw();
+    }
+
+    onMapDblClick() {
+        // The two clicks of a double click already placed the same point twice
+        while (this.latlngs.length > 1 &&
+            this.pixelDistance(this.latlngs[this.latlngs.length - 1], this.latlngs[this.latlngs.length - 2]) < 3) {
+            this.latlngs.pop();
+        }
+        this.finish();
+    }
+
+    onMouseMove(e) {
+        if (this.latlngs.length === 0) return;
+
+        const points = [this.latlngs[this.latlngs.length - 1], e.latlng];
+        if (this.mode === 'area' && this.latlngs.length >= 2) {
+            points.push(this.latlngs[0]);
+        }
+
+        if (this.guide) {
+            this.guide.setLatLngs(points);
+        } else {
+            this.guide = L.polyline(points, {
+                pane: 'measure',
+                color: this.options.color,
+                weight: 2,
+                dashArray: '4, 6',
+                interactive: false
+            }).addTo(this.group);
+        }
+        this.update(e.latlng);
+    }
+
+    onKeyDown(e) {
+        if (e.key === 'Escape') {
+            this.clear();
+        }
+    }
+
+    redraw() {
+        this.group.eachLayer(layer => {
+            if (layer !== this.guide) {
+                this.group.removeLayer(layer);
+            }
+        });
+
+        const style = { pane: 'measure', color: this.options.color, weight: 3, interactive: false };
+        this.shape = this.mode === 'area' && this.latlngs.length >= 3
+            ? L.polygon(this.latlngs, { ...style, fillOpacity: 0.2 })
+            : L.polyline(this.latlngs, style);
+        this.shape.addTo(this.group);
+
+        this.latlngs.forEach(latlng => {
+            L.circleMarker(latlng, {
+                pane: 'measure', radius: 4, color: '#333', weight: 1, fillColor: this.options.color, fillOpacity: 1, interactive: false
+            }).addTo(this.group);
+        });
+
+        this.update();
+    }
+
+    // Readout for the placed vertices, plus the point under the cursor while drawing
+    update(cursor = null) {
+        const coords = [...this.latlngs, ...(cursor ? [cursor] : [])].map(latlng => [latlng.lng, latlng.lat]);
+        const isArea = this.shape instanceof L.Polygon || (cursor && this.mode === 'area' && coords.length >= 3);
+
+        if (!isArea) {
+            const segment = coords.length >= 2 ? GeoUtils.distance(coords[coords.length - 2], coords[coords.length - 1]) : 0;
+            const length = GeoUtils.lineLength(coords);
+            this.showResult(() => `
+                <div><strong>${I18n.t('Distance:')}</strong> ${MeasureTool.formatLength(length)}</div>
+                ${coords.length > 2 ? `<div class="measure-note">${I18n.t('Last segment {length}', { length: MeasureTool.formatLength(segment) })}</div>` : ''}
+            `);
+            return;
+        }
+
+        const geometry = { type: 'Polygon', coordinates: [[...coords, coords[0]]] };
+        const squareMetres = GeoUtils.geodesicArea(geometry);
+        const perimeter = GeoUtils.perimeter(geometry);
+        this.showResult(() => MeasureTool.areaSummary(squareMetres, perimeter));
+    }
+
+    // Outlines a claim and compares its mapped area with the recorded area_claimed / claim_area_ha
+    measureFeature(feature) {
+        this.clear();
+
+        const polygons = GeoUtils.polygons(feature);
+        if (polygons.length === 0) {
+            this.showResult(() => `<div class="measure-note">${I18n.t('This feature has no polygon to measure.')}</div>`);
+            return null;
+        }
+
+        const squareMetres = GeoUtils.geodesicArea(feature);
+        const measured = squareMetres / 10000;
+        const recorded = FRAClaimSchema.readArea(feature.properties || {});
+
+        this.shape = L.geoJSON(feature, {
+            pane: 'measure',
+            style: { color: this.options.color, weight: 3, dashArray: '6, 4', fillOpacity: 0.1 },
+            interactive: false
+        }).addTo(this.group);
+        this.map.fitBounds(this.shape.getBounds(), { padding: [40, 40] });
+
+        const comparison = () => {
+            if (recorded === null) {
+                return `<div class="measure-note">${I18n.t('No recorded area to compare with.')}</div>`;
+            }
+            const difference = measured - recorded;
+            const percent = recorded > 0 ? difference / recorded * 100 : null;
+            const matches = percent !== null && Math.abs(percent) <= this.options.tolerance;
+            return `
+                <div><strong>${I18n.t('Recorded:')}</strong> ${MeasureTool.formatNumber(recorded)} ${I18n.t('ha')}</div>
+                <div class="measure-diff ${matches ? 'match' : 'mismatch'}">
+                    ${matches ? '✅' : '⚠️'} ${difference >= 0 ? '+' : ''}${MeasureTool.formatNumber(difference)} ${I18n.t('ha')}
+                    ${percent !== null ? `(${percent >= 0 ? '+' : ''}${I18n.fixed(percent, 1)}%)` : ''}
+                    ${I18n.t(matches ? 'within ±{tolerance}%' : 'outside ±{tolerance}%', { tolerance: I18n.number(this.options.tolerance) })}
+                </div>
+            `;
+        };
+
+        const claimId = feature.properties && (feature.properties.claim_id || feature.properties.feature_id);
+        const perimeter = GeoUtils.perimeter(feature);
+        this.showResult(() => `
+            ${claimId ? `<div class="measure-title">📐 ${claimId}</div>` : ''}
+            ${MeasureTool.areaSummary(squareMetres, perimeter)}
+            ${comparison()}
+        `);
+        return { measured, recorded };
+    }
+
+    // Wires a "Measure this feature" button in the layer's popup (see MeasureTool.popupButton)
+    bindFeature(layer) {
+        layer.on('popupopen', (e) => {
+            const button = e.popup.getElement().querySelector('.measure-feature');
+            if (button) {
+                button.onclick = () => {
+                    layer.closePopup();
+                    this.measureFeature(layer.feature);
+                };
+            }
+        });
+    }
+
+    // render: () => HTML, kept so refresh() can draw it again in another language
+    showResult(render) {
+        this.readout = render;
+        this.elements.result.innerHTML = render();
+        this.elements.result.style.display = 'block';
+    }
+
+    // Language switch: the buttons follow I18n.translate; the readout is drawn again
+    refresh() {
+        if (this.readout) {
+            this.showResult(this.readout);
+        }
+    }
+
+    updateButtons() {
+        this.elements.buttons.forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.mode);
+        });
+    }
+
+    pixelDistance(a, b) {
+        return this.map.latLngToContainerPoint(a).distanceTo(this.map.latLngToContainerPoint(b));
+    }
+
+    static popupButton() {
+        return `<button type="button" class="measure-feature">${I18n.t('📏 Measure this feature')}</button>`;
+    }
+
+    static areaSummary(squareMetres, perimeter) {
+        return `
+            <div><strong>${I18n.t('Area:')}</strong> ${MeasureTool.formatNumber(squareMetres / 10000)} ${I18n.t('ha')}</div>
+            <div class="measure-note">
+                ${MeasureTool.formatNumber(squareMetres / MeasureTool.SQUARE_METRES_PER_ACRE)} ${I18n.t('acres')} •
+                ${MeasureTool.formatNumber(squareMetres / 1e6, 4)} ${I18n.t('km²')}
+            </div>
+            <div><strong>${I18n.t('Perimeter:')}</strong> ${MeasureTool.formatLength(perimeter)}</div>
+        `;
+    }
+
+    static formatLength(metres) {
+        return metres >= 1000
+            ? `${MeasureTool.formatNumber(metres / 1000)} ${I18n.t('km')}`
+            : `${I18n.number(Math.round(metres))} ${I18n.t('m')}`;
+    }
+
+    static formatNumber(value, digits = 2) {
+        return I18n.fixed(value, digits);
+    }
+}
+
+MeasureTool.SQUARE_METRES_PER_ACRE = 4046.8564224;
@@ -0,0 +1,289 @@
+/**
+ * Vanachitra.AI - Offline Field Mode Panel
+ * Map control that downloads the current view for field use and lists saved areas with their age
+ */
+
+class OfflinePanel {
+    constructor(map, store, options = {}) {
+        this.map = map;
+        this.store = store;
+        this.options = {
+            position: 'topleft',
+            minZoom: null,              // defaults to the current zoom
+            maxZoom: 16,
+            tileLayer: null,            // () => the base L.TileLayer to download
+            collect: null,              // (bounds) => { fra: [features], ... } or a promise of it, saved with the area
+            ...options
+        };
+        this.supported = OfflineStore.isSupported();
+        this.download = null;           // AbortController while tiles are downloading
+
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+        this.control.addTo(this.map);
+
+        window.addEventListener('online', () => this.updateStatus());
+        window.addEventListener('offline', () => this.updateStatus());
+        this.map.on('zoomend moveend', () => this.updateEstimate());
+
+        this.refresh();
+    }
+
+    createContainer() {
+        const container = L.DomUtil.create('div', 'offline-panel');
+        container.innerHTML = `
+            <div class="offline-header">
+                <button type="button" class="offline-toggle" title="Offline field mode" data-i18n-title data-i18n>📴 Offline</button>
+                <span class="offline-status"></span>
+            </div>
+            <div class="offline-cached" style="display: none;"></div>
+            <div class="offline-body" style="display: none;">
+                <div class="offline-unsupported" style="display: none;" data-i18n>This browser can't store maps for offline use.</div>
+                <div class="offline-form">
+                    <input type="text" class="offline-name" placeholder="Area name" data-i18n-placeholder>
+                    <label><span data-i18n>Zoom</span>
+                        <input type="number" class="offline-min" min="0" max="19" step="1">
+                        <span data-i18n>to</span>
+                        <input type="number" class="offline-max" min="0" max="19" step="1" value="${this.options.maxZoom}">
+                    </label>
+                    <div class="offline-estimate"></div>
+                    <button type="button" class="offline-save" data-i18n>⬇️ Save current view</button>
+                </div>
+                <div class="offline-progress" style="display: none;">
+                    <progress max="1" value="0"></progress>
+                    <span class="offline-progress-text"></span>
+                    <button type="button" class="offline-cancel" data-i18n>Cancel</button>
+                </div>
+                <div class="offline-areas"></div>
+            </div>
+        `;
+        I18n.translate(container);
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.elements = {
+            toggle: container.querySelector('.offline-toggle'),
+            status: container.querySelector('.offline-status'),
+            cached: container.querySelector('.offline-cached'),
+            body: container.querySelector('.offline-body'),
+            unsupported: container.querySelector('.offline-unsupported'),
+            form: container.querySelector('.offline-form'),
+            name: container.querySelector('.offline-name'),
+            min: container.querySelector('.offline-min'),
+            max: container.querySelector('.offline-max'),
+            estimate: container.querySelector('.offline-estimate'),
+            save: container.querySelector('.offline-save'),
+            progress: container.querySelector('.offline-progress'),
+            progressBar: container.querySelector('.offline-progress progress'),
+            progressText: container.querySelector('.offline-progress-text'),
+            cancel: container.querySelector('.offline-cancel'),
+            areas: container.querySelector('.offline-areas')
+        };
+
+        this.elements.min.value = this.options.minZoom !== null ? this.options.minZoom : this.map.getZoom();
+        this.elements.toggle.addEventListener('click', () => {
+            const body = this.elements.body;
+            body.style.display = body.style.display === 'none' ? 'block' : 'none';
+        });
+        this.elements.min.addEventListener('input', () => this.updateEstimate());
+        this.elements.max.addEventListener('input', () => this.updateEstimate());
+        this.elements.save.addEventListener('click', () => this.saveCurrentView());
+        this.elements.cancel.addEventListener('click', () => this.download && this.download.abort());
+        this.elements.areas.addEventListener('click', (e) => this.onAreaClick(e));
+
+        if (!this.supported) {
+            this.elements.unsupported.style.display = 'block';
+            this.elements.form.style.display = 'none';
+        }
+
+        return container;
+    }
+
+    updateStatus() {
+        const online = navigator.onLine;
+        I18n.setText(this.elements.status, online ? '● Online' : '● Offline');
+        this.elements.status.className = `offline-status ${online ? 'online' : 'offline'}`;
+    }
+
+    // Zoom range as entered, clamped to the map's limits; null while the inputs don't make sense
+    zoomRange() {
+        const minZoom = parseInt(this.elements.min.value, 10);
+        const maxZoom = parseInt(this.elements.max.value, 10);
+        if (isNaN(minZoom) || isNaN(maxZoom) || minZoom > maxZoom) return null;
+        return {
+            minZoom: Math.max(minZoom, this.map.getMinZoom()),
+            maxZoom: Math.min(maxZoom, this.map.getMaxZoom())
+        };
+    }
+
+    updateEstimate() {
+        if (!this.elements) return;
+
+        const range = this.zoomRange();
+        if (!range) {
+            I18n.setText(this.elements.estimate, 'Enter a zoom range, lowest first');
+            this.elements.save.disabled = true;
+            return;
+        }
+
+        const count = OfflineStore.tileCount(this.map.getBounds(), range.minZoom, range.maxZoom);
+        const tooMany = count > OfflineStore.MAX_TILES;
+        I18n.setText(this.elements.estimate, tooMany
+            ? '{count} tiles - over the {limit} limit, zoom in or lower the maximum'
+            : '{count} tiles', { count: I18n.number(count), limit: I18n.number(OfflineStore.MAX_TILES) });
+        this.elements.estimate.classList.toggle('warning', tooMany);
+        this.elements.save.disabled = tooMany || !!this.download;
+    }
+
+    async saveCurrentView() {
+        const range = this.zoomRange();
+        const tileLayer = this.options.tileLayer && this.options.tileLayer();
+        if (!range || !tileLayer || this.download) return;
+
+        const bounds = this.map.getBounds();
+        const tiles = OfflineStore.tileUrls(tileLayer, bounds, range.minZoom, range.maxZoom);
+        if (tiles.length > OfflineStore.MAX_TILES) return;
+
+        const name = this.elements.name.value.trim() || I18n.t('Area around {lat}, {lng}', {
+            lat: bounds.getCenter().lat.toFixed(3),
+            lng: bounds.getCenter().lng.toFixed(3)
+        });
+
+        this.download = new AbortController();
+        this.elements.save.disabled = true;
+        this.elements.progress.style.display = 'flex';
+        this.setProgress(0, tiles.length);
+
+        try {
+            // Plain JSON so rendering state never ends up in IndexedDB
+            const data = JSON.parse(JSON.stringify(this.options.collect ? await this.options.collect(bounds) : {}));
+            const failed = await this.store.downloadTiles(tiles, {
+                signal: this.download.signal,
+                onProgress: (done, total) => this.setProgress(done, total)
+            });
+            if (this.download.signal.aborted) {
+                console.log('📴 Offline download cancelled');
+                return;
+            }
+
+            await this.store.saveArea({
+                name,
+                bounds: [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]],
+                minZoom: range.minZoom,
+                maxZoom: range.maxZoom,
+                tiles: tiles.filter(url => !failed.includes(url)),
+                failedTiles: failed.length,
+                data,
+                savedAt: new Date().toISOString()
+            });
+            console.log(`📴 Saved "${name}" for offline use: ${tiles.length - failed.length} tiles, ${failed.length} failed`);
+            this.elements.name.value = '';
+        } catch (error) {
+            console.error('❌ Offline download failed:', error);
+            I18n.setText(this.elements.progressText, 'Failed: {message}', { message: error.message });
+            return;
+        } finally {
+            this.download = null;
+            this.updateEstimate();
+        }
+
+        this.elements.progress.style.display = 'none';
+        this.refresh();
+    }
+
+    setProgress(done, total) {
+        this.elements.progressBar.max = total || 1;
+        this.elements.progressBar.value = done;
+        I18n.setText(this.elements.progressText, '{done} / {total} tiles', { done: I18n.number(done), total: I18n.number(total) });
+    }
+
+    // Also called after a language switch, so it redraws the status and estimate as well as the list
+    async refresh() {
+        this.updateStatus();
+        this.updateEstimate();
+        if (this.elements.cached.style.display !== 'none') {
+            this.showCached();
+        }
+        if (!this.supported) return;
+
+        let areas;
+        try {
+            areas = await this.store.areas();
+        } catch (error) {
+            console.warn('⚠️ Offline areas unavailable:', error);
+            return;
+        }
+
+        this.areas = areas;
+        this.elements.areas.innerHTML = areas.length === 0
+            ? `<div class="offline-empty">${I18n.t('No areas saved yet')}</div>`
+            : areas.map(area => {
+                const stale = OfflineStore.isStale(area.savedAt);
+                const claims = area.data && area.data.fra ? area.data.fra.length : 0;
+                return `
+                    <div class="offline-area${stale ? ' stale' : ''}" data-id="${area.id}">
+                        <div class="offline-area-name">${OfflinePanel.escapeHTML(area.name)}</div>
+                        <div class="offline-area-meta">
+                            ${I18n.t('Zoom {min}-{max}', { min: area.minZoom, max: area.maxZoom })} •
+                            ${I18n.t('{count} tiles', { count: I18n.number(area.tiles.length) })}${area.failedTiles ? ` ${I18n.t('({count} missing)', { count: I18n.number(area.failedTiles) })}` : ''} •
+                            ${I18n.t('{count} claims', { count: I18n.number(claims) })}
+                        </div>
+                        <div class="offline-area-meta" title="${new Date(area.savedAt).toLocaleString(I18n.intl())}">
+                            ${I18n.t('Saved {age}', { age: OfflineStore.age(area.savedAt) })}${stale ? ` • ${I18n.t('⚠️ stale, re-download when online')}` : ''}
+                        </div>
+                        <div class="offline-area-actions">
+                            <button type="button" data-action="goto">${I18n.t('🎯 Go to')}</button>
+                            <button type="button" data-action="delete">${I18n.t('🗑️ Delete')}</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    async onAreaClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = Number(button.closest('.offline-area').dataset.id);
+        const area = this.areas.find(a => a.id === id);
+        if (!area) return;
+
+        if (button.dataset.action === 'goto') {
+            this.map.fitBounds(area.bounds);
+        } else if (button.dataset.action === 'delete' && confirm(I18n.t('Delete the offline copy of "{name}"?', { name: area.name }))) {
+            await this.store.deleteArea(id);
+            this.refresh();
+        }
+    }
+
+    // Banner telling the user the map shows a saved copy rather than live data
+    showCached() {
+        const entries = Object.entries(this.store.usingCache);
+        if (entries.length === 0) return;
+
+        const stale = entries.some(([, cache]) => OfflineStore.isStale(cache.savedAt));
+        this.elements.cached.innerHTML = `
+            ${I18n.t('📦 Server unreachable, showing saved data:')}
+            ${entries.map(([key, cache]) => `<br>${I18n.t(OfflinePanel.LABELS[key] || '{count} {key}, oldest saved {age}', {
+                count: I18n.number(cache.count),
+                key,
+                age: OfflineStore.age(cache.savedAt)
+            })}`).join('')}
+            ${stale ? `<br>${I18n.t('⚠️ This copy is stale; reload when back online')}` : ''}
+        `;
+        this.elements.cached.classList.toggle('stale', stale);
+        this.elements.cached.style.display = 'block';
+    }
+
+    static escapeHTML(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+}
+
+OfflinePanel.LABELS = {
+    fra: '{count} claims, oldest saved {age}',
+    assets: '{count} assets, oldest saved {age}'
+};
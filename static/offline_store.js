@@ -0,0 +1,222 @@
+/**
+ * Vanachitra.AI - Offline Area Store
+ * Saves downloaded areas (bounds, zoom range, tile list, features) in IndexedDB and their tiles in the service worker's cache
+ */
+
+class OfflineStore {
+    constructor(viewer) {
+        this.viewer = viewer;           // 'vanachitra' | 'india'; each viewer keeps its own areas
+        this.db = null;
+        this.usingCache = {};           // dataset key -> { savedAt, count } for datasets loaded from here
+    }
+
+    static isSupported() {
+        return 'indexedDB' in window && 'caches' in window;
+    }
+
+    // Registration fails on plain http other than localhost; the store still works without it,
+    // only pages and tiles then can't be served offline
+    static async registerServiceWorker(url = '/service-worker.js') {
+        if (!('serviceWorker' in navigator)) return false;
+        try {
+            await navigator.serviceWorker.register(url);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Service worker registration failed:', error);
+            return false;
+        }
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(OfflineStore.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('areas', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    async transaction(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('areas', mode);
+            const request = work(tx.objectStore('areas'));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async areas() {
+        const all = await this.transaction('readonly', store => store.getAll());
+        return all
+            .filter(area => area.viewer === this.viewer)
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    saveArea(area) {
+        return this.transaction('readwrite', store => store.put({ ...area, viewer: this.viewer }));
+    }
+
+    // Tiles another area still lists stay cached
+    async deleteArea(id) {
+        const areas = await this.areas();
+        const area = areas.find(a => a.id === id);
+        if (!area) return;
+
+        const kept = new Set(areas.filter(a => a.id !== id).flatMap(a => a.tiles));
+        const cache = await caches.open(OfflineStore.TILE_CACHE);
+        await Promise.all(area.tiles.filter(url => !kept.has(url)).map(url => cache.delete(url)));
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    // Every saved area's copy of one dataset merged into a FeatureCollection, or null if none has it.
+    // Areas overlap, so features are de-duplicated
+    async cachedData(key) {
+        if (!OfflineStore.isSupported()) return null;
+
+        const areas = (await this.areas()).filter(area => area.data && area.data[key]);
+        if (areas.length === 0) return null;
+
+        const seen = new Set();
+        const features = [];
+        areas.forEach(area => area.data[key].forEach(feature => {
+            const id = JSON.stringify(feature);
+            if (!seen.has(id)) {
+                seen.add(id);
+                features.push(feature);
+            }
+        }));
+
+        // The oldest area bounds how stale the merged copy can be
+        const savedAt = areas.map(area => area.savedAt).sort()[0];
+        this.usingCache[key] = { savedAt, count: features.length };
+        return { type: 'FeatureCollection', features };
+    }
+
+    // Fetches tiles a few at a time into the tile cache; resolves with the URLs that failed
+    async downloadTiles(urls, { concurrency = 4, onProgress = null, signal = null } = {}) {
+        const cache = await caches.open(OfflineStore.TILE_CACHE);
+        const failed = [];
+        let next = 0;
+        let done = 0;
+
+        const worker = async () => {
+            while (next < urls.length && !(signal && signal.aborted)) {
+                const url = urls[next++];
+                try {
+                    if (!(await cache.match(url))) {
+                        // Tile servers rarely send CORS headers; opaque responses still cache and display
+                        const response = await fetch(url, { mode: 'no-cors', signal });
+                        await cache.put(url, response);
+                    }
+                } catch (error) {
+                    if (signal && signal.aborted) return;
+                    failed.push(url);
+                }
+                done++;
+                if (onProgress) {
+                    onProgress(done, urls.length);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        return failed;
+    }
+
+    // Features whose bounding box touches the bounds, so claims crossing the edge are kept whole
+    static featuresIn(features, bounds) {
+        return features.filter(feature => {
+            const bbox = SpatialIndex.featureBBox(feature);
+            return bbox && bbox.minX <= bounds.getEast() && bbox.maxX >= bounds.getWest() &&
+                bbox.minY <= bounds.getNorth() && bbox.maxY >= bounds.getSouth();
+        });
+    }
+
+    // Same URLs Leaflet will request for the layer, so the service worker finds them in the cache
+    static tileUrls(tileLayer, bounds, minZoom, maxZoom) {
+        const urls = [];
+
+        OfflineStore.tileRanges(bounds, minZoom, maxZoom).forEach(({ z, minX, maxX, minY, maxY }) => {
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    urls.push(OfflineStore.tileUrl(tileLayer, x, y, z));
+                }
+            }
+        });
+        return urls;
+    }
+
+    // TileLayer.getTileUrl only works for the zoom the layer is showing
+    static tileUrl(tileLayer, x, y, z) {
+        const options = tileLayer.options;
+        const subdomains = typeof options.subdomains === 'string' ? options.subdomains.split('') : options.subdomains;
+
+        return L.Util.template(tileLayer._url, {
+            ...options,
+            s: subdomains[Math.abs(x + y) % subdomains.length],
+            x,
+            y: options.tms ? Math.pow(2, z) - 1 - y : y,
+            z,
+            r: L.Browser.retina ? '@2x' : ''
+        });
+    }
+
+    static tileCount(bounds, minZoom, maxZoom) {
+        return OfflineStore.tileRanges(bounds, minZoom, maxZoom)
+            .reduce((sum, r) => sum + (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1), 0);
+    }
+
+    // Web Mercator tile index ranges covering the bounds at each zoom
+    static tileRanges(bounds, minZoom, maxZoom) {
+        const clampLat = lat => Math.max(Math.min(lat, 85.0511), -85.0511);
+        const tileX = (lng, z) => Math.floor((lng + 180) / 360 * Math.pow(2, z));
+        const tileY = (lat, z) => {
+            const rad = clampLat(lat) * Math.PI / 180;
+            return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, z));
+        };
+
+        const ranges = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const max = Math.pow(2, z) - 1;
+            ranges.push({
+                z,
+                minX: Math.max(0, tileX(bounds.getWest(), z)),
+                maxX: Math.min(max, tileX(bounds.getEast(), z)),
+                minY: Math.max(0, tileY(bounds.getNorth(), z)),
+                maxY: Math.min(max, tileY(bounds.getSouth(), z))
+            });
+        }
+        return ranges;
+    }
+
+    // "3 days ago"
+    static age(iso) {
+        const minutes = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000));
+        if (minutes < 1) return I18n.t('just now');
+        if (minutes < 60) return I18n.t('{count} min ago', { count: I18n.number(minutes) });
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return I18n.t('{count} h ago', { count: I18n.number(hours) });
+        const days = Math.round(hours / 24);
+        return days === 1 ? I18n.t('1 day ago') : I18n.t('{count} days ago', { count: I18n.number(days) });
+    }
+
+    static isStale(iso) {
+        return Date.now() - new Date(iso).getTime() > OfflineStore.STALE_AFTER_DAYS * 86400000;
+    }
+}
+
+OfflineStore.DB_NAME = 'vanachitra-offline';
+
+// Shared with service_worker.js
+OfflineStore.TILE_CACHE = 'vanachitra-tiles';
+
+// Refuse downloads past this many tiles; a district at zoom 16 is already several thousand
+OfflineStore.MAX_TILES = 5000;
+
+OfflineStore.STALE_AFTER_DAYS = 7;
@@ -0,0 +1,184 @@
+/**
+ * Vanachitra.AI - Overlap Report
+ * Sortable conflict table and highlighted intersection layer for FRAOverlaps results
+ */
+
+class OverlapReport {
+    constructor(map, overlaps, options = {}) {
+        this.map = map;
+        this.overlaps = overlaps;
+        this.options = {
+            container: 'overlap-panel',
+            color: '#ff1744',
+            onSelect: null,             // (overlap) => void, when a row or intersection is clicked
+            ...options
+        };
+        this.sortKey = 'areaHa';
+        this.descending = true;
+        this.conflictsOnly = true;
+        this.selected = null;
+        this.layer = null;
+
+        if (!this.map.getPane('fra-overlaps')) {
+            this.map.createPane('fra-overlaps').style.zIndex = 425;
+        }
+
+        this.container = document.getElementById(this.options.container);
+        this.elements = {
+            summary: this.container.querySelector('.overlap-summary'),
+            conflictsOnly: this.container.querySelector('.overlap-conflicts-only'),
+            table: this.container.querySelector('.overlap-table')
+        };
+
+        this.elements.conflictsOnly.checked = this.conflictsOnly;
+        this.elements.conflictsOnly.addEventListener('change', (e) => {
+            this.conflictsOnly = e.target.checked;
+            this.render();
+            this.draw();
+        });
+    }
+
+    show() {
+        this.container.style.display = 'block';
+        this.selected = null;
+        this.render();
+        this.draw();
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+        if (this.layer) {
+            this.map.removeLayer(this.layer);
+            this.layer = null;
+        }
+    }
+
+    // Also called after a language switch
+    refresh() {
+        if (this.layer) {
+            this.render();
+            this.draw();
+        }
+    }
+
+    rows() {
+        const list = this.conflictsOnly ? this.overlaps.conflicts() : this.overlaps.overlaps;
+        const column = OverlapReport.COLUMNS.find(c => c.key === this.sortKey);
+        const sign = this.descending ? -1 : 1;
+
+        return [...list].sort((x, y) => {
+            const a = column.value(x, this.overlaps.schema);
+            const b = column.value(y, this.overlaps.schema);
+            return (typeof a === 'number' ? a - b : String(a).localeCompare(String(b))) * sign;
+        });
+    }
+
+    render() {
+        const summary = this.overlaps.getSummary();
+        I18n.setText(this.elements.summary, '{conflicts} conflicts ({area} ha) • {others} expected or minor overlaps', {
+            conflicts: I18n.number(summary.conflicts),
+            area: I18n.fixed(summary.conflictAreaHa, 2),
+            others: I18n.number(summary.overlaps - summary.conflicts)
+        });
+
+        const rows = this.rows();
+        const table = this.elements.table;
+        table.innerHTML = '';
+
+        const header = table.createTHead().insertRow();
+        OverlapReport.COLUMNS.forEach(column => {
+            const th = document.createElement('th');
+            const label = I18n.t(column.label);
+            th.textContent = label + (column.key === this.sortKey ? (this.descending ? ' ▼' : ' ▲') : '');
+            th.title = I18n.t('Sort by {column}', { column: label });
+            th.addEventListener('click', () => this.sort(column.key));
+            header.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        if (rows.length === 0) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = OverlapReport.COLUMNS.length;
+            cell.textContent = I18n.t(this.conflictsOnly ? '✅ No conflicting overlaps' : '✅ No overlapping claims');
+            return;
+        }
+
+        rows.forEach(overlap => {
+            const row = body.insertRow();
+            row.className = `${overlap.conflict ? 'conflict' : 'expected'}${overlap === this.selected ? ' selected' : ''}`;
+            row.title = this.overlaps.describe(overlap);
+            OverlapReport.COLUMNS.forEach(column => {
+                row.insertCell().textContent = column.format(column.value(overlap, this.overlaps.schema));
+            });
+            row.addEventListener('click', () => this.select(overlap));
+        });
+    }
+
+    sort(key) {
+        // Numbers start largest first, text A-Z
+        if (this.sortKey === key) {
+            this.descending = !this.descending;
+        } else {
+            this.sortKey = key;
+            this.descending = OverlapReport.COLUMNS.find(c => c.key === key).numeric;
+        }
+        this.render();
+    }
+
+    draw() {
+        if (this.layer) {
+            this.map.removeLayer(this.layer);
+        }
+
+        const list = this.conflictsOnly ? this.overlaps.conflicts() : this.overlaps.overlaps;
+        this.layer = L.layerGroup();
+        list.forEach(overlap => {
+            // The pieces tile the overlap, so only their fill is drawn
+            L.geoJSON(overlap.geometry, {
+                pane: 'fra-overlaps',
+                style: {
+                    stroke: false,
+                    fillColor: overlap.conflict ? this.options.color : '#f39c12',
+                    fillOpacity: overlap === this.selected ? 0.9 : 0.6
+                }
+            })
+                .bindTooltip(this.overlaps.describe(overlap), { sticky: true })
+                .on('click', () => this.select(overlap))
+                .addTo(this.layer);
+        });
+        this.layer.addTo(this.map);
+    }
+
+    // Intersection colours for printed legends while the layer is shown
+    legendSection() {
+        if (!this.layer) return null;
+        const items = [{ label: I18n.t('Conflicting overlap'), fill: this.options.color }];
+        if (!this.conflictsOnly) {
+            items.push({ label: I18n.t('Expected or minor overlap'), fill: '#f39c12' });
+        }
+        return { title: I18n.t('Claim overlaps'), items };
+    }
+
+    select(overlap) {
+        this.selected = overlap;
+        this.render();
+        this.draw();
+
+        const row = this.elements.table.querySelector('tr.selected');
+        if (row && row.scrollIntoView) {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+        if (this.options.onSelect) {
+            this.options.onSelect(overlap);
+        }
+    }
+}
+
+OverlapReport.COLUMNS = [
+    { key: 'a', label: 'Claim A', numeric: false, value: (o, schema) => schema.claim(o.a).id, format: v => v },
+    { key: 'b', label: 'Claim B', numeric: false, value: (o, schema) => schema.claim(o.b).id, format: v => v },
+    { key: 'kind', label: 'Type', numeric: false, value: o => I18n.t(FRAOverlaps.KINDS[o.kind].label), format: v => v },
+    { key: 'areaHa', label: 'Overlap ha', numeric: true, value: o => o.areaHa, format: v => I18n.fixed(v, 2) },
+    { key: 'percentA', label: '% of A', numeric: true, value: o => o.percentA, format: v => I18n.fixed(v, 1) },
+    { key: 'percentB', label: '% of B', numeric: true, value: o => o.percentB, format: v => I18n.fixed(v, 1) }
+];
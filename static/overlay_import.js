@@ -0,0 +1,171 @@
+/**
+ * Vanachitra.AI - Drag-and-drop Overlay Import
+ * Turns spatial files dropped on the map into named, styled overlays in the layer control
+ */
+
+class OverlayImporter {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            getLayerControl: () => null,    // L.Control.Layers receiving the overlays
+            onComplete: null,               // (results) => void, once per drop
+            ...options
+        };
+        this.overlays = [];
+
+        if (!this.map.getPane('imported-overlays')) {
+            this.map.createPane('imported-overlays').style.zIndex = 440;
+        }
+
+        this.dropZone = L.DomUtil.create('div', 'drop-zone', this.map.getContainer());
+        this.dropZone.innerHTML = '<div class="drop-zone-message" data-i18n>📂 Drop GeoJSON, KML/KMZ, zipped Shapefile or CSV files</div>';
+        I18n.translate(this.dropZone);
+
+        this.setupDropTarget();
+    }
+
+    setupDropTarget() {
+        const container = this.map.getContainer();
+        let depth = 0;
+
+        // dragenter/dragleave fire for every child element; count them to know when we really left
+        container.addEventListener('dragenter', (e) => {
+            if (!OverlayImporter.hasFiles(e)) return;
+            e.preventDefault();
+            depth++;
+            this.dropZone.classList.add('active');
+        });
+
+        container.addEventListener('dragover', (e) => {
+            if (!OverlayImporter.hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        container.addEventListener('dragleave', () => {
+            depth = Math.max(0, depth - 1);
+            if (depth === 0) {
+                this.dropZone.classList.remove('active');
+            }
+        });
+
+        container.addEventListener('drop', (e) => {
+            if (!OverlayImporter.hasFiles(e)) return;
+            e.preventDefault();
+            depth = 0;
+            this.dropZone.classList.remove('active');
+            this.importFiles(Array.from(e.dataTransfer.files));
+        });
+    }
+
+    static hasFiles(e) {
+        return e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+
+    // Parses every file independently so one bad file doesn't block the rest
+    async importFiles(files) {
+        const results = [];
+        const bounds = L.latLngBounds([]);
+
+        for (const file of files) {
+            try {
+                const layers = await SpatialImporter.parseFile(file);
+                layers.forEach(({ name, collection }) => {
+                    const overlay = this.addOverlay(name, collection);
+                    bounds.extend(overlay.layer.getBounds());
+                    results.push({ file: file.name, name: overlay.name, count: collection.features.length });
+                });
+            } catch (error) {
+                console.error(`❌ Failed to import ${file.name}:`, error);
+                results.push({ file: file.name, error: error.message });
+            }
+        }
+
+        if (bounds.isValid()) {
+            this.map.fitBounds(bounds, { padding: [20, 20], maxZoom: 16 });
+        }
+
+        if (this.options.onComplete) {
+            this.options.onComplete(results);
+        }
+        return results;
+    }
+
+    addOverlay(name, collection) {
+        const color = OverlayImporter.PALETTE[this.overlays.length % OverlayImporter.PALETTE.length];
+        const style = { color, weight: 2, opacity: 0.9, fillColor: color, fillOpacity: 0.25, dashArray: '6, 3' };
+        const pane = 'imported-overlays';
+
+        const layer = L.geoJSON(collection, {
+            pane,
+            style: () => style,
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, { ...style, pane, radius: 6, fillOpacity: 0.7 }),
+            onEachFeature: (feature, featureLayer) => {
+                // Built on opening, so it follows the current language
+                featureLayer.bindPopup(() => OverlayImporter.popupContent(name, feature.properties), { maxWidth: 350 });
+            }
+        }).addTo(this.map);
+
+        const label = `📎 ${name} (${collection.features.length})`;
+        const overlay = { name, label, layer, color, collection };
+        const control = this.options.getLayerControl();
+        if (control) {
+            this.register(control, overlay);
+        }
+
+        this.overlays.push(overlay);
+        return overlay;
+    }
+
+    register(control, overlay) {
+        control.addOverlay(overlay.layer, `<span style="color: ${overlay.color};">■</span> ${OverlayImporter.escapeHTML(overlay.label)}`);
+    }
+
+    // For a layer control the viewer has rebuilt, which starts without the imported overlays
+    registerAll(control) {
+        this.overlays.forEach(overlay => this.register(control, overlay));
+    }
+
+    removeOverlay(overlay) {
+        const control = this.options.getLayerControl();
+        if (control) {
+            control.removeLayer(overlay.layer);
+        }
+        this.map.removeLayer(overlay.layer);
+        this.overlays = this.overlays.filter(o => o !== overlay);
+    }
+
+    static popupContent(name, properties) {
+        const esc = OverlayImporter.escapeHTML;
+        const rows = Object.entries(properties || {})
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) =>
+                `<div class="popup-row"><strong>${esc(key)}:</strong> ${esc(typeof value === 'object' ? JSON.stringify(value) : value)}</div>`
+            );
+
+        return `
+            <div class="popup-content">
+                <h4>📎 ${esc(name)}</h4>
+                ${rows.join('') || `<div class="popup-row">${I18n.t('No attributes')}</div>`}
+            </div>
+        `;
+    }
+
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // One-line summary per dropped file, for the viewers' alerts
+    static summarize(results) {
+        return results.map(result => result.error
+            ? `❌ ${result.file}: ${result.error}`
+            : I18n.t('✅ {file}: {count} features as "{name}"', { file: result.file, count: I18n.number(result.count), name: result.name }));
+    }
+}
+
+// Distinct from the FRA and asset colors used by both viewers
+OverlayImporter.PALETTE = ['#00bcd4', '#ff4081', '#ffeb3b', '#7c4dff', '#00e676', '#ff9100', '#e040fb', '#40c4ff'];
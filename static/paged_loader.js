@@ -0,0 +1,144 @@
+/**
+ * Vanachitra.AI - Paged Feature Loading
+ * Fetches a GeoJSON endpoint for the map view and the current filters, page by page, as the map moves
+ */
+
+class PagedFeatureLoader {
+    constructor(options = {}) {
+        this.options = {
+            url: null,                  // Endpoint taking bbox, page and limit besides its own filter parameters
+            params: () => ({}),         // Filter query parameters; empty values are left out
+            pageSize: 200,              // Features per request
+            margin: 0.25,               // Extra viewport fraction requested on each side, so small pans need no request
+            fallback: null,             // async () => FeatureCollection or null, used when the server can't be reached
+            onPage: null,               // (features) => void with each page's newly added features
+            ...options
+        };
+        this.features = [];
+        this.keys = new Set();
+        this.covered = [];              // L.LatLngBounds fully fetched with the current query
+        this.query = null;
+        this.request = null;            // { bounds, query, controller, promise } while fetching
+        this.offline = false;
+    }
+
+    // Fetches whatever the bounds still lack. Resolves once every page has arrived, or as soon
+    // as a newer load supersedes this one; rejects only when neither server nor fallback answers
+    load(bounds) {
+        const query = PagedFeatureLoader.queryString(this.options.params());
+        if (query !== this.query) {
+            this.reset();
+            this.query = query;
+        }
+
+        if (this.offline || this.covered.some(covered => covered.contains(bounds))) {
+            return Promise.resolve();
+        }
+        if (this.request && this.request.query === query && this.request.bounds.contains(bounds)) {
+            return this.request.promise;
+        }
+
+        this.abort();
+        const request = { bounds: bounds.pad(this.options.margin), query, controller: new AbortController() };
+        request.promise = this.fetchPages(request)
+            .catch(error => (request.controller.signal.aborted ? null : this.useFallback(error)))
+            .finally(() => {
+                if (this.request === request) this.request = null;
+            });
+        this.request = request;
+        return request.promise;
+    }
+
+    async fetchPages(request) {
+        const { signal } = request.controller;
+
+        for (let page = 1, pages = 1; page <= pages; page++) {
+            const params = new URLSearchParams(request.query);
+            params.set('bbox', PagedFeatureLoader.bbox(request.bounds));
+            params.set('page', page);
+            params.set('limit', this.options.pageSize);
+
+            const response = await fetch(`${this.options.url}?${params}`, { signal });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            if (signal.aborted) return;
+
+            const paging = (data.properties && data.properties.paging) || {};
+            pages = paging.pages || 1;
+            this.add(data.features || []);
+        }
+
+        this.covered.push(request.bounds);
+    }
+
+    // The saved copy is complete for its areas and unfiltered, so it replaces paging altogether
+    async useFallback(error) {
+        const cached = this.options.fallback ? await this.options.fallback().catch(() => null) : null;
+        if (!cached) throw error;
+
+        console.warn(`📴 ${this.options.url} unreachable, using the offline copy:`, error);
+        this.reset();
+        this.offline = true;
+        this.add(cached.features || []);
+    }
+
+    add(features) {
+        const added = features.filter(feature => {
+            const key = PagedFeatureLoader.keyOf(feature);
+            if (this.keys.has(key)) return false;
+            this.keys.add(key);
+            return true;
+        });
+        this.features.push(...added);
+
+        if (added.length > 0 && this.options.onPage) {
+            this.options.onPage(added);
+        }
+    }
+
+    // Filters changed: what was loaded no longer answers the query, except an offline copy
+    reset() {
+        this.abort();
+        this.covered = [];
+        if (this.offline) return;
+
+        this.features = [];
+        this.keys.clear();
+    }
+
+    abort() {
+        if (this.request) {
+            this.request.controller.abort();
+            this.request = null;
+        }
+    }
+
+    // Resolves when nothing is being fetched
+    idle() {
+        return this.request ? this.request.promise.then(() => this.idle()) : Promise.resolve();
+    }
+
+    // Pages overlap at their edges and between views; features carry no guaranteed id
+    static keyOf(feature) {
+        const props = feature.properties || {};
+        return props.claim_id || props.feature_id
+            ? `${props.claim_id || props.feature_id}|${props.village || ''}`
+            : JSON.stringify(feature.geometry);
+    }
+
+    static bbox(bounds) {
+        return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+            .map(value => value.toFixed(5))
+            .join(',');
+    }
+
+    static queryString(params) {
+        const search = new URLSearchParams();
+        Object.entries(params)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== 0)
+            .forEach(([key, value]) => search.set(key, value));
+        return search.toString();
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Vanachitra.AI - PDF Writer
+ * Builds PDF documents in the browser with one full-page JPEG image per page, enough for printed map layouts
+ */
+
+class PdfWriter {
+    constructor(info = {}) {
+        this.info = info;               // { title, author }: written to the document information dictionary
+        this.pages = [];
+    }
+
+    // jpeg: bytes of a baseline RGB JPEG; the page is sized in millimetres and the image stretched over it
+    addImagePage(jpeg, pixelWidth, pixelHeight, widthMm, heightMm) {
+        this.pages.push({
+            jpeg: new Uint8Array(jpeg),
+            pixelWidth,
+            pixelHeight,
+            width: widthMm / 25.4 * 72,
+            height: heightMm / 25.4 * 72
+        });
+        return this;
+    }
+
+    toBlob() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (content) => {
+            const bytes = typeof content === 'string' ? encoder.encode(content) : content;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        // Objects are numbered in the order written: catalog 1, page tree 2, info 3, then three per page
+        const object = (body, stream = null) => {
+            offsets.push(length);
+            write(`${offsets.length} 0 obj\n${body}\n`);
+            if (stream) {
+                write('stream\n');
+                write(stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+        };
+
+        // The binary comment tells transfer tools the file is not text
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+        const firstPage = 4;
+        const kids = this.pages.map((page, i) => `${firstPage + i * 3} 0 R`).join(' ');
+        object('<< /Type /Catalog /Pages 2 0 R >>');
+        object(`<< /Type /Pages /Kids [${kids}] /Count ${this.pages.length} >>`);
+        object(`<< ${Object.entries({ Title: this.info.title, Author: this.info.author, Creator: 'Vanachitra.AI' })
+            .filter(([, value]) => value)
+            .map(([key, value]) => `/${key} ${PdfWriter.textString(value)}`)
+            .join(' ')} /CreationDate (${PdfWriter.date(new Date())}) >>`);
+
+        this.pages.forEach((page, i) => {
+            const id = firstPage + i * 3;
+            const width = page.width.toFixed(2);
+            const height = page.height.toFixed(2);
+            const content = encoder.encode(`q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`);
+
+            object(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${id + 1} 0 R >> >> /Contents ${id + 2} 0 R >>`);
+            object(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+            object(`<< /Length ${content.length} >>`, content);
+        });
+
+        // Cross-reference entries are fixed at 20 bytes each
+        const xref = length;
+        write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    // UTF-16BE hex string, so titles in any script survive
+    static textString(value) {
+        let hex = 'FEFF';
+        for (const char of String(value)) {
+            const code = char.codePointAt(0);
+            if (code > 0xffff) {
+                const offset = code - 0x10000;
+                hex += (0xd800 + (offset >> 10)).toString(16).padStart(4, '0');
+                hex += (0xdc00 + (offset & 0x3ff)).toString(16).padStart(4, '0');
+            } else {
+                hex += code.toString(16).padStart(4, '0');
+            }
+        }
+        return `<${hex.toUpperCase()}>`;
+    }
+
+    static date(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Vanachitra.AI - URL Hash Permalinks
+ * Mirrors viewer state into location.hash and restores it on load and on back/forward navigation
+ */
+
+class Permalink {
+    constructor(options = {}) {
+        this.options = {
+            getState: () => ({}),       // () => { view, base, layers, filters, claim, claimVillage }
+            applyState: () => {},       // (state) => void, restores a decoded state
+            delay: 300,                 // ms to coalesce bursts of changes into one history entry
+            ...options
+        };
+        this.started = false;
+        this.applying = false;
+        this.pendingPush = false;
+        this.timer = null;
+        this.current = null;
+    }
+
+    // Restores the hash the page was opened with, then keeps the hash in sync from here on
+    start() {
+        this.started = true;
+        this.current = window.location.hash;
+
+        // Back/forward fires popstate and, between differing hashes, hashchange too
+        window.addEventListener('popstate', () => this.onNavigate());
+        window.addEventListener('hashchange', () => this.onNavigate());
+
+        const state = Permalink.decode(window.location.hash);
+        if (state) {
+            this.apply(state);
+        }
+        this.write(false);
+        return !!state;
+    }
+
+    // Discrete actions (filters, layers, selection) push so back/forward can step through
+    // them; panning and zooming only replace the current entry
+    update(push = false) {
+        if (!this.started || this.applying) return;
+
+        this.pendingPush = this.pendingPush || push;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            const pushEntry = this.pendingPush;
+            this.pendingPush = false;
+            this.write(pushEntry);
+        }, this.options.delay);
+    }
+
+    write(push) {
+        const hash = Permalink.encode(this.options.getState());
+        if (hash === window.location.hash) return;
+
+        this.current = hash;
+        // pushState/replaceState don't fire hashchange, so our own writes never loop back
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (push) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    onNavigate() {
+        const hash = window.location.hash;
+        if (hash === this.current) return;
+
+        this.current = hash;
+        clearTimeout(this.timer);
+        this.pendingPush = false;
+        this.apply(Permalink.decode(hash) || {});
+    }
+
+    apply(state) {
+        this.applying = true;
+        try {
+            this.options.applyState(state);
+        } catch (error) {
+            console.error('❌ Failed to restore permalink:', error);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    // #map=zoom/lat/lng&base=satellite&layers=cfr,ifr&state=Odisha&status=approved&claim=CFR_OD_MAY_001&claim_village=Jagannathgaon
+    static encode(state) {
+        const params = new URLSearchParams();
+
+        if (state.view) {
+            const { lat, lng, zoom } = state.view;
+            params.set('map', `${Math.round(zoom * 100) / 100}/${lat.toFixed(5)}/${lng.toFixed(5)}`);
+        }
+        if (state.base) {
+            params.set('base', state.base);
+        }
+        if (state.layers) {
+            params.set('layers', state.layers.join(','));
+        }
+        Object.entries(state.filters || {}).forEach(([key, value]) => {
+            if (value !== '' && value !== null && value !== undefined && value !== 0 && !Permalink.RESERVED.includes(key)) {
+                params.set(key, value);
+            }
+        });
+        if (state.claim) {
+            params.set('claim', state.claim);
+        }
+        // Claim ids repeat across villages, so the village says which of them is meant
+        if (state.claim && state.claimVillage) {
+            params.set('claim_village', state.claimVillage);
+        }
+
+        // URLSearchParams escapes the separators; keep them readable in the address bar
+        const query = params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',');
+        return query ? `#${query}` : '';
+    }
+
+    static decode(hash) {
+        const query = (hash || '').replace(/^#/, '');
+        if (!query) return null;
+
+        const params = new URLSearchParams(query);
+        const state = { view: null, base: null, layers: null, filters: {}, claim: null, claimVillage: null };
+
+        const view = (params.get('map') || '').split('/').map(Number);
+        if (view.length === 3 && view.every(Number.isFinite)) {
+            state.view = { zoom: view[0], lat: view[1], lng: view[2] };
+        }
+        if (params.has('layers')) {
+            state.layers = params.get('layers').split(',').filter(Boolean);
+        }
+        state.base = params.get('base');
+        state.claim = params.get('claim');
+        state.claimVillage = params.get('claim_village');
+
+        params.forEach((value, key) => {
+            if (!Permalink.RESERVED.includes(key)) {
+                state.filters[key] = value;
+            }
+        });
+
+        return state;
+    }
+
+    // Base layer names carry emoji and spaces; the hash stores a plain slug
+    static slug(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    static findBaseLayer(baseLayers, slug) {
+        const name = Object.keys(baseLayers).find(key => Permalink.slug(key) === slug);
+        return name ? baseLayers[name] : null;
+    }
+
+    static activeBaseLayerSlug(map, baseLayers) {
+        const name = Object.keys(baseLayers).find(key => map.hasLayer(baseLayers[key]));
+        return name ? Permalink.slug(name) : null;
+    }
+
+    // Swaps the base layer in place; returns false when the slug matches none of them
+    static switchBaseLayer(map, baseLayers, slug) {
+        const target = Permalink.findBaseLayer(baseLayers, slug);
+        if (!target) return false;
+
+        Object.values(baseLayers).forEach(layer => {
+            if (layer !== target && map.hasLayer(layer)) {
+                map.removeLayer(layer);
+            }
+        });
+        if (!map.hasLayer(target)) {
+            target.addTo(map);
+        }
+        return true;
+    }
+}
+
+// Hash keys with their own meaning; every other key is a filter
+Permalink.RESERVED = ['map', 'base', 'layers', 'claim', 'claim_village'];
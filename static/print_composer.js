@@ -0,0 +1,672 @@
+/**
+ * Vanachitra.AI - Print Composer
+ * Renders the current map view onto a paper-sized page with title, legend, scale bar, north arrow,
+ * filter caption, summary statistics and attribution, saved as PNG or PDF
+ */
+
+class PrintComposer {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            title: () => 'Vanachitra.AI',   // default map title, asked for each time the dialog opens
+            filename: 'vanachitra_map',
+            tileLayer: null,                // () => the base L.TileLayer being shown
+            legend: null,                   // () => [{ title, items: [{ label, fill, stroke, weight, dashed }] }]
+            caption: null,                  // () => text describing the active filters
+            statistics: null,               // () => [[label, value], ...]
+            ...options
+        };
+        this.busy = false;
+
+        this.container = this.createDialog();
+        document.body.appendChild(this.container);
+    }
+
+    createDialog() {
+        const container = document.createElement('div');
+        container.className = 'print-composer';
+        container.style.display = 'none';
+        container.innerHTML = `
+            <div class="print-composer-box" role="dialog" aria-label="Print map" data-i18n-aria-label>
+                <h4 data-i18n>🖨️ Print Map</h4>
+                <label><span data-i18n>Title</span> <input type="text" class="print-title"></label>
+                <label><span data-i18n>Paper</span>
+                    <select class="print-paper">
+                        ${Object.entries(PrintComposer.PAPERS).map(([key, paper]) =>
+                            `<option value="${key}">${paper.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label><span data-i18n>Orientation</span>
+                    <select class="print-orientation">
+                        <option value="landscape" data-i18n>Landscape</option>
+                        <option value="portrait" data-i18n>Portrait</option>
+                    </select>
+                </label>
+                <label><span data-i18n>Resolution</span>
+                    <select class="print-dpi">
+                        ${PrintComposer.DPI.map(dpi =>
+                            `<option value="${dpi}"${dpi === 150 ? ' selected' : ''}>${dpi} DPI</option>`).join('')}
+                    </select>
+                </label>
+                <div class="print-size"></div>
+                <div class="print-status"></div>
+                <div class="print-buttons">
+                    <button type="button" class="btn btn-primary print-png">🖼️ PNG</button>
+                    <button type="button" class="btn btn-primary print-pdf">📄 PDF</button>
+                    <button type="button" class="btn btn-secondary print-close" data-i18n>Close</button>
+                </div>
+            </div>
+        `;
+        I18n.translate(container);
+
+        this.elements = {
+            title: container.querySelector('.print-title'),
+            paper: container.querySelector('.print-paper'),
+            orientation: container.querySelector('.print-orientation'),
+            dpi: container.querySelector('.print-dpi'),
+            size: container.querySelector('.print-size'),
+            status: container.querySelector('.print-status'),
+            png: container.querySelector('.print-png'),
+            pdf: container.querySelector('.print-pdf'),
+            close: container.querySelector('.print-close')
+        };
+
+        [this.elements.paper, this.elements.orientation, this.elements.dpi].forEach(select => {
+            select.addEventListener('change', () => this.updateSize());
+        });
+        this.elements.png.addEventListener('click', () => this.save('png'));
+        this.elements.pdf.addEventListener('click', () => this.save('pdf'));
+        this.elements.close.addEventListener('click', () => this.close());
+        // Clicking the backdrop closes, clicks inside the box don't
+        container.addEventListener('click', (e) => {
+            if (e.target === container) this.close();
+        });
+        container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        return container;
+    }
+
+    isOpen() {
+        return this.container.style.display !== 'none';
+    }
+
+    open() {
+        if (!this.elements.title.value) {
+            this.elements.title.value = this.options.title();
+        }
+        this.container.style.display = 'flex';
+        this.setStatus('');
+        this.updateSize();
+        this.elements.title.focus();
+    }
+
+    close() {
+        if (this.busy) return;
+        this.container.style.display = 'none';
+    }
+
+    settings() {
+        return {
+            title: this.elements.title.value.trim(),
+            paper: this.elements.paper.value,
+            orientation: this.elements.orientation.value,
+            dpi: parseInt(this.elements.dpi.value, 10)
+        };
+    }
+
+    updateSize() {
+        const { width, height } = PrintComposer.pageSize(this.settings());
+        this.elements.size.textContent = `${width.pixels.toLocaleString()} × ${height.pixels.toLocaleString()} px ` +
+            `(${width.mm} × ${height.mm} mm)`;
+    }
+
+    setStatus(message) {
+        this.elements.status.textContent = message;
+    }
+
+    async save(format) {
+        if (this.busy) return;
+
+        this.busy = true;
+        this.elements.png.disabled = true;
+        this.elements.pdf.disabled = true;
+
+        const settings = this.settings();
+        const filename = `${this.options.filename}_${new Date().toISOString().split('T')[0]}.${format}`;
+        try {
+            const { canvas, failedTiles } = await this.render(settings, (done, total) => {
+                this.setStatus(I18n.t('Loading map tiles {done}/{total}…', { done, total }));
+            });
+            this.setStatus(I18n.t('Encoding…'));
+
+            const blob = format === 'pdf'
+                ? await this.toPdf(canvas, settings)
+                : await this.toPng(canvas, settings.dpi);
+            PrintComposer.download(blob, filename);
+
+            this.setStatus(failedTiles > 0
+                ? I18n.t('⚠️ Saved {filename}, but {count} base map tiles could not be loaded for printing', { filename, count: failedTiles })
+                : I18n.t('✅ Saved {filename}', { filename }));
+            console.log(`🖨️ Printed ${filename} (${canvas.width} × ${canvas.height} px)`);
+        } catch (error) {
+            console.error('❌ Print failed:', error);
+            this.setStatus(I18n.t('❌ Print failed: {error}', { error: error.message }));
+        } finally {
+            this.busy = false;
+            this.elements.png.disabled = false;
+            this.elements.pdf.disabled = false;
+        }
+    }
+
+    // Lays out the page and draws everything; returns the canvas and how many tiles were missing
+    async render(settings, onProgress = null) {
+        const { width, height } = PrintComposer.pageSize(settings);
+        const canvas = document.createElement('canvas');
+        canvas.width = width.pixels;
+        canvas.height = height.pixels;
+
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('Canvas drawing is not supported in this browser');
+        }
+
+        const page = PrintComposer.units(settings.dpi);
+        const margin = page.mm(10);
+        const gap = page.mm(4);
+        const sidebarWidth = page.mm(settings.orientation === 'landscape' ? 60 : 50);
+        const contentWidth = canvas.width - margin * 2;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Header
+        let y = margin + page.pt(16);
+        this.text(ctx, settings.title || this.options.title(), margin, y, page.pt(16), { bold: true });
+        y += page.pt(11);
+        this.text(ctx, I18n.t('Printed {date}', { date: I18n.date(new Date(), { year: 'numeric', month: 'long', day: 'numeric' }) }),
+            margin, y, page.pt(8), { color: '#555555' });
+        const headerBottom = y + gap;
+
+        // Footer, measured first so the map frame can take whatever is left
+        ctx.font = PrintComposer.font(page.pt(8));
+        const caption = PrintComposer.wrap(ctx, I18n.t('Filters: {filters}', {
+            filters: (this.options.caption && this.options.caption()) || I18n.t('none')
+        }), contentWidth);
+        ctx.font = PrintComposer.font(page.pt(6.5));
+        const attribution = PrintComposer.wrap(ctx, this.attribution(), contentWidth);
+        const footerHeight = caption.length * page.pt(10) + attribution.length * page.pt(8.5) + gap;
+
+        const frame = {
+            x: margin,
+            y: headerBottom,
+            width: contentWidth - sidebarWidth - gap,
+            height: canvas.height - margin - footerHeight - headerBottom
+        };
+        if (frame.width <= 0 || frame.height <= 0) {
+            throw new Error('Paper size is too small for the layout');
+        }
+
+        const view = this.view(frame);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(frame.x, frame.y, frame.width, frame.height);
+        ctx.clip();
+        const failedTiles = await this.drawTiles(ctx, frame, view, page.scale, onProgress);
+        this.drawVectors(ctx, frame, view, page.scale);
+        this.drawNorthArrow(ctx, frame, page);
+        this.drawScaleBar(ctx, frame, view, page, settings.dpi);
+        ctx.restore();
+
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = page.mm(0.3);
+        ctx.setLineDash([]);
+        ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+
+        this.drawSidebar(ctx, { x: frame.x + frame.width + gap, y: frame.y, width: sidebarWidth, height: frame.height }, page);
+
+        y = frame.y + frame.height + gap + page.pt(8);
+        caption.forEach(line => {
+            this.text(ctx, line, margin, y, page.pt(8));
+            y += page.pt(10);
+        });
+        attribution.forEach(line => {
+            this.text(ctx, line, margin, y, page.pt(6.5), { color: '#666666' });
+            y += page.pt(8.5);
+        });
+
+        return { canvas, failedTiles };
+    }
+
+    // The on-screen view fitted into the frame at a fractional zoom, so the printed extent is what was shown
+    view(frame) {
+        const size = this.map.getSize();
+        const crs = this.map.options.crs;
+        const zoom = this.map.getZoom() + Math.log2(Math.min(frame.width / size.x, frame.height / size.y));
+        const origin = crs.latLngToPoint(this.map.getCenter(), zoom).subtract([frame.width / 2, frame.height / 2]);
+
+        const view = {
+            zoom,
+            origin,
+            project: latlng => crs.latLngToPoint(L.latLng(latlng), zoom).subtract(origin).add([frame.x, frame.y]),
+            unproject: point => crs.pointToLatLng(L.point(point).subtract([frame.x, frame.y]).add(origin), zoom)
+        };
+        view.bounds = L.latLngBounds(
+            view.unproject([frame.x, frame.y + frame.height]),
+            view.unproject([frame.x + frame.width, frame.y])
+        );
+
+        // Ground distance of one page pixel across the middle of the frame
+        const middle = view.unproject([frame.x + frame.width / 2, frame.y + frame.height / 2]);
+        const east = view.unproject([frame.x + frame.width / 2 + 100, frame.y + frame.height / 2]);
+        view.metresPerPixel = GeoUtils.distance([middle.lng, middle.lat], [east.lng, east.lat]) / 100;
+        return view;
+    }
+
+    // Tiles come from the zoom that keeps the base map looking as it does on screen, scaled to the page
+    async drawTiles(ctx, frame, view, scale, onProgress) {
+        const tileLayer = this.options.tileLayer && this.options.tileLayer();
+        if (!tileLayer) return 0;
+
+        const options = tileLayer.options;
+        const tileSize = typeof options.tileSize === 'number' ? options.tileSize : 256;
+        const maxZoom = options.maxNativeZoom ?? options.maxZoom ?? 18;
+        const z = Math.max(options.minZoom || 0, Math.min(maxZoom, Math.round(view.zoom - Math.log2(scale))));
+        const tilePixels = tileSize * Math.pow(2, view.zoom - z);
+        const count = Math.pow(2, z);
+
+        const tiles = [];
+        for (let x = Math.floor(view.origin.x / tilePixels); x * tilePixels < view.origin.x + frame.width; x++) {
+            for (let y = Math.floor(view.origin.y / tilePixels); y * tilePixels < view.origin.y + frame.height; y++) {
+                if (y < 0 || y >= count) continue;
+                tiles.push({
+                    url: OfflineStore.tileUrl(tileLayer, ((x % count) + count) % count, y, z),
+                    left: frame.x + x * tilePixels - view.origin.x,
+                    top: frame.y + y * tilePixels - view.origin.y
+                });
+            }
+        }
+
+        let done = 0;
+        let failed = 0;
+        ctx.globalAlpha = options.opacity ?? 1;
+        await Promise.all(tiles.map(tile => PrintComposer.loadImage(tile.url).then(image => {
+            if (image) {
+                // Half a pixel of overlap hides seams between scaled tiles
+                ctx.drawImage(image, tile.left, tile.top, tilePixels + 0.5, tilePixels + 0.5);
+            } else {
+                failed++;
+            }
+            if (onProgress) onProgress(++done, tiles.length);
+        })));
+        ctx.globalAlpha = 1;
+        return failed;
+    }
+
+    // Vector layers in pane order, drawn from their current Leaflet styles
+    drawVectors(ctx, frame, view, scale) {
+        const layers = [];
+        this.map.eachLayer(layer => {
+            if (layer instanceof L.Path && this.isPrinted(layer, view.bounds)) {
+                layers.push(layer);
+            }
+        });
+
+        const zIndex = layer => {
+            const pane = this.map.getPane(layer.options.pane);
+            return parseInt(pane.style.zIndex || window.getComputedStyle(pane).zIndex, 10) || 400;
+        };
+        layers
+            .map((layer, i) => ({ layer, i, z: zIndex(layer) }))
+            .sort((a, b) => a.z - b.z || a.i - b.i)
+            .forEach(({ layer }) => this.drawPath(ctx, layer, view, scale));
+    }
+
+    isPrinted(layer, bounds) {
+        const options = layer.options;
+        const pane = this.map.getPane(options.pane);
+        if (!pane || pane.style.display === 'none') return false;
+        if (!(options.stroke && options.opacity > 0) && !(options.fill && options.fillOpacity > 0)) return false;
+
+        if (layer instanceof L.CircleMarker) {
+            return bounds.pad(0.1).contains(layer.getLatLng());
+        }
+        const layerBounds = layer.getBounds();
+        return layerBounds.isValid() && bounds.intersects(layerBounds);
+    }
+
+    drawPath(ctx, layer, view, scale) {
+        const options = layer.options;
+
+        ctx.beginPath();
+        if (layer instanceof L.CircleMarker) {
+            const centre = view.project(layer.getLatLng());
+            // Circles are sized in metres, circle markers in screen pixels
+            const radius = layer instanceof L.Circle ? layer.getRadius() / view.metresPerPixel : layer.getRadius() * scale;
+            ctx.moveTo(centre.x + radius, centre.y);
+            ctx.arc(centre.x, centre.y, radius, 0, Math.PI * 2);
+        } else {
+            const closed = layer instanceof L.Polygon;
+            PrintComposer.rings(layer.getLatLngs()).forEach(ring => {
+                ring.forEach((latlng, i) => {
+                    const point = view.project(latlng);
+                    if (i === 0) {
+                        ctx.moveTo(point.x, point.y);
+                    } else {
+                        ctx.lineTo(point.x, point.y);
+                    }
+                });
+                if (closed) ctx.closePath();
+            });
+        }
+
+        if (options.fill) {
+            ctx.globalAlpha = options.fillOpacity;
+            ctx.fillStyle = options.fillColor || options.color;
+            ctx.fill(options.fillRule || 'evenodd');
+        }
+        if (options.stroke) {
+            ctx.globalAlpha = options.opacity;
+            ctx.strokeStyle = options.color;
+            ctx.lineWidth = options.weight * scale;
+            ctx.lineCap = options.lineCap || 'round';
+            ctx.lineJoin = options.lineJoin || 'round';
+            ctx.setLineDash(PrintComposer.dashes(options.dashArray, scale));
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([]);
+    }
+
+    // Web Mercator keeps north straight up
+    drawNorthArrow(ctx, frame, page) {
+        const size = page.mm(10);
+        const x = frame.x + frame.width - page.mm(8);
+        const y = frame.y + page.mm(6);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.beginPath();
+        ctx.arc(x, y + size * 0.55, size * 0.7, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = page.mm(0.25);
+        ctx.beginPath();
+        ctx.moveTo(x, y + size * 0.25);
+        ctx.lineTo(x + size * 0.3, y + size);
+        ctx.lineTo(x, y + size * 0.8);
+        ctx.closePath();
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(x, y + size * 0.25);
+        ctx.lineTo(x - size * 0.3, y + size);
+        ctx.lineTo(x, y + size * 0.8);
+        ctx.closePath();
+        ctx.fillStyle = '#222222';
+        ctx.fill();
+        ctx.stroke();
+
+        this.text(ctx, 'N', x, y + size * 0.2, page.pt(9), { bold: true, align: 'center' });
+    }
+
+    drawScaleBar(ctx, frame, view, page, dpi) {
+        const metres = PrintComposer.niceLength(view.metresPerPixel * frame.width / 5);
+        const length = metres / view.metresPerPixel;
+        const height = page.mm(1.5);
+        const x = frame.x + page.mm(5);
+        const y = frame.y + frame.height - page.mm(8);
+        const denominator = view.metresPerPixel * dpi / 0.0254;
+        const ratio = `1 : ${Number(denominator.toPrecision(2)).toLocaleString()}`;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(x - page.mm(2), y - page.mm(5.5), length + page.mm(22), page.mm(10));
+
+        // Two alternating halves
+        ctx.fillStyle = '#222222';
+        ctx.fillRect(x, y, length / 2, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x + length / 2, y, length / 2, height);
+        ctx.strokeStyle = '#222222';
+        ctx.lineWidth = page.mm(0.2);
+        ctx.strokeRect(x, y, length, height);
+
+        this.text(ctx, '0', x, y - page.mm(1), page.pt(7), { align: 'center' });
+        this.text(ctx, PrintComposer.formatLength(metres), x + length, y - page.mm(1), page.pt(7), { align: 'center' });
+        this.text(ctx, ratio, x, y + height + page.pt(8), page.pt(6.5), { color: '#444444' });
+    }
+
+    drawSidebar(ctx, box, page) {
+        const bottom = box.y + box.height;
+        const swatch = { width: page.mm(6), height: page.mm(4) };
+        let y = box.y + page.pt(11);
+
+        const sections = (this.options.legend && this.options.legend()) || [];
+        if (sections.length > 0) {
+            this.text(ctx, I18n.t('Legend'), box.x, y, page.pt(11), { bold: true });
+            y += page.pt(6);
+        }
+
+        for (const section of sections) {
+            if (y + page.pt(24) > bottom) break;
+            y += page.pt(11);
+            this.text(ctx, section.title, box.x, y, page.pt(8.5), { bold: true });
+            y += page.pt(4);
+
+            for (const item of section.items) {
+                if (y + swatch.height + page.pt(4) > bottom) break;
+                y += page.pt(3);
+                this.drawSwatch(ctx, item, box.x, y, swatch, page);
+                this.text(ctx, item.label, box.x + swatch.width + page.mm(2), y + swatch.height - page.pt(1.5), page.pt(8),
+                    { maxWidth: box.width - swatch.width - page.mm(2) });
+                y += swatch.height;
+            }
+        }
+
+        const statistics = (this.options.statistics && this.options.statistics()) || [];
+        if (statistics.length === 0 || y + page.pt(40) > bottom) return;
+
+        y += page.pt(22);
+        this.text(ctx, I18n.t('Summary'), box.x, y, page.pt(11), { bold: true });
+        y += page.pt(4);
+        ctx.strokeStyle = '#cccccc';
+        ctx.lineWidth = page.mm(0.2);
+        for (const [label, value] of statistics) {
+            if (y + page.pt(12) > bottom) break;
+            y += page.pt(12);
+            this.text(ctx, label, box.x, y, page.pt(8), { color: '#444444' });
+            this.text(ctx, String(value), box.x + box.width, y, page.pt(8), { bold: true, align: 'right' });
+            ctx.beginPath();
+            ctx.moveTo(box.x, y + page.pt(3));
+            ctx.lineTo(box.x + box.width, y + page.pt(3));
+            ctx.stroke();
+        }
+    }
+
+    // Filled box for areas, a dashed outline for boundaries (no fill)
+    drawSwatch(ctx, item, x, y, swatch, page) {
+        if (item.fill) {
+            ctx.fillStyle = item.fill;
+            ctx.fillRect(x, y, swatch.width, swatch.height);
+        }
+        ctx.strokeStyle = item.stroke || item.fill || '#333333';
+        ctx.lineWidth = page.scale * (item.weight || 1);
+        ctx.setLineDash(item.dashed ? [page.mm(1), page.mm(0.6)] : []);
+        ctx.strokeRect(x, y, swatch.width, swatch.height);
+        ctx.setLineDash([]);
+    }
+
+    text(ctx, content, x, y, size, { bold = false, color = '#222222', align = 'left', maxWidth } = {}) {
+        ctx.font = PrintComposer.font(size, bold);
+        ctx.fillStyle = color;
+        ctx.textAlign = align;
+        ctx.textBaseline = 'alphabetic';
+        if (maxWidth) {
+            ctx.fillText(content, x, y, maxWidth);
+        } else {
+            ctx.fillText(content, x, y);
+        }
+    }
+
+    // Credits of every layer on the map, without their links
+    attribution() {
+        const sources = [];
+        this.map.eachLayer(layer => {
+            const text = layer.getAttribution && layer.getAttribution();
+            if (text && !sources.includes(text)) {
+                sources.push(text);
+            }
+        });
+
+        const element = document.createElement('div');
+        element.innerHTML = sources.join(' | ');
+        return `Map data: ${element.textContent || 'Vanachitra.AI'} | Rendered with Leaflet • Vanachitra.AI`;
+    }
+
+    toPng(canvas, dpi) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(async blob => {
+                if (!blob) {
+                    reject(new Error('The page is too large to encode; try a lower resolution'));
+                    return;
+                }
+                resolve(new Blob([PrintComposer.withResolution(new Uint8Array(await blob.arrayBuffer()), dpi)], { type: 'image/png' }));
+            }, 'image/png');
+        });
+    }
+
+    toPdf(canvas, settings) {
+        const { width, height } = PrintComposer.pageSize(settings);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(async blob => {
+                if (!blob) {
+                    reject(new Error('The page is too large to encode; try a lower resolution'));
+                    return;
+                }
+                const pdf = new PdfWriter({ title: settings.title || this.options.title() });
+                pdf.addImagePage(await blob.arrayBuffer(), canvas.width, canvas.height, width.mm, height.mm);
+                resolve(pdf.toBlob());
+            }, 'image/jpeg', 0.92);
+        });
+    }
+
+    static pageSize({ paper, orientation, dpi }) {
+        const [short, long] = PrintComposer.PAPERS[paper].mm;
+        const [widthMm, heightMm] = orientation === 'landscape' ? [long, short] : [short, long];
+        return {
+            width: { mm: widthMm, pixels: Math.round(widthMm / 25.4 * dpi) },
+            height: { mm: heightMm, pixels: Math.round(heightMm / 25.4 * dpi) }
+        };
+    }
+
+    // Converters from print units to page pixels; scale maps screen (96 DPI) pixels onto the page
+    static units(dpi) {
+        return {
+            mm: value => value / 25.4 * dpi,
+            pt: value => value / 72 * dpi,
+            scale: dpi / 96
+        };
+    }
+
+    static font(size, bold = false) {
+        return `${bold ? 'bold ' : ''}${size.toFixed(1)}px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif`;
+    }
+
+    // Greedy word wrap with the context's current font
+    static wrap(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        text.split(/\s+/).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    // Polygon, multi-polygon and polyline latlngs flattened to a list of rings
+    static rings(latlngs) {
+        if (latlngs.length === 0) return [];
+        return Array.isArray(latlngs[0]) ? latlngs.flatMap(PrintComposer.rings) : [latlngs];
+    }
+
+    static dashes(dashArray, scale) {
+        if (!dashArray) return [];
+        const values = Array.isArray(dashArray) ? dashArray : String(dashArray).split(/[\s,]+/);
+        return values.map(Number).filter(value => !isNaN(value)).map(value => value * scale);
+    }
+
+    // Largest 1, 2 or 5 × 10ⁿ metres not above the given length
+    static niceLength(metres) {
+        const power = Math.pow(10, Math.floor(Math.log10(metres)));
+        const step = [5, 2, 1].find(n => n * power <= metres) || 1;
+        return step * power;
+    }
+
+    static formatLength(metres) {
+        return metres >= 1000 ? `${(metres / 1000).toLocaleString()} km` : `${metres} m`;
+    }
+
+    static loadImage(url, timeout = 15000) {
+        return new Promise(resolve => {
+            const image = new Image();
+            const timer = setTimeout(() => resolve(null), timeout);
+            // Without CORS the canvas would be tainted and could not be saved; such tiles are left blank
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                clearTimeout(timer);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            image.src = url;
+        });
+    }
+
+    // Adds a pHYs chunk after IHDR so image viewers and print dialogs pick up the chosen DPI
+    static withResolution(png, dpi) {
+        const perMetre = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4);    // "pHYs"
+        view.setUint32(8, perMetre);
+        view.setUint32(12, perMetre);
+        chunk[16] = 1;                              // unit: metre
+        view.setUint32(17, ZipWriter.crc32(chunk.subarray(4, 17)));
+
+        const ihdrEnd = 8 + 25;
+        const result = new Uint8Array(png.length + chunk.length);
+        result.set(png.subarray(0, ihdrEnd), 0);
+        result.set(chunk, ihdrEnd);
+        result.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+        return result;
+    }
+
+    static download(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+}
+
+PrintComposer.PAPERS = {
+    A4: { label: 'A4 (210 × 297 mm)', mm: [210, 297] },
+    A3: { label: 'A3 (297 × 420 mm)', mm: [297, 420] },
+    Letter: { label: 'Letter (8.5 × 11 in)', mm: [215.9, 279.4] }
+};
+
+PrintComposer.DPI = [96, 150, 300];
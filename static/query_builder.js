@@ -0,0 +1,383 @@
+/**
+ * Vanachitra.AI - Query Builder
+ * Dialog for composing FRAQuery expressions from nested AND/OR groups, with named queries saved in the browser
+ */
+
+class QueryBuilder {
+    constructor(options = {}) {
+        this.options = {
+            fields: () => [],           // () => FRAQuery.fields(...) for the data being queried
+            onApply: null,              // (query or null) => void
+            storageKey: 'vanachitra.queries',
+            ...options
+        };
+        this.query = FRAQuery.empty();
+        this.fields = [];
+
+        this.container = this.createDialog();
+        document.body.appendChild(this.container);
+        this.renderSaved();
+    }
+
+    createDialog() {
+        const container = document.createElement('div');
+        container.className = 'query-builder';
+        container.style.display = 'none';
+        container.innerHTML = `
+            <div class="query-builder-box" role="dialog" aria-label="Query Builder" data-i18n-aria-label>
+                <h4 data-i18n>🧮 Query Builder</h4>
+                <div class="query-root"></div>
+                <div class="query-preview" aria-live="polite"></div>
+                <div class="query-saved">
+                    <select class="query-saved-list" aria-label="Saved queries" data-i18n-aria-label></select>
+                    <button type="button" class="btn btn-secondary query-load" data-i18n>Load</button>
+                    <button type="button" class="btn btn-secondary query-delete" data-i18n>Delete</button>
+                </div>
+                <div class="query-saved">
+                    <input type="text" class="query-name" placeholder="Query name" aria-label="Query name" data-i18n-placeholder data-i18n-aria-label>
+                    <button type="button" class="btn btn-secondary query-save" data-i18n>Save</button>
+                </div>
+                <div class="query-status"></div>
+                <div class="query-buttons">
+                    <button type="button" class="btn btn-primary query-apply" data-i18n>Apply</button>
+                    <button type="button" class="btn btn-secondary query-clear" data-i18n>Clear</button>
+                    <button type="button" class="btn btn-secondary query-close" data-i18n>Close</button>
+                </div>
+            </div>
+        `;
+        I18n.translate(container);
+
+        this.elements = {
+            root: container.querySelector('.query-root'),
+            preview: container.querySelector('.query-preview'),
+            savedList: container.querySelector('.query-saved-list'),
+            name: container.querySelector('.query-name'),
+            status: container.querySelector('.query-status')
+        };
+
+        container.querySelector('.query-load').addEventListener('click', () => this.loadSaved());
+        container.querySelector('.query-delete').addEventListener('click', () => this.deleteSaved());
+        container.querySelector('.query-save').addEventListener('click', () => this.save());
+        container.querySelector('.query-apply').addEventListener('click', () => this.apply());
+        container.querySelector('.query-clear').addEventListener('click', () => this.clear());
+        container.querySelector('.query-close').addEventListener('click', () => this.close());
+        // Clicking the backdrop closes, clicks inside the box don't
+        container.addEventListener('click', (e) => {
+            if (e.target === container) this.close();
+        });
+        container.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        return container;
+    }
+
+    isOpen() {
+        return this.container.style.display !== 'none';
+    }
+
+    // Fields are read again on every opening, since the loaded data changes
+    open() {
+        this.fields = this.options.fields();
+        this.container.style.display = 'flex';
+        this.setStatus('');
+        this.render();
+        const first = this.container.querySelector('select, input');
+        if (first) first.focus();
+    }
+
+    close() {
+        this.container.style.display = 'none';
+    }
+
+    // Also called from a permalink; the dialog shows it the next time it opens
+    setQuery(query) {
+        this.query = query ? JSON.parse(JSON.stringify(query)) : FRAQuery.empty();
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+
+    apply() {
+        const query = FRAQuery.isEmpty(this.query) ? null : JSON.parse(JSON.stringify(this.query));
+        if (this.options.onApply) {
+            this.options.onApply(query);
+        }
+        this.close();
+    }
+
+    clear() {
+        this.query = FRAQuery.empty();
+        this.render();
+        if (this.options.onApply) {
+            this.options.onApply(null);
+        }
+    }
+
+    setStatus(message) {
+        this.elements.status.textContent = message;
+    }
+
+    // Also called after a language switch
+    refresh() {
+        const selected = this.elements.savedList.value;
+        this.renderSaved();
+        this.elements.savedList.value = selected;
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+
+    render() {
+        this.elements.root.innerHTML = '';
+        this.elements.root.appendChild(this.renderGroup(this.query, null));
+        this.elements.preview.textContent = FRAQuery.isEmpty(this.query)
+            ? I18n.t('No conditions yet; every claim matches.')
+            : FRAQuery.describe(this.query);
+    }
+
+    renderGroup(group, parent) {
+        const element = document.createElement('fieldset');
+        element.className = 'query-group';
+
+        const header = document.createElement('div');
+        header.className = 'query-group-header';
+        header.innerHTML = `
+            <select class="query-op" aria-label="Combine conditions" data-i18n-aria-label>
+                <option value="and" data-i18n>All of (AND)</option>
+                <option value="or" data-i18n>Any of (OR)</option>
+            </select>
+            <button type="button" class="btn btn-secondary query-add-rule" data-i18n>+ Condition</button>
+            <button type="button" class="btn btn-secondary query-add-group" data-i18n>+ Group</button>
+        `;
+        I18n.translate(header);
+
+        const op = header.querySelector('.query-op');
+        op.value = group.op;
+        op.addEventListener('change', () => {
+            group.op = op.value;
+            this.render();
+        });
+        header.querySelector('.query-add-rule').addEventListener('click', () => {
+            group.rules.push({ field: '', operator: '', value: '' });
+            this.render();
+        });
+        header.querySelector('.query-add-group').addEventListener('click', () => {
+            group.rules.push({ op: group.op === 'and' ? 'or' : 'and', rules: [{ field: '', operator: '', value: '' }] });
+            this.render();
+        });
+        if (parent) {
+            header.appendChild(this.removeButton(parent, group));
+        }
+        element.appendChild(header);
+
+        group.rules.forEach(node => {
+            element.appendChild(FRAQuery.isGroup(node) ? this.renderGroup(node, group) : this.renderRule(node, group));
+        });
+        return element;
+    }
+
+    renderRule(rule, group) {
+        const row = document.createElement('div');
+        row.className = 'query-rule';
+
+        const fieldSelect = document.createElement('select');
+        I18n.setAttribute(fieldSelect, 'aria-label', 'Field');
+        QueryBuilder.addOptions(fieldSelect, [['', I18n.t('Choose a field')], ...this.fields.map(field => [field.key, field.key])]);
+        fieldSelect.value = rule.field;
+        fieldSelect.addEventListener('change', () => {
+            rule.field = fieldSelect.value;
+            const operators = FRAQuery.operatorsFor(this.fieldType(rule.field));
+            rule.operator = operators.includes(rule.operator) ? rule.operator : operators[0] || '';
+            rule.value = '';
+            this.render();
+        });
+        row.appendChild(fieldSelect);
+
+        if (rule.field) {
+            const operatorSelect = document.createElement('select');
+            I18n.setAttribute(operatorSelect, 'aria-label', 'Operator');
+            QueryBuilder.addOptions(operatorSelect, FRAQuery.operatorsFor(this.fieldType(rule.field))
+                .map(key => [key, I18n.t(FRAQuery.OPERATORS[key].label)]));
+            operatorSelect.value = rule.operator;
+            operatorSelect.addEventListener('change', () => {
+                const arity = FRAQuery.OPERATORS[rule.operator] && FRAQuery.OPERATORS[rule.operator].arity;
+                rule.operator = operatorSelect.value;
+                // Keep a single value when switching between comparisons; ranges and lists start over
+                if (FRAQuery.OPERATORS[rule.operator].arity !== arity || ['in', 'notIn'].includes(rule.operator)) {
+                    rule.value = '';
+                }
+                this.render();
+            });
+            row.appendChild(operatorSelect);
+            this.renderValue(rule, row);
+        }
+
+        row.appendChild(this.removeButton(group, rule));
+        return row;
+    }
+
+    renderValue(rule, row) {
+        const operator = FRAQuery.OPERATORS[rule.operator];
+        const field = this.fields.find(f => f.key === rule.field) || {};
+        if (!operator || operator.arity === 0) return;
+
+        const input = (value, label) => {
+            const element = document.createElement('input');
+            element.type = field.type === 'number' ? 'number' : 'text';
+            element.value = value ?? '';
+            if (field.type === 'number') {
+                element.step = 'any';
+                element.placeholder = `${I18n.number(field.min)} – ${I18n.number(field.max)}`;
+            }
+            I18n.setAttribute(element, 'aria-label', label);
+            return element;
+        };
+
+        if (operator.arity === 2) {
+            const range = Array.isArray(rule.value) ? rule.value : [field.min, field.max];
+            rule.value = range;
+            const min = input(range[0], 'Minimum');
+            const max = input(range[1], 'Maximum');
+            min.addEventListener('change', () => this.updateValue(rule, [min.value, max.value]));
+            max.addEventListener('change', () => this.updateValue(rule, [min.value, max.value]));
+            const and = document.createElement('span');
+            and.textContent = I18n.t('and');
+            row.append(min, and, max);
+            return;
+        }
+
+        // Small vocabularies are picked from a list, several at once for the set operators
+        if (field.values && field.type !== 'number') {
+            const select = document.createElement('select');
+            const multiple = ['in', 'notIn'].includes(rule.operator);
+            select.multiple = multiple;
+            I18n.setAttribute(select, 'aria-label', 'Value');
+            QueryBuilder.addOptions(select, [
+                ...(multiple ? [] : [['', I18n.t('Choose a value')]]),
+                ...field.values.map(value => [value, value])
+            ]);
+            const selected = [].concat(rule.value).map(String);
+            [...select.options].forEach(option => {
+                option.selected = selected.includes(option.value);
+            });
+            select.addEventListener('change', () => {
+                this.updateValue(rule, multiple ? [...select.selectedOptions].map(option => option.value) : select.value);
+            });
+            row.appendChild(select);
+            return;
+        }
+
+        // Typed lists are comma separated
+        const text = input(Array.isArray(rule.value) ? rule.value.join(', ') : rule.value, 'Value');
+        text.addEventListener('change', () => {
+            this.updateValue(rule, ['in', 'notIn'].includes(rule.operator)
+                ? text.value.split(',').map(value => value.trim()).filter(Boolean)
+                : text.value);
+        });
+        row.appendChild(text);
+    }
+
+    // Value edits only refresh the preview, so the input being typed in keeps its focus
+    updateValue(rule, value) {
+        rule.value = value;
+        this.elements.preview.textContent = FRAQuery.describe(this.query);
+    }
+
+    removeButton(group, node) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary query-remove';
+        button.textContent = '✕';
+        I18n.setAttribute(button, 'title', 'Remove');
+        I18n.setAttribute(button, 'aria-label', 'Remove');
+        button.addEventListener('click', () => {
+            group.rules.splice(group.rules.indexOf(node), 1);
+            this.render();
+        });
+        return button;
+    }
+
+    fieldType(key) {
+        const field = this.fields.find(f => f.key === key);
+        return field ? field.type : 'text';
+    }
+
+    savedQueries() {
+        // Private browsing or a full quota can make storage unavailable
+        try {
+            return JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeSaved(queries) {
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(queries));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not save queries:', error);
+            return false;
+        }
+    }
+
+    renderSaved() {
+        const names = Object.keys(this.savedQueries()).sort();
+        this.elements.savedList.innerHTML = '';
+        QueryBuilder.addOptions(this.elements.savedList, [['', I18n.t('Saved queries')], ...names.map(name => [name, name])]);
+    }
+
+    save() {
+        const name = this.elements.name.value.trim();
+        if (!name) {
+            this.setStatus(I18n.t('Enter a name for the query.'));
+            return;
+        }
+        if (FRAQuery.isEmpty(this.query)) {
+            this.setStatus(I18n.t('Add a condition before saving.'));
+            return;
+        }
+
+        const queries = this.savedQueries();
+        queries[name] = this.query;
+        if (this.writeSaved(queries)) {
+            this.renderSaved();
+            this.elements.savedList.value = name;
+            this.elements.name.value = '';
+            this.setStatus(I18n.t('Saved "{name}".', { name }));
+        }
+    }
+
+    loadSaved() {
+        const name = this.elements.savedList.value;
+        const query = name && FRAQuery.decode(this.savedQueries()[name]);
+        if (!query) return;
+
+        this.setQuery(query);
+        this.render();
+        this.setStatus(I18n.t('Loaded "{name}".', { name }));
+    }
+
+    deleteSaved() {
+        const name = this.elements.savedList.value;
+        if (!name) return;
+
+        const queries = this.savedQueries();
+        delete queries[name];
+        if (this.writeSaved(queries)) {
+            this.renderSaved();
+            this.setStatus(I18n.t('Deleted "{name}".', { name }));
+        }
+    }
+
+    // Data values go in as text, never as markup
+    static addOptions(select, entries) {
+        entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+}
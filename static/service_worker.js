@@ -0,0 +1,59 @@
+/**
+ * Vanachitra.AI - Offline Service Worker
+ * Serves the viewer pages and scripts from cache when the network is gone, and map tiles from the field-download cache
+ */
+
+const SHELL_CACHE = 'vanachitra-shell-v1';
+// Filled by OfflineStore when an area is downloaded; never written from here
+const TILE_CACHE = 'vanachitra-tiles';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('vanachitra-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // Claim data goes through the IndexedDB store, which knows what area and age it covers
+    if (sameOrigin && url.pathname.startsWith('/api/')) return;
+
+    // Cross-origin images are map tiles; only downloaded ones are cached, the rest pass through
+    if (!sameOrigin && request.destination === 'image') {
+        event.respondWith(caches.open(TILE_CACHE)
+            .then(cache => cache.match(request.url))
+            .then(cached => cached || fetch(request)));
+        return;
+    }
+
+    // Pages, scripts and the versioned Leaflet build: fresh when online, last copy when not
+    if (sameOrigin || url.hostname === 'unpkg.com') {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
@@ -0,0 +1,453 @@
+/**
+ * Vanachitra.AI - Spatial File Import
+ * Parses GeoJSON, KML/KMZ, zipped ESRI Shapefiles and lat/lon CSV files into GeoJSON in the browser
+ */
+
+class SpatialImporter {
+    // Resolves to [{ name, collection }]; a zip may hold several shapefile layers
+    static async parseFile(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        const basename = file.name.replace(/\.[^.]+$/, '');
+
+        switch (extension) {
+        case 'geojson':
+        case 'json':
+            return [{ name: basename, collection: SpatialImporter.parseGeoJSON(await file.text()) }];
+        case 'kml':
+            return [{ name: basename, collection: SpatialImporter.parseKML(await file.text()) }];
+        case 'csv':
+        case 'tsv':
+        case 'txt':
+            return [{ name: basename, collection: SpatialImporter.parseCSV(await file.text()) }];
+        case 'zip':
+        case 'kmz':
+            return SpatialImporter.parseZip(await file.arrayBuffer(), basename);
+        case 'shp':
+        case 'dbf':
+        case 'shx':
+        case 'prj':
+            throw new Error(I18n.t('Shapefiles must be dropped as one .zip holding the .shp, .dbf and .prj files'));
+        default:
+            throw new Error(I18n.t('Unsupported file type ".{extension}"', { extension }));
+        }
+    }
+
+    // Common checks on the parsed result, with the reason when a file is unusable
+    static finish(features) {
+        const usable = features.filter(feature => feature.geometry);
+        if (usable.length === 0) {
+            throw new Error(I18n.t('No features with geometry found'));
+        }
+
+        const bbox = usable.reduce((box, feature) => {
+            const featureBox = SpatialIndex.featureBBox(feature);
+            return featureBox ? SpatialIndex.extend(box, featureBox) : box;
+        }, { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+        if (bbox.minX < -180 || bbox.maxX > 180 || bbox.minY < -90 || bbox.maxY > 90) {
+            throw new Error(I18n.t('Coordinates are not WGS84 longitude/latitude; reproject to EPSG:4326 first'));
+        }
+
+        return { type: 'FeatureCollection', features: usable };
+    }
+
+    // ---- GeoJSON ----
+
+    static parseGeoJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(I18n.t('Invalid JSON: {reason}', { reason: error.message }));
+        }
+
+        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+            return SpatialImporter.finish(data.features);
+        }
+        if (data && data.type === 'Feature') {
+            return SpatialImporter.finish([data]);
+        }
+        if (data && SpatialImporter.GEOMETRY_TYPES.includes(data.type)) {
+            return SpatialImporter.finish([{ type: 'Feature', properties: {}, geometry: data }]);
+        }
+
+        throw new Error(I18n.t('Not a GeoJSON FeatureCollection, Feature or geometry'));
+    }
+
+    // ---- KML ----
+
+    static parseKML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(I18n.t('Invalid KML: the XML is not well-formed'));
+        }
+
+        const features = Array.from(doc.getElementsByTagName('Placemark')).map(placemark => {
+            const properties = {};
+            const name = SpatialImporter.childText(placemark, 'name');
+            const description = SpatialImporter.childText(placemark, 'description');
+            if (name) properties.name = name;
+            if (description) properties.description = description;
+
+            Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+                properties[data.getAttribute('name')] = SpatialImporter.typedValue(SpatialImporter.childText(data, 'value'));
+            });
+            Array.from(placemark.getElementsByTagName('SimpleData')).forEach(data => {
+                properties[data.getAttribute('name')] = SpatialImporter.typedValue(data.textContent.trim());
+            });
+
+            const geometryNode = Array.from(placemark.children)
+                .find(child => SpatialImporter.KML_GEOMETRIES.includes(child.localName));
+
+            return {
+                type: 'Feature',
+                properties,
+                geometry: geometryNode ? SpatialImporter.kmlGeometry(geometryNode) : null
+            };
+        });
+
+        return SpatialImporter.finish(features);
+    }
+
+    static kmlGeometry(node) {
+        const coordinates = (parent) => {
+            const element = parent.getElementsByTagName('coordinates')[0];
+            if (!element) return [];
+            return element.textContent.trim().split(/\s+/)
+                .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+                .filter(point => point.length === 2 && point.every(isFinite));
+        };
+
+        switch (node.localName) {
+        case 'Point':
+            return { type: 'Point', coordinates: coordinates(node)[0] };
+        case 'LineString':
+            return { type: 'LineString', coordinates: coordinates(node) };
+        case 'LinearRing':
+            return { type: 'Polygon', coordinates: [coordinates(node)] };
+        case 'Polygon': {
+            const ring = (tag) => Array.from(node.getElementsByTagName(tag)).map(boundary => coordinates(boundary));
+            return { type: 'Polygon', coordinates: [...ring('outerBoundaryIs'), ...ring('innerBoundaryIs')] };
+        }
+        case 'MultiGeometry': {
+            const parts = Array.from(node.children)
+                .filter(child => SpatialImporter.KML_GEOMETRIES.includes(child.localName))
+                .map(child => SpatialImporter.kmlGeometry(child));
+            const types = new Set(parts.map(part => part.type));
+
+            // Collapse homogeneous collections into their Multi* form
+            if (types.size === 1 && ['Point', 'LineString', 'Polygon'].includes(parts[0].type)) {
+                return { type: `Multi${parts[0].type}`, coordinates: parts.map(part => part.coordinates) };
+            }
+            return { type: 'GeometryCollection', geometries: parts };
+        }
+        default:
+            return null;
+        }
+    }
+
+    static childText(node, tag) {
+        const child = Array.from(node.children).find(c => c.localName === tag);
+        return child ? child.textContent.trim() : '';
+    }
+
+    // ---- CSV ----
+
+    static parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(d => ({ d, count: firstLine.split(d).length }))
+            .sort((a, b) => b.count - a.count)[0].d;
+
+        const rows = SpatialImporter.csvRows(content, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length < 2) {
+            throw new Error(I18n.t('CSV has no data rows'));
+        }
+
+        const header = rows[0].map(cell => cell.trim());
+        const column = (names) => header.findIndex(h => names.includes(h.toLowerCase()));
+        const latIndex = column(SpatialImporter.LAT_COLUMNS);
+        const lonIndex = column(SpatialImporter.LON_COLUMNS);
+
+        if (latIndex < 0 || lonIndex < 0) {
+            throw new Error(I18n.t('No latitude/longitude columns found (expected e.g. "lat" and "lon", got: {columns})', { columns: header.join(', ') }));
+        }
+
+        let skipped = 0;
+        const features = rows.slice(1).map(row => {
+            const lat = parseFloat(row[latIndex]);
+            const lon = parseFloat(row[lonIndex]);
+            if (!isFinite(lat) || !isFinite(lon)) {
+                skipped++;
+                return null;
+            }
+
+            const properties = {};
+            header.forEach((key, i) => {
+                if (i !== latIndex && i !== lonIndex && key) {
+                    properties[key] = SpatialImporter.typedValue(row[i]);
+                }
+            });
+
+            return { type: 'Feature', properties, geometry: { type: 'Point', coordinates: [lon, lat] } };
+        }).filter(Boolean);
+
+        if (skipped > 0) {
+            console.warn(`⚠️ Skipped ${skipped} CSV rows without valid coordinates`);
+        }
+
+        return SpatialImporter.finish(features);
+    }
+
+    // RFC 4180 rows: quoted fields may hold delimiters, doubled quotes and line breaks
+    static csvRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    static typedValue(value) {
+        if (value === undefined || value === null) return null;
+
+        const text = String(value).trim();
+        if (text === '') return null;
+        return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+    }
+
+    // ---- Zipped Shapefile / KMZ ----
+
+    static async parseZip(buffer, basename) {
+        const zip = new ZipReader(buffer);
+        const byExtension = (entryName, extension) => entryName.toLowerCase().endsWith(extension);
+        const shpEntries = zip.entries.filter(entry => byExtension(entry.name, '.shp'));
+
+        if (shpEntries.length === 0) {
+            const kml = zip.find(entry => byExtension(entry.name, '.kml'));
+            if (kml) {
+                return [{ name: basename, collection: SpatialImporter.parseKML(await zip.readText(kml)) }];
+            }
+            throw new Error(I18n.t('ZIP contains no .shp or .kml file'));
+        }
+
+        const layers = [];
+        for (const shpEntry of shpEntries) {
+            const stem = shpEntry.name.slice(0, -4);
+            const sidecar = (extension) => zip.find(entry => entry.name.toLowerCase() === `${stem}${extension}`.toLowerCase());
+            const layerName = shpEntries.length > 1 ? stem.split('/').pop() : basename;
+
+            const prjEntry = sidecar('.prj');
+            if (prjEntry) {
+                const prj = await zip.readText(prjEntry);
+                if (/^\s*PROJCS/i.test(prj)) {
+                    const projection = (prj.match(/PROJCS\["([^"]+)"/) || [])[1] || 'unknown';
+                    throw new Error(I18n.t('{layer}: projected coordinate system "{projection}"; reproject to EPSG:4326 first', { layer: layerName, projection }));
+                }
+            }
+
+            const cpgEntry = sidecar('.cpg');
+            const encoding = cpgEntry ? (await zip.readText(cpgEntry)).trim() : 'utf-8';
+            const dbfEntry = sidecar('.dbf');
+
+            const geometries = SpatialImporter.readShp(await zip.read(shpEntry));
+            const records = dbfEntry ? SpatialImporter.readDbf(await zip.read(dbfEntry), encoding) : [];
+
+            const features = geometries.map((geometry, i) => ({
+                type: 'Feature',
+                properties: records[i] || {},
+                geometry
+            }));
+
+            layers.push({ name: layerName, collection: SpatialImporter.finish(features) });
+        }
+
+        return layers;
+    }
+
+    static readShp(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 100 || view.getInt32(0) !== 9994) {
+            throw new Error(I18n.t('Invalid .shp file header'));
+        }
+
+        const geometries = [];
+        let offset = 100;
+
+        while (offset + 8 <= bytes.length) {
+            const contentLength = view.getInt32(offset + 4) * 2;
+            const at = offset + 8;
+            offset = at + contentLength;
+
+            const shapeType = view.getInt32(at, true);
+            const point = (i) => [view.getFloat64(i, true), view.getFloat64(i + 8, true)];
+
+            // Z and M variants share the XY layout of their base type
+            switch (shapeType % 10) {
+            case 0:
+                geometries.push(null);
+                break;
+            case 1:
+                geometries.push({ type: 'Point', coordinates: point(at + 4) });
+                break;
+            case 8: {
+                const count = view.getInt32(at + 36, true);
+                const points = Array.from({ length: count }, (_, i) => point(at + 40 + i * 16));
+                geometries.push({ type: 'MultiPoint', coordinates: points });
+                break;
+            }
+            case 3:
+            case 5: {
+                const partCount = view.getInt32(at + 36, true);
+                const pointCount = view.getInt32(at + 40, true);
+                const starts = Array.from({ length: partCount }, (_, i) => view.getInt32(at + 44 + i * 4, true));
+                const pointsAt = at + 44 + partCount * 4;
+                const parts = starts.map((start, i) => {
+                    const stop = i + 1 < partCount ? starts[i + 1] : pointCount;
+                    return Array.from({ length: stop - start }, (_, j) => point(pointsAt + (start + j) * 16));
+                });
+
+                if (shapeType % 10 === 3) {
+                    geometries.push(parts.length === 1
+                        ? { type: 'LineString', coordinates: parts[0] }
+                        : { type: 'MultiLineString', coordinates: parts });
+                } else {
+                    geometries.push(SpatialImporter.assemblePolygon(parts));
+                }
+                break;
+            }
+            default:
+                throw new Error(I18n.t('Unsupported shapefile geometry type {type}', { type: shapeType }));
+            }
+        }
+
+        return geometries;
+    }
+
+    // Shapefile outer rings run clockwise and holes counter-clockwise; holes follow their outer ring
+    static assemblePolygon(rings) {
+        const polygons = [];
+
+        rings.forEach(ring => {
+            const isHole = GeoUtils.ringArea(ring) > 0;
+            const owner = isHole
+                ? polygons.find(polygon => GeoUtils.pointInRing(ring[0], polygon[0]))
+                : null;
+
+            if (owner) {
+                owner.push(ring);
+            } else {
+                polygons.push([ring]);
+            }
+        });
+
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    }
+
+    static readDbf(bytes, encoding) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = view.getUint32(4, true);
+        const headerLength = view.getUint16(8, true);
+        const recordLength = view.getUint16(10, true);
+
+        let decoder;
+        try {
+            decoder = new TextDecoder(encoding);
+        } catch (error) {
+            decoder = new TextDecoder('utf-8');
+        }
+
+        const fields = [];
+        for (let at = 32; at < headerLength - 1 && bytes[at] !== 0x0d; at += 32) {
+            const nameBytes = bytes.subarray(at, at + 11);
+            const nameEnd = nameBytes.indexOf(0);
+            fields.push({
+                name: new TextDecoder().decode(nameBytes.subarray(0, nameEnd < 0 ? 11 : nameEnd)),
+                type: String.fromCharCode(bytes[at + 11]),
+                length: bytes[at + 16]
+            });
+        }
+
+        const records = [];
+        for (let r = 0; r < count; r++) {
+            let at = headerLength + r * recordLength + 1;
+            const properties = {};
+
+            fields.forEach(field => {
+                const raw = decoder.decode(bytes.subarray(at, at + field.length)).trim();
+                at += field.length;
+                properties[field.name] = SpatialImporter.dbfValue(field.type, raw);
+            });
+
+            records.push(properties);
+        }
+
+        return records;
+    }
+
+    static dbfValue(type, raw) {
+        if (raw === '' || /^\*+$/.test(raw)) return null;
+
+        switch (type) {
+        case 'N':
+        case 'F': {
+            const number = parseFloat(raw);
+            return isNaN(number) ? null : number;
+        }
+        case 'L':
+            if ('TtYy'.includes(raw)) return true;
+            if ('FfNn'.includes(raw)) return false;
+            return null;
+        case 'D':
+            return /^\d{8}$/.test(raw) ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}` : raw;
+        default:
+            return raw;
+        }
+    }
+}
+
+SpatialImporter.GEOMETRY_TYPES = [
+    'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'
+];
+
+SpatialImporter.KML_GEOMETRIES = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'];
+
+// Header names recognized as coordinate columns in CSV files (compared lower-case)
+SpatialImporter.LAT_COLUMNS = ['lat', 'latitude', 'y', 'centroid_lat', 'gps_lat', 'lat_dd'];
+SpatialImporter.LON_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x', 'centroid_lon', 'gps_lon', 'gps_lng', 'lon_dd'];
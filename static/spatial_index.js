@@ -0,0 +1,148 @@
+/**
+ * Vanachitra.AI - Client-side Spatial Index
+ * Static R-tree bulk-loaded with Sort-Tile-Recursive packing for fast bbox queries
+ */
+
+class SpatialIndex {
+    constructor(nodeSize = 16) {
+        this.nodeSize = Math.max(4, nodeSize);
+        this.clear();
+    }
+
+    clear() {
+        this.root = null;
+        this.size = 0;
+        return this;
+    }
+
+    // items: [{ minX, minY, maxX, maxY, data }]
+    load(items) {
+        this.clear();
+        const entries = items.filter(item => item && isFinite(item.minX) && isFinite(item.minY));
+        this.size = entries.length;
+
+        if (entries.length === 0) return this;
+
+        // Pack leaves into nodes level by level until a single root remains
+        let level = entries;
+        do {
+            level = this.packLevel(level);
+        } while (level.length > 1);
+
+        this.root = level[0];
+        return this;
+    }
+
+    loadFeatures(features) {
+        return this.load((features || []).map(feature => {
+            const bbox = SpatialIndex.featureBBox(feature);
+            return bbox ? { ...bbox, data: feature } : null;
+        }));
+    }
+
+    packLevel(nodes) {
+        // Sort-Tile-Recursive: cut into vertical slices by x, then group each slice by y
+        const parentCount = Math.ceil(nodes.length / this.nodeSize);
+        const sliceSize = Math.ceil(Math.sqrt(parentCount)) * this.nodeSize;
+        const centerX = node => node.minX + node.maxX;
+        const centerY = node => node.minY + node.maxY;
+
+        const sorted = nodes.slice().sort((a, b) => centerX(a) - centerX(b));
+        const parents = [];
+
+        for (let i = 0; i < sorted.length; i += sliceSize) {
+            const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+            for (let j = 0; j < slice.length; j += this.nodeSize) {
+                parents.push(SpatialIndex.makeNode(slice.slice(j, j + this.nodeSize)));
+            }
+        }
+
+        return parents;
+    }
+
+    // bbox: { minX, minY, maxX, maxY }; returns the data of every intersecting entry
+    search(bbox) {
+        const results = [];
+        if (!this.root || !SpatialIndex.intersects(this.root, bbox)) return results;
+
+        const stack = [this.root];
+        while (stack.length) {
+            const node = stack.pop();
+            if (!node.children) {
+                results.push(node.data);
+                continue;
+            }
+
+            node.children.forEach(child => {
+                if (SpatialIndex.intersects(child, bbox)) {
+                    stack.push(child);
+                }
+            });
+        }
+
+        return results;
+    }
+
+    all() {
+        return this.root ? this.search(this.root) : [];
+    }
+
+    getExtent() {
+        return this.root ? {
+            minX: this.root.minX,
+            minY: this.root.minY,
+            maxX: this.root.maxX,
+            maxY: this.root.maxY
+        } : null;
+    }
+
+    static makeNode(children) {
+        const node = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, children };
+        children.forEach(child => SpatialIndex.extend(node, child));
+        return node;
+    }
+
+    static extend(target, bbox) {
+        target.minX = Math.min(target.minX, bbox.minX);
+        target.minY = Math.min(target.minY, bbox.minY);
+        target.maxX = Math.max(target.maxX, bbox.maxX);
+        target.maxY = Math.max(target.maxY, bbox.maxY);
+        return target;
+    }
+
+    static intersects(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+
+    // Bounding box of any GeoJSON feature or geometry in lon/lat
+    static featureBBox(feature) {
+        const geometry = feature && feature.type === 'Feature' ? feature.geometry : feature;
+        if (!geometry) return null;
+
+        const bbox = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        const visit = (coords) => {
+            if (typeof coords[0] === 'number') {
+                SpatialIndex.extend(bbox, { minX: coords[0], minY: coords[1], maxX: coords[0], maxY: coords[1] });
+            } else {
+                coords.forEach(visit);
+            }
+        };
+
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(g => visit(g.coordinates));
+        } else if (geometry.coordinates) {
+            visit(geometry.coordinates);
+        }
+
+        return isFinite(bbox.minX) ? bbox : null;
+    }
+
+    static fromLatLngBounds(bounds) {
+        return {
+            minX: bounds.getWest(),
+            minY: bounds.getSouth(),
+            maxX: bounds.getEast(),
+            maxY: bounds.getNorth()
+        };
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * Vanachitra.AI - Submission Time Slider
+ * Map control that steps through claim submission dates with play/pause and a status-as-of colouring toggle
+ */
+
+class TimeSlider {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            position: 'bottomleft',
+            interval: 800,              // ms between steps while playing
+            onChange: null,             // (slider) => void, whenever the window or colouring changes
+            ...options
+        };
+        this.enabled = false;
+        this.colorByStatus = false;
+        this.playing = false;
+        this.step = 'month';
+        this.start = null;
+        this.end = null;
+        this.date = null;
+        this.timer = null;
+
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+        this.control.addTo(this.map);
+    }
+
+    createContainer() {
+        const container = L.DomUtil.create('div', 'time-slider');
+        container.innerHTML = `
+            <div class="time-slider-header">
+                <label><input type="checkbox" class="time-slider-enable"> <span data-i18n>🕒 Timeline</span></label>
+                <span class="time-slider-date">-</span>
+            </div>
+            <input type="range" class="time-slider-range" min="0" max="0" step="1" value="0" disabled>
+            <div class="time-slider-controls">
+                <button type="button" class="time-slider-play" title="Play" data-i18n-title disabled>▶️</button>
+                <select class="time-slider-step" title="Step" data-i18n-title>
+                    ${Object.entries(TimeSlider.STEPS).map(([key, step]) =>
+                        `<option value="${key}"${key === this.step ? ' selected' : ''} data-i18n>${step.label}</option>`).join('')}
+                </select>
+                <label><input type="checkbox" class="time-slider-status"> <span data-i18n>Status as of date</span></label>
+            </div>
+            <div class="time-slider-legend" style="display: none;">
+                ${Object.entries(FRAClaimSchema.STATUSES).map(([key, status]) =>
+                    `<span><i style="background: ${status.color};"></i><span data-i18n>${status.name}</span></span>`).join('')}
+            </div>
+        `;
+        I18n.translate(container);
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.elements = {
+            enable: container.querySelector('.time-slider-enable'),
+            date: container.querySelector('.time-slider-date'),
+            range: container.querySelector('.time-slider-range'),
+            play: container.querySelector('.time-slider-play'),
+            step: container.querySelector('.time-slider-step'),
+            status: container.querySelector('.time-slider-status'),
+            legend: container.querySelector('.time-slider-legend')
+        };
+
+        this.elements.enable.addEventListener('change', (e) => this.setEnabled(e.target.checked));
+        this.elements.range.addEventListener('input', (e) => {
+            this.pause();
+            this.setDate(TimeSlider.addDays(this.start, parseInt(e.target.value, 10)));
+        });
+        this.elements.play.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+        this.elements.step.addEventListener('change', (e) => {
+            this.step = e.target.value;
+        });
+        this.elements.status.addEventListener('change', (e) => {
+            this.colorByStatus = e.target.checked;
+            this.elements.legend.style.display = this.colorByStatus ? 'flex' : 'none';
+            this.emitChange();
+        });
+
+        return container;
+    }
+
+    // Spans the slider over the given 'YYYY-MM-DD' dates
+    setRange(dates) {
+        const valid = dates.filter(date => TimeSlider.parseDate(date)).sort();
+        if (valid.length === 0) return;
+
+        this.start = TimeSlider.parseDate(valid[0]);
+        this.end = TimeSlider.parseDate(valid[valid.length - 1]);
+        // Keep a running timeline where it is; otherwise the window stays fully open
+        this.date = this.enabled && this.date
+            ? new Date(Math.min(Math.max(this.date.getTime(), this.start.getTime()), this.end.getTime()))
+            : this.end;
+
+        this.elements.range.max = TimeSlider.daysBetween(this.start, this.end);
+        this.updateDisplay();
+    }
+
+    setEnabled(enabled) {
+        if (!this.start) return;
+
+        this.enabled = enabled;
+        this.elements.enable.checked = enabled;
+        this.elements.range.disabled = !enabled;
+        this.elements.play.disabled = !enabled;
+        if (!enabled) {
+            this.pause();
+        }
+        this.emitChange();
+    }
+
+    setDate(date) {
+        const clamped = new Date(Math.min(Math.max(date.getTime(), this.start.getTime()), this.end.getTime()));
+        this.date = clamped;
+        this.updateDisplay();
+        this.emitChange();
+    }
+
+    play() {
+        if (!this.start) return;
+        if (!this.enabled) {
+            this.setEnabled(true);
+        }
+
+        // Playing from the end starts over
+        if (this.date.getTime() >= this.end.getTime()) {
+            this.setDate(this.start);
+        }
+
+        this.playing = true;
+        this.elements.play.textContent = '⏸️';
+        I18n.setAttribute(this.elements.play, 'title', 'Pause');
+        this.timer = setInterval(() => this.advance(), this.options.interval);
+    }
+
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.playing = false;
+        this.elements.play.textContent = '▶️';
+        I18n.setAttribute(this.elements.play, 'title', 'Play');
+    }
+
+    advance() {
+        const next = TimeSlider.STEPS[this.step].next(this.date);
+        if (next.getTime() >= this.end.getTime()) {
+            this.setDate(this.end);
+            this.pause();
+        } else {
+            this.setDate(next);
+        }
+    }
+
+    // Also called after a language switch; nothing to show before setRange
+    updateDisplay() {
+        if (!this.date) return;
+
+        this.elements.range.value = TimeSlider.daysBetween(this.start, this.date);
+        this.elements.date.textContent = I18n.date(this.date);
+    }
+
+    emitChange() {
+        if (this.options.onChange) {
+            this.options.onChange(this);
+        }
+    }
+
+    isoDate() {
+        return this.date ? this.date.toISOString().slice(0, 10) : null;
+    }
+
+    // Undated features (land use, water bodies) are never hidden by the timeline
+    includes(record) {
+        return !this.enabled || !record.submissionDate || record.submissionDate <= this.isoDate();
+    }
+
+    statusOf(record) {
+        return this.enabled ? FRAClaimSchema.statusAsOf(record, this.isoDate()) : record.status;
+    }
+
+    // Colour to draw a claim in, or null when the regular type styling applies
+    colorOf(record) {
+        if (!this.enabled || !this.colorByStatus || record.kind !== 'claim') return null;
+        return FRAClaimSchema.statusColor(this.statusOf(record));
+    }
+
+    // Status colours for printed legends while claims are drawn by status
+    legendSection() {
+        if (!this.enabled || !this.colorByStatus) return null;
+        return {
+            title: I18n.t('Status as of {date}', { date: this.elements.date.textContent }),
+            items: Object.entries(FRAClaimSchema.STATUSES).map(([key, status]) => ({ label: I18n.statusName(key), fill: status.color }))
+        };
+    }
+
+    static parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+        return match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+    }
+
+    static addDays(date, days) {
+        return new Date(date.getTime() + days * 86400000);
+    }
+
+    static addMonths(date, months) {
+        const next = new Date(date.getTime());
+        next.setUTCMonth(next.getUTCMonth() + months);
+        return next;
+    }
+
+    static daysBetween(a, b) {
+        return Math.round((b.getTime() - a.getTime()) / 86400000);
+    }
+}
+
+TimeSlider.STEPS = {
+    week: { label: 'Week', next: date => TimeSlider.addDays(date, 7) },
+    month: { label: 'Month', next: date => TimeSlider.addMonths(date, 1) },
+    quarter: { label: 'Quarter', next: date => TimeSlider.addMonths(date, 3) }
+};
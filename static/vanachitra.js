@@ -23,19 +23,76 @@ class VanachitraFRAViewer {
             Agriculture: { color: '#2ECC71', fillColor: '#27AE60', fillOpacity: 0.7 },
             'Water Body': { color: '#3498DB', fillColor: '#2980B9', fillOpacity: 0.8 }
         };
-        this.hierarchyVisible = true;
+        // Canonical type -> layer key, bottom-to-top draw order (CFR under everything)
+        this.layerKeys = {
+            CFR: 'cfr',
+            IFR: 'ifr',
+            CR: 'cr',
+            Agriculture: 'agriculture',
+            'Water Body': 'waterBody'
+        };
+        this.layerOrder = ['CFR', 'Agriculture', 'Water Body', 'CR', 'IFR'];
+        this.schema = new FRAClaimSchema();
+        this.renderer = null;
+        this.overlayControl = null;
+        this.hierarchy = new FRAHierarchy(this.schema);
+        this.hierarchyLayer = null;
+        this.hierarchyVisible = false;
+        this.overlaps = new FRAOverlaps(this.schema);
+        this.overlapReport = null;
+        this.overlapsVisible = false;
+        this.relations = null;
+        this.detailPanel = null;
+        this.claimEditor = null;
+        this.editingFeature = null;
+        this.cfrIndex = new SpatialIndex();
+        this.exporter = new FRAExporter(this.schema, { styles: this.colors });
+        this.overlayImporter = null;
+        this.search = new FRASearch(this.schema);
+        this.searchResults = [];
+        this.searchActive = -1;
+        this.baseLayers = {};
+        this.timeSlider = null;
+        this.choropleth = null;
+        this.clusters = null;
+        this.heatmap = null;
+        this.measureTool = null;
+        this.offlineStore = new OfflineStore('vanachitra');
+        this.offlinePanel = null;
+        this.printComposer = null;
+        this.featureNavigator = null;
+        this.featureTable = null;
+        this.appliedFilters = {};
+        this.attributeQuery = null;
+        this.queryBuilder = null;
+        this.selection = null;
+        this.permalink = new Permalink({
+            getState: () => this.getPermalinkState(),
+            applyState: (state) => this.restorePermalink(state)
+        });
         this.labelsVisible = false;
         
         this.init();
     }
 
     async init() {
+        I18n.init();
         this.showLoading(true);
         await this.initMap();
         await this.loadFRAData();
+        this.setupClaimEditor();
+        this.setupOverlayImport();
+        this.setupSearch();
+        this.setupDetailPanel();
+        this.setupPrint();
+        this.setupAccessibility();
+        this.setupQueryBuilder();
+        this.setupSelection();
+        this.setupLanguage();
         this.setupEventListeners();
         this.setupFilters();
         this.updateStatistics();
+        this.setupPermalink();
         this.showLoading(false);
         
         console.log('🌳 Vanachitra.AI initialized successfully!');
@@ -76,13 +133,13 @@ class VanachitraFRAViewer {
         satelliteLayer.addTo(this.map);
 
         // Layer control
-        const baseLayers = {
+        this.baseLayers = {
             "🛰️ Satellite": satelliteLayer,
             "🗺️ Topographic": topoLayer,
             "🏘️ Street Map": streetLayer
         };
 
-        L.control.layers(baseLayers, null, {
+        L.control.layers(this.baseLayers, null, {
             position: 'topleft',
             collapsed: false
         }).addTo(this.map);
@@ -93,165 +150,232 @@ class VanachitraFRAViewer {
             metric: true,
             imperial: false
         }).addTo(this.map);
+
+        // Submission timeline; its range is set once the claims are loaded
+        this.timeSlider = new TimeSlider(this.map, {
+            position: 'bottomleft',
+            onChange: () => this.onTimeChange()
+        });
+
+        // Regional roll-up standing in for the claims at low zooms
+        this.choropleth = new FRAChoropleth(this.map, this.schema, {
+            position: 'bottomright',
+            onModeChange: () => this.updateFeaturePanes(),
+            onToggle: (enabled) => {
+                if (enabled) this.clusters.setEnabled(false);
+            }
+        });
+
+        // Or centroid bubbles, the other stand-in; switching one on switches the other off
+        this.clusters = new ClaimClusters(this.map, this.schema, {
+            position: 'bottomright',
+            featureZoom: this.choropleth.options.featureZoom,
+            typeColors: Object.fromEntries(Object.entries(this.colors).map(([type, style]) => [type, style.fillColor])),
+            onSelect: (feature) => {
+                this.featureNavigator.select(feature);
+                this.featureNavigator.open();
+            },
+            onModeChange: () => this.updateFeaturePanes(),
+            onToggle: (enabled) => {
+                if (enabled) this.choropleth.setEnabled(false);
+            }
+        });
+
+        // Where claims (or pending ones) concentrate; listed with the FRA overlays, off by default
+        this.heatmap = new ClaimHeatmap(this.map, this.schema);
+
+        // Distance/area measuring; a claim boundary being drawn is abandoned first
+        this.measureTool = new MeasureTool(this.map, {
+            position: 'topleft',
+            onStart: () => {
+                if (this.claimEditor && this.claimEditor.isActive()) {
+                    this.stopClaimEditing();
+                }
+                if (this.selection) {
+                    this.selection.stopTool();
+                }
+            }
+        });
+
+        // Field downloads: the shown base map's tiles plus the claims in view
+        this.offlinePanel = new OfflinePanel(this.map, this.offlineStore, {
+            position: 'topleft',
+            tileLayer: () => Object.values(this.baseLayers).find(layer => this.map.hasLayer(layer)),
+            collect: (bounds) => ({
+                fra: this.fraData ? OfflineStore.featuresIn(this.fraData.features, bounds) : []
+            })
+        });
+        OfflineStore.registerServiceWorker();
     }
 
     async loadFRAData() {
         try {
-            const response = await fetch('/api/vanachitra_fra_data');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            this.fraData = await response.json();
+            this.fraData = await this.fetchFRAData();
             this.filteredData = this.fraData;
-            
+            this.schema.normalizeAll(this.fraData.features);
+            this.schema.logReport('/api/vanachitra_fra_data');
+            this.indexCFRs();
+            this.search.build(this.fraData.features);
+            this.timeSlider.setRange(this.fraData.features.map(f => this.schema.claim(f).submissionDate));
+
+            this.createFRALayers();
             this.displayFRALayers();
             
             // Zoom to data bounds
-            if (this.fraData.features && this.fraData.features.length > 0) {
-                const group = new L.FeatureGroup();
-                this.fraData.features.forEach(feature => {
-                    if (feature.geometry) {
-                        group.addLayer(L.geoJSON(feature));
-                    }
-                });
-                
-                if (group.getLayers().length > 0) {
-                    this.map.fitBounds(group.getBounds(), { padding: [20, 20] });
-                }
+            const bounds = this.renderer.getBounds();
+            if (bounds) {
+                this.map.fitBounds(bounds, { padding: [20, 20] });
             }
             
         } catch (error) {
             console.error('❌ Error loading FRA data:', error);
-            this.showAlert('Failed to load FRA data. Please check the server connection.', 'error');
+            this.showAlert(I18n.t('Failed to load FRA data. Please check the server connection.'), 'error');
         }
     }
 
-    displayFRALayers() {
-        // Clear existing layers
-        Object.values(this.layers).forEach(layer => {
-            if (layer && this.map.hasLayer(layer)) {
-                this.map.removeLayer(layer);
+    // Falls back to the claims saved with offline areas when the server can't be reached
+    async fetchFRAData() {
+        try {
+            const response = await fetch('/api/vanachitra_fra_data');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
+            return await response.json();
+        } catch (error) {
+            const cached = await this.offlineStore.cachedData('fra').catch(() => null);
+            if (!cached) throw error;
+
+            console.warn('📴 Server unreachable, using offline claims:', error);
+            this.offlinePanel.showCached();
+            this.showAlert(I18n.t('Server unreachable - showing claims saved for offline use.'), 'error');
+            return cached;
+        }
+    }
+
+    createFRALayers() {
+        const presentTypes = new Set(this.fraData.features.map(f => this.schema.claim(f).type));
+
+        // One empty container per FRA type, each in its own pane so the hierarchy
+        // (CFR at bottom, others on top) holds no matter when features are materialized
+        this.layerOrder.forEach((type, i) => {
+            if (!presentTypes.has(type)) return;
+
+            const layerKey = this.layerKeys[type];
+            const pane = `fra-${layerKey}`;
+            this.map.createPane(pane).style.zIndex = 410 + i;
+
+            this.layers[layerKey] = L.geoJSON(null, {
+                pane,
+                // Markers default to the shared marker pane; keep point claims in their type's pane so
+                // they hide with the polygons when the choropleth or clusters stand in
+                pointToLayer: (feature, latlng) => L.marker(latlng, { pane, shadowPane: pane }),
+                style: (feature) => this.getFeatureStyle(feature),
+                onEachFeature: (feature, layer) => this.onEachFeature(feature, layer)
+            }).addTo(this.map);
         });
 
-        // Reset layers object
-        this.layers = {
-            cfr: null,
-            ifr: null,
-            cr: null,
-            agriculture: null,
-            waterBody: null
-        };
+        this.renderer = new ViewportRenderer(this.map, {
+            createLayer: (feature) => {
+                const group = this.layers[this.layerKeys[this.schema.claim(feature).type]];
+                return group ? ViewportRenderer.addToGeoJSON(group, feature) : null;
+            },
+            removeLayer: (feature, layer) => {
+                if (layer._labelMarker) {
+                    this.map.removeLayer(layer._labelMarker);
+                    delete layer._labelMarker;
+                }
+                if (this.currentFeature === layer) {
+                    this.currentFeature = null;
+                }
+                this.layers[this.layerKeys[this.schema.claim(feature).type]].removeLayer(layer);
+            }
+        });
 
+        // Add layer control for FRA layers
+        this.addFRALayerControl();
+    }
+
+    displayFRALayers() {
         if (!this.filteredData || !this.filteredData.features) {
             console.warn('⚠️ No FRA data to display');
             return;
         }
 
-        console.log(`Displaying ${this.filteredData.features.length} features`);
+        // Re-index the filtered set; only features near the viewport become Leaflet layers
+        this.renderer.setFeatures(this.filteredData.features);
+        this.choropleth.setFeatures(this.filteredData.features);
+        this.clusters.setFeatures(this.filteredData.features);
+        this.heatmap.setFeatures(this.filteredData.features);
+        console.log(`Indexed ${this.filteredData.features.length} features, rendering ${this.renderer.rendered.size} in view`);
 
-        // Group features by type - fix the field mapping
-        const featureGroups = {
-            'Community Forest Resource Rights': [],
-            'Individual Forest Rights': [],
-            'Community Rights': [],
-            'Agriculture': [],
-            'Water Body': []
-        };
-
-        this.filteredData.features.forEach(feature => {
-            const fraType = feature.properties.fra_type || feature.properties.feature_type;
-            if (featureGroups[fraType]) {
-                featureGroups[fraType].push(feature);
-            } else {
-                // Handle legacy data format
-                if (feature.properties.claim_type === 'CFR') {
-                    featureGroups['Community Forest Resource Rights'].push(feature);
-                } else if (feature.properties.claim_type === 'IFR') {
-                    featureGroups['Individual Forest Rights'].push(feature);
-                } else if (feature.properties.claim_type === 'CR') {
-                    featureGroups['Community Rights'].push(feature);
-                }
-            }
-        });
+        if (this.hierarchyVisible) {
+            this.updateHierarchy();
+        }
+        if (this.overlapsVisible) {
+            this.updateOverlaps();
+        }
+    }
 
-        // Create layers for each FRA type with proper hierarchy (CFR at bottom, others on top)
-        const layerMapping = {
-            'Community Forest Resource Rights': 'cfr',
-            'Individual Forest Rights': 'ifr', 
-            'Community Rights': 'cr',
-            'Agriculture': 'agriculture',
-            'Water Body': 'waterBody'
-        };
+    // Polygons show unless the choropleth or the clusters stand in for them at this zoom
+    updateFeaturePanes() {
+        this.setFeaturePanesVisible(this.choropleth.currentMode() === 'features' &&
+            (!this.clusters || this.clusters.currentMode() === 'features'));
+    }
 
-        const layerOrder = ['Community Forest Resource Rights', 'Agriculture', 'Water Body', 'Community Rights', 'Individual Forest Rights'];
-        
-        layerOrder.forEach(fraType => {
-            if (featureGroups[fraType].length > 0) {
-                const layerKey = layerMapping[fraType];
-                this.layers[layerKey] = L.geoJSON(featureGroups[fraType], {
-                    style: (feature) => this.getFeatureStyle(feature),
-                    onEachFeature: (feature, layer) => this.onEachFeature(feature, layer)
-                }).addTo(this.map);
-                
-                console.log(`Added ${fraType} layer with ${featureGroups[fraType].length} features`);
+    // Hides the feature panes rather than the layers, so layer toggles and permalinks are untouched
+    setFeaturePanesVisible(visible) {
+        Object.values(this.layerKeys).forEach(layerKey => {
+            const pane = this.map.getPane(`fra-${layerKey}`);
+            if (pane) {
+                pane.style.display = visible ? '' : 'none';
             }
         });
-
-        // Add layer control for FRA layers
-        this.addFRALayerControl();
     }
 
     getFeatureStyle(feature) {
-        const fraType = feature.properties.fra_type || feature.properties.feature_type;
-        let styleKey = fraType;
-        
-        // Map the actual data types to our color scheme
-        if (feature.properties.claim_type === 'CFR' || fraType === 'Community Forest Resource Rights') {
-            styleKey = 'CFR';
-        } else if (feature.properties.claim_type === 'IFR' || fraType === 'Individual Forest Rights') {
-            styleKey = 'IFR';
-        } else if (feature.properties.claim_type === 'CR' || fraType === 'Community Rights') {
-            styleKey = 'CR';
-        } else if (fraType === 'Agriculture') {
-            styleKey = 'Agriculture';
-        } else if (fraType === 'Water Body') {
-            styleKey = 'Water Body';
-        }
-
-        const baseStyle = this.colors[styleKey] || {
+        const claim = this.schema.claim(feature);
+
+        let baseStyle = this.colors[claim.type] || {
             color: '#333333',
             fillColor: '#666666',
             fillOpacity: 0.5
         };
 
+        // Timeline playback can colour claims by their status as of the slider date
+        const statusColor = this.timeSlider.colorOf(claim);
+        if (statusColor) {
+            baseStyle = { ...baseStyle, color: statusColor, fillColor: statusColor };
+        }
+
         return {
             ...baseStyle,
-            weight: styleKey === 'CFR' ? 3 : 2,
+            weight: claim.type === 'CFR' ? 3 : 2,
             opacity: 0.8,
-            dashArray: feature.properties.status === 'Pending' ? '5, 5' : null
+            dashArray: claim.status === 'pending' ? '5, 5' : null
         };
     }
 
     onEachFeature(feature, layer) {
-        // Create popup content
-        const props = feature.properties;
-        const popupContent = this.createPopupContent(props);
-        layer.bindPopup(popupContent, {
+        // Built on opening, so it is in whichever language is chosen by then
+        layer.bindPopup(() => this.createPopupContent(feature), {
             maxWidth: 400,
             className: 'custom-popup'
         });
+        this.measureTool.bindFeature(layer);
 
         // Add click event
         layer.on('click', (e) => {
+            if (this.selection.handleClick(e)) return;
+
             this.highlightFeature(e.target);
-            this.updateInfoPanel(props);
+            this.updateInfoPanel(feature);
+            this.featureNavigator.setCurrent(feature);
         });
 
         // Add hover events
         layer.on('mouseover', (e) => {
             const layer = e.target;
+            if (!layer.setStyle) return;
             layer.setStyle({
                 weight: 4,
                 opacity: 1,
@@ -261,95 +385,75 @@ class VanachitraFRAViewer {
 
         layer.on('mouseout', (e) => {
             const layer = e.target;
+            if (!layer.setStyle) return;
             layer.setStyle(this.getFeatureStyle(feature));
         });
 
         // Add label if enabled
         if (this.labelsVisible) {
-            this.addFeatureLabel(layer, props);
+            this.addFeatureLabel(layer);
         }
     }
 
-    createPopupContent(props) {
-        const statusIcon = {
-            'Approved': '✅',
-            'Pending': '⏳',
-            'Under Review': '🔄'
-        }[props.status] || '❓';
-
-        // Determine type and icon based on actual data structure
-        let fraType = props.fra_type || props.feature_type;
-        let fraId = props.claim_id || props.feature_id;
-        
-        const typeIcon = {
-            'Community Forest Resource Rights': '🌲',
-            'Individual Forest Rights': '🏠',
-            'Community Rights': '🤝',
-            'Agriculture': '🌾',
-            'Water Body': '💧'
-        }[fraType] || '📍';
-
-        // Handle legacy data
-        if (props.claim_type === 'CFR') {
-            fraType = 'Community Forest Resource Rights';
-        } else if (props.claim_type === 'IFR') {
-            fraType = 'Individual Forest Rights';  
-        } else if (props.claim_type === 'CR') {
-            fraType = 'Community Rights';
-        }
+    createPopupContent(feature) {
+        const claim = this.schema.claim(feature);
+        const props = claim.properties;
+        const statusIcon = FRAClaimSchema.statusIcon(claim.status);
+        const typeIcon = FRAClaimSchema.typeIcon(claim.type);
 
         return `
             <div class="popup-content">
-                <h4>${typeIcon} ${fraType}</h4>
+                <h4>${typeIcon} ${I18n.typeName(claim.type, claim.typeName)}</h4>
                 <div class="popup-row">
-                    <strong>ID:</strong> ${fraId}
+                    <strong>${I18n.t('ID:')}</strong> ${claim.id}
                 </div>
                 <div class="popup-row">
-                    <strong>Status:</strong> ${statusIcon} ${props.status || 'N/A'}
+                    <strong>${I18n.t('Status:')}</strong> ${statusIcon} ${I18n.statusName(claim.status, claim.statusName) || I18n.t('N/A')}
                 </div>
                 <div class="popup-row">
-                    <strong>Area:</strong> ${(props.area_claimed || props.area_hectares || 0).toFixed(2)} hectares
+                    <strong>${I18n.t('Area:')}</strong> ${I18n.t('{area} hectares', { area: I18n.fixed(claim.area, 2) })}
                 </div>
                 <div class="popup-row">
-                    <strong>Location:</strong> ${props.village}, ${props.district}, ${props.state}
+                    <strong>${I18n.t('Location:')}</strong> ${claim.village}, ${claim.district}, ${claim.state}
                 </div>
                 ${props.total_households ? `
                 <div class="popup-row">
-                    <strong>Households:</strong> ${props.total_households}
+                    <strong>${I18n.t('Households:')}</strong> ${I18n.number(props.total_households)}
                 </div>
                 ` : ''}
                 ${props.beneficiary_households ? `
                 <div class="popup-row">
-                    <strong>Beneficiaries:</strong> ${props.beneficiary_households}
+                    <strong>${I18n.t('Beneficiaries:')}</strong> ${I18n.number(props.beneficiary_households)}
                 </div>
                 ` : ''}
-                ${props.household_head ? `
+                ${claim.householdHead ? `
                 <div class="popup-row">
-                    <strong>Household Head:</strong> ${props.household_head}
+                    <strong>${I18n.t('Household Head:')}</strong> ${claim.householdHead}
                 </div>
                 ` : ''}
-                ${props.gram_sabha ? `
+                ${claim.gramSabha ? `
                 <div class="popup-row">
-                    <strong>Gram Sabha:</strong> ${props.gram_sabha}
+                    <strong>${I18n.t('Gram Sabha:')}</strong> ${claim.gramSabha}
                 </div>
                 ` : ''}
-                ${props.tribal_community ? `
+                ${claim.tribalCommunity ? `
                 <div class="popup-row">
-                    <strong>Community:</strong> ${props.tribal_community}
+                    <strong>${I18n.t('Community:')}</strong> ${claim.tribalCommunity}
                 </div>
                 ` : ''}
                 <div class="popup-row">
-                    <strong>Submission:</strong> ${props.submission_date || 'N/A'}
+                    <strong>${I18n.t('Submission:')}</strong> ${claim.submissionDate ? I18n.date(claim.submissionDate) : I18n.t('N/A')}
                 </div>
+                ${MeasureTool.popupButton()}
             </div>
         `;
     }
 
-    addFeatureLabel(layer, props) {
+    addFeatureLabel(layer) {
         const center = layer.getBounds().getCenter();
         const icon = L.divIcon({
             className: 'feature-label',
-            html: `<div class="label-content">${props.fra_id}</div>`,
+            html: `<div class="label-content">${this.schema.claim(layer.feature).id}</div>`,
             iconSize: [60, 20],
             iconAnchor: [30, 10]
         });
@@ -368,52 +472,118 @@ class VanachitraFRAViewer {
         
         Object.entries(this.layers).forEach(([key, layer]) => {
             if (layer) {
-                const displayName = {
+                // Leaflet can't rename entries, so these stay in the language the page loaded in
+                const displayName = I18n.t({
                     'cfr': '🌲 CFR - Community Forest Resource Rights',
                     'ifr': '🏠 IFR - Individual Forest Rights',
                     'cr': '🤝 CR - Community Rights',
                     'agriculture': '🌾 Agriculture',
                     'waterBody': '💧 Water Bodies'
-                }[key] || key;
+                }[key] || key);
                 
                 overlayLayers[displayName] = layer;
             }
         });
+        overlayLayers[I18n.t('🔥 Claim density')] = this.heatmap.layer;
 
         if (Object.keys(overlayLayers).length > 0) {
             // Remove existing layer control if it exists
-            this.map.eachLayer(layer => {
-                if (layer instanceof L.Control.Layers) {
-                    this.map.removeControl(layer);
-                }
-            });
+            if (this.overlayControl) {
+                this.map.removeControl(this.overlayControl);
+            }
 
-            L.control.layers(null, overlayLayers, {
+            this.overlayControl = L.control.layers(null, overlayLayers, {
                 position: 'topright',
                 collapsed: false
             }).addTo(this.map);
+            if (this.overlayImporter) {
+                this.overlayImporter.registerAll(this.overlayControl);
+            }
         }
     }
 
     highlightFeature(targetLayer) {
         // Reset previous highlight
-        if (this.currentFeature) {
+        if (this.currentFeature && this.currentFeature.setStyle) {
             this.currentFeature.setStyle(this.getFeatureStyle(this.currentFeature.feature));
         }
 
-        // Highlight current feature
+        // Highlight current feature; point claims are markers, which take no style
         this.currentFeature = targetLayer;
-        targetLayer.setStyle({
-            weight: 5,
-            color: '#ffff00',
-            opacity: 1,
-            fillOpacity: 0.9
+        if (targetLayer.setStyle) {
+            targetLayer.setStyle({
+                weight: 5,
+                color: '#ffff00',
+                opacity: 1,
+                fillOpacity: 0.9
+            });
+        }
+        this.permalink.update(true);
+    }
+
+    focusFeature(feature, fly = false) {
+        const bbox = SpatialIndex.featureBBox(feature);
+        if (!bbox) return;
+
+        // The feature may not be materialized yet; render the new view before highlighting
+        this.map.once('moveend', () => {
+            this.renderer.refresh();
+            const layer = this.renderer.getLayer(feature);
+            if (layer) {
+                this.highlightFeature(layer);
+                layer.openPopup();
+            }
+        });
+
+        this.map[fly ? 'flyToBounds' : 'fitBounds']([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]], {
+            padding: [40, 40],
+            maxZoom: 16
         });
     }
 
-    updateInfoPanel(properties) {
-        // Info panel removed - just show popup instead
-        console.log('Feature selected:', properties);
+    updateInfoPanel(feature) {
+        const relations = this.getRelations();
+        this.detailPanel.show(feature, {
+            index: this.filteredData.features.indexOf(feature),
+            total: this.filteredData.features.length,
+            parent: relations.getParent(feature),
+            children: relations.getChildren(feature)
+        });
+    }
+
+    // Steps through the filtered set from the claim in the panel; one that has since been
+    // filtered out restarts from either end
+    stepClaimDetails(step) {
+        const features = this.filteredData.features;
+        if (features.length === 0) return;
+
+        const index = features.indexOf(this.detailPanel.feature);
+        const next = index === -1
+            ? (step > 0 ? 0 : features.length - 1)
+            : (index + step + features.length) % features.length;
+
+        this.focusFeature(features[next]);
+        this.updateInfoPanel(features[next]);
+    }
+
+    // Parent/child links over the whole dataset, so the panel shows them whatever the filters;
+    // the hierarchy check keeps its own over the filtered set
+    getRelations() {
+        if (!this.relations) {
+            this.relations = new FRAHierarchy(this.schema).compute(this.fraData.features);
+        }
+        return this.relations;
+    }
+
+    setupDetailPanel() {
+        this.detailPanel = new ClaimDetailPanel(this.schema, {
+            onStep: (step) => this.stepClaimDetails(step),
+            onSelect: (feature) => {
+                this.focusFeature(feature);
+                this.updateInfoPanel(feature);
+            },
+            onLayoutChange: () => this.map.invalidateSize()
+        });
     }
 
     setupEventListeners() {
@@ -432,17 +602,61 @@ class VanachitraFRAViewer {
         });
 
         document.getElementById('export-data').addEventListener('click', () => {
-            this.exportData();
+            this.toggleExportMenu();
+        });
+
+        Object.entries(FRAExporter.FORMATS).forEach(([format, info]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.textContent = info.label;
+            button.addEventListener('click', () => {
+                this.toggleExportMenu(false);
+                this.exportData(format);
+            });
+            document.getElementById('export-menu').appendChild(button);
         });
 
         document.getElementById('show-hierarchy').addEventListener('click', () => {
             this.toggleHierarchy();
         });
 
+        document.getElementById('find-overlaps').addEventListener('click', () => {
+            this.toggleOverlaps();
+        });
+
+        document.getElementById('print-map').addEventListener('click', () => {
+            this.printComposer.open();
+        });
+
         document.getElementById('toggle-labels').addEventListener('click', () => {
             this.toggleLabels();
         });
 
+        // Claim editor
+        document.getElementById('draw-claim').addEventListener('click', () => {
+            this.startClaimDrawing();
+        });
+
+        document.getElementById('reshape-claim').addEventListener('click', () => {
+            this.startClaimReshape();
+        });
+
+        document.getElementById('claim-type').addEventListener('change', () => {
+            this.toggleClaimTypeFields();
+        });
+
+        document.getElementById('save-claim').addEventListener('click', () => {
+            this.saveClaim();
+        });
+
+        document.getElementById('download-claim').addEventListener('click', () => {
+            this.downloadClaim();
+        });
+
+        document.getElementById('cancel-claim').addEventListener('click', () => {
+            this.stopClaimEditing();
+        });
+
         // Map control buttons
         document.getElementById('fullscreen').addEventListener('click', () => {
             this.toggleFullscreen();
@@ -470,11 +684,11 @@ class VanachitraFRAViewer {
         if (!this.fraData || !this.fraData.features) return;
 
         // Get unique values for filters
-        const states = [...new Set(this.fraData.features.map(f => f.properties.state))].sort();
+        const states = [...new Set(this.fraData.features.map(f => this.schema.claim(f).state))].sort();
         
         // Populate state filter
         const stateFilter = document.getElementById('state-filter');
-        stateFilter.innerHTML = '<option value="">All States</option>';
+        stateFilter.innerHTML = `<option value="" data-i18n="All States">${I18n.t('All States')}</option>`;
         states.forEach(state => {
             const option = document.createElement('option');
             option.value = state;
@@ -490,14 +704,15 @@ class VanachitraFRAViewer {
         const districtFilter = document.getElementById('district-filter');
         
         // Clear existing options
-        districtFilter.innerHTML = '<option value="">All Districts</option>';
+        districtFilter.innerHTML = `<option value="" data-i18n="All Districts">${I18n.t('All Districts')}</option>`;
         
         if (!selectedState) return;
 
         const districts = [...new Set(
             this.fraData.features
-                .filter(f => f.properties.state === selectedState)
-                .map(f => f.properties.district)
+                .map(f => this.schema.claim(f))
+                .filter(claim => claim.state === selectedState)
+                .map(claim => claim.district)
         )].sort();
 
         districts.forEach(district => {
@@ -514,14 +729,15 @@ class VanachitraFRAViewer {
         const villageFilter = document.getElementById('village-filter');
         
         // Clear existing options
-        villageFilter.innerHTML = '<option value="">All Villages</option>';
+        villageFilter.innerHTML = `<option value="" data-i18n="All Villages">${I18n.t('All Villages')}</option>`;
         
         if (!selectedState || !selectedDistrict) return;
 
         const villages = [...new Set(
             this.fraData.features
-                .filter(f => f.properties.state === selectedState && f.properties.district === selectedDistrict)
-                .map(f => f.properties.village)
+                .map(f => this.schema.claim(f))
+                .filter(claim => claim.state === selectedState && claim.district === selectedDistrict)
+                .map(claim => claim.village)
         )].sort();
 
         villages.forEach(village => {
@@ -534,72 +750,79 @@ class VanachitraFRAViewer {
 
     applyFilters() {
         if (!this.fraData) {
-            this.showAlert('No data available to filter!', 'error');
+            this.showAlert(I18n.t('No data available to filter!'), 'error');
             return;
         }
 
-        const filters = {
+        const filters = this.getActiveFilters();
+        console.log('Applying filters:', filters);
+        this.appliedFilters = filters;
+
+        // Filter the data and redisplay the layers
+        const originalCount = this.fraData.features.length;
+        this.refreshFilteredData();
+
+        const filteredCount = this.filteredData.features.length;
+        console.log(`Filtered from ${originalCount} to ${filteredCount} features`);
+
+        // Zoom to filtered data if available
+        if (filteredCount > 0) {
+            this.zoomToData();
+        }
+        
+        this.showAlert(I18n.t('Filters applied! Showing {shown} of {total} features.', {
+            shown: I18n.number(filteredCount),
+            total: I18n.number(originalCount)
+        }), 'success');
+        this.permalink.update(true);
+    }
+
+    getActiveFilters() {
+        return {
             state: document.getElementById('state-filter').value,
             district: document.getElementById('district-filter').value,
             village: document.getElementById('village-filter').value,
             fraType: document.getElementById('fra-type-filter').value,
             status: document.getElementById('status-filter').value
         };
+    }
 
-        console.log('Applying filters:', filters);
+    filterFeatures(features, filters) {
+        return features.filter(feature => {
+            const claim = this.schema.claim(feature);
 
-        // Filter the data
-        const originalCount = this.fraData.features.length;
+            // Apply each filter if it has a value
+            if (filters.state && claim.state !== filters.state) return false;
+            if (filters.district && claim.district !== filters.district) return false;
+            if (filters.village && claim.village !== filters.village) return false;
+            if (!this.schema.matchesType(claim, filters.fraType)) return false;
+            if (!this.schema.matchesStatus(claim, filters.status)) return false;
+            if (!FRAQuery.matches(this.attributeQuery, claim.properties)) return false;
+
+            return true;
+        });
+    }
+
+    // Re-run the current filters and timeline, e.g. after the underlying features changed
+    refreshFilteredData() {
         this.filteredData = {
             ...this.fraData,
-            features: this.fraData.features.filter(feature => {
-                const props = feature.properties;
-                
-                // Apply each filter if it has a value
-                if (filters.state && props.state !== filters.state) return false;
-                if (filters.district && props.district !== filters.district) return false;
-                if (filters.village && props.village !== filters.village) return false;
-                
-                // Handle FRA type filtering with proper field mapping
-                if (filters.fraType) {
-                    const fraType = props.fra_type || props.feature_type;
-                    let matches = false;
-                    
-                    if (filters.fraType === 'Community Forest Resource Rights' && 
-                        (props.claim_type === 'CFR' || fraType === 'Community Forest Resource Rights')) {
-                        matches = true;
-                    } else if (filters.fraType === 'Individual Forest Rights' && 
-                               (props.claim_type === 'IFR' || fraType === 'Individual Forest Rights')) {
-                        matches = true;
-                    } else if (filters.fraType === 'Community Rights' && 
-                               (props.claim_type === 'CR' || fraType === 'Community Rights')) {
-                        matches = true;
-                    } else if (filters.fraType === fraType) {
-                        matches = true;
-                    }
-                    
-                    if (!matches) return false;
-                }
-                
-                if (filters.status && props.status !== filters.status) return false;
-                
-                return true;
-            })
+            features: this.filterFeatures(this.fraData.features, this.getActiveFilters())
+                .filter(feature => this.timeSlider.includes(this.schema.claim(feature)))
         };
 
-        const filteredCount = this.filteredData.features.length;
-        console.log(`Filtered from ${originalCount} to ${filteredCount} features`);
-
-        // Redisplay the layers with filtered data
         this.displayFRALayers();
         this.updateStatistics();
-        
-        // Zoom to filtered data if available
-        if (filteredCount > 0) {
-            this.zoomToData();
+
+        if (this.featureTable) {
+            this.featureTable.update(this.filteredData.features);
+        }
+        if (this.featureNavigator && this.featureNavigator.current && !this.filteredData.features.includes(this.featureNavigator.current)) {
+            this.featureNavigator.clear();
+        }
+        if (this.selection) {
+            this.selection.retain(this.filteredData.features);
         }
-        
-        this.showAlert(`Filters applied! Showing ${filteredCount} of ${originalCount} features.`, 'success');
     }
 
     clearFilters() {
@@ -611,22 +834,50 @@ class VanachitraFRAViewer {
         document.getElementById('status-filter').value = '';
 
         // Reset district and village filters
-        document.getElementById('district-filter').innerHTML = '<option value="">All Districts</option>';
-        document.getElementById('village-filter').innerHTML = '<option value="">All Villages</option>';
-
-        // Reset filtered data
-        this.filteredData = this.fraData;
-        this.displayFRALayers();
-        this.updateStatistics();
-        this.showAlert('Filters cleared!', 'success');
+        document.getElementById('district-filter').innerHTML = `<option value="" data-i18n="All Districts">${I18n.t('All Districts')}</option>`;
+        document.getElementById('village-filter').innerHTML = `<option value="" data-i18n="All Villages">${I18n.t('All Villages')}</option>`;
+
+        // Reset filtered data (the timeline window still applies)
+        this.appliedFilters = {};
+        this.attributeQuery = null;
+        this.queryBuilder.setQuery(null);
+        this.updateQuerySummary();
+        this.refreshFilteredData();
+        this.showAlert(I18n.t('Filters cleared!'), 'success');
+        this.permalink.update(true);
     }
 
     updateStatistics() {
         if (!this.filteredData || !this.filteredData.features) return;
 
         const features = this.filteredData.features;
+        const { typeCounts, totalArea, approvedCount, pendingCount } = this.getStatistics();
+
+        // Update UI
+        document.getElementById('cfr-count').textContent = I18n.number(typeCounts.CFR);
+        document.getElementById('ifr-count').textContent = I18n.number(typeCounts.IFR);
+        document.getElementById('cr-count').textContent = I18n.number(typeCounts.CR);
         
-        // Count by type - handle both data formats
+        document.getElementById('total-features').textContent = I18n.number(features.length);
+        document.getElementById('total-area').textContent = I18n.fixed(totalArea, 1);
+        document.getElementById('approved-claims').textContent = I18n.number(approvedCount);
+        document.getElementById('pending-claims').textContent = I18n.number(pendingCount);
+
+        console.log('Statistics updated:', {
+            total: features.length,
+            cfr: typeCounts.CFR,
+            ifr: typeCounts.IFR,
+            cr: typeCounts.CR,
+            agriculture: typeCounts.Agriculture,
+            waterBody: typeCounts['Water Body']
+        });
+    }
+
+    // Totals over the filtered features, shared by the sidebar and printed maps
+    getStatistics() {
+        const features = this.filteredData.features;
+        
+        // Count by canonical type
         const typeCounts = {
             CFR: 0,
             IFR: 0,
@@ -640,97 +891,942 @@ class VanachitraFRAViewer {
         let pendingCount = 0;
 
         features.forEach(feature => {
-            const props = feature.properties;
+            const claim = this.schema.claim(feature);
             
-            // Count by type - handle different field names
-            let fraType = props.fra_type || props.feature_type;
-            if (props.claim_type === 'CFR' || fraType === 'Community Forest Resource Rights') {
-                typeCounts.CFR++;
-            } else if (props.claim_type === 'IFR' || fraType === 'Individual Forest Rights') {
-                typeCounts.IFR++;
-            } else if (props.claim_type === 'CR' || fraType === 'Community Rights') {
-                typeCounts.CR++;
-            } else if (fraType === 'Agriculture') {
-                typeCounts.Agriculture++;
-            } else if (fraType === 'Water Body') {
-                typeCounts['Water Body']++;
+            if (claim.type in typeCounts) {
+                typeCounts[claim.type]++;
             }
 
-            // Calculate area - handle different field names
-            totalArea += props.area_claimed || props.area_hectares || 0;
+            totalArea += claim.area;
 
-            // Count by status
-            if (props.status === 'Approved') {
+            // Count by status (as of the timeline date while it is running)
+            const status = this.timeSlider.statusOf(claim);
+            if (status === 'approved') {
                 approvedCount++;
-            } else if (props.status === 'Pending') {
+            } else if (status === 'pending') {
                 pendingCount++;
             }
         });
 
-        // Update UI
-        document.getElementById('cfr-count').textContent = typeCounts.CFR;
-        document.getElementById('ifr-count').textContent = typeCounts.IFR;
-        document.getElementById('cr-count').textContent = typeCounts.CR;
-        
-        document.getElementById('total-features').textContent = features.length;
-        document.getElementById('total-area').textContent = totalArea.toFixed(1);
-        document.getElementById('approved-claims').textContent = approvedCount;
-        document.getElementById('pending-claims').textContent = pendingCount;
+        return { typeCounts, totalArea, approvedCount, pendingCount };
+    }
 
-        console.log('Statistics updated:', {
-            total: features.length,
-            cfr: typeCounts.CFR,
-            ifr: typeCounts.IFR,
-            cr: typeCounts.CR,
-            agriculture: typeCounts.Agriculture,
-            waterBody: typeCounts['Water Body']
+    // Keyboard navigation over the filtered features, and the same set as a table
+    setupAccessibility() {
+        this.featureNavigator = new FeatureNavigator(this.map, {
+            features: () => (this.filteredData ? this.filteredData.features : []),
+            layerFor: (feature) => {
+                // Materializes the feature if selecting it just moved the map
+                this.renderer.refresh();
+                return this.renderer.getLayer(feature);
+            },
+            describe: (feature) => FeatureNavigator.describeClaim(this.schema.claim(feature)),
+            onSelect: (feature, layer) => {
+                if (layer && layer.setStyle) this.highlightFeature(layer);
+            },
+            onOpen: (feature, layer) => {
+                this.updateInfoPanel(feature);
+                if (layer) layer.openPopup();
+            },
+            minZoom: () => (this.choropleth.enabled || this.clusters.enabled ? this.choropleth.options.featureZoom : 0)
+        });
+
+        this.featureTable = new FeatureTable(this.schema, {
+            onShow: (feature) => this.featureNavigator.select(feature)
+        });
+
+        const button = document.getElementById('toggle-table');
+        button.addEventListener('click', () => {
+            const open = !this.featureTable.isOpen();
+            if (open) {
+                this.featureTable.show(this.filteredData ? this.filteredData.features : []);
+            } else {
+                this.featureTable.hide();
+            }
+            button.setAttribute('aria-expanded', String(open));
+            I18n.setText(button, open ? '📋 Hide Table' : '📋 Show as Table');
+        });
+    }
+
+    // Markup follows the language by itself; this redraws what was rendered from strings in code
+    setupLanguage() {
+        I18n.bindSwitcher(document.getElementById('language-select'));
+        I18n.onChange(() => {
+            this.offlinePanel.refresh();
+            this.measureTool.refresh();
+            if (!this.filteredData) return;
+
+            this.updateStatistics();
+            if (this.hierarchyVisible) {
+                this.updateHierarchy();
+            }
+            this.featureTable.update(this.filteredData.features);
+            this.timeSlider.updateDisplay();
+            this.clusters.refresh();
+            this.choropleth.refresh();
+            if (this.overlapReport) {
+                this.overlapReport.refresh();
+            }
+            if (this.detailPanel.isOpen()) {
+                this.updateInfoPanel(this.detailPanel.feature);
+            }
+            this.queryBuilder.refresh();
+            this.updateQuerySummary();
+            this.selection.refresh();
         });
     }
 
+    // Compound conditions on any feature attribute, applied on top of the dropdown filters
+    setupQueryBuilder() {
+        this.queryBuilder = new QueryBuilder({
+            fields: () => FRAQuery.fields(this.fraData ? this.fraData.features : []),
+            onApply: (query) => this.applyQuery(query)
+        });
+
+        document.getElementById('open-query-builder').addEventListener('click', () => {
+            this.queryBuilder.open();
+        });
+    }
+
+    applyQuery(query) {
+        if (!this.fraData) return;
+
+        this.attributeQuery = query;
+        this.updateQuerySummary();
+        this.refreshFilteredData();
+        this.showAlert(I18n.t('Filters applied! Showing {shown} of {total} features.', {
+            shown: I18n.number(this.filteredData.features.length),
+            total: I18n.number(this.fraData.features.length)
+        }), 'success');
+        this.permalink.update(true);
+    }
+
+    updateQuerySummary() {
+        const summary = document.getElementById('query-summary');
+        summary.textContent = this.attributeQuery
+            ? I18n.t('Query: {query}', { query: FRAQuery.describe(this.attributeQuery) })
+            : '';
+    }
+
+    // Shift-click, box and lasso selection over the claim and land use layers switched on
+    setupSelection() {
+        this.selection = new FeatureSelection(this.map, this.schema, {
+            features: () => this.filteredData.features.filter(feature => {
+                const layer = this.layers[this.layerKeys[this.schema.claim(feature).type]];
+                return layer && this.map.hasLayer(layer);
+            }),
+            onStart: () => {
+                if (this.measureTool.isActive()) {
+                    this.measureTool.finish();
+                }
+                if (this.claimEditor.isActive()) {
+                    this.stopClaimEditing();
+                }
+            },
+            onFilter: (query) => {
+                this.queryBuilder.setQuery(query);
+                this.applyQuery(query);
+            },
+            onExport: (format, collection) => this.exportData(format, collection, 'vanachitra_selection')
+        });
+    }
+
+    setupPrint() {
+        this.printComposer = new PrintComposer(this.map, {
+            title: () => I18n.t('Forest Rights Act Claims'),
+            filename: 'vanachitra_fra_map',
+            tileLayer: () => Object.values(this.baseLayers).find(layer => this.map.hasLayer(layer)),
+            legend: () => this.getPrintLegend(),
+            caption: () => this.describeFilters(),
+            statistics: () => this.getPrintStatistics()
+        });
+    }
+
+    // The FRA colour scheme for the types switched on, after whatever is standing in for or recolouring them
+    getPrintLegend() {
+        const standIn = this.choropleth.currentMode() !== 'features' || this.clusters.currentMode() !== 'features';
+        const types = standIn ? [] : this.layerOrder.slice().reverse()
+            .filter(type => this.layers[this.layerKeys[type]] && this.map.hasLayer(this.layers[this.layerKeys[type]]));
+
+        return [
+            this.choropleth.legendSection(),
+            this.clusters.legendSection(),
+            this.timeSlider.legendSection(),
+            this.overlapReport && this.overlapReport.legendSection(),
+            types.length > 0 && {
+                title: I18n.t('FRA Layers'),
+                items: types.map(type => ({
+                    label: I18n.typeName(type),
+                    fill: this.colors[type].fillColor,
+                    stroke: this.colors[type].color,
+                    weight: 2
+                }))
+            }
+        ].filter(Boolean);
+    }
+
+    describeFilters() {
+        const filters = this.appliedFilters;
+        const parts = [];
+
+        if (filters.state) parts.push(I18n.t('State: {state}', filters));
+        if (filters.district) parts.push(I18n.t('District: {district}', filters));
+        if (filters.village) parts.push(I18n.t('Village: {village}', filters));
+        if (filters.fraType) {
+            parts.push(I18n.t('FRA type: {type}', { type: I18n.typeName(FRAClaimSchema.normalizeType(filters.fraType), filters.fraType) }));
+        }
+        if (filters.status) {
+            parts.push(I18n.t('Status: {status}', { status: I18n.statusName(FRAClaimSchema.normalizeStatus(filters.status), filters.status) }));
+        }
+        if (this.timeSlider.enabled) parts.push(I18n.t('Submitted by {date}', { date: I18n.date(this.timeSlider.isoDate()) }));
+        if (this.attributeQuery) parts.push(I18n.t('Query: {query}', { query: FRAQuery.describe(this.attributeQuery) }));
+
+        return parts.length > 0 ? parts.join(' • ') : I18n.t('none (all features)');
+    }
+
+    getPrintStatistics() {
+        if (!this.filteredData) return [];
+
+        const { typeCounts, totalArea, approvedCount, pendingCount } = this.getStatistics();
+        const n = I18n.number;
+        const rows = [
+            [I18n.t('Features'), n(this.filteredData.features.length)],
+            ['CFR / IFR / CR', `${n(typeCounts.CFR)} / ${n(typeCounts.IFR)} / ${n(typeCounts.CR)}`],
+            [I18n.t('Agriculture / Water'), `${n(typeCounts.Agriculture)} / ${n(typeCounts['Water Body'])}`],
+            [I18n.t('Total area'), `${n(totalArea, { maximumFractionDigits: 1 })} ha`],
+            [I18n.t('Approved'), n(approvedCount)],
+            [I18n.t('Pending'), n(pendingCount)]
+        ];
+        if (this.overlapsVisible) {
+            rows.push([I18n.t('Conflicting overlaps'), n(this.overlaps.conflicts().length)]);
+        }
+        return rows;
+    }
+
     zoomToData() {
         if (!this.filteredData || !this.filteredData.features.length) {
-            this.showAlert('No data to zoom to!', 'error');
+            this.showAlert(I18n.t('No data to zoom to!'), 'error');
             return;
         }
 
-        const group = new L.FeatureGroup();
-        this.filteredData.features.forEach(feature => {
-            if (feature.geometry) {
-                group.addLayer(L.geoJSON(feature));
-            }
-        });
-        
-        if (group.getLayers().length > 0) {
-            this.map.fitBounds(group.getBounds(), { padding: [20, 20] });
+        // The renderer indexes exactly the filtered set, so its extent is the data extent
+        const bounds = this.renderer.getBounds();
+        if (bounds) {
+            this.map.fitBounds(bounds, { padding: [20, 20] });
         }
     }
 
-    exportData() {
-        if (!this.filteredData) {
-            this.showAlert('No data to export!', 'error');
+    toggleExportMenu(show) {
+        const menu = document.getElementById('export-menu');
+        const visible = show ?? menu.style.display === 'none';
+        menu.style.display = visible ? 'flex' : 'none';
+    }
+
+    // The filtered set by default; the selection panel passes its own
+    exportData(format = 'geojson', collection = this.filteredData, name = 'vanachitra_fra_data') {
+        if (!collection || !collection.features.length) {
+            this.showAlert(I18n.t('No data to export!'), 'error');
             return;
         }
 
-        const dataStr = JSON.stringify(this.filteredData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        
+        try {
+            const basename = `${name}_${new Date().toISOString().split('T')[0]}`;
+            const file = this.exporter.export(format, collection, basename);
+            this.downloadFile(file.filename, file.content, file.type);
+
+            this.showAlert(I18n.t('Exported {count} features as {filename}', {
+                count: I18n.number(collection.features.length),
+                filename: file.filename
+            }), 'success');
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            this.showAlert(I18n.t('Export failed: {error}', { error: error.message }), 'error');
+        }
+    }
+
+    downloadFile(filename, content, type) {
+        const dataBlob = content instanceof Blob ? content : new Blob([content], { type });
+
         const link = document.createElement('a');
         link.href = URL.createObjectURL(dataBlob);
-        link.download = `vanachitra_fra_data_${new Date().toISOString().split('T')[0]}.geojson`;
+        link.download = filename;
         link.click();
-        
-        this.showAlert('Data exported successfully!', 'success');
+
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
     }
 
     toggleHierarchy() {
         this.hierarchyVisible = !this.hierarchyVisible;
         
         if (this.hierarchyVisible) {
-            this.displayFRALayers();
-            document.getElementById('show-hierarchy').textContent = '🔗 Hide Hierarchy';
+            this.updateHierarchy();
+            I18n.setText(document.getElementById('show-hierarchy'), '🔗 Hide Hierarchy');
         } else {
-            // Show all layers without hierarchy
-            document.getElementById('show-hierarchy').textContent = '🏗️ Show Hierarchy';
+            this.clearHierarchy();
+            I18n.setText(document.getElementById('show-hierarchy'), '🏗️ Show Hierarchy');
+        }
+    }
+
+    updateHierarchy() {
+        if (!this.filteredData) return;
+
+        this.clearHierarchy();
+        this.hierarchy.compute(this.filteredData.features);
+        this.drawHierarchy();
+        this.renderHierarchyViolations();
+
+        console.log('Hierarchy computed:', this.hierarchy.getSummary());
+    }
+
+    drawHierarchy() {
+        if (!this.map.getPane('fra-hierarchy')) {
+            this.map.createPane('fra-hierarchy').style.zIndex = 420;
+        }
+
+        const pane = 'fra-hierarchy';
+        const renderer = L.canvas({ pane });
+        const toLatLng = (point) => [point[1], point[0]];
+        this.hierarchyLayer = L.layerGroup();
+
+        // Child -> parent CFR links
+        this.hierarchy.parentOf.forEach((cfr, child) => {
+            L.polyline([toLatLng(FRAHierarchy.position(child)), toLatLng(FRAHierarchy.position(cfr))], {
+                pane,
+                renderer,
+                color: '#ffffff',
+                weight: 1.5,
+                opacity: 0.8,
+                dashArray: '4, 4',
+                interactive: false
+            }).addTo(this.hierarchyLayer);
+        });
+
+        // CFR hubs
+        this.hierarchy.childrenOf.forEach((children, cfr) => {
+            L.circleMarker(toLatLng(FRAHierarchy.position(cfr)), {
+                pane,
+                renderer,
+                radius: 6,
+                color: this.colors.CFR.color,
+                fillColor: '#ffffff',
+                fillOpacity: 1,
+                weight: 2
+            }).bindTooltip(I18n.t('{id}: {count} child claims', { id: this.schema.claim(cfr).id, count: I18n.number(children.length) }))
+                .addTo(this.hierarchyLayer);
+        });
+
+        // Orphans in red, spills in orange; point claims get a ring in the same style
+        this.hierarchy.violations.forEach(violation => {
+            const style = {
+                color: violation.kind === 'orphan' ? '#e74c3c' : '#f39c12',
+                weight: 3,
+                fill: false,
+                dashArray: '6, 4'
+            };
+            L.geoJSON(violation.feature, {
+                pane,
+                interactive: false,
+                style,
+                pointToLayer: (feature, latlng) => L.circleMarker(latlng, { ...style, pane, radius: 10, interactive: false })
+            }).addTo(this.hierarchyLayer);
+        });
+
+        this.hierarchyLayer.addTo(this.map);
+    }
+
+    renderHierarchyViolations() {
+        const summary = this.hierarchy.getSummary();
+        const list = document.getElementById('hierarchy-violations');
+        list.innerHTML = '';
+
+        document.getElementById('hierarchy-summary').textContent = I18n.t(
+            '{linked} claims linked to {cfrs} CFRs • {orphans} orphans • {spills} boundary spills',
+            Object.fromEntries(['linked', 'cfrs', 'orphans', 'spills'].map(key => [key, I18n.number(summary[key])]))
+        );
+
+        if (this.hierarchy.violations.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'violation-item';
+            item.textContent = I18n.t('✅ Every IFR/CR claim sits inside a CFR');
+            list.appendChild(item);
+        }
+
+        this.hierarchy.violations.forEach(violation => {
+            const item = document.createElement('li');
+            item.className = `violation-item ${violation.kind}`;
+            item.textContent = `${violation.kind === 'orphan' ? '🚫' : '⚠️'} ${this.hierarchy.describeViolation(violation)}`;
+            item.title = I18n.t('Zoom to this claim');
+            item.addEventListener('click', () => this.focusFeature(violation.feature));
+            list.appendChild(item);
+        });
+
+        document.getElementById('hierarchy-panel').style.display = 'block';
+    }
+
+    clearHierarchy() {
+        if (this.hierarchyLayer) {
+            this.map.removeLayer(this.hierarchyLayer);
+            this.hierarchyLayer = null;
+        }
+
+        this.hierarchy.reset();
+        document.getElementById('hierarchy-violations').innerHTML = '';
+        document.getElementById('hierarchy-panel').style.display = 'none';
+    }
+
+    toggleOverlaps() {
+        this.overlapsVisible = !this.overlapsVisible;
+
+        if (this.overlapsVisible) {
+            this.updateOverlaps();
+            I18n.setText(document.getElementById('find-overlaps'), '🧩 Hide Overlaps');
+        } else {
+            this.getOverlapReport().hide();
+            this.overlaps.reset();
+            I18n.setText(document.getElementById('find-overlaps'), '🧩 Find Overlaps');
+        }
+    }
+
+    // Pairs among the filtered claims, like the hierarchy check
+    updateOverlaps() {
+        if (!this.filteredData) return;
+
+        this.overlaps.compute(this.filteredData.features);
+        this.getOverlapReport().show();
+
+        console.log('Overlaps computed:', this.overlaps.getSummary());
+    }
+
+    getOverlapReport() {
+        if (!this.overlapReport) {
+            this.overlapReport = new OverlapReport(this.map, this.overlaps, {
+                onSelect: (overlap) => {
+                    const bbox = SpatialIndex.featureBBox(overlap.geometry);
+                    this.map.fitBounds([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]], { padding: [60, 60], maxZoom: 17 });
+                }
+            });
+        }
+        return this.overlapReport;
+    }
+
+    setupClaimEditor() {
+        this.claimEditor = new ClaimEditor(this.map, {
+            // Snap to every CFR boundary, filtered or not, except the claim being reshaped
+            getSnapFeatures: (bounds) => this.cfrIndex.search(SpatialIndex.fromLatLngBounds(bounds))
+                .filter(feature => feature !== this.editingFeature),
+            onChange: (editor) => this.updateClaimMeasurements(editor),
+            onFinish: () => this.prefillClaimLocation()
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.claimEditor.isActive()) {
+                this.stopClaimEditing();
+            }
+        });
+    }
+
+    setupOverlayImport() {
+        this.overlayImporter = new OverlayImporter(this.map, {
+            getLayerControl: () => this.overlayControl,
+            // Every dropped file gets its own success or error message
+            onComplete: (results) => {
+                OverlayImporter.summarize(results).forEach((message, i) => {
+                    this.showAlert(message, results[i].error ? 'error' : 'success');
+                });
+            }
+        });
+    }
+
+    onTimeChange() {
+        this.refreshFilteredData();
+
+        // Features that stay in view keep their layers; restyle them for status colouring (markers have no style)
+        this.renderer.forEachRendered((layer, feature) => {
+            if (layer !== this.currentFeature && layer.setStyle) {
+                layer.setStyle(this.getFeatureStyle(feature));
+            }
+        });
+    }
+
+    setupSearch() {
+        const input = document.getElementById('claim-search');
+        let timer = null;
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.renderSearchResults(input.value), 150);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                // Enter may beat the debounce; make sure the suggestions match what was typed
+                if (timer) {
+                    clearTimeout(timer);
+                    timer = null;
+                    this.renderSearchResults(input.value);
+                }
+                const result = this.searchResults[Math.max(this.searchActive, 0)];
+                if (result) {
+                    this.chooseSearchResult(result);
+                }
+            } else if (e.key === 'Escape') {
+                this.hideSearchResults();
+            }
+        });
+
+        input.addEventListener('focus', () => {
+            if (input.value.trim()) {
+                this.renderSearchResults(input.value);
+            }
+        });
+
+        input.addEventListener('blur', () => this.hideSearchResults());
+    }
+
+    renderSearchResults(text) {
+        const list = document.getElementById('search-results');
+        list.innerHTML = '';
+        this.searchResults = [];
+        this.searchActive = -1;
+
+        if (!text.trim()) {
+            this.hideSearchResults();
+            return;
+        }
+
+        const groups = this.search.search(text);
+        if (groups.length === 0) {
+            list.innerHTML = `<div class="search-empty">${I18n.t('No matches')}</div>`;
+        }
+
+        groups.forEach(group => {
+            const header = document.createElement('div');
+            header.className = 'search-group';
+            header.textContent = `${group.icon} ${I18n.t(group.label)}`;
+            list.appendChild(header);
+
+            group.items.forEach(result => {
+                const row = document.createElement('div');
+                row.className = 'search-item';
+                row.textContent = result.label;
+
+                const detail = document.createElement('small');
+                detail.textContent = result.detail;
+                row.appendChild(detail);
+
+                // mousedown rather than click: the input's blur would hide the list first
+                row.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    this.chooseSearchResult(result);
+                });
+
+                result.element = row;
+                this.searchResults.push(result);
+                list.appendChild(row);
+            });
+        });
+
+        list.style.display = 'block';
+    }
+
+    moveSearchSelection(step) {
+        if (this.searchResults.length === 0) return;
+
+        const previous = this.searchResults[this.searchActive];
+        if (previous) {
+            previous.element.classList.remove('active');
+        }
+
+        const count = this.searchResults.length;
+        this.searchActive = (this.searchActive + step + count) % count;
+        const current = this.searchResults[this.searchActive];
+        current.element.classList.add('active');
+        current.element.scrollIntoView({ block: 'nearest' });
+    }
+
+    hideSearchResults() {
+        document.getElementById('search-results').style.display = 'none';
+        this.searchActive = -1;
+    }
+
+    chooseSearchResult(result) {
+        this.hideSearchResults();
+        document.getElementById('claim-search').value = result.label;
+
+        // The search covers every feature; bring back any the current filters hide
+        if (result.features.some(feature => !this.filteredData.features.includes(feature))) {
+            this.clearFilters();
+        }
+
+        if (result.features.length === 1) {
+            this.focusFeature(result.features[0], true);
+            return;
+        }
+
+        // Villages, districts and communities: fly to everything that carries the value
+        const bbox = result.features
+            .map(feature => SpatialIndex.featureBBox(feature))
+            .filter(Boolean)
+            .reduce((extent, box) => SpatialIndex.extend(extent, box), {
+                minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity
+            });
+
+        if (Number.isFinite(bbox.minX)) {
+            this.map.flyToBounds([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]], {
+                padding: [40, 40],
+                maxZoom: 16
+            });
+        }
+    }
+
+    indexCFRs() {
+        this.cfrIndex.loadFeatures(this.fraData.features.filter(f => this.schema.claim(f).type === 'CFR'));
+        this.relations = null;
+    }
+
+    // Claim property -> form input
+    claimFormFields() {
+        return {
+            state: 'claim-state',
+            district: 'claim-district',
+            village: 'claim-village',
+            gram_sabha: 'claim-gram-sabha',
+            tribal_community: 'claim-community',
+            household_head: 'claim-household-head',
+            family_members: 'claim-family-members',
+            survey_number: 'claim-survey-number',
+            total_households: 'claim-total-households',
+            beneficiary_households: 'claim-beneficiary-households',
+            resource_type: 'claim-resource-type'
+        };
+    }
+
+    startClaimDrawing() {
+        this.measureTool.clear();
+        this.selection.stopTool();
+        this.editingFeature = null;
+        this.resetClaimForm();
+        this.claimEditor.startDrawing();
+        this.showClaimEditorPanel('✏️ New Claim');
+        this.showAlert(I18n.t('Click to place vertices; click the first vertex or double-click to close.'), 'success');
+    }
+
+    startClaimReshape() {
+        const layer = this.currentFeature;
+        const claim = layer ? this.schema.claim(layer.feature) : null;
+
+        if (!claim || claim.kind !== 'claim') {
+            this.showAlert(I18n.t('Select a CFR, IFR or CR claim on the map first!'), 'error');
+            return;
+        }
+
+        const polygons = GeoUtils.polygons(layer.feature);
+        if (polygons.length !== 1) {
+            this.showAlert(I18n.t('Only single-part claim polygons can be reshaped.'), 'error');
+            return;
+        }
+
+        this.measureTool.clear();
+        this.selection.stopTool();
+        this.editingFeature = layer.feature;
+        this.fillClaimForm(layer.feature);
+        this.map.closePopup();
+
+        // Outer ring without its closing vertex; claim polygons carry no holes
+        this.claimEditor.startEditing(polygons[0][0].slice(0, -1).map(coord => [coord[1], coord[0]]));
+        this.showClaimEditorPanel('📐 Reshape {id}', { id: claim.id });
+    }
+
+    showClaimEditorPanel(title, params = null) {
+        I18n.setText(document.getElementById('claim-editor-title'), title, params);
+        document.getElementById('claim-editor-panel').style.display = 'block';
+    }
+
+    stopClaimEditing() {
+        this.claimEditor.stop();
+        this.editingFeature = null;
+        document.getElementById('claim-editor-panel').style.display = 'none';
+    }
+
+    updateClaimMeasurements(editor) {
+        document.getElementById('claim-area').textContent = I18n.fixed(editor.getAreaHectares(), 2);
+        document.getElementById('claim-vertices').textContent = I18n.number(editor.latlngs.length);
+
+        // Nothing to save until the ring is closed
+        const closed = editor.mode === 'edit';
+        document.getElementById('save-claim').disabled = !closed;
+        document.getElementById('download-claim').disabled = !closed;
+    }
+
+    resetClaimForm() {
+        document.getElementById('claim-type').value = 'IFR';
+        Object.values(this.claimFormFields()).forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.toggleClaimTypeFields();
+    }
+
+    fillClaimForm(feature) {
+        const props = feature.properties;
+        document.getElementById('claim-type').value = this.schema.claim(feature).type;
+        Object.entries(this.claimFormFields()).forEach(([key, id]) => {
+            document.getElementById(id).value = props[key] ?? '';
+        });
+        this.toggleClaimTypeFields();
+    }
+
+    toggleClaimTypeFields() {
+        const type = document.getElementById('claim-type').value;
+        document.querySelectorAll('.claim-type-fields').forEach(group => {
+            group.style.display = group.dataset.claimType === type ? 'block' : 'none';
+        });
+    }
+
+    // A new claim usually sits inside a CFR; borrow its location as a starting point
+    prefillClaimLocation() {
+        const centroid = GeoUtils.centroid(this.claimEditor.getGeometry());
+        if (!centroid) return;
+
+        const [lon, lat] = centroid;
+        const parent = this.cfrIndex.search({ minX: lon, minY: lat, maxX: lon, maxY: lat })
+            .find(cfr => cfr !== this.editingFeature && GeoUtils.pointInGeometry(centroid, cfr));
+        if (!parent) return;
+
+        const cfr = this.schema.claim(parent);
+        const fields = this.claimFormFields();
+        const values = {
+            state: cfr.state,
+            district: cfr.district,
+            village: cfr.village,
+            gram_sabha: cfr.gramSabha,
+            tribal_community: cfr.tribalCommunity
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            const input = document.getElementById(fields[key]);
+            if (!input.value && value) {
+                input.value = value;
+            }
+        });
+    }
+
+    nextClaimId(type, state, district) {
+        // Same scheme as the generated data, e.g. IFR_TE_KUM_001
+        const prefix = `${type}_${state.slice(0, 2).toUpperCase()}_${district.slice(0, 3).toUpperCase()}_`;
+        const numbers = this.fraData.features
+            .map(f => this.schema.claim(f).id)
+            .filter(id => id && id.startsWith(prefix))
+            .map(id => parseInt(id.slice(prefix.length), 10) || 0);
+
+        return prefix + String(Math.max(0, ...numbers) + 1).padStart(3, '0');
+    }
+
+    buildClaimFeature() {
+        const geometry = this.claimEditor.getGeometry();
+        if (!geometry) {
+            this.showAlert(I18n.t('Close the claim boundary first!'), 'error');
+            return null;
+        }
+
+        const type = document.getElementById('claim-type').value;
+        const fields = this.claimFormFields();
+        const values = {};
+
+        Object.entries(fields).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            const group = input.closest('.claim-type-fields');
+
+            // Fields of other claim types are hidden and don't belong on this claim
+            if (group && group.dataset.claimType !== type) return;
+            if (input.value.trim() === '') return;
+
+            values[key] = input.type === 'number' ? Number(input.value) : input.value.trim();
+        });
+
+        const required = ['state', 'district', 'village'].concat(type === 'IFR' ? ['household_head'] : []);
+        const missing = required.find(key => values[key] === undefined);
+        if (missing) {
+            // The form's own label, so the message is in the same language
+            const label = document.querySelector(`label[for="${fields[missing]}"]`).textContent.replace(/:$/, '');
+            this.showAlert(I18n.t('Please fill in {field}.', { field: label }), 'error');
+            document.getElementById(fields[missing]).focus();
+            return null;
+        }
+
+        // Keep attributes the form doesn't manage (status history, verification flags, ...)
+        const existing = this.editingFeature ? { ...this.editingFeature.properties } : {};
+        Object.keys(fields).forEach(key => delete existing[key]);
+        // Any recorded area now comes from the drawn boundary, in whichever field the feature carried it
+        ['claim_area_ha', 'claim_area_acres', 'area_km2'].forEach(key => delete existing[key]);
+        const area = parseFloat(this.claimEditor.getAreaHectares().toFixed(2));
+
+        const properties = {
+            claim_id: existing.claim_id || this.nextClaimId(type, values.state, values.district),
+            claim_type: type,
+            fra_type: FRAClaimSchema.TYPES[type].name,
+            ...values,
+            area_claimed: area,
+            area_hectares: area,
+            area_unit: 'hectares',
+            status: existing.status || 'Pending',
+            submission_date: existing.submission_date || new Date().toISOString().split('T')[0]
+        };
+
+        Object.keys(existing).forEach(key => {
+            if (!(key in properties)) {
+                properties[key] = existing[key];
+            }
+        });
+
+        return { type: 'Feature', geometry, properties };
+    }
+
+    saveClaim() {
+        let feature = this.buildClaimFeature();
+        if (!feature) return;
+
+        if (this.editingFeature) {
+            const target = this.editingFeature;
+
+            // Unrender while the cached record still points at the old layer group
+            const layer = this.renderer.getLayer(target);
+            if (layer) {
+                this.renderer.removeFeature(target, layer);
+            }
+
+            target.geometry = feature.geometry;
+            target.properties = feature.properties;
+            this.schema.forget(target);
+            feature = target;
+        } else {
+            this.fraData.features.push(feature);
+        }
+
+        const claim = this.schema.claim(feature);
+        this.indexCFRs();
+        this.search.build(this.fraData.features);
+        this.timeSlider.setRange(this.fraData.features.map(f => this.schema.claim(f).submissionDate));
+        this.stopClaimEditing();
+        this.refreshFilteredData();
+
+        const hidden = !this.filteredData.features.includes(feature);
+        const saved = { id: claim.id, area: I18n.fixed(claim.area, 2) };
+        this.showAlert(hidden
+            ? I18n.t('Claim {id} saved ({area} ha) - hidden by current filters', saved)
+            : I18n.t('Claim {id} saved ({area} ha)', saved), 'success');
+        console.log('💾 Claim saved:', feature);
+    }
+
+    downloadClaim() {
+        const feature = this.buildClaimFeature();
+        if (!feature) return;
+
+        this.downloadFile(
+            `${feature.properties.claim_id}.geojson`,
+            JSON.stringify(feature, null, 2),
+            'application/geo+json'
+        );
+    }
+
+    setupPermalink() {
+        this.map.on('moveend', () => this.permalink.update());
+        this.map.on('baselayerchange', () => this.permalink.update(true));
+        this.map.on('overlayadd overlayremove', () => this.permalink.update(true));
+
+        if (this.permalink.start()) {
+            console.log('🔗 Restored view from permalink');
+        }
+    }
+
+    getPermalinkState() {
+        const center = this.map.getCenter();
+        const claim = this.currentFeature ? this.schema.claim(this.currentFeature.feature) : null;
+
+        return {
+            view: { lat: center.lat, lng: center.lng, zoom: this.map.getZoom() },
+            base: Permalink.activeBaseLayerSlug(this.map, this.baseLayers),
+            layers: Object.keys(this.layers).filter(key => this.layers[key] && this.map.hasLayer(this.layers[key])),
+            filters: { ...this.appliedFilters, query: FRAQuery.encode(this.attributeQuery) },
+            claim: claim ? claim.id : null,
+            claimVillage: claim ? claim.village : null
+        };
+    }
+
+    restorePermalink(state) {
+        if (!this.fraData) return;
+
+        if (state.base) {
+            Permalink.switchBaseLayer(this.map, this.baseLayers, state.base);
+        }
+
+        // Set the dropdowns top-down so each level's options exist before it is selected
+        const filters = state.filters || {};
+        document.getElementById('state-filter').value = filters.state || '';
+        this.updateDistrictFilter();
+        document.getElementById('district-filter').value = filters.district || '';
+        this.updateVillageFilter();
+        document.getElementById('village-filter').value = filters.village || '';
+        document.getElementById('fra-type-filter').value = filters.fraType || '';
+        document.getElementById('status-filter').value = filters.status || '';
+        this.appliedFilters = this.getActiveFilters();
+        this.attributeQuery = FRAQuery.decode(filters.query);
+        this.queryBuilder.setQuery(this.attributeQuery);
+        this.updateQuerySummary();
+        this.refreshFilteredData();
+
+        if (state.layers) {
+            Object.entries(this.layers).forEach(([key, layer]) => {
+                if (!layer) return;
+                const visible = state.layers.includes(key);
+                if (visible && !this.map.hasLayer(layer)) {
+                    this.map.addLayer(layer);
+                } else if (!visible && this.map.hasLayer(layer)) {
+                    this.map.removeLayer(layer);
+                }
+            });
+        }
+
+        if (state.view) {
+            this.map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+        }
+
+        this.selectClaim(state.claim, state.claimVillage, !state.view);
+    }
+
+    // Highlights a claim by id without going through focusFeature's deferred moveend,
+    // so a restore never records a history entry of its own
+    selectClaim(claimId, village = null, fit = false) {
+        if (this.currentFeature) {
+            if (this.currentFeature.setStyle) {
+                this.currentFeature.setStyle(this.getFeatureStyle(this.currentFeature.feature));
+            }
+            this.currentFeature = null;
+        }
+        if (!claimId) return;
+
+        const feature = this.schema.findClaim(this.filteredData.features, claimId, village);
+        if (!feature) {
+            console.warn(`⚠️ Claim ${claimId} from the permalink is not in the current filter`);
+            return;
+        }
+
+        const bbox = SpatialIndex.featureBBox(feature);
+        if (fit && bbox) {
+            this.map.fitBounds([[bbox.minY, bbox.minX], [bbox.maxY, bbox.maxX]], {
+                padding: [40, 40],
+                maxZoom: 16,
+                animate: false
+            });
+        }
+
+        this.renderer.refresh();
+        const layer = this.renderer.getLayer(feature);
+        if (layer) {
+            this.highlightFeature(layer);
         }
     }
 
@@ -751,14 +1847,14 @@ class VanachitraFRAViewer {
                 if (layerGroup && this.map.hasLayer(layerGroup)) {
                     layerGroup.eachLayer(layer => {
                         if (layer.feature && layer.feature.properties) {
-                            this.addFeatureLabel(layer, layer.feature.properties);
+                            this.addFeatureLabel(layer);
                         }
                     });
                 }
             });
-            document.getElementById('toggle-labels').textContent = '🚫 Hide Labels';
+            I18n.setText(document.getElementById('toggle-labels'), '🚫 Hide Labels');
         } else {
-            document.getElementById('toggle-labels').textContent = '🏷️ Show Labels';
+            I18n.setText(document.getElementById('toggle-labels'), '🏷️ Show Labels');
         }
     }
 
@@ -775,9 +1871,12 @@ class VanachitraFRAViewer {
         
         // Clear any highlights
         if (this.currentFeature) {
-            this.currentFeature.setStyle(this.getFeatureStyle(this.currentFeature.feature));
+            if (this.currentFeature.setStyle) {
+                this.currentFeature.setStyle(this.getFeatureStyle(this.currentFeature.feature));
+            }
             this.currentFeature = null;
         }
+        this.permalink.update(true);
     }
 
     toggleAllLayers() {
@@ -794,6 +1893,7 @@ class VanachitraFRAViewer {
                 }
             }
         });
+        this.permalink.update(true);
     }
 
     showLoading(show) {
@@ -804,6 +1904,8 @@ class VanachitraFRAViewer {
     showAlert(message, type = 'info') {
         const alertDiv = document.createElement('div');
         alertDiv.className = type === 'error' ? 'alert' : 'success';
+        // Read out by screen readers; errors interrupt, the rest wait their turn
+        alertDiv.setAttribute('role', type === 'error' ? 'alert' : 'status');
         alertDiv.textContent = message;
         
         document.body.appendChild(alertDiv);
@@ -862,5 +1964,38 @@ style.textContent = `
         padding: 2px 4px;
         color: #2d5016;
     }
+
+    .edit-vertex {
+        background: #ffffff;
+        border: 2px solid #00e5ff;
+        border-radius: 50%;
+        cursor: move;
+    }
+
+    .edit-vertex.first {
+        background: #00e5ff;
+    }
+
+    .edit-midpoint {
+        background: rgba(0, 229, 255, 0.5);
+        border: 1px solid #ffffff;
+        border-radius: 50%;
+        cursor: copy;
+    }
+
+    .edit-snap {
+        border: 2px solid #ff00ff;
+        border-radius: 50%;
+        pointer-events: none;
+    }
+
+    .claim-drawing {
+        cursor: crosshair;
+    }
+
+    /* Claim layers must not swallow clicks or open popups while a boundary is edited */
+    .claim-drawing [class*="leaflet-fra-"] .leaflet-interactive {
+        pointer-events: none;
+    }
 `;
 document.head.appendChild(style);
\ No newline at end of file
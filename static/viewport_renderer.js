@@ -0,0 +1,118 @@
+/**
+ * Vanachitra.AI - Viewport-driven Feature Rendering
+ * Keeps only the features intersecting the current view (plus a margin) materialized as Leaflet layers
+ */
+
+class ViewportRenderer {
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = {
+            margin: 0.5,            // Extra viewport fraction rendered on each side
+            createLayer: null,      // (feature) => L.Layer, already added to its group
+            removeLayer: null,      // (feature, layer) => void
+            ...options
+        };
+        this.index = new SpatialIndex();
+        this.rendered = new Map();
+        this.pendingFrame = null;
+
+        this.onViewChange = () => this.scheduleRefresh();
+        this.map.on('moveend zoomend', this.onViewChange);
+    }
+
+    setFeatures(features) {
+        this.index.loadFeatures(features);
+        this.refresh();
+    }
+
+    // Existing layers are kept; only the new features in view get one
+    addFeatures(features) {
+        this.index.loadFeatures(this.index.all().concat(features));
+        this.refresh();
+    }
+
+    scheduleRefresh() {
+        // zoomend and moveend usually fire together; render once per frame
+        if (this.pendingFrame) return;
+        this.pendingFrame = requestAnimationFrame(() => {
+            this.pendingFrame = null;
+            this.refresh();
+        });
+    }
+
+    refresh() {
+        const viewBounds = this.map.getBounds().pad(this.options.margin);
+        const visible = new Set(this.index.search(SpatialIndex.fromLatLngBounds(viewBounds)));
+
+        // Drop layers that left the viewport or the feature set
+        this.rendered.forEach((layer, feature) => {
+            if (!visible.has(feature)) {
+                this.removeFeature(feature, layer);
+            }
+        });
+
+        visible.forEach(feature => {
+            if (!this.rendered.has(feature)) {
+                const layer = this.options.createLayer(feature);
+                if (layer) {
+                    this.rendered.set(feature, layer);
+                }
+            }
+        });
+    }
+
+    removeFeature(feature, layer) {
+        if (this.options.removeLayer) {
+            this.options.removeLayer(feature, layer);
+        }
+        this.rendered.delete(feature);
+    }
+
+    clear() {
+        this.rendered.forEach((layer, feature) => this.removeFeature(feature, layer));
+        this.index.clear();
+    }
+
+    getLayer(feature) {
+        return this.rendered.get(feature) || null;
+    }
+
+    forEachRendered(callback) {
+        this.rendered.forEach((layer, feature) => callback(layer, feature));
+    }
+
+    search(latLngBounds) {
+        return this.index.search(SpatialIndex.fromLatLngBounds(latLngBounds));
+    }
+
+    getBounds() {
+        const extent = this.index.getExtent();
+        if (!extent) return null;
+        return L.latLngBounds([extent.minY, extent.minX], [extent.maxY, extent.maxX]);
+    }
+
+    destroy() {
+        this.clear();
+        this.map.off('moveend zoomend', this.onViewChange);
+        if (this.pendingFrame) {
+            cancelAnimationFrame(this.pendingFrame);
+        }
+    }
+
+    // Same steps as L.GeoJSON#addData, but hands back the created layer
+    static addToGeoJSON(group, feature) {
+        const layer = L.GeoJSON.geometryToLayer(feature, group.options);
+        if (!layer) return null;
+
+        layer.feature = L.GeoJSON.asFeature(feature);
+        layer.defaultOptions = layer.options;
+        group.resetStyle(layer);
+
+        if (group.options.onEachFeature) {
+            group.options.onEachFeature(feature, layer);
+        }
+
+        group.addLayer(layer);
+        return layer;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Vanachitra.AI - ZIP Archive Reader
+ * Lists and extracts stored or deflated entries using the browser's DecompressionStream
+ */
+
+class ZipReader {
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.entries = this.readDirectory();
+    }
+
+    readDirectory() {
+        // End of central directory record sits in the last 22 bytes plus an optional comment
+        let end = -1;
+        for (let i = this.bytes.length - 22; i >= Math.max(0, this.bytes.length - 22 - 0xffff); i--) {
+            if (this.view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const count = this.view.getUint16(end + 10, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+        let offset = this.view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+
+            entries.push({
+                name: decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength)),
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                size: this.view.getUint32(offset + 24, true),
+                offset: this.view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries.filter(entry => !entry.name.endsWith('/'));
+    }
+
+    find(predicate) {
+        return this.entries.find(predicate) || null;
+    }
+
+    async read(entry) {
+        const header = entry.offset;
+        const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data.slice();
+        }
+
+        if (entry.method === 8) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot unpack compressed ZIP entries');
+            }
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        throw new Error(`Unsupported ZIP compression method ${entry.method} in ${entry.name}`);
+    }
+
+    async readText(entry, encoding = 'utf-8') {
+        return new TextDecoder(encoding).decode(await this.read(entry));
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Vanachitra.AI - ZIP Archive Writer
+ * Builds uncompressed (stored) ZIP archives in the browser, enough to bundle Shapefile parts
+ */
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    addFile(name, content) {
+        const bytes = typeof content === 'string'
+            ? new TextEncoder().encode(content)
+            : new Uint8Array(content);
+
+        this.files.push({
+            name: new TextEncoder().encode(name),
+            bytes,
+            crc: ZipWriter.crc32(bytes)
+        });
+        return this;
+    }
+
+    toBlob() {
+        const parts = [];
+        const central = [];
+        const { time, date } = ZipWriter.dosDateTime(new Date());
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);               // version needed
+            local.setUint16(6, 0x0800, true);           // UTF-8 file names
+            local.setUint16(8, 0, true);                // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.bytes.length, true);
+            local.setUint32(22, file.bytes.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);               // version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.bytes.length, true);
+            entry.setUint32(24, file.bytes.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);          // local header offset
+
+            parts.push(local, file.name, file.bytes);
+            central.push(entry, file.name);
+            offset += 30 + file.name.length + file.bytes.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+
+    static dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.CRC_TABLE) {
+            ZipWriter.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+ZipWriter.CRC_TABLE = null;